@@ -5,13 +5,44 @@ import express from "express";
 import cors from "cors";
 import dotenv from "dotenv";
 import { clerkMiddleware, requireAuth } from "@clerk/express";
+import { client } from "./db/conn.js";   // MongoDB client (readiness ping)
 
 // Route modules
 import categories from "./routes/category.js";
 import transactions from "./routes/transaction.js";
+import budgets from "./routes/budget.js";
+import recurring from "./routes/recurring.js";
+import settings from "./routes/settings.js";
+import analytics from "./routes/analytics.js";
+import reports from "./routes/report.js";
+import rules from "./routes/rule.js";
+import goals from "./routes/goal.js";
+import dataExports from "./routes/export.js";
+import trash from "./routes/trash.js";
+import tags from "./routes/tag.js";
+import insights from "./routes/insight.js";
+import forecast from "./routes/forecast.js";
+import accounts from "./routes/account.js";
+import ledgers from "./routes/ledger.js";
 import currency from "./routes/currency.js";
 import inflation from "./routes/inflation.js";
 
+// Background jobs
+import { startRecurringScheduler } from "./jobs/recurring.js";
+import { startTrashPurgeScheduler } from "./jobs/trash.js";
+
+// Ledger selection (X-Ledger-Id header) and member roles
+import { ledgerScope } from "./middleware/ledger.js";
+
+// Error handling
+import { notFoundHandler, errorHandler } from "./middleware/errorHandler.js";
+
+// Request ids, structured logs, readiness and metrics
+import { requestContext, logUser, REQUEST_ID_HEADER } from "./middleware/requestContext.js";
+import { logger } from "./utils/logger.js";
+import { checkDatabase, upstreamStatus } from "./utils/health.js";
+import { renderMetrics, METRICS_CONTENT_TYPE } from "./utils/metrics.js";
+
 // Load environment variables
 dotenv.config();
 
@@ -44,6 +75,39 @@ app.get("/health", (req, res) => {
   });
 });
 
+// --------------------------------------------------
+// Readiness check (NO AUTH)
+// 200 only while MongoDB answers, 503 otherwise, so Cloud Run routes
+// traffic to instances that can serve it. External providers are
+// reported but do not affect readiness (see utils/health.js).
+// --------------------------------------------------
+app.get("/ready", async (req, res) => {
+  const mongodb = await checkDatabase(client);
+  const ready = mongodb.status === "ok";
+
+  if (!ready) logger.warn("Readiness check failed", { mongodb });
+
+  res.status(ready ? 200 : 503).json({
+    status: ready ? "ready" : "unavailable",
+    service: "finsight-api",
+    checks: { mongodb },
+    upstreams: upstreamStatus(),             // Last outcome per provider
+    timestamp: new Date().toISOString(),
+  });
+});
+
+// --------------------------------------------------
+// Prometheus metrics (NO AUTH unless METRICS_TOKEN is set)
+// With METRICS_TOKEN, scrapers send Authorization: Bearer <token>
+// --------------------------------------------------
+app.get("/metrics", (req, res) => {
+  const token = process.env.METRICS_TOKEN;
+  if (token && req.get("Authorization") !== `Bearer ${token}`) {
+    return res.status(401).json({ message: "Not authenticated" });
+  }
+  res.set("Content-Type", METRICS_CONTENT_TYPE).send(renderMetrics());
+});
+
 // --------------------------------------------------
 // CORS configuration
 // Allows frontend app to communicate with backend
@@ -52,6 +116,14 @@ app.use(
   cors({
     origin: process.env.FRONTEND_URL || "http://localhost:5173/",
     credentials: true, // Allow cookies / auth headers
+    // Pagination, download file names, versions, idempotent replays and request ids
+    exposedHeaders: [
+      "X-Next-Cursor",
+      "Content-Disposition",
+      "ETag",
+      "Idempotent-Replayed",
+      REQUEST_ID_HEADER,
+    ],
   })
 );
 
@@ -59,27 +131,65 @@ app.use(
 // Middleware
 // --------------------------------------------------
 
+// Request id, access log and latency metrics for everything below
+// (health, readiness and metrics probes above are left out)
+app.use(requestContext);
+
+// Backups sent to /export/restore can be far larger than other payloads
+app.use("/export/restore", express.json({ limit: process.env.RESTORE_BODY_LIMIT || "50mb" }));
+
 // Parse incoming JSON payloads
-app.use(express.json());
+// Raised limit leaves room for bank statements sent to /transaction/import
+app.use(express.json({ limit: process.env.JSON_BODY_LIMIT || "2mb" }));
 
 // Initialize Clerk authentication middleware
 app.use(clerkMiddleware());
 
+// Signed-in user on every log entry of the request
+app.use(logUser);
+
 // --------------------------------------------------
 // Routes
 // --------------------------------------------------
 
-// Protected routes (authentication required)
-app.use("/category", requireAuth(), categories);
-app.use("/transaction", requireAuth(), transactions);
+// Ledgers and their members (authentication required)
+app.use("/ledger", requireAuth(), ledgers);
+
+// Protected routes (authentication required, scoped to one ledger)
+app.use("/category", requireAuth(), ledgerScope, categories);
+app.use("/transaction", requireAuth(), ledgerScope, transactions);
+app.use("/budget", requireAuth(), ledgerScope, budgets);
+app.use("/account", requireAuth(), ledgerScope, accounts);
+app.use("/recurring", requireAuth(), ledgerScope, recurring);
+app.use("/settings", requireAuth(), ledgerScope, settings);
+app.use("/analytics", requireAuth(), ledgerScope, analytics);
+app.use("/report", requireAuth(), ledgerScope, reports);
+app.use("/rule", requireAuth(), ledgerScope, rules);
+app.use("/goal", requireAuth(), ledgerScope, goals);
+app.use("/export", requireAuth(), ledgerScope, dataExports);
+app.use("/trash", requireAuth(), ledgerScope, trash);
+app.use("/tag", requireAuth(), ledgerScope, tags);
+app.use("/insights", requireAuth(), ledgerScope, insights);
+app.use("/forecast", requireAuth(), ledgerScope, forecast);
 
 // Public routes (external APIs, no authentication)
 app.use("/currency", currency);
 app.use("/inflation", inflation);
 
+// --------------------------------------------------
+// Error handling (must be registered after all routes)
+// Unknown routes and thrown errors get a JSON body: { message, details? }
+// --------------------------------------------------
+app.use(notFoundHandler);
+app.use(errorHandler);
+
 // --------------------------------------------------
 // Start HTTP server
 // --------------------------------------------------
 app.listen(PORT, "0.0.0.0", () => {
-  console.log(`🚀 Server listening on port ${PORT}`);
+  logger.info(`🚀 Server listening on port ${PORT}`, { port: Number(PORT) });
+
+  // Create due recurring transactions and empty expired trash in the background
+  startRecurringScheduler();
+  startTrashPurgeScheduler();
 });
\ No newline at end of file
@@ -4,6 +4,9 @@ import dotenv from "dotenv";
 // Import MongoDB client and Server API version enum
 import { MongoClient, ServerApiVersion } from "mongodb";
 
+// Structured logger
+import { logger } from "../utils/logger.js";
+
 // Initialize dotenv configuration
 dotenv.config();
 
@@ -13,7 +16,7 @@ const uri = process.env.MONGO_URI || "";
 
 // Validate that MongoDB URI exists
 if (!uri) {
-  console.error("MONGO_URI is missing in .env file");
+  logger.error("MONGO_URI is missing in .env file");
   process.exit(1); // Stop the application if URI is missing
 }
 
@@ -34,16 +37,18 @@ try {
   await client.db("admin").command({ ping: 1 });
 
   // Log success message
-  console.log(
-    "Pinged your deployment. You successfully connected to MongoDB!"
-  );
+  logger.info("Pinged your deployment. You successfully connected to MongoDB!");
 } catch (err) {
-  // Log any connection or runtime errors
-  console.error(err);
+  // Log any connection or runtime errors; GET /ready reports the instance
+  // unavailable and connects again until it succeeds (see utils/health.js)
+  logger.error("MongoDB connection failed", { err });
 }
 
 // Get reference to the application database
 const db = client.db("finsight");
 
+// Export client for sessions / multi-document transactions
+export { client };
+
 // Export database instance for use in other files
 export default db;
@@ -0,0 +1,188 @@
+// jobs/recurring.js
+// Materializes due recurring transactions into the transactions collection
+// Safe to run repeatedly: every occurrence is upserted on (recurringId, occurrenceDate)
+
+import db from "../db/conn.js";                            // MongoDB connection instance
+import { listOccurrences, nextOccurrence } from "../utils/recurrence.js";
+import { getConversionRate } from "../utils/fx.js";
+import { getBaseCurrency } from "../utils/settings.js";
+import { ensurePersonalLedger } from "../utils/ledgers.js";
+import { INITIAL_VERSION } from "../utils/versioning.js";
+import { logger } from "../utils/logger.js";
+
+// Default scheduler interval: 1 hour
+const DEFAULT_INTERVAL_MS = 1000 * 60 * 60;
+
+// Ensures the idempotency index is only created once per process
+let indexesReady = null;
+
+/**
+ * Create the unique index that prevents double-booking an occurrence
+ * @returns {Promise<void>}
+ */
+function ensureIndexes() {
+  if (!indexesReady) {
+    indexesReady = db
+      .collection("transactions")
+      .createIndex(
+        { recurringId: 1, occurrenceDate: 1 },
+        {
+          unique: true,
+          partialFilterExpression: { recurringId: { $exists: true } },
+        }
+      )
+      .catch((err) => {
+        indexesReady = null; // Retry on the next run
+        throw err;
+      });
+  }
+  return indexesReady;
+}
+
+/**
+ * Build the transaction document for one occurrence of a rule
+ * @param {Object} recurring - recurring transaction document
+ * @param {Date} date - occurrence date
+ * @param {string} baseCurrency - the ledger's base currency
+ * @returns {Promise<Object>} transaction document
+ */
+async function buildTransaction(recurring, date, baseCurrency) {
+  const { type, amount, note, categoryId, goalId, tags } = recurring.template;
+  const currency = recurring.template.currency || baseCurrency;
+
+  return {
+    ledgerId: recurring.ledgerId,
+    userId: recurring.userId,     // Member who created the rule
+    date,
+    type,
+    amount,
+    currency,
+    fxRate: await getConversionRate(currency, baseCurrency, date),
+    note: note || "",
+    categoryId,
+    ...(goalId && { goalId }),    // 🎯 Savings goal set via PUT ?scope=future
+    tags: tags || [],             // Also set via PUT ?scope=future
+    recurringId: recurring._id,   // 🔁 Link back to the generating rule
+    occurrenceDate: date,         // Never changes, even if date is edited
+    version: INITIAL_VERSION,
+    createdAt: new Date(),
+    updatedAt: new Date(),
+  };
+}
+
+/**
+ * Create all due transactions for one recurring rule
+ * A rule far behind is caught up in batches (see listOccurrences); it stays
+ * due until the next run picks up the rest
+ * @param {Object} recurring - recurring transaction document
+ * @param {Date} now - materialize occurrences up to this date
+ * @returns {Promise<number>} number of transactions created
+ */
+async function materializeOne(recurring, now) {
+  // Rules from before ledgers existed move with their owner's data
+  if (!recurring.ledgerId) {
+    recurring.ledgerId = (await ensurePersonalLedger(recurring.userId))._id;
+  }
+
+  const dates = listOccurrences(recurring.rule, {
+    after: recurring.materializedThrough || null,
+    until: now,
+  });
+
+  const baseCurrency = dates.length ? await getBaseCurrency(recurring.ledgerId) : null;
+
+  let created = 0;
+  for (const date of dates) {
+    try {
+      // Upsert keeps duplicate triggers from inserting the same occurrence twice
+      const result = await db.collection("transactions").updateOne(
+        { recurringId: recurring._id, occurrenceDate: date },
+        { $setOnInsert: await buildTransaction(recurring, date, baseCurrency) },
+        { upsert: true }
+      );
+      created += result.upsertedCount;
+    } catch (err) {
+      // Concurrent upserts can race on the unique index; the other one won
+      if (err.code !== 11000) throw err;
+    }
+  }
+
+  // Advance the watermark so deleted occurrences are not re-created
+  const watermark = dates.length
+    ? dates[dates.length - 1]
+    : recurring.materializedThrough || null;
+
+  await db.collection("recurring").updateOne(
+    { _id: recurring._id },
+    {
+      $set: {
+        materializedThrough: watermark,
+        nextRunAt: nextOccurrence(recurring.rule, watermark),
+      },
+    }
+  );
+
+  return created;
+}
+
+/**
+ * Create all due transactions for every rule (or one ledger's rules)
+ * @param {Object} options
+ * @param {ObjectId} [options.ledgerId] - limit to a single ledger
+ * @param {Date} [options.now] - reference time (defaults to now)
+ * @returns {Promise<{ rules: number, created: number, failed: number }>}
+ *   failed: rules skipped because of an error (retried on the next run)
+ */
+export async function materializeDueTransactions({ ledgerId, now = new Date() } = {}) {
+  await ensureIndexes();
+
+  const query = { nextRunAt: { $ne: null, $lte: now } };
+  if (ledgerId) query.ledgerId = ledgerId;
+
+  const due = await db.collection("recurring").find(query).toArray();
+
+  let created = 0;
+  let failed = 0;
+  for (const recurring of due) {
+    // One broken rule must not hold up every other ledger's rules
+    try {
+      created += await materializeOne(recurring, now);
+    } catch (err) {
+      failed += 1;
+      logger.error("Recurring rule failed", { err, recurringId: recurring._id });
+    }
+  }
+
+  return { rules: due.length, created, failed };
+}
+
+/**
+ * Start the in-process scheduler
+ * Disabled with RECURRING_SCHEDULER=off (e.g. when an external cron calls the endpoint)
+ * @returns {NodeJS.Timeout|null} interval handle
+ */
+export function startRecurringScheduler() {
+  if (process.env.RECURRING_SCHEDULER === "off") return null;
+
+  const intervalMs = Number(process.env.RECURRING_INTERVAL_MS) || DEFAULT_INTERVAL_MS;
+
+  const run = async () => {
+    try {
+      const { rules, created } = await materializeDueTransactions();
+      if (created > 0) {
+        logger.info(`🔁 Recurring: created ${created} transaction(s) from ${rules} rule(s)`, {
+          created,
+          rules,
+        });
+      }
+    } catch (err) {
+      logger.error("Recurring scheduler error", { err });
+    }
+  };
+
+  // Catch up immediately after a restart, then run on an interval
+  run();
+  const timer = setInterval(run, intervalMs);
+  timer.unref(); // Do not keep the process alive just for the scheduler
+  return timer;
+}
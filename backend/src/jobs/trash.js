@@ -0,0 +1,121 @@
+// jobs/trash.js
+// Removes trashed transactions and categories once their retention window ends,
+// then the attachment files no transaction points to any more, and finishes
+// removing the data of deleted ledgers
+// Listing the trash only hides expired items; this job deletes them for good
+
+import db from "../db/conn.js";                            // MongoDB connection instance
+import { trashCutoff, purgeExpiredTrash } from "../utils/audit.js";
+import { ATTACHMENT_BUCKET, purgeOrphanedAttachments } from "../utils/attachments.js";
+import { purgeDeletedLedger } from "../utils/ledgers.js";
+import { logger } from "../utils/logger.js";
+
+// Default scheduler interval: 1 hour
+const DEFAULT_INTERVAL_MS = 1000 * 60 * 60;
+
+/**
+ * Purge expired trash and orphaned attachments in every ledger that has some
+ * Every ledger with files is swept, not only those that lost transactions in
+ * this run, so files left by a run that failed half-way are still removed
+ * @param {Object} options
+ * @param {Date} [options.now] - reference time (defaults to now)
+ * @returns {Promise<{
+ *   ledgers: number, transactions: number, categories: number, attachments: number, failed: number
+ * }>}
+ *   failed: ledgers skipped because of an error (retried on the next run)
+ */
+export async function purgeAllExpiredTrash({ now = new Date() } = {}) {
+  const expired = { deletedAt: { $lt: trashCutoff(now) } };
+
+  const [transactionLedgers, categoryLedgers, fileLedgers] = await Promise.all([
+    db.collection("transactions").distinct("ledgerId", expired),
+    db.collection("categories").distinct("ledgerId", expired),
+    db.collection(`${ATTACHMENT_BUCKET}.files`).distinct("metadata.ledgerId"),
+  ]);
+  const withFiles = new Set(fileLedgers.map(String));
+  const ledgerIds = [
+    ...new Map(
+      [...transactionLedgers, ...categoryLedgers, ...fileLedgers].map((id) => [String(id), id])
+    ).values(),
+  ];
+
+  let transactions = 0;
+  let categories = 0;
+  let attachments = 0;
+  let failed = 0;
+  for (const ledgerId of ledgerIds) {
+    // One failing ledger must not keep every other ledger's trash around
+    try {
+      const purged = await purgeExpiredTrash(ledgerId, now);
+      transactions += purged.transactions;
+      categories += purged.categories;
+      if (withFiles.has(String(ledgerId))) attachments += await purgeOrphanedAttachments(ledgerId);
+    } catch (err) {
+      failed += 1;
+      logger.error("Trash purge failed", { err, ledgerId });
+    }
+  }
+
+  return { ledgers: ledgerIds.length, transactions, categories, attachments, failed };
+}
+
+/**
+ * Finish removing ledgers whose deletion stopped part-way
+ * @returns {Promise<{ ledgers: number, failed: number }>}
+ *   failed: ledgers skipped because of an error (retried on the next run)
+ */
+export async function purgeDeletedLedgers() {
+  const ledgers = await db
+    .collection("ledgers")
+    .find({ deletedAt: { $ne: null } })
+    .project({ _id: 1 })
+    .toArray();
+
+  let failed = 0;
+  for (const { _id } of ledgers) {
+    try {
+      await purgeDeletedLedger(_id);
+    } catch (err) {
+      failed += 1;
+      logger.error("Deleted ledger purge failed", { err, ledgerId: _id });
+    }
+  }
+
+  return { ledgers: ledgers.length, failed };
+}
+
+/**
+ * Start the in-process scheduler
+ * Disabled with TRASH_PURGE_SCHEDULER=off (e.g. when several API processes share a database)
+ * @returns {NodeJS.Timeout|null} interval handle
+ */
+export function startTrashPurgeScheduler() {
+  if (process.env.TRASH_PURGE_SCHEDULER === "off") return null;
+
+  const intervalMs = Number(process.env.TRASH_PURGE_INTERVAL_MS) || DEFAULT_INTERVAL_MS;
+
+  const run = async () => {
+    try {
+      const { transactions, categories, attachments } = await purgeAllExpiredTrash();
+      if (transactions + categories + attachments > 0) {
+        logger.info(
+          `🗑️ Trash: removed ${transactions} transaction(s), ${categories} category(ies) ` +
+            `and ${attachments} attachment(s)`,
+          { transactions, categories, attachments }
+        );
+      }
+
+      const removed = await purgeDeletedLedgers();
+      const ledgers = removed.ledgers - removed.failed;
+      if (ledgers > 0) logger.info(`🗑️ Trash: removed ${ledgers} deleted ledger(s)`, { ledgers });
+    } catch (err) {
+      logger.error("Trash purge scheduler error", { err });
+    }
+  };
+
+  // Catch up immediately after a restart, then run on an interval
+  run();
+  const timer = setInterval(run, intervalMs);
+  timer.unref(); // Do not keep the process alive just for the scheduler
+  return timer;
+}
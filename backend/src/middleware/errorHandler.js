@@ -0,0 +1,51 @@
+// middleware/errorHandler.js
+// Last stops of the middleware chain
+// - Unknown routes get a JSON 404
+// - Errors thrown (or passed to next) anywhere become { message, details? }
+
+import { logger } from "../utils/logger.js";
+
+/**
+ * Respond 404 for requests no router handled
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+export function notFoundHandler(req, res) {
+  res.status(404).json({ message: `Route not found: ${req.method} ${req.path}` });
+}
+
+/**
+ * Central Express error handler
+ * 4xx errors keep their message and field details; anything else is logged
+ * and reported as a generic 500 so internals never leak to clients
+ * @param {Error} err
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next
+ */
+// Express recognizes error handlers by their four parameters
+export function errorHandler(err, req, res, next) {
+  // Too late to send a JSON body; let Express close the connection
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  // Errors raised by express.json()
+  if (err.type === "entity.parse.failed") {
+    return res.status(400).json({ message: "Request body is not valid JSON" });
+  }
+  if (err.type === "entity.too.large") {
+    return res.status(413).json({ message: "Request body is too large" });
+  }
+
+  const status = Number(err.status || err.statusCode);
+  if (status >= 400 && status < 500) {
+    return res.status(status).json({
+      message: err.message,
+      ...(err.details && { details: err.details }),
+    });
+  }
+
+  logger.error(`Unhandled error on ${req.method} ${req.originalUrl}`, { err });
+  res.status(500).json({ message: "Internal server error" });
+}
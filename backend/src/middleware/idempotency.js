@@ -0,0 +1,164 @@
+// middleware/idempotency.js
+// Idempotency-Key support for create endpoints
+// A client sends the same Idempotency-Key header when it retries a request.
+// The first response is stored in the idempotencyKeys collection (kept for
+// IDEMPOTENCY_TTL_HOURS) and replayed for every retry, so a retry never
+// creates a second document.
+// - Same key for a different request: 422
+// - Same key while the first request is still running: 409
+// - 5xx responses are not stored, so the request can be retried
+// Keys are scoped to the member and the ledger (runs after ledgerScope).
+
+import { createHash } from "node:crypto";
+import { getAuth } from "@clerk/express";    // Clerk authentication helper
+import db from "../db/conn.js";
+import { HttpError, badRequest } from "../utils/errors.js";
+import { logger } from "../utils/logger.js";
+
+// Header carrying the client's key
+export const IDEMPOTENCY_HEADER = "Idempotency-Key";
+
+// How long a stored response is replayed
+const TTL_MS = (Number(process.env.IDEMPOTENCY_TTL_HOURS) || 24) * 60 * 60 * 1000;
+
+// A request still running after this long is assumed to have died
+const LOCK_MS = 60 * 1000;
+
+const MAX_KEY_LENGTH = 255;
+
+// Response headers replayed along with the stored body
+const REPLAYED_HEADERS = ["ETag"];
+
+// Ensures the indexes are only created once per process
+let indexesReady = null;
+
+/**
+ * Create the indexes idempotency keys rely on
+ * - one entry per key, member and ledger
+ * - expiry (MongoDB removes entries once expiresAt has passed)
+ * @returns {Promise<void>}
+ */
+function ensureIndexes() {
+  if (!indexesReady) {
+    const keys = db.collection("idempotencyKeys");
+    indexesReady = Promise.all([
+      keys.createIndex({ ledgerId: 1, userId: 1, key: 1 }, { unique: true }),
+      keys.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 }),
+    ]).catch((err) => {
+      indexesReady = null; // Retry on the next call
+      throw err;
+    });
+  }
+  return indexesReady;
+}
+
+/**
+ * Hash identifying what a request asks for (method, URL and body)
+ * @param {Object} req - Express request
+ * @returns {string}
+ */
+function requestHash(req) {
+  return createHash("sha256")
+    .update(JSON.stringify([req.method, req.originalUrl, req.body ?? null]))
+    .digest("hex");
+}
+
+/**
+ * Claim a key for this request
+ * A claim left behind by a request that died is taken over
+ * @param {Collection} keys
+ * @param {Object} scope - { ledgerId, userId, key }
+ * @param {string} hash - requestHash of the request
+ * @returns {Promise<boolean>} false when another request holds the key
+ */
+async function claimKey(keys, scope, hash) {
+  const now = Date.now();
+  try {
+    await keys.insertOne({
+      ...scope,
+      requestHash: hash,
+      response: null,
+      lockedUntil: new Date(now + LOCK_MS),
+      createdAt: new Date(now),
+      expiresAt: new Date(now + TTL_MS),
+    });
+    return true;
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+  }
+
+  const stale = await keys.updateOne(
+    { ...scope, requestHash: hash, response: null, lockedUntil: { $lt: new Date(now) } },
+    { $set: { lockedUntil: new Date(now + LOCK_MS) } }
+  );
+  return stale.modifiedCount === 1;
+}
+
+/**
+ * Make a create endpoint idempotent when the request has an Idempotency-Key
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next
+ */
+export async function idempotent(req, res, next) {
+  try {
+    const key = req.get(IDEMPOTENCY_HEADER);
+    if (key === undefined) return next();
+
+    if (!key.trim() || key.length > MAX_KEY_LENGTH) {
+      throw badRequest("Invalid Idempotency-Key header", [
+        { field: IDEMPOTENCY_HEADER, message: `must be 1-${MAX_KEY_LENGTH} characters` },
+      ]);
+    }
+
+    await ensureIndexes();
+
+    const { userId } = getAuth(req);
+    const keys = db.collection("idempotencyKeys");
+    const scope = { ledgerId: req.ledger._id, userId, key };
+    const hash = requestHash(req);
+
+    if (!(await claimKey(keys, scope, hash))) {
+      const existing = await keys.findOne(scope);
+      if (existing && existing.requestHash !== hash) {
+        throw new HttpError(422, `${IDEMPOTENCY_HEADER} was already used for a different request`);
+      }
+      if (!existing?.response) {
+        throw new HttpError(409, `A request with this ${IDEMPOTENCY_HEADER} is still in progress`);
+      }
+
+      // Retry of a finished request: send the stored response again
+      const { status, headers, body } = existing.response;
+      res.set(headers);
+      res.set("Idempotent-Replayed", "true");
+      return res.status(status).json(body);
+    }
+
+    // Store the response before it reaches the client, so a retry that
+    // arrives right after it finds it (res.send of an object ends here too)
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      res.json = json;
+
+      const headers = {};
+      for (const name of REPLAYED_HEADERS) {
+        if (res.get(name)) headers[name] = res.get(name);
+      }
+      const saved = res.statusCode < 500
+        ? keys.updateOne(
+          scope,
+          { $set: { response: { status: res.statusCode, headers, body }, lockedUntil: null } }
+        )
+        : keys.deleteOne(scope);
+
+      saved
+        .catch((err) => logger.error("Idempotency key store error", { err }))
+        .finally(() => json(body));
+      return res;
+    };
+
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
@@ -0,0 +1,65 @@
+// middleware/ledger.js
+// Picks the ledger a request works on and checks the member's role
+// - X-Ledger-Id header selects a ledger; without it the user's personal one
+// - GET / HEAD need the viewer role, anything else the editor role
+// Routers read the result from req.ledger: { _id, name, personal, role }
+
+import { getAuth } from "@clerk/express";    // Clerk authentication helper
+import {
+  ensurePersonalLedger,
+  findMemberLedger,
+  memberRole,
+  assertRole,
+} from "../utils/ledgers.js";
+
+// Header naming the ledger to work on
+export const LEDGER_HEADER = "X-Ledger-Id";
+
+// Methods that never change data
+const READ_METHODS = ["GET", "HEAD"];
+
+/**
+ * Resolve the ledger of a request into req.ledger
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next
+ */
+export async function ledgerScope(req, res, next) {
+  try {
+    const { userId, isAuthenticated } = getAuth(req);
+
+    // Block request if user is not authenticated
+    if (!isAuthenticated || !userId) {
+      return res.status(401).json({ message: "Not authenticated" });
+    }
+
+    const requested = req.get(LEDGER_HEADER);
+    const ledger = requested
+      ? await findMemberLedger(userId, requested)
+      : await ensurePersonalLedger(userId);
+
+    const role = memberRole(ledger, userId);
+    assertRole(role, READ_METHODS.includes(req.method) ? "viewer" : "editor");
+
+    req.ledger = { _id: ledger._id, name: ledger.name, personal: Boolean(ledger.personal), role };
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * Require a minimum role for one route (on top of ledgerScope)
+ * @param {string} minimum - "owner" | "editor" | "viewer"
+ * @returns {Function} Express middleware
+ */
+export function requireLedgerRole(minimum) {
+  return (req, res, next) => {
+    try {
+      assertRole(req.ledger.role, minimum);
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+}
@@ -0,0 +1,100 @@
+// middleware/requestContext.js
+// Request IDs, access logs and request metrics
+// - Every request gets an id: the caller's X-Request-Id when it is usable,
+//   a new UUID otherwise. It is echoed in the X-Request-Id response header
+//   and attached to every log entry written while handling the request.
+// - When the response is sent, one access log entry is written and the
+//   latency is recorded per route (see utils/metrics.js).
+
+import { randomUUID } from "node:crypto";
+import { getAuth } from "@clerk/express";    // Clerk authentication helper
+import { logger, logContext, runWithLogContext } from "../utils/logger.js";
+import { httpRequestDuration, httpRequestErrors } from "../utils/metrics.js";
+
+export const REQUEST_ID_HEADER = "X-Request-Id";
+
+// Ids accepted from callers (anything else is replaced)
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+/**
+ * Track the route pattern that handles a request, e.g. /category/:id
+ * Express sets req.route while the matching router still has its baseUrl,
+ * which is gone again by the time an error reaches the error handler.
+ * Metrics use the pattern rather than the URL to keep the label set small;
+ * ids inside a sub-router's mount path (/transaction/:id/attachments) are
+ * replaced the same way.
+ * @param {Object} req - Express request
+ * @param {Object} fields - log context receiving the route
+ */
+function trackRoute(req, fields) {
+  let route;
+  Object.defineProperty(req, "route", {
+    configurable: true,
+    enumerable: true,
+    get: () => route,
+    set: (value) => {
+      route = value;
+      if (value?.path) {
+        fields.route = `${req.baseUrl.replace(/\/[0-9a-f]{24}(?=\/|$)/gi, "/:id")}${value.path}`;
+      }
+    },
+  });
+}
+
+/**
+ * Attach a request id and log context, and record the request once it is done
+ * Must be registered before the routes
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next
+ */
+export function requestContext(req, res, next) {
+  const incoming = req.get(REQUEST_ID_HEADER);
+  const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : randomUUID();
+  const fields = { requestId, userId: null, route: null };
+  const started = process.hrtime.bigint();
+
+  req.id = requestId;
+  res.set(REQUEST_ID_HEADER, requestId);
+  trackRoute(req, fields);
+
+  res.on("finish", () => {
+    const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+    const labels = {
+      method: req.method,
+      route: fields.route || "unmatched",   // 404s and requests rejected by middleware
+      status: res.statusCode,
+    };
+    httpRequestDuration.observe(labels, seconds);
+    if (res.statusCode >= 500) httpRequestErrors.inc(labels);
+
+    runWithLogContext(fields, () => {
+      const log = res.statusCode >= 500 ? logger.error : logger.info;
+      log(`${req.method} ${req.originalUrl} ${res.statusCode}`, {
+        httpRequest: {
+          requestMethod: req.method,
+          requestUrl: req.originalUrl,
+          status: res.statusCode,
+          latency: `${seconds.toFixed(3)}s`,
+          userAgent: req.get("User-Agent"),
+        },
+        route: labels.route,
+      });
+    });
+  });
+
+  runWithLogContext(fields, next);
+}
+
+/**
+ * Add the signed-in user to the log context
+ * Must be registered after clerkMiddleware()
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next
+ */
+export function logUser(req, res, next) {
+  const fields = logContext();
+  if (fields) fields.userId = getAuth(req).userId || null;
+  next();
+}
@@ -0,0 +1,455 @@
+// routes/account.js
+// Handles CRUD operations for accounts / wallets, balances and transfers
+// A transfer is stored as two linked transactions (one per account) of type
+// "transfer", written atomically and never counted as income or expense
+
+import express from "express";
+import db, { client } from "../db/conn.js";  // MongoDB connection instance + client for sessions
+import { ObjectId } from "mongodb";          // Used to convert string IDs to MongoDB ObjectId
+import { getAuth } from "@clerk/express";    // Clerk authentication helper
+import { TRANSFER_TYPE, SIGNED_AMOUNT } from "../utils/transactionQuery.js";
+import { isSupportedCurrency, getConversionRate } from "../utils/fx.js";
+import { getBaseCurrency } from "../utils/settings.js";
+import { badRequest } from "../utils/errors.js";
+import { validate, objectIdParam } from "../utils/validation.js";
+import { NOT_DELETED, recordAudit, updateManyWithAudit } from "../utils/audit.js";
+import { INITIAL_VERSION, NEXT_VERSION } from "../utils/versioning.js";
+import { idempotent } from "../middleware/idempotency.js";
+import { logger } from "../utils/logger.js";
+
+const router = express.Router();
+
+// Reject malformed ids before they reach a query
+router.param("id", objectIdParam);
+router.param("transferId", objectIdParam);
+
+// Supported account types
+const ACCOUNT_TYPES = ["checking", "savings", "credit_card", "cash"];
+
+const SUPPORTED_CURRENCY = {
+  type: "string",
+  check: isSupportedCurrency,
+  message: "must be a supported currency code",
+};
+const POSITIVE_AMOUNT = {
+  type: "number",
+  check: (value) => value > 0,
+  message: "must be greater than 0",
+};
+
+// Fields a client may set on an account; everything else is ignored
+export const ACCOUNT_FIELDS = {
+  name: { type: "string", required: true, trim: true, minLength: 1, maxLength: 100 },
+  type: { type: "string", required: true, enum: ACCOUNT_TYPES },
+  currency: SUPPORTED_CURRENCY,
+  openingBalance: { type: "number" },
+};
+
+const validateAccount = validate({ body: ACCOUNT_FIELDS });
+const validateAccountUpdate = validate({ body: ACCOUNT_FIELDS }, { partial: true });
+const validateTransfer = validate({
+  body: {
+    fromAccountId: { type: "objectId", required: true },
+    toAccountId: { type: "objectId", required: true },
+    amount: { ...POSITIVE_AMOUNT, required: true },
+    toAmount: POSITIVE_AMOUNT,               // Amount received, for cross-currency transfers
+    date: { type: "date" },
+    note: { type: "string", nullable: true, maxLength: 500 },
+  },
+});
+const validateBalance = validate({
+  query: { from: { type: "date" }, to: { type: "date" } },
+});
+
+// --------------------------------------------------
+// GET /account
+// Fetch all accounts of the current ledger
+// --------------------------------------------------
+router.get("/", async (req, res, next) => {
+  try {
+    const { userId, isAuthenticated } = getAuth(req);
+
+    // Block request if user is not authenticated
+    if (!isAuthenticated || !userId) {
+      return res.status(401).json({ message: "Not authenticated" });
+    }
+
+    const ledgerId = req.ledger._id;
+
+    const results = await db
+      .collection("accounts")
+      .find({ ledgerId })
+      .sort({ name: 1 })
+      .toArray();
+
+    res.status(200).send(results);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// --------------------------------------------------
+// POST /account
+// Create a new account in the current ledger
+// --------------------------------------------------
+router.post("/", idempotent, validateAccount, async (req, res, next) => {
+  try {
+    const { userId, isAuthenticated } = getAuth(req);
+
+    // Ensure user is authenticated
+    if (!isAuthenticated || !userId) {
+      return res.status(401).json({ message: "Not authenticated" });
+    }
+
+    const ledgerId = req.ledger._id;
+
+    const { name, type, currency, openingBalance = 0 } = req.body;
+
+    // Account document structure
+    const account = {
+      ledgerId,                                          // 🔐 Ledger the account belongs to
+      userId,                                            // Member who created it
+      name,
+      type,                                              // checking | savings | credit_card | cash
+      currency: currency || (await getBaseCurrency(ledgerId)),
+      openingBalance,                                    // Balance before the first transaction
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    };
+
+    const result = await db.collection("accounts").insertOne(account);
+
+    // 201 Created – resource successfully created
+    res.status(201).send(result);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// --------------------------------------------------
+// POST /account/transfer
+// Move money between two of the ledger's accounts atomically
+// --------------------------------------------------
+router.post("/transfer", idempotent, validateTransfer, async (req, res, next) => {
+  try {
+    const { userId, isAuthenticated } = getAuth(req);
+
+    // Ensure user is authenticated
+    if (!isAuthenticated || !userId) {
+      return res.status(401).json({ message: "Not authenticated" });
+    }
+
+    const ledgerId = req.ledger._id;
+
+    const { fromAccountId, toAccountId, amount, toAmount, date, note } = req.body;
+    if (fromAccountId.equals(toAccountId)) {
+      throw badRequest("Cannot transfer to the same account", [
+        { field: "toAccountId", message: "must differ from fromAccountId" },
+      ]);
+    }
+    const transferDate = date || new Date();
+
+    // Both accounts must belong to the ledger
+    const accounts = await db
+      .collection("accounts")
+      .find({ _id: { $in: [fromAccountId, toAccountId] }, ledgerId })
+      .toArray();
+
+    const from = accounts.find((a) => a._id.equals(fromAccountId));
+    const to = accounts.find((a) => a._id.equals(toAccountId));
+    if (!from || !to) {
+      return res.status(404).json({ message: "Account not found" });
+    }
+
+    // Amount received defaults to the converted amount for cross-currency transfers
+    const baseCurrency = await getBaseCurrency(ledgerId);
+    let received, fromRate, toRate;
+    try {
+      received = toAmount ?? amount * (await getConversionRate(from.currency, to.currency, transferDate));
+      fromRate = await getConversionRate(from.currency, baseCurrency, transferDate);
+      toRate = await getConversionRate(to.currency, baseCurrency, transferDate);
+    } catch (err) {
+      logger.error("FX API error", { err });
+      return res.status(502).json({ message: "Failed to fetch exchange rate" });
+    }
+
+    const transferId = new ObjectId();
+    const now = new Date();
+    const leg = (account, legAmount, fxRate, direction, counterparty) => ({
+      ledgerId,                         // 🔐 Ledger the transfer belongs to
+      userId,                           // Member who made it
+      date: transferDate,
+      type: TRANSFER_TYPE,              // Excluded from income / expense totals
+      amount: legAmount,
+      currency: account.currency,
+      fxRate,
+      note: note || "",
+      categoryId: null,
+      accountId: account._id,
+      transferId,                       // Links the two legs
+      transferDirection: direction,     // "out" of from, "in" to to
+      counterpartyAccountId: counterparty._id,
+      version: INITIAL_VERSION,
+      createdAt: now,
+      updatedAt: now,
+    });
+
+    // Write both legs in one MongoDB transaction
+    const session = client.startSession();
+    try {
+      await session.withTransaction(async () => {
+        const legs = [
+          leg(from, amount, fromRate, "out", to),
+          leg(to, Math.round(received * 100) / 100, toRate, "in", from),
+        ];
+        await db.collection("transactions").insertMany(legs, { session });
+        await recordAudit(
+          legs.map((after) => ({
+            ledgerId,
+            userId,
+            entity: "transaction",
+            action: "create",
+            after,
+            meta: { transferId },
+          })),
+          { session }
+        );
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    // 201 Created
+    res.status(201).json({ transferId });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// --------------------------------------------------
+// DELETE /account/transfer/:transferId
+// Move both legs of a transfer to the trash atomically
+// --------------------------------------------------
+router.delete("/transfer/:transferId", async (req, res, next) => {
+  try {
+    const { userId, isAuthenticated } = getAuth(req);
+
+    // Authentication check
+    if (!isAuthenticated || !userId) {
+      return res.status(401).json({ message: "Not authenticated" });
+    }
+
+    const ledgerId = req.ledger._id;
+
+    const transferId = new ObjectId(req.params.transferId);
+
+    let deleted = [];
+    const session = client.startSession();
+    try {
+      await session.withTransaction(async () => {
+        const now = new Date();
+        deleted = await updateManyWithAudit(
+          "transactions",
+          { ledgerId, transferId, type: TRANSFER_TYPE, ...NOT_DELETED },
+          { $set: { deletedAt: now, updatedAt: now }, $inc: NEXT_VERSION },
+          { ledgerId, userId, entity: "transaction", action: "delete", meta: { transferId } },
+          { session }
+        );
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    if (deleted.length === 0) {
+      return res.status(404).json({ message: "Transfer not found" });
+    }
+
+    res.json({ message: "Transfer deleted successfully" });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// --------------------------------------------------
+// GET /account/:id/balance
+// Current balance and running balance history of an account
+// Optional ?from=&to= limit the history (the balance still includes everything)
+// --------------------------------------------------
+router.get("/:id/balance", validateBalance, async (req, res, next) => {
+  try {
+    const { userId, isAuthenticated } = getAuth(req);
+
+    // Block request if user is not authenticated
+    if (!isAuthenticated || !userId) {
+      return res.status(401).json({ message: "Not authenticated" });
+    }
+
+    const ledgerId = req.ledger._id;
+
+    const account = await db
+      .collection("accounts")
+      .findOne({ _id: new ObjectId(req.params.id), ledgerId });
+
+    if (!account) {
+      return res.status(404).json({ message: "Account not found" });
+    }
+
+    const from = req.query.from ? new Date(req.query.from) : null;
+    const to = req.query.to ? new Date(req.query.to) : null;
+
+    const history = await db
+      .collection("transactions")
+      .aggregate([
+        { $match: { ledgerId, accountId: account._id, ...NOT_DELETED } },
+        { $addFields: { date: { $toDate: "$date" }, signedAmount: SIGNED_AMOUNT } },
+
+        // Running balance in date order
+        {
+          $setWindowFields: {
+            sortBy: { date: 1, _id: 1 },
+            output: {
+              running: {
+                $sum: "$signedAmount",
+                window: { documents: ["unbounded", "current"] },
+              },
+            },
+          },
+        },
+
+        // History range is applied after the running total is computed
+        ...(from || to
+          ? [{
+              $match: {
+                date: { ...(from && { $gte: from }), ...(to && { $lte: to }) },
+              },
+            }]
+          : []),
+
+        {
+          $project: {
+            _id: 1,
+            date: 1,
+            type: 1,
+            note: 1,
+            transferId: 1,
+            amount: "$signedAmount",
+            balance: { $add: ["$running", account.openingBalance] },
+          },
+        },
+      ])
+      .toArray();
+
+    // Current balance covers every transaction, not just the requested range
+    const [totals] = await db
+      .collection("transactions")
+      .aggregate([
+        { $match: { ledgerId, accountId: account._id, ...NOT_DELETED } },
+        { $group: { _id: null, total: { $sum: SIGNED_AMOUNT } } },
+      ])
+      .toArray();
+
+    res.status(200).json({
+      accountId: account._id,
+      currency: account.currency,
+      openingBalance: account.openingBalance,
+      balance: account.openingBalance + (totals?.total || 0),
+      history,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// --------------------------------------------------
+// PUT /account/:id
+// Update an account's name, type or opening balance
+// Currency is fixed once transactions reference the account
+// --------------------------------------------------
+router.put("/:id", validateAccountUpdate, async (req, res, next) => {
+  try {
+    const { userId, isAuthenticated } = getAuth(req);
+
+    // Block unauthenticated users
+    if (!isAuthenticated || !userId) {
+      return res.status(401).json({ message: "Not authenticated" });
+    }
+
+    const ledgerId = req.ledger._id;
+
+    const id = new ObjectId(req.params.id);
+    const { name, type, currency, openingBalance } = req.body;
+
+    if (currency !== undefined) {
+      const used = await db.collection("transactions").findOne({ ledgerId, accountId: id });
+      if (used) {
+        return res
+          .status(409)
+          .json({ message: "Currency cannot change once the account has transactions" });
+      }
+    }
+
+    // Build update object dynamically
+    const updates = {
+      ...(name && { name }),
+      ...(type && { type }),
+      ...(currency && { currency }),
+      ...(openingBalance !== undefined && { openingBalance }),
+      updatedAt: new Date(),
+    };
+
+    const result = await db
+      .collection("accounts")
+      .updateOne({ _id: id, ledgerId }, { $set: updates });
+
+    if (result.matchedCount === 0) {
+      return res.status(404).json({ message: "Account not found" });
+    }
+
+    res.json({ message: "Account updated successfully" });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// --------------------------------------------------
+// DELETE /account/:id
+// Delete an account that no transaction references
+// --------------------------------------------------
+router.delete("/:id", async (req, res, next) => {
+  try {
+    const { userId, isAuthenticated } = getAuth(req);
+
+    // Authentication check
+    if (!isAuthenticated || !userId) {
+      return res.status(401).json({ message: "Not authenticated" });
+    }
+
+    const ledgerId = req.ledger._id;
+
+    const id = new ObjectId(req.params.id);
+
+    // Keep balances consistent: linked transactions must be moved or deleted first
+    // (trashed ones lose the account if they are restored later)
+    const used = await db
+      .collection("transactions")
+      .findOne({ ledgerId, accountId: id, ...NOT_DELETED });
+    if (used) {
+      return res
+        .status(409)
+        .json({ message: "Account has transactions and cannot be deleted" });
+    }
+
+    const result = await db.collection("accounts").deleteOne({ _id: id, ledgerId });
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ message: "Account not found" });
+    }
+
+    res.json({ message: "Account deleted successfully" });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Export router for use in main app
+export default router;
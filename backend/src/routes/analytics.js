@@ -0,0 +1,220 @@
+// routes/analytics.js
+// Insights that combine a ledger's transactions with external data
+// - Inflation-adjusted spending (constant currency of a base year)
+// - Personal inflation rate next to the official CPI figure
+
+import express from "express";
+import db from "../db/conn.js";              // MongoDB connection instance
+import { getAuth } from "@clerk/express";    // Clerk authentication helper
+import {
+  BASE_AMOUNT,
+  parseTransactionFilters,
+  transactionMatchStages,
+  splitCategoryStages,
+} from "../utils/transactionQuery.js";
+import { getInflation, buildPriceIndex } from "../utils/inflation.js";
+import { getBaseCurrency } from "../utils/settings.js";
+import { badRequest, notFound } from "../utils/errors.js";
+import { validate } from "../utils/validation.js";
+import { logger } from "../utils/logger.js";
+
+const router = express.Router();
+
+// A calendar year in a query string
+const YEAR = {
+  type: "number",
+  check: (value) => Number.isInteger(value) && value >= 1900 && value <= 2100,
+  message: "must be a 4-digit year between 1900 and 2100",
+};
+
+const validateInflation = validate({
+  query: {
+    country: {
+      type: "string",
+      check: (value) => /^[A-Za-z]{2,3}$/.test(value),
+      message: "must be an ISO country code",
+    },
+    baseYear: YEAR,
+    fromYear: YEAR,
+    toYear: YEAR,
+    // categoryId (the basket) is checked by parseTransactionFilters
+  },
+});
+
+/**
+ * Round to 2 decimal places (null stays null)
+ * @param {number|null} value
+ * @returns {number|null}
+ */
+function round2(value) {
+  return value === null || value === undefined ? null : Math.round(value * 100) / 100;
+}
+
+/**
+ * Year-over-year change in spending on a fixed basket of categories
+ * When no basket is given, each pair of years uses the categories
+ * with spending in both years so new or dropped categories do not skew it
+ * @param {Map<string, number>} previous - categoryId -> spent in year - 1
+ * @param {Map<string, number>} current - categoryId -> spent in year
+ * @param {string[]|null} basket - fixed category ids, or null
+ * @returns {{ rate: number|null, categories: number }}
+ */
+function personalInflation(previous, current, basket) {
+  const ids = basket || [...current.keys()].filter((id) => previous.has(id));
+
+  let before = 0;
+  let after = 0;
+  for (const id of ids) {
+    before += previous.get(id) || 0;
+    after += current.get(id) || 0;
+  }
+
+  if (before <= 0) return { rate: null, categories: ids.length };
+  return { rate: (after / before - 1) * 100, categories: ids.length };
+}
+
+// --------------------------------------------------
+// GET /analytics/inflation
+// Restate yearly expenses in constant currency of a base year
+// and compare personal inflation with the official CPI rate
+// Example: /analytics/inflation?country=USA&baseYear=2020&fromYear=2019
+// --------------------------------------------------
+router.get("/inflation", validateInflation, async (req, res, next) => {
+  try {
+    const { userId, isAuthenticated } = getAuth(req);
+
+    // Block request if user is not authenticated
+    if (!isAuthenticated || !userId) {
+      return res.status(401).json({ message: "Not authenticated" });
+    }
+
+    const ledgerId = req.ledger._id;
+
+    const country = (req.query.country || "USA").toUpperCase();
+    const queryYear = (name) => (req.query[name] ? Number(req.query[name]) : null);
+    const fromYear = queryYear("fromYear");
+    const toYear = queryYear("toYear");
+    const requestedBase = queryYear("baseYear");
+
+    // Optional fixed basket for the personal inflation rate (throws 400 errors)
+    const filters = parseTransactionFilters({ categoryId: req.query.categoryId });
+    const basket = filters.categoryIds ? filters.categoryIds.map(String) : null;
+
+    // Yearly expense totals per category, in the ledger's base currency
+    const rows = await db
+      .collection("transactions")
+      .aggregate([
+        ...transactionMatchStages(ledgerId, {
+          type: "expense",
+          ...(fromYear && { from: new Date(Date.UTC(fromYear, 0, 1)) }),
+          ...(toYear && { to: new Date(Date.UTC(toYear + 1, 0, 1) - 1) }),
+        }),
+        ...splitCategoryStages(),
+        {
+          $group: {
+            _id: { year: { $year: "$date" }, categoryId: "$categoryId" },
+            spent: { $sum: BASE_AMOUNT },
+          },
+        },
+      ])
+      .toArray();
+
+    // CPI series for the chosen country
+    let inflation;
+    try {
+      ({ data: inflation } = await getInflation(country));
+    } catch (err) {
+      logger.error("Inflation fetch error", { err });
+      return res.status(502).json({ message: "Failed to fetch inflation data" });
+    }
+
+    if (!inflation.series.length) {
+      throw notFound(`No inflation data for ${country}`);
+    }
+
+    const baseYear = requestedBase || inflation.latest.year;
+    const years = [...new Set(rows.map((r) => r._id.year))].sort((a, b) => a - b);
+    const priceIndex = buildPriceIndex(inflation.series, baseYear, years);
+
+    if (!priceIndex) {
+      throw badRequest(`No inflation data for ${country} in ${baseYear}`);
+    }
+
+    // Restate a nominal amount in base-year prices
+    const toReal = (amount, year) => {
+      const level = priceIndex.get(year);
+      return level ? (amount * 100) / level.index : null;
+    };
+
+    // year -> (categoryId -> spent)
+    const byYear = new Map(years.map((y) => [y, new Map()]));
+    for (const row of rows) {
+      byYear.get(row._id.year).set(String(row._id.categoryId), row.spent);
+    }
+
+    // Category names for display
+    const categoryIds = [...new Set(rows.map((r) => r._id.categoryId).filter(Boolean))];
+    const categories = await db
+      .collection("categories")
+      .find({ _id: { $in: categoryIds }, ledgerId })
+      .project({ name: 1, icon: 1 })
+      .toArray();
+    const categoryById = new Map(categories.map((c) => [String(c._id), c]));
+
+    const official = new Map(inflation.series.map((r) => [r.year, r.value]));
+
+    const yearly = years.map((year) => {
+      const spent = byYear.get(year);
+      const nominal = [...spent.values()].reduce((sum, v) => sum + v, 0);
+      const previous = byYear.get(year - 1);
+      const personal = previous ? personalInflation(previous, spent, basket) : null;
+
+      return {
+        year,
+        nominal: round2(nominal),
+        real: round2(toReal(nominal, year)),
+        cpiIndex: round2(priceIndex.get(year)?.index ?? null),
+        cpiEstimated: priceIndex.get(year)?.estimated ?? true,
+        officialInflation: round2(official.get(year) ?? null),
+        personalInflation: personal ? round2(personal.rate) : null,
+        basketCategories: personal ? personal.categories : 0,
+      };
+    });
+
+    // Per-category breakdown
+    const perCategory = new Map();
+    for (const row of rows) {
+      const key = String(row._id.categoryId);
+      if (!perCategory.has(key)) {
+        const category = categoryById.get(key);
+        perCategory.set(key, {
+          categoryId: row._id.categoryId || null,
+          name: category ? category.name : "Uncategorized",
+          icon: category ? category.icon : null,
+          years: [],
+        });
+      }
+      perCategory.get(key).years.push({
+        year: row._id.year,
+        nominal: round2(row.spent),
+        real: round2(toReal(row.spent, row._id.year)),
+      });
+    }
+    for (const entry of perCategory.values()) {
+      entry.years.sort((a, b) => a.year - b.year);
+    }
+
+    res.status(200).json({
+      country,
+      baseYear,
+      baseCurrency: await getBaseCurrency(ledgerId),
+      years: yearly,
+      categories: [...perCategory.values()],
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Export router for use in main app
+export default router;
@@ -0,0 +1,217 @@
+// routes/attachment.js
+// Receipts and other files attached to a transaction (stored in GridFS,
+// see utils/attachments.js)
+// Mounted under /transaction/:id/attachments by routes/transaction.js
+
+import express from "express";
+import db from "../db/conn.js";              // MongoDB connection instance
+import { ObjectId } from "mongodb";          // Used to convert string IDs to MongoDB ObjectId
+import { getAuth } from "@clerk/express";    // Clerk authentication helper
+import { Readable } from "node:stream";
+import { pipeline } from "node:stream/promises";
+import {
+  ATTACHMENT_BUCKET,
+  ATTACHMENT_TYPES,
+  MAX_ATTACHMENT_BYTES,
+  MAX_ATTACHMENTS_PER_TRANSACTION,
+  attachmentBucket,
+  matchesContentType,
+  cleanFilename,
+  describeAttachment,
+} from "../utils/attachments.js";
+import { NOT_DELETED } from "../utils/audit.js";
+import { HttpError, badRequest, notFound } from "../utils/errors.js";
+import { objectIdParam } from "../utils/validation.js";
+
+// mergeParams exposes the parent's :id (the transaction)
+const router = express.Router({ mergeParams: true });
+
+// Reject malformed ids before they reach a query
+router.param("attachmentId", objectIdParam);
+
+// Raw request body for uploads; other content types are left unparsed
+const readUpload = express.raw({ type: ATTACHMENT_TYPES, limit: MAX_ATTACHMENT_BYTES });
+
+/**
+ * Load the transaction files are attached to
+ * @param {ObjectId} ledgerId - ledger id
+ * @param {string} id - transaction id
+ * @returns {Promise<Object>}
+ * @throws {HttpError} 404 when it does not exist (or is in the trash)
+ */
+async function findTransaction(ledgerId, id) {
+  const transaction = await db
+    .collection("transactions")
+    .findOne({ _id: new ObjectId(id), ledgerId, ...NOT_DELETED }, { projection: { _id: 1 } });
+  if (!transaction) throw notFound("Transaction not found");
+  return transaction;
+}
+
+/**
+ * Load one attachment of a transaction
+ * @param {ObjectId} ledgerId - ledger id
+ * @param {ObjectId} transactionId
+ * @param {string} attachmentId
+ * @returns {Promise<Object>} GridFS files document
+ * @throws {HttpError} 404 when it does not exist
+ */
+async function findAttachment(ledgerId, transactionId, attachmentId) {
+  const file = await db.collection(`${ATTACHMENT_BUCKET}.files`).findOne({
+    _id: new ObjectId(attachmentId),
+    "metadata.ledgerId": ledgerId,
+    "metadata.transactionId": transactionId,
+  });
+  if (!file) throw notFound("Attachment not found");
+  return file;
+}
+
+// --------------------------------------------------
+// GET /transaction/:id/attachments
+// Metadata of the transaction's files, oldest first (no content)
+// --------------------------------------------------
+router.get("/", async (req, res, next) => {
+  try {
+    const { userId, isAuthenticated } = getAuth(req);
+
+    // Block request if user is not authenticated
+    if (!isAuthenticated || !userId) {
+      return res.status(401).json({ message: "Not authenticated" });
+    }
+
+    const ledgerId = req.ledger._id;
+
+    const transaction = await findTransaction(ledgerId, req.params.id);
+
+    const files = await db
+      .collection(`${ATTACHMENT_BUCKET}.files`)
+      .find({ "metadata.ledgerId": ledgerId, "metadata.transactionId": transaction._id })
+      .sort({ uploadDate: 1 })
+      .toArray();
+
+    res.status(200).json(files.map(describeAttachment));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// --------------------------------------------------
+// POST /transaction/:id/attachments?filename=receipt.jpg
+// Upload one file as the raw request body
+// Content-Type must be image/jpeg, image/png, image/webp or application/pdf
+// --------------------------------------------------
+router.post("/", readUpload, async (req, res, next) => {
+  try {
+    const { userId, isAuthenticated } = getAuth(req);
+
+    // Ensure user is authenticated
+    if (!isAuthenticated || !userId) {
+      return res.status(401).json({ message: "Not authenticated" });
+    }
+
+    const ledgerId = req.ledger._id;
+
+    // express.raw only reads the accepted types
+    const contentType = req.get("Content-Type")?.split(";")[0].trim().toLowerCase();
+    if (!Buffer.isBuffer(req.body) || !ATTACHMENT_TYPES.includes(contentType)) {
+      throw new HttpError(415, `Content-Type must be one of: ${ATTACHMENT_TYPES.join(", ")}`);
+    }
+    if (!req.body.length) {
+      throw badRequest("File is empty");
+    }
+    if (!matchesContentType(req.body, contentType)) {
+      throw badRequest(`File content is not ${contentType}`);
+    }
+
+    const transaction = await findTransaction(ledgerId, req.params.id);
+
+    const count = await db.collection(`${ATTACHMENT_BUCKET}.files`).countDocuments({
+      "metadata.ledgerId": ledgerId,
+      "metadata.transactionId": transaction._id,
+    });
+    if (count >= MAX_ATTACHMENTS_PER_TRANSACTION) {
+      throw badRequest(
+        `A transaction can have at most ${MAX_ATTACHMENTS_PER_TRANSACTION} attachments`
+      );
+    }
+
+    const filename = cleanFilename(req.query.filename, `attachment.${contentType.split("/")[1]}`);
+    const upload = attachmentBucket().openUploadStream(filename, {
+      metadata: { ledgerId, userId, transactionId: transaction._id, contentType },
+    });
+    await pipeline(Readable.from([req.body]), upload);
+
+    res.status(201).json(
+      describeAttachment({
+        _id: upload.id,
+        filename,
+        length: req.body.length,
+        uploadDate: new Date(),
+        metadata: { transactionId: transaction._id, contentType },
+      })
+    );
+  } catch (err) {
+    next(err);
+  }
+});
+
+// --------------------------------------------------
+// GET /transaction/:id/attachments/:attachmentId
+// Download a file (add ?download=true to save instead of display)
+// --------------------------------------------------
+router.get("/:attachmentId", async (req, res, next) => {
+  try {
+    const { userId, isAuthenticated } = getAuth(req);
+
+    // Block request if user is not authenticated
+    if (!isAuthenticated || !userId) {
+      return res.status(401).json({ message: "Not authenticated" });
+    }
+
+    const ledgerId = req.ledger._id;
+
+    const transaction = await findTransaction(ledgerId, req.params.id);
+    const file = await findAttachment(ledgerId, transaction._id, req.params.attachmentId);
+
+    const disposition = req.query.download === "true" ? "attachment" : "inline";
+    const filename = encodeURIComponent(file.filename);
+    res.set({
+      "Content-Type": file.metadata.contentType,
+      "Content-Length": String(file.length),
+      "Content-Disposition": `${disposition}; filename*=UTF-8''${filename}`,
+      "X-Content-Type-Options": "nosniff",
+    });
+
+    await pipeline(attachmentBucket().openDownloadStream(file._id), res);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// --------------------------------------------------
+// DELETE /transaction/:id/attachments/:attachmentId
+// Remove a file and its content
+// --------------------------------------------------
+router.delete("/:attachmentId", async (req, res, next) => {
+  try {
+    const { userId, isAuthenticated } = getAuth(req);
+
+    // Block unauthenticated users
+    if (!isAuthenticated || !userId) {
+      return res.status(401).json({ message: "Not authenticated" });
+    }
+
+    const ledgerId = req.ledger._id;
+
+    const transaction = await findTransaction(ledgerId, req.params.id);
+    const file = await findAttachment(ledgerId, transaction._id, req.params.attachmentId);
+
+    await attachmentBucket().delete(file._id);
+
+    res.json({ message: "Attachment deleted successfully" });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Export router for use in main app
+export default router;
@@ -0,0 +1,379 @@
+// routes/budget.js
+// Handles CRUD operations for monthly category budgets
+// Includes a status endpoint that compares budgets against actual spending
+
+import express from "express";
+import db from "../db/conn.js";              // MongoDB connection instance
+import { ObjectId } from "mongodb";          // Used to convert string IDs to MongoDB ObjectId
+import { getAuth } from "@clerk/express";    // Clerk authentication helper
+import {
+  BASE_AMOUNT,
+  parseMonth,
+  toMonthCursor,
+  transactionMatchStages,
+  splitCategoryStages,
+} from "../utils/transactionQuery.js";
+import { validate, objectIdParam } from "../utils/validation.js";
+import { idempotent } from "../middleware/idempotency.js";
+import { NOT_DELETED } from "../utils/audit.js";
+
+const router = express.Router();
+
+// A month in YYYY-MM format (see parseMonth)
+const MONTH = {
+  type: "string",
+  check: (value) => /^\d{4}-(0[1-9]|1[0-2])$/.test(value),
+  message: "must be in YYYY-MM format",
+};
+
+// Fields a client may change on a budget (the category is fixed once created)
+const BUDGET_SETTINGS = {
+  limit: {
+    type: "number",
+    required: true,
+    check: (value) => value > 0,
+    message: "must be greater than 0",
+  },
+  rollover: { type: "boolean" },            // Carry unused amounts into next month
+  startMonth: MONTH,                        // Defaults to the current month
+};
+
+// Fields a client may set on a budget; everything else is ignored
+export const BUDGET_FIELDS = {
+  categoryId: { type: "objectId", required: true },
+  ...BUDGET_SETTINGS,
+};
+
+const validateBudget = validate({ body: BUDGET_FIELDS });
+const validateBudgetUpdate = validate({ body: BUDGET_SETTINGS }, { partial: true });
+const validateStatus = validate({ query: { month: MONTH } });
+
+// Reject malformed ids before they reach a query
+router.param("id", objectIdParam);
+
+// Ensures the budget index is only created once per process
+let indexesReady = null;
+
+/**
+ * Create the unique index that keeps one budget per category
+ * @returns {Promise<void>}
+ */
+function ensureIndexes() {
+  if (!indexesReady) {
+    indexesReady = db
+      .collection("budgets")
+      .createIndex({ ledgerId: 1, categoryId: 1 }, { unique: true })
+      .catch((err) => {
+        indexesReady = null; // Retry on the next call
+        throw err;
+      });
+  }
+  return indexesReady;
+}
+
+/**
+ * Look up an expense category of the ledger
+ * @param {ObjectId} ledgerId - ledger id
+ * @param {ObjectId} categoryId - category id from the request
+ * @returns {Object|null} category document, or null if missing / not an expense category
+ */
+async function findExpenseCategory(ledgerId, categoryId) {
+  return db.collection("categories").findOne({
+    _id: categoryId,
+    ledgerId,
+    type: "expense",
+    ...NOT_DELETED,
+  });
+}
+
+/**
+ * Walk month by month from a budget's start to the requested month,
+ * carrying unused amounts forward when rollover is enabled
+ * @param {Object} budget - budget document
+ * @param {string} month - requested month (YYYY-MM)
+ * @param {Map<string, number>} spentByMonth - YYYY-MM -> amount spent
+ * @returns {{ rolledOver: number, available: number, spent: number }}
+ */
+function computeBudgetMonth(budget, month, spentByMonth) {
+  let rolledOver = 0;
+
+  if (budget.rollover) {
+    const cursor = new Date(`${budget.startMonth}-01T00:00:00.000Z`);
+
+    while (toMonthCursor(cursor) < month) {
+      const spent = spentByMonth.get(toMonthCursor(cursor)) || 0;
+
+      // Only unused money rolls forward; overspending does not reduce next month
+      rolledOver = Math.max(0, budget.limit + rolledOver - spent);
+      cursor.setUTCMonth(cursor.getUTCMonth() + 1);
+    }
+  }
+
+  return {
+    rolledOver,
+    available: budget.limit + rolledOver,
+    spent: spentByMonth.get(month) || 0,
+  };
+}
+
+// --------------------------------------------------
+// GET /budget
+// Fetch all budgets of the current ledger
+// --------------------------------------------------
+router.get("/", async (req, res, next) => {
+  try {
+    const { userId, isAuthenticated } = getAuth(req);
+
+    // Block request if user is not authenticated
+    if (!isAuthenticated || !userId) {
+      return res.status(401).json({ message: "Not authenticated" });
+    }
+
+    const ledgerId = req.ledger._id;
+
+    const results = await db.collection("budgets").find({ ledgerId }).toArray();
+
+    res.status(200).send(results);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// --------------------------------------------------
+// GET /budget/status?month=YYYY-MM
+// Report spent, remaining and percent used for each budget in a month
+// Defaults to the current month
+// --------------------------------------------------
+router.get("/status", validateStatus, async (req, res, next) => {
+  try {
+    const { userId, isAuthenticated } = getAuth(req);
+
+    // Block request if user is not authenticated
+    if (!isAuthenticated || !userId) {
+      return res.status(401).json({ message: "Not authenticated" });
+    }
+
+    const ledgerId = req.ledger._id;
+
+    const month = req.query.month || toMonthCursor(new Date());
+    const range = parseMonth(month);
+
+    // Only budgets that had started by the requested month apply
+    const budgets = await db
+      .collection("budgets")
+      .find({ ledgerId, startMonth: { $lte: month } })
+      .toArray();
+
+    if (budgets.length === 0) {
+      return res.status(200).json({ month, budgets: [] });
+    }
+
+    // Rollover budgets need spending history back to their start month
+    const earliest = budgets.reduce(
+      (min, b) => (b.rollover && b.startMonth < min ? b.startMonth : min),
+      month
+    );
+
+    // Reuse the transaction filters to sum expenses per category per month
+    // (split transactions count each split against its own category)
+    const categoryIds = budgets.map((b) => b.categoryId);
+    const spending = await db
+      .collection("transactions")
+      .aggregate([
+        ...transactionMatchStages(ledgerId, {
+          type: "expense",
+          categoryIds,
+          from: parseMonth(earliest).start,
+          to: range.end,
+        }),
+        ...splitCategoryStages(categoryIds),
+        {
+          $group: {
+            _id: {
+              categoryId: "$categoryId",
+              month: { $dateToString: { date: "$date", format: "%Y-%m" } },
+            },
+            spent: { $sum: BASE_AMOUNT }, // In the ledger's base currency
+          },
+        },
+      ])
+      .toArray();
+
+    // categoryId -> (YYYY-MM -> spent)
+    const spentByCategory = new Map();
+    for (const row of spending) {
+      const key = String(row._id.categoryId);
+      if (!spentByCategory.has(key)) spentByCategory.set(key, new Map());
+      spentByCategory.get(key).set(row._id.month, row.spent);
+    }
+
+    // Category names and icons for display
+    const categories = await db
+      .collection("categories")
+      .find({ _id: { $in: categoryIds }, ledgerId })
+      .project({ name: 1, icon: 1 })
+      .toArray();
+    const categoryById = new Map(categories.map((c) => [String(c._id), c]));
+
+    const results = budgets.map((budget) => {
+      const key = String(budget.categoryId);
+      const { rolledOver, available, spent } = computeBudgetMonth(
+        budget,
+        month,
+        spentByCategory.get(key) || new Map()
+      );
+      const category = categoryById.get(key);
+
+      return {
+        budgetId: budget._id,
+        categoryId: budget.categoryId,
+        category: category
+          ? { name: category.name, icon: category.icon }
+          : { name: "Uncategorized", icon: null },
+        limit: budget.limit,
+        rollover: budget.rollover,
+        rolledOver,
+        available,
+        spent,
+        remaining: available - spent,
+        percentUsed: Math.round((spent / available) * 10000) / 100,
+        overBudget: spent > available,
+      };
+    });
+
+    res.status(200).json({ month, budgets: results });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// --------------------------------------------------
+// POST /budget
+// Create a monthly budget for one of the ledger's expense categories
+// --------------------------------------------------
+router.post("/", idempotent, validateBudget, async (req, res, next) => {
+  try {
+    const { userId, isAuthenticated } = getAuth(req);
+
+    // Ensure user is authenticated
+    if (!isAuthenticated || !userId) {
+      return res.status(401).json({ message: "Not authenticated" });
+    }
+
+    const ledgerId = req.ledger._id;
+
+    const { categoryId, limit, rollover, startMonth } = req.body;
+    const start = startMonth || toMonthCursor(new Date());
+
+    // Budgets can only be set on the ledger's own expense categories
+    const category = await findExpenseCategory(ledgerId, categoryId);
+    if (!category) {
+      return res.status(404).json({ message: "Expense category not found" });
+    }
+
+    await ensureIndexes();
+
+    // Budget document structure
+    const budget = {
+      ledgerId,                  // 🔐 Ledger the budget belongs to
+      userId,                    // Member who created it
+      categoryId: category._id,
+      limit,                     // Monthly limit
+      rollover: Boolean(rollover), // Carry unused amounts into next month
+      startMonth: start,         // YYYY-MM the budget takes effect
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    };
+
+    // One budget per category (the unique index settles concurrent creates)
+    let result;
+    try {
+      result = await db.collection("budgets").insertOne(budget);
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+      return res
+        .status(409)
+        .json({ message: "A budget already exists for this category" });
+    }
+
+    // 201 Created – resource successfully created
+    res.status(201).send(result);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// --------------------------------------------------
+// PUT /budget/:id
+// Update a budget's limit, rollover or start month
+// --------------------------------------------------
+router.put("/:id", validateBudgetUpdate, async (req, res, next) => {
+  try {
+    const { userId, isAuthenticated } = getAuth(req);
+
+    // Block unauthenticated users
+    if (!isAuthenticated || !userId) {
+      return res.status(401).json({ message: "Not authenticated" });
+    }
+
+    const ledgerId = req.ledger._id;
+
+    const id = req.params.id;
+    const { limit, rollover, startMonth } = req.body;
+
+    // Build update object dynamically (category is fixed once created)
+    const updates = {
+      ...(limit !== undefined && { limit }),
+      ...(rollover !== undefined && { rollover }),
+      ...(startMonth !== undefined && { startMonth }),
+      updatedAt: new Date(),
+    };
+
+    // Update budget only within the ledger
+    const result = await db
+      .collection("budgets")
+      .updateOne({ _id: new ObjectId(id), ledgerId }, { $set: updates });
+
+    if (result.matchedCount === 0) {
+      return res.status(404).json({ message: "Budget not found" });
+    }
+
+    res.json({ message: "Budget updated successfully" });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// --------------------------------------------------
+// DELETE /budget/:id
+// Delete a budget only if it belongs to the ledger
+// --------------------------------------------------
+router.delete("/:id", async (req, res, next) => {
+  try {
+    const { userId, isAuthenticated } = getAuth(req);
+
+    // Authentication check
+    if (!isAuthenticated || !userId) {
+      return res.status(401).json({ message: "Not authenticated" });
+    }
+
+    const ledgerId = req.ledger._id;
+
+    const id = req.params.id;
+
+    const result = await db
+      .collection("budgets")
+      .deleteOne({ _id: new ObjectId(id), ledgerId });
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ message: "Budget not found" });
+    }
+
+    res.json({ message: "Budget deleted successfully" });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Export router for use in main app
+export default router;
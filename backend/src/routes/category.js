@@ -1,18 +1,301 @@
 // routes/category.js
-// Handles CRUD operations for user-specific categories
+// Handles CRUD operations for the categories of a ledger
+// Categories can be nested through an optional parentId (see utils/categoryTree.js)
+// Deleting or merging a category moves everything that references it
+// (transactions, splits, recurring templates, rules, budgets) in one
+// MongoDB transaction, then moves the category itself to the trash
+// Changes are recorded in the audit log (see utils/audit.js)
+// Each category has a version, sent as its ETag; PUT and DELETE honor
+// If-Match (see utils/versioning.js)
 
 import express from "express";
-import db from "../db/conn.js";              // MongoDB connection instance
+import db, { client } from "../db/conn.js";  // MongoDB connection instance + client for sessions
 import { ObjectId } from "mongodb";          // Used to convert string IDs to MongoDB ObjectId
 import { getAuth } from "@clerk/express";    // Clerk authentication helper
+import {
+  BASE_AMOUNT,
+  TRANSACTION_TYPES,
+  parseTransactionFilters,
+  transactionMatchStages,
+  splitCategoryStages,
+} from "../utils/transactionQuery.js";
+import {
+  MAX_CATEGORY_DEPTH,
+  loadCategories,
+  indexCategories,
+  ancestorIds,
+  subtreeHeight,
+  buildTree,
+} from "../utils/categoryTree.js";
+import { getBaseCurrency } from "../utils/settings.js";
+import { badRequest, notFound, HttpError } from "../utils/errors.js";
+import { validate, objectIdParam } from "../utils/validation.js";
+import { NOT_DELETED, recordAudit, updateManyWithAudit } from "../utils/audit.js";
+import {
+  INITIAL_VERSION,
+  NEXT_VERSION,
+  etagOf,
+  ifMatchFilter,
+  missedWriteError,
+} from "../utils/versioning.js";
+import { idempotent } from "../middleware/idempotency.js";
 
 const router = express.Router();
 
+// Fields a client may set on a category; everything else is ignored
+export const CATEGORY_FIELDS = {
+  name: { type: "string", required: true, trim: true, minLength: 1, maxLength: 100 },
+  icon: { type: "string", nullable: true },
+  type: { type: "string", required: true, enum: TRANSACTION_TYPES },
+  parentId: { type: "objectId", nullable: true },
+};
+const validateCategory = validate({ body: CATEGORY_FIELDS });
+const validateCategoryUpdate = validate({ body: CATEGORY_FIELDS }, { partial: true });
+const validateDelete = validate({
+  query: {
+    reassignTo: { type: "objectId" },
+    uncategorize: { type: "string", enum: ["true", "false"] },
+  },
+});
+const validateMerge = validate({ body: { targetId: { type: "objectId", required: true } } });
+
+// Reject malformed ids before they reach a query
+router.param("id", objectIdParam);
+
+/**
+ * Check where a category may sit in the tree
+ * - The parent must be one of the ledger's categories of the same type
+ * - A category cannot be moved below itself or one of its descendants
+ * - The resulting tree may not be deeper than MAX_CATEGORY_DEPTH
+ * @param {Object[]} categories - the ledger's categories
+ * @param {ObjectId|null} id - category being saved (null when creating)
+ * @param {ObjectId} parentId - requested parent
+ * @param {string} type - category type after the change
+ * @throws {HttpError} 400 or 404
+ */
+function checkParent(categories, id, parentId, type) {
+  const byId = indexCategories(categories);
+  const parent = byId.get(String(parentId));
+
+  if (!parent) {
+    throw notFound("Parent category not found");
+  }
+  if (parent.type !== type) {
+    throw badRequest("Invalid request body", [
+      { field: "parentId", message: `must be an ${type} category` },
+    ]);
+  }
+
+  if (id) {
+    const parentChain = [String(parentId), ...ancestorIds(byId, parentId)];
+    if (parentChain.includes(String(id))) {
+      throw badRequest("Invalid request body", [
+        {
+          field: "parentId",
+          message: "cannot be the category itself or one of its subcategories",
+        },
+      ]);
+    }
+  }
+
+  // Levels above the parent, the parent itself, then the moved subtree
+  const height = id ? subtreeHeight(categories, id) : 1;
+  const depth = ancestorIds(byId, parentId).length + 1 + height;
+  if (depth > MAX_CATEGORY_DEPTH) {
+    throw badRequest("Invalid request body", [
+      {
+        field: "parentId",
+        message: `categories can be nested at most ${MAX_CATEGORY_DEPTH} levels deep`,
+      },
+    ]);
+  }
+}
+
+/**
+ * Count what still points at a category (trashed transactions do not count)
+ * @param {ObjectId} ledgerId - ledger id
+ * @param {ObjectId} categoryId
+ * @returns {Promise<{ transactions: number, recurring: number }>}
+ */
+async function countReferences(ledgerId, categoryId) {
+  const [transactions, recurring] = await Promise.all([
+    db.collection("transactions").countDocuments({
+      ledgerId,
+      ...NOT_DELETED,
+      $or: [{ categoryId }, { "splits.categoryId": categoryId }],
+    }),
+    db.collection("recurring").countDocuments({ ledgerId, "template.categoryId": categoryId }),
+  ]);
+  return { transactions, recurring };
+}
+
+/**
+ * Move every reference from one category to another (or to none) and
+ * move the source category to the trash, atomically
+ * - Transactions and split lines are reassigned (or uncategorized),
+ *   including trashed transactions so they stay valid if restored;
+ *   split lines always need a category, so they need a target
+ * - Recurring templates and rules follow the target
+ *   (rules are removed when there is no target)
+ * - The source budget moves to the target, unless the target has one already
+ * - Subcategories move up to the source's own parent
+ * @param {ObjectId} ledgerId - ledger id
+ * @param {string} userId - member making the change (for the audit log)
+ * @param {Object} source - category being removed
+ * @param {Object|null} target - category receiving the references
+ * @param {Object} [condition] - If-Match filter for the source (see utils/versioning.js)
+ * @returns {Promise<Object>} counts of moved documents
+ * @throws {HttpError} 409 when split lines use the source and there is no target
+ * @throws {HttpError} 412 when the source changed after it was checked
+ */
+async function removeCategory(ledgerId, userId, source, target, condition = {}) {
+  const from = source._id;
+  const to = target ? target._id : null;
+  const now = new Date();
+  const moved = {};
+
+  const session = client.startSession();
+  try {
+    await session.withTransaction(async () => {
+      if (!target) {
+        const splitTransactions = await db
+          .collection("transactions")
+          .countDocuments({ ledgerId, "splits.categoryId": from }, { session });
+        if (splitTransactions) {
+          throw new HttpError(
+            409,
+            `Category is used by split lines of ${splitTransactions} transaction(s), ` +
+              "which need a category; pass reassignTo=<categoryId>"
+          );
+        }
+      }
+
+      const reassigned = {
+        ledgerId,
+        userId,
+        entity: "transaction",
+        action: "update",
+        meta: { reassignedFrom: from, reassignedTo: to },
+      };
+
+      const direct = await updateManyWithAudit(
+        "transactions",
+        { ledgerId, categoryId: from },
+        { $set: { categoryId: to, updatedAt: now }, $inc: NEXT_VERSION },
+        reassigned,
+        { session }
+      );
+      const splits = await updateManyWithAudit(
+        "transactions",
+        { ledgerId, "splits.categoryId": from },
+        { $set: { "splits.$[split].categoryId": to, updatedAt: now }, $inc: NEXT_VERSION },
+        reassigned,
+        { session, arrayFilters: [{ "split.categoryId": from }] }
+      );
+      moved.transactions = direct.length;
+      moved.splitTransactions = splits.length;
+
+      const recurring = await db.collection("recurring").updateMany(
+        { ledgerId, "template.categoryId": from },
+        { $set: { "template.categoryId": to, updatedAt: now } },
+        { session }
+      );
+      moved.recurring = recurring.modifiedCount;
+
+      const rules = db.collection("categoryRules");
+      moved.rules = target
+        ? (await rules.updateMany(
+            { ledgerId, categoryId: from },
+            { $set: { categoryId: to, updatedAt: now } },
+            { session }
+          )).modifiedCount
+        : (await rules.deleteMany({ ledgerId, categoryId: from }, { session })).deletedCount;
+
+      // One budget per category: keep the target's own budget if it has one
+      const budgets = db.collection("budgets");
+      const targetBudget = target
+        ? await budgets.findOne({ ledgerId, categoryId: to }, { session })
+        : null;
+      if (target && !targetBudget) {
+        const result = await budgets.updateMany(
+          { ledgerId, categoryId: from },
+          { $set: { categoryId: to, updatedAt: now } },
+          { session }
+        );
+        moved.budgets = result.modifiedCount;
+      } else {
+        await budgets.deleteMany({ ledgerId, categoryId: from }, { session });
+        moved.budgets = 0;
+      }
+
+      const categories = db.collection("categories");
+      const children = await categories.updateMany(
+        { ledgerId, parentId: from },
+        { $set: { parentId: source.parentId ?? null, updatedAt: now }, $inc: NEXT_VERSION },
+        { session }
+      );
+      moved.subcategories = children.modifiedCount;
+
+      const deleted = { deletedAt: now, updatedAt: now };
+      const removed = await categories.updateOne(
+        { _id: from, ledgerId, ...condition },
+        { $set: deleted, $inc: NEXT_VERSION },
+        { session }
+      );
+      if (!removed.matchedCount) {
+        throw new HttpError(412, "Category has changed since it was read; fetch it again");
+      }
+      await recordAudit(
+        {
+          ledgerId,
+          userId,
+          entity: "category",
+          action: "delete",
+          before: source,
+          after: { ...source, ...deleted, version: (source.version ?? 0) + 1 },
+          meta: { reassignedTo: to, moved },
+        },
+        { session }
+      );
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  return moved;
+}
+
+/**
+ * Load the category a delete or merge moves references into
+ * @param {ObjectId} ledgerId - ledger id
+ * @param {Object} source - category being removed
+ * @param {ObjectId} targetId
+ * @returns {Promise<Object>} target category
+ * @throws {HttpError} 400 for the same category or a different type, 404 if missing
+ */
+async function findTarget(ledgerId, source, targetId) {
+  if (targetId.equals(source._id)) {
+    throw badRequest("A category cannot be merged into itself");
+  }
+
+  const target = await db
+    .collection("categories")
+    .findOne({ _id: targetId, ledgerId, ...NOT_DELETED });
+  if (!target) {
+    throw notFound("Target category not found");
+  }
+  if (target.type !== source.type) {
+    throw badRequest(`Target category must also be an ${source.type} category`);
+  }
+  return target;
+}
+
 // --------------------------------------------------
 // GET /category
-// Fetch all categories belonging to the authenticated user
+// Fetch all categories of the current ledger, with how many
+// transactions use each one and when it was last used
 // --------------------------------------------------
-router.get("/", async (req, res) => {
+router.get("/", async (req, res, next) => {
   try {
     // Extract authentication details from Clerk
     const { userId, isAuthenticated } = getAuth(req);
@@ -22,28 +305,145 @@ router.get("/", async (req, res) => {
       return res.status(401).json({ message: "Not authenticated" });
     }
 
+    const ledgerId = req.ledger._id;
+
     // Get categories collection
     const collection = db.collection("categories");
 
-    // Fetch only categories created by this user
-    const results = await collection.find({ userId }).toArray();
+    // Fetch only the ledger's categories (not trashed), and their usage
+    // (a split transaction counts once for each of its categories)
+    const [categories, usage] = await Promise.all([
+      collection.find({ ledgerId, ...NOT_DELETED }).toArray(),
+      db
+        .collection("transactions")
+        .aggregate([
+          ...transactionMatchStages(ledgerId),
+          ...splitCategoryStages(),
+          {
+            $group: {
+              _id: "$categoryId",
+              transactionCount: { $sum: 1 },
+              lastUsedAt: { $max: "$date" },
+            },
+          },
+        ])
+        .toArray(),
+    ]);
+    const usageById = new Map(usage.map((u) => [String(u._id), u]));
+
+    const results = categories.map((category) => {
+      const used = usageById.get(String(category._id));
+      return {
+        ...category,
+        transactionCount: used ? used.transactionCount : 0,
+        lastUsedAt: used ? used.lastUsedAt : null,
+      };
+    });
 
     // Send categories with success status
     res.status(200).send(results);
   } catch (err) {
-    // Log error for debugging
-    console.error("Error fetching categories:", err);
+    // Logged and reported by the central error handler
+    next(err);
+  }
+});
+
+// --------------------------------------------------
+// GET /category/tree
+// Categories nested under their parents, with totals over the optional
+// transaction filters (from, to, accountId, ...) in the base currency
+// - total: transactions in the category itself
+// - rolledUpTotal: the category plus all of its subcategories
+// --------------------------------------------------
+router.get("/tree", async (req, res, next) => {
+  try {
+    const { userId, isAuthenticated } = getAuth(req);
+
+    // Block request if user is not authenticated
+    if (!isAuthenticated || !userId) {
+      return res.status(401).json({ message: "Not authenticated" });
+    }
+
+    const ledgerId = req.ledger._id;
+
+    // The tree itself decides which categories are included
+    const { categoryIds, ...filters } = parseTransactionFilters(req.query);
+
+    const [categories, totals, baseCurrency] = await Promise.all([
+      loadCategories(ledgerId),
+      db
+        .collection("transactions")
+        .aggregate([
+          ...transactionMatchStages(ledgerId, filters),
+          ...splitCategoryStages(),
+          {
+            $group: {
+              _id: "$categoryId",
+              total: { $sum: BASE_AMOUNT },
+              transactionCount: { $sum: 1 },
+            },
+          },
+        ])
+        .toArray(),
+      getBaseCurrency(ledgerId),
+    ]);
+    const totalById = new Map(totals.map((t) => [String(t._id), t]));
+
+    // Fill in totals bottom-up
+    const addTotals = (node) => {
+      const own = totalById.get(String(node._id));
+      node.total = own ? Math.round(own.total * 100) / 100 : 0;
+      node.transactionCount = own ? own.transactionCount : 0;
+
+      const childTotal = node.children.reduce((sum, child) => sum + addTotals(child), 0);
+      node.rolledUpTotal = Math.round((node.total + childTotal) * 100) / 100;
+      return node.rolledUpTotal;
+    };
+
+    const tree = buildTree(categories);
+    tree.forEach(addTotals);
+
+    res.status(200).json({ baseCurrency, maxDepth: MAX_CATEGORY_DEPTH, categories: tree });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// --------------------------------------------------
+// GET /category/:id
+// Fetch one category of the current ledger, with its version as the ETag
+// --------------------------------------------------
+router.get("/:id", async (req, res, next) => {
+  try {
+    const { userId, isAuthenticated } = getAuth(req);
+
+    // Block request if user is not authenticated
+    if (!isAuthenticated || !userId) {
+      return res.status(401).json({ message: "Not authenticated" });
+    }
 
-    // Return generic server error
-    res.status(500).send("Error fetching categories");
+    const ledgerId = req.ledger._id;
+
+    const category = await db
+      .collection("categories")
+      .findOne({ _id: new ObjectId(req.params.id), ledgerId, ...NOT_DELETED });
+
+    if (!category) {
+      return res.status(404).json({ message: "Category not found" });
+    }
+
+    res.set("ETag", etagOf(category)).status(200).json(category);
+  } catch (err) {
+    next(err);
   }
 });
 
 // --------------------------------------------------
 // POST /category
-// Create a new category for the authenticated user
+// Create a new category in the current ledger
+// Retries with the same Idempotency-Key get the first response again
 // --------------------------------------------------
-router.post("/", async (req, res) => {
+router.post("/", idempotent, validateCategory, async (req, res, next) => {
   try {
     const { userId, isAuthenticated } = getAuth(req);
 
@@ -52,21 +452,25 @@ router.post("/", async (req, res) => {
       return res.status(401).json({ message: "Not authenticated" });
     }
 
-    // Extract category data from request body
-    const { name, icon, type } = req.body;
+    const ledgerId = req.ledger._id;
 
-    // Validate required fields
-    if (!name || !type) {
-      return res.status(400).json({ message: "Name and type are required" });
+    // Extract category data from the validated body
+    const { name, icon, type, parentId } = req.body;
+
+    if (parentId) {
+      checkParent(await loadCategories(ledgerId), null, parentId, type);
     }
 
     // Category document structure
     const category = {
-      userId,             // 🔐 Associate category with Clerk user
+      ledgerId,           // 🔐 Ledger the category belongs to
+      userId,             // Member who created it
       name,
-      icon,
+      icon: icon ?? null,
       type,               // "income" | "expense"
+      parentId: parentId ?? null, // null = top-level category
       transactions: [],   // Kept for backward compatibility
+      version: INITIAL_VERSION, // 🔢 Incremented on every write (ETag)
       createdAt: new Date(),
       updatedAt: new Date(),
     };
@@ -74,20 +478,28 @@ router.post("/", async (req, res) => {
     // Insert category into database
     const collection = db.collection("categories");
     const result = await collection.insertOne(category);
+    await recordAudit({
+      ledgerId,
+      userId,
+      entity: "category",
+      action: "create",
+      after: category,
+    });
 
     // 201 Created – resource successfully created
-    res.status(201).send(result);
+    res.set("ETag", etagOf(category)).status(201).send(result);
   } catch (err) {
-    console.error("Error adding category:", err);
-    res.status(500).send("Error adding record");
+    next(err);
   }
 });
 
 // --------------------------------------------------
 // PUT /category/:id
-// Update a category only if it belongs to the user
+// Update a category only if it belongs to the ledger
+// Only name, icon, type and parentId can change
+// If-Match: "<version>" fails with 412 when it was changed in the meantime
 // --------------------------------------------------
-router.put("/:id", async (req, res) => {
+router.put("/:id", validateCategoryUpdate, async (req, res, next) => {
   try {
     const { userId, isAuthenticated } = getAuth(req);
 
@@ -96,41 +508,88 @@ router.put("/:id", async (req, res) => {
       return res.status(401).json({ message: "Not authenticated" });
     }
 
+    const ledgerId = req.ledger._id;
+
     // Extract category ID from URL params
     const id = req.params.id;
 
-    // Merge request body and update timestamp
+    // Moving the category or changing its type must keep the tree consistent
+    if (req.body.parentId !== undefined || req.body.type !== undefined) {
+      const categories = await loadCategories(ledgerId);
+      const existing = categories.find((c) => String(c._id) === id);
+
+      if (!existing) {
+        return res.status(404).json({ message: "Category not found" });
+      }
+
+      const type = req.body.type ?? existing.type;
+      const parentId = req.body.parentId !== undefined ? req.body.parentId : existing.parentId;
+
+      if (parentId) {
+        checkParent(categories, existing._id, parentId, type);
+      }
+      if (type !== existing.type && categories.some((c) => String(c.parentId) === id)) {
+        throw badRequest("Invalid request body", [
+          { field: "type", message: "cannot change while the category has subcategories" },
+        ]);
+      }
+    }
+
+    // Merge validated fields and update timestamp
     const updatedData = {
       ...req.body,
       updatedAt: new Date(),
     };
 
-    // Update category only if user owns it
-    const result = await db.collection("categories").updateOne(
-      {
-        _id: new ObjectId(id),
-        userId, // 🔐 Prevent users from modifying others' categories
-      },
-      { $set: updatedData }
+    // Update category only within the ledger
+    const collection = db.collection("categories");
+    const filter = {
+      _id: new ObjectId(id),
+      ledgerId, // 🔐 Prevent changes to other ledgers' categories
+      ...NOT_DELETED,
+    };
+    const before = await collection.findOneAndUpdate(
+      { ...filter, ...ifMatchFilter(req) },
+      { $set: updatedData, $inc: NEXT_VERSION },
+      { returnDocument: "before" }
     );
 
-    // No matching document found
-    if (result.matchedCount === 0) {
-      return res.status(404).json({ message: "Category not found" });
+    // Missing, or changed since the client read it
+    if (!before) {
+      throw await missedWriteError(collection, filter, req, "Category");
     }
 
-    res.json({ message: "Category updated successfully" });
-  } catch (error) {
-    console.error("Update failed", error);
-    res.status(500).json({ message: "Server error while updating category" });
+    const after = { ...before, ...updatedData, version: (before.version ?? 0) + 1 };
+    await recordAudit({
+      ledgerId,
+      userId,
+      entity: "category",
+      action: "update",
+      before,
+      after,
+    });
+
+    res.set("ETag", etagOf(after)).json({
+      message: "Category updated successfully",
+      version: after.version,
+    });
+  } catch (err) {
+    next(err);
   }
 });
 
 // --------------------------------------------------
 // DELETE /category/:id
-// Delete a category only if it belongs to the user
+// Move a category to the trash only if it belongs to the ledger
+// (restorable through /trash; its references are not moved back)
+// - ?reassignTo=<categoryId> moves its transactions, recurring templates,
+//   rules and budget to another category of the same type
+// - ?uncategorize=true leaves its transactions without a category
+//   (not allowed while split lines use it: they need a category)
+// A category still in use needs one of the two (409 otherwise)
+// If-Match: "<version>" fails with 412 when it was changed in the meantime
 // --------------------------------------------------
-router.delete("/:id", async (req, res) => {
+router.delete("/:id", validateDelete, async (req, res, next) => {
   try {
     const { userId, isAuthenticated } = getAuth(req);
 
@@ -139,25 +598,87 @@ router.delete("/:id", async (req, res) => {
       return res.status(401).json({ message: "Not authenticated" });
     }
 
-    // Extract category ID
-    const id = req.params.id;
+    const ledgerId = req.ledger._id;
 
-    // Delete category only if user owns it
-    const result = await db
-      .collection("categories")
-      .deleteOne({ _id: new ObjectId(id), userId });
+    // Find category only within the ledger
+    const collection = db.collection("categories");
+    const filter = { _id: new ObjectId(req.params.id), ledgerId, ...NOT_DELETED };
+    const condition = ifMatchFilter(req);
+    const category = await collection.findOne({ ...filter, ...condition });
 
-    // No document deleted → not found or not owned by user
-    if (result.deletedCount === 0) {
-      return res.status(404).json({ message: "Category not found" });
+    if (!category) {
+      throw await missedWriteError(collection, filter, req, "Category");
+    }
+
+    const { reassignTo, uncategorize } = req.query;
+    if (reassignTo && uncategorize === "true") {
+      throw badRequest("Use either reassignTo or uncategorize, not both");
+    }
+
+    let target = null;
+    if (reassignTo) {
+      target = await findTarget(ledgerId, category, new ObjectId(reassignTo));
+    } else if (uncategorize !== "true") {
+      // Refuse to silently orphan transactions
+      const references = await countReferences(ledgerId, category._id);
+      if (references.transactions || references.recurring) {
+        throw new HttpError(
+          409,
+          `Category is used by ${references.transactions} transaction(s) and ` +
+            `${references.recurring} recurring transaction(s); ` +
+            "pass reassignTo=<categoryId> or uncategorize=true"
+        );
+      }
     }
 
-    res.json({ message: "Category deleted successfully" });
-  } catch (error) {
-    console.error("Delete failed:", error);
-    res
-      .status(500)
-      .json({ message: "Server error while deleting category" });
+    const moved = await removeCategory(ledgerId, userId, category, target, condition);
+
+    res.json({
+      message: "Category deleted successfully",
+      reassignedTo: target ? target._id : null,
+      moved,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// --------------------------------------------------
+// POST /category/:id/merge
+// Fold a category into another one of the same type
+// Body: { targetId }
+// If-Match applies to the category being folded
+// --------------------------------------------------
+router.post("/:id/merge", validateMerge, async (req, res, next) => {
+  try {
+    const { userId, isAuthenticated } = getAuth(req);
+
+    // Authentication check
+    if (!isAuthenticated || !userId) {
+      return res.status(401).json({ message: "Not authenticated" });
+    }
+
+    const ledgerId = req.ledger._id;
+
+    const collection = db.collection("categories");
+    const filter = { _id: new ObjectId(req.params.id), ledgerId, ...NOT_DELETED };
+    const condition = ifMatchFilter(req);
+    const source = await collection.findOne({ ...filter, ...condition });
+
+    if (!source) {
+      throw await missedWriteError(collection, filter, req, "Category");
+    }
+
+    const target = await findTarget(ledgerId, source, req.body.targetId);
+    const moved = await removeCategory(ledgerId, userId, source, target, condition);
+
+    res.json({
+      message: "Categories merged successfully",
+      targetId: target._id,
+      moved,
+    });
+  } catch (err) {
+    next(err);
   }
 });
 
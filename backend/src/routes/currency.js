@@ -1,42 +1,198 @@
-// routes/fx.js
-// Handles foreign exchange rate fetching using Frankfurter API
+// routes/currency.js
+// Handles foreign exchange rates using the Frankfurter API
+// Rates are cached in MongoDB (see utils/fx.js); historical rates never expire
+// and stale rates are served with a flag when the upstream is down
 
 import express from "express";
-import axios from "axios";
+import {
+  SUPPORTED_CURRENCIES,
+  MAX_SERIES_DAYS,
+  isSupportedCurrency,
+  getRates,
+  getSeries,
+} from "../utils/fx.js";
+import { logger } from "../utils/logger.js";
 
 const router = express.Router();
 
+/**
+ * Parse a comma separated list of currency codes
+ * @param {string} value - e.g. "INR,EUR"
+ * @returns {string[]}
+ */
+function parseSymbols(value) {
+  return String(value)
+    .split(",")
+    .map((s) => s.trim().toUpperCase())
+    .filter(Boolean);
+}
+
+/**
+ * Validate currency codes, returning the first unsupported one
+ * @param {string[]} codes
+ * @returns {string|null} offending code ("(missing)" for blanks), or null
+ */
+function findUnsupported(codes) {
+  const code = codes.find((c) => !isSupportedCurrency(c));
+  if (code === undefined) return null;
+  return code || "(missing)";
+}
+
+/**
+ * Check a YYYY-MM-DD date param
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isValidDay(value) {
+  return (
+    /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+    !Number.isNaN(new Date(`${value}T00:00:00.000Z`).getTime())
+  );
+}
+
+/**
+ * Send an FX lookup error: upstream errors carry their own status
+ * @param {Object} res - Express response
+ * @param {Error} err
+ * @param {string} fallback - message for unexpected errors
+ */
+function sendFxError(res, err, fallback) {
+  logger.error("FX API error", { err });
+
+  if (err.status) {
+    return res.status(err.status).json({ message: err.message });
+  }
+  res.status(500).json({ message: fallback });
+}
+
 // --------------------------------------------------
-// GET /fx/rate
-// Fetch latest exchange rate based on base currency
-// Example: /fx/rate?base=USD&symbols=INR,EUR
+// GET /currency/supported
+// List the currency codes accepted by every endpoint
+// --------------------------------------------------
+router.get("/supported", (req, res) => {
+  res.json({ currencies: SUPPORTED_CURRENCIES });
+});
+
+// --------------------------------------------------
+// GET /currency/rate
+// Fetch latest (or historical) exchange rates for a base currency
+// Example: /currency/rate?base=USD&symbols=INR,EUR&date=2024-01-15
 // --------------------------------------------------
 router.get("/rate", async (req, res) => {
   // Read query parameters with default values
-  const base = req.query.base || "USD";       // Base currency
-  const symbols = req.query.symbols || "INR"; // Target currency/currencies
+  const base = String(req.query.base || "USD").toUpperCase(); // Base currency
+  const symbols = parseSymbols(req.query.symbols || "INR");   // Target currency/currencies
+  const date = req.query.date || null;                        // Optional YYYY-MM-DD
+
+  const unsupported = findUnsupported([base, ...symbols]);
+  if (unsupported) {
+    return res.status(400).json({ message: `Unsupported currency: ${unsupported}` });
+  }
+  if (date && !isValidDay(date)) {
+    return res.status(400).json({ message: "date must be in YYYY-MM-DD format" });
+  }
 
   try {
-    // Call Frankfurter exchange rate API
-    const response = await axios.get(
-      "https://api.frankfurter.dev/v1/latest",
-      {
-        params: { base, symbols }, // Forward query params to API
-      }
-    );
+    const result = await getRates({ base, symbols, date });
 
     // Return only required fields to client
     res.json({
-      base: response.data.base,
-      date: response.data.date,
-      rates: response.data.rates,
+      base: result.base,
+      date: result.date,
+      rates: result.rates,
+      cached: result.cached,
+      stale: result.stale,
     });
   } catch (err) {
-    // Log API or network errors
-    console.error("FX API error:", err.message);
+    sendFxError(res, err, "Failed to fetch FX rate");
+  }
+});
+
+// --------------------------------------------------
+// GET /currency/series
+// Daily rates between two dates, for charting
+// Example: /currency/series?base=USD&symbols=EUR&from=2024-01-01&to=2024-03-31
+// --------------------------------------------------
+router.get("/series", async (req, res) => {
+  const base = String(req.query.base || "USD").toUpperCase();
+  const symbols = parseSymbols(req.query.symbols || "INR");
+  const { from, to } = req.query;
 
-    // Return generic error response
-    res.status(500).json({ message: "Failed to fetch FX rate" });
+  const unsupported = findUnsupported([base, ...symbols]);
+  if (unsupported) {
+    return res.status(400).json({ message: `Unsupported currency: ${unsupported}` });
+  }
+  if (!isValidDay(from) || !isValidDay(to)) {
+    return res
+      .status(400)
+      .json({ message: "from and to are required in YYYY-MM-DD format" });
+  }
+  if (from > to) {
+    return res.status(400).json({ message: "from must be before to" });
+  }
+
+  const days = (new Date(to) - new Date(from)) / (24 * 60 * 60 * 1000);
+  if (days > MAX_SERIES_DAYS) {
+    return res
+      .status(400)
+      .json({ message: `Series are limited to ${MAX_SERIES_DAYS} days` });
+  }
+
+  try {
+    const result = await getSeries({ base, symbols, from, to });
+
+    res.json({
+      base: result.base,
+      from: result.from,
+      to: result.to,
+      rates: result.rates,
+      cached: result.cached,
+      stale: result.stale,
+    });
+  } catch (err) {
+    sendFxError(res, err, "Failed to fetch FX series");
+  }
+});
+
+// --------------------------------------------------
+// GET /currency/convert
+// Convert an amount between two currencies (latest or on a date)
+// Example: /currency/convert?amount=100&from=EUR&to=INR
+// --------------------------------------------------
+router.get("/convert", async (req, res) => {
+  const amount = Number(req.query.amount);
+  const from = String(req.query.from || "").toUpperCase();
+  const to = String(req.query.to || "").toUpperCase();
+  const date = req.query.date || null;
+
+  if (req.query.amount === undefined || !Number.isFinite(amount)) {
+    return res.status(400).json({ message: "amount must be a number" });
+  }
+
+  const unsupported = findUnsupported([from, to]);
+  if (unsupported) {
+    return res.status(400).json({ message: `Unsupported currency: ${unsupported}` });
+  }
+  if (date && !isValidDay(date)) {
+    return res.status(400).json({ message: "date must be in YYYY-MM-DD format" });
+  }
+
+  try {
+    const result = await getRates({ base: from, symbols: [to], date });
+    const rate = result.rates[to];
+
+    res.json({
+      amount,
+      from,
+      to,
+      date: result.date,
+      rate,
+      result: Math.round(amount * rate * 100) / 100,
+      cached: result.cached,
+      stale: result.stale,
+    });
+  } catch (err) {
+    sendFxError(res, err, "Failed to convert currency");
   }
 });
 
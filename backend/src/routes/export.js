@@ -0,0 +1,444 @@
+// routes/export.js
+// Gets a ledger's data out of FinSight (and back in)
+// - GET /export: transactions as CSV, JSON or OFX
+// - GET /export/backup: every ledger-owned collection as one JSON file
+// - POST /export/restore: load a backup into the current ledger
+// Exports are streamed from MongoDB cursors, so large histories are never
+// held in memory
+
+import express from "express";
+import { Readable } from "node:stream";
+import { pipeline } from "node:stream/promises";
+import db, { client } from "../db/conn.js";  // MongoDB connection instance + client for sessions
+import { BSON, ObjectId } from "mongodb";
+import { getAuth } from "@clerk/express";    // Clerk authentication helper
+import {
+  TRANSACTION_TYPES,
+  TRANSFER_TYPE,
+  parseTransactionFilters,
+  transactionMatchStages,
+} from "../utils/transactionQuery.js";
+import { expandCategoryFilter } from "../utils/categoryTree.js";
+import { getBaseCurrency } from "../utils/settings.js";
+import {
+  EXPORT_FORMATS,
+  EXPORT_CONTENT_TYPES,
+  createExportWriter,
+} from "../utils/exportFormats.js";
+import {
+  BACKUP_FORMAT,
+  BACKUP_VERSION,
+  BACKUP_COLLECTIONS,
+  RESTORE_MODES,
+  readBackup,
+  remappedId,
+  referencedIds,
+  remapIds,
+} from "../utils/backup.js";
+import { validate } from "../utils/validation.js";
+import { recordAudit } from "../utils/audit.js";
+import { purgeOrphanedAttachments } from "../utils/attachments.js";
+import { assertRole } from "../utils/ledgers.js";
+import { logger } from "../utils/logger.js";
+import { SETTINGS_FIELDS } from "./settings.js";
+import { ACCOUNT_FIELDS } from "./account.js";
+import { CATEGORY_FIELDS } from "./category.js";
+import { RULE_FIELDS as CATEGORY_RULE_FIELDS } from "./rule.js";
+import { BUDGET_FIELDS } from "./budget.js";
+import { GOAL_FIELDS } from "./goal.js";
+import { RECURRING_FIELDS } from "./recurring.js";
+import { TRANSACTION_FIELDS } from "./transaction.js";
+
+const { EJSON } = BSON;
+
+const router = express.Router();
+
+// Documents written per bulk operation during a restore
+const RESTORE_BATCH_SIZE = 1000;
+
+// Fields the API sets itself; a backup carries them too
+const STORED_FIELDS = {
+  version: {
+    type: "number",
+    check: (value) => Number.isInteger(value) && value >= 0,
+    message: "must be a non-negative integer",
+  },
+  createdAt: { type: "date" },
+  updatedAt: { type: "date" },
+  deletedAt: { type: "date", nullable: true },
+};
+
+const OPTIONAL_ID = { type: "objectId", nullable: true };
+
+// What a restored document may hold, per backed up collection: the fields
+// the create routes accept plus the ones the API stores itself
+const RESTORE_SCHEMAS = {
+  settings: { ...SETTINGS_FIELDS, ...STORED_FIELDS },
+  accounts: { ...ACCOUNT_FIELDS, ...STORED_FIELDS },
+  categories: {
+    ...CATEGORY_FIELDS,
+    transactions: { type: "array" },   // Legacy field, see POST /category
+    ...STORED_FIELDS,
+  },
+  categoryRules: { ...CATEGORY_RULE_FIELDS, ...STORED_FIELDS },
+  budgets: { ...BUDGET_FIELDS, ...STORED_FIELDS },
+  goals: { ...GOAL_FIELDS, ...STORED_FIELDS },
+  recurring: {
+    ...RECURRING_FIELDS,
+    materializedThrough: { type: "date", nullable: true },
+    nextRunAt: { type: "date", nullable: true },
+    ...STORED_FIELDS,
+  },
+  transactions: {
+    ...TRANSACTION_FIELDS,
+    type: { type: "string", required: true, enum: [...TRANSACTION_TYPES, TRANSFER_TYPE] },
+    fxRate: { type: "number", check: (value) => value > 0, message: "must be greater than 0" },
+    categoryRuleId: OPTIONAL_ID,
+    recurringId: OPTIONAL_ID,
+    occurrenceDate: { type: "date" },
+    importBatchId: OPTIONAL_ID,
+    externalId: { type: "string" },
+    transferId: OPTIONAL_ID,
+    transferDirection: { type: "string", enum: ["in", "out"] },
+    counterpartyAccountId: OPTIONAL_ID,
+    ...STORED_FIELDS,
+  },
+};
+
+// Restored collections whose changes go to the audit log (see utils/audit.js)
+const AUDITED_ENTITIES = { transactions: "transaction", categories: "category" };
+
+const validateExport = validate({
+  query: { format: { type: "string", enum: EXPORT_FORMATS } },
+});
+const validateRestore = validate({
+  query: { mode: { type: "string", enum: RESTORE_MODES } },
+});
+
+/**
+ * Today's date for download file names
+ * @returns {string} YYYY-MM-DD
+ */
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * Write generated chunks to the response, honouring backpressure
+ * A client that disconnects stops the generator (and closes its cursor)
+ * @param {Object} res - Express response
+ * @param {AsyncIterable<string>} chunks
+ */
+async function streamChunks(res, chunks) {
+  try {
+    await pipeline(Readable.from(chunks), res);
+  } catch (err) {
+    // The client went away; nothing left to answer
+    if (err.code === "ERR_STREAM_PREMATURE_CLOSE") return;
+    // Part of the file was sent; the aborted download is the only signal left
+    if (res.headersSent) {
+      logger.error("Export stream failed", { err });
+      return;
+    }
+    throw err;
+  }
+}
+
+/**
+ * Chunks of a transaction export
+ * @param {Object} cursor - MongoDB cursor over the transactions
+ * @param {Object} writer - output of createExportWriter
+ */
+async function* exportChunks(cursor, writer) {
+  yield writer.header();
+  let index = 0;
+  for await (const transaction of cursor) {
+    yield writer.row(transaction, index++);
+  }
+  yield writer.footer();
+}
+
+/**
+ * Chunks of a full ledger backup (Extended JSON, userId and ledgerId left out)
+ * @param {ObjectId} ledgerId - ledger id
+ */
+async function* backupChunks(ledgerId) {
+  yield `{"format":${JSON.stringify(BACKUP_FORMAT)},"version":${BACKUP_VERSION},` +
+    `"exportedAt":${EJSON.stringify(new Date())},"collections":{`;
+
+  for (const [i, { name }] of BACKUP_COLLECTIONS.entries()) {
+    yield `${i ? "," : ""}\n${JSON.stringify(name)}:[`;
+
+    const cursor = db
+      .collection(name)
+      .find({ ledgerId })
+      .project({ userId: 0, ledgerId: 0 })
+      .sort({ _id: 1 });
+    let first = true;
+    for await (const doc of cursor) {
+      yield `${first ? "" : ","}\n${EJSON.stringify(doc, { relaxed: true })}`;
+      first = false;
+    }
+    yield "\n]";
+  }
+
+  yield "\n}}\n";
+}
+
+/**
+ * Map every backed up id to the id it is restored under
+ * - documents the ledger already has keep their id (restoring its own backup)
+ * - anything else gets a new id derived from the ledger and the original id,
+ *   so another ledger's ids are never reused and a repeated restore matches
+ * - ids the backup refers to without holding them keep their value when the
+ *   ledger has them (e.g. an import batch); transfer ids only pair two legs
+ *   and are kept as well. Any other reference is dropped (see remapIds)
+ * @param {ObjectId} ledgerId - ledger restored into
+ * @param {Object<string, Object[]>} collections - output of readBackup
+ * @returns {Promise<Map<string, ObjectId>>}
+ */
+async function buildIdMap(ledgerId, collections) {
+  const idMap = new Map();
+
+  for (const [name, docs] of Object.entries(collections)) {
+    const ids = docs.map((doc) => doc._id);
+    const owned = await db
+      .collection(name)
+      .find({ ledgerId, _id: { $in: ids } })
+      .project({ _id: 1 })
+      .toArray();
+    const ownedIds = new Set(owned.map((doc) => String(doc._id)));
+
+    for (const id of ids) {
+      idMap.set(String(id), ownedIds.has(String(id)) ? id : remappedId(ledgerId, id));
+    }
+  }
+
+  for (const { transferId } of collections.transactions) {
+    if (transferId) idMap.set(String(transferId), transferId);
+  }
+
+  const missing = [...referencedIds(collections)].filter((id) => !idMap.has(id));
+  if (missing.length) {
+    const ids = missing.map((id) => ObjectId.createFromHexString(id));
+    for (const name of [...BACKUP_COLLECTIONS.map((spec) => spec.name), "importBatches"]) {
+      const found = await db
+        .collection(name)
+        .find({ ledgerId, _id: { $in: ids } })
+        .project({ _id: 1 })
+        .toArray();
+      for (const { _id } of found) idMap.set(String(_id), _id);
+    }
+  }
+  return idMap;
+}
+
+/**
+ * Restore one collection inside a session
+ * @param {Object} input
+ * @param {ObjectId} input.ledgerId - ledger restored into
+ * @param {string} input.userId - member restoring (recorded as creator)
+ * @param {Object} input.spec - entry of BACKUP_COLLECTIONS
+ * @param {Object[]} input.docs - backed up documents (ids already remapped)
+ * @param {string} input.mode - "replace" | "merge"
+ * @param {Object} input.session - MongoDB session
+ * @returns {Promise<{ deleted?: number, restored: number, skipped: number }>}
+ */
+async function restoreCollection({ ledgerId, userId, spec, docs, mode, session }) {
+  const collection = db.collection(spec.name);
+  const entity = AUDITED_ENTITIES[spec.name];
+  const counts = { restored: 0, skipped: 0 };
+
+  if (mode === "replace") {
+    const removed = entity
+      ? await collection.find({ ledgerId }, { session }).toArray()
+      : [];
+    const result = await collection.deleteMany({ ledgerId }, { session });
+    counts.deleted = result.deletedCount;
+    await recordAudit(
+      removed.map((before) => ({
+        ledgerId,
+        userId,
+        entity,
+        action: "delete",
+        before,
+        meta: { restore: mode },
+      })),
+      { session }
+    );
+  }
+
+  for (let i = 0; i < docs.length; i += RESTORE_BATCH_SIZE) {
+    const batch = docs.slice(i, i + RESTORE_BATCH_SIZE);
+
+    // Existing documents win; only missing ones are inserted
+    const result = await collection.bulkWrite(
+      batch.map(({ _id, ...doc }) => ({
+        updateOne: {
+          filter: spec.key === "ledgerId" ? { ledgerId } : { _id, ledgerId },
+          update: { $setOnInsert: { ...doc, ledgerId, userId } },
+          upsert: true,
+        },
+      })),
+      { session, ordered: false }
+    );
+    if (entity) {
+      await recordAudit(
+        Object.keys(result.upsertedIds).map((index) => ({
+          ledgerId,
+          userId,
+          entity,
+          action: "create",
+          after: { ...batch[index], ledgerId, userId },
+          meta: { restore: mode },
+        })),
+        { session }
+      );
+    }
+    counts.restored += result.upsertedCount;
+    counts.skipped += batch.length - result.upsertedCount;
+  }
+
+  return counts;
+}
+
+// --------------------------------------------------
+// GET /export
+// Download transactions as CSV, JSON or OFX
+// Takes the same filters as GET /transaction (from, to, type, categoryId,
+// accountId, minAmount, maxAmount, q, rollup)
+// Example: /export?format=csv&from=2025-01-01&to=2025-12-31
+// --------------------------------------------------
+router.get("/", validateExport, async (req, res, next) => {
+  try {
+    const { userId, isAuthenticated } = getAuth(req);
+
+    // Block request if user is not authenticated
+    if (!isAuthenticated || !userId) {
+      return res.status(401).json({ message: "Not authenticated" });
+    }
+
+    const ledgerId = req.ledger._id;
+
+    // Parse filters (throws 400 errors)
+    const format = req.query.format || "csv";
+    const filters = parseTransactionFilters(req.query);
+    if (filters.rollup) await expandCategoryFilter(ledgerId, filters);
+
+    // Names are small lookups; transactions are streamed
+    const [categories, accounts, baseCurrency] = await Promise.all([
+      db.collection("categories").find({ ledgerId }).project({ name: 1 }).toArray(),
+      db.collection("accounts").find({ ledgerId }).project({ name: 1 }).toArray(),
+      getBaseCurrency(ledgerId),
+    ]);
+    const writer = createExportWriter(format, {
+      categoryNames: new Map(categories.map((c) => [String(c._id), c.name])),
+      accountNames: new Map(accounts.map((a) => [String(a._id), a.name])),
+      baseCurrency,
+    });
+
+    const cursor = db
+      .collection("transactions")
+      .aggregate([
+        ...transactionMatchStages(ledgerId, filters),
+        { $sort: { date: 1, _id: 1 } },
+        { $project: { userId: 0, ledgerId: 0 } },
+      ]);
+
+    // Run the query before any byte is sent, so failures still get a JSON error
+    await cursor.hasNext();
+
+    res.set({
+      "Content-Type": EXPORT_CONTENT_TYPES[format],
+      "Content-Disposition": `attachment; filename="finsight-transactions-${today()}.${format}"`,
+    });
+    await streamChunks(res, exportChunks(cursor, writer));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// --------------------------------------------------
+// GET /export/backup
+// Download every ledger-owned collection as one Extended JSON file
+// --------------------------------------------------
+router.get("/backup", async (req, res, next) => {
+  try {
+    const { userId, isAuthenticated } = getAuth(req);
+
+    // Block request if user is not authenticated
+    if (!isAuthenticated || !userId) {
+      return res.status(401).json({ message: "Not authenticated" });
+    }
+
+    const ledgerId = req.ledger._id;
+
+    res.set({
+      "Content-Type": "application/json; charset=utf-8",
+      "Content-Disposition": `attachment; filename="finsight-backup-${today()}.json"`,
+    });
+    await streamChunks(res, backupChunks(ledgerId));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// --------------------------------------------------
+// POST /export/restore?mode=merge|replace
+// Load a backup from GET /export/backup into the current ledger
+// - merge (default): existing documents are kept, missing ones are added
+// - replace (owner only): the ledger's data in the backed up collections
+//   is replaced
+// Ids are remapped (see buildIdMap), so restoring the same backup again
+// changes nothing
+// --------------------------------------------------
+router.post("/restore", validateRestore, async (req, res, next) => {
+  try {
+    const { userId, isAuthenticated } = getAuth(req);
+
+    // Ensure user is authenticated
+    if (!isAuthenticated || !userId) {
+      return res.status(401).json({ message: "Not authenticated" });
+    }
+
+    const ledgerId = req.ledger._id;
+
+    const mode = req.query.mode || "merge";
+    if (mode === "replace") assertRole(req.ledger.role, "owner");
+    const collections = readBackup(EJSON.deserialize(req.body || {}), RESTORE_SCHEMAS);
+
+    const idMap = await buildIdMap(ledgerId, collections);
+
+    // All or nothing: a failed replace never leaves the account half empty
+    let summary;
+    const session = client.startSession();
+    try {
+      await session.withTransaction(async () => {
+        summary = {};
+        for (const spec of BACKUP_COLLECTIONS) {
+          summary[spec.name] = await restoreCollection({
+            ledgerId,
+            userId,
+            spec,
+            docs: remapIds(collections[spec.name], idMap),
+            mode,
+            session,
+          });
+        }
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    // Backups carry no files; attachments of transactions that came back
+    // under the same id are kept, the rest go with their transactions
+    if (mode === "replace") await purgeOrphanedAttachments(ledgerId);
+
+    res.status(200).json({ mode, collections: summary });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Export router for use in main app
+export default router;
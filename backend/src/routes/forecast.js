@@ -0,0 +1,193 @@
+// routes/forecast.js
+// Projects income, expense and net for the coming months (see utils/forecast.js)
+// Combines the ledger's monthly history per category with what is already
+// known: future-dated transactions and upcoming recurring occurrences.
+// Amounts are in the ledger's base currency and transfers are never included.
+
+import express from "express";
+import db from "../db/conn.js";              // MongoDB connection instance
+import { getAuth } from "@clerk/express";    // Clerk authentication helper
+import {
+  BASE_AMOUNT,
+  TRANSACTION_TYPES,
+  transactionMatchStages,
+  splitCategoryStages,
+} from "../utils/transactionQuery.js";
+import { bucketStart, addBuckets, listBuckets, bucketExpression } from "../utils/periods.js";
+import { listOccurrences } from "../utils/recurrence.js";
+import { buildForecast, BAND_LEVEL } from "../utils/forecast.js";
+import { getConversionRate } from "../utils/fx.js";
+import { getInflation, recentAverageRate } from "../utils/inflation.js";
+import { getBaseCurrency } from "../utils/settings.js";
+import { notFound, HttpError } from "../utils/errors.js";
+import { validate } from "../utils/validation.js";
+import { logger } from "../utils/logger.js";
+
+const router = express.Router();
+
+// Months projected
+const DEFAULT_FORECAST_MONTHS = 6;
+const MAX_FORECAST_MONTHS = 24;
+
+// Full months of history the projection is based on
+const DEFAULT_HISTORY_MONTHS = 24;
+const MIN_HISTORY_MONTHS = 3;
+const MAX_HISTORY_MONTHS = 60;
+
+const validateForecast = validate({
+  query: {
+    months: {
+      type: "number",
+      check: (value) => Number.isInteger(value) && value >= 1 && value <= MAX_FORECAST_MONTHS,
+      message: `must be an integer between 1 and ${MAX_FORECAST_MONTHS}`,
+    },
+    history: {
+      type: "number",
+      check: (value) =>
+        Number.isInteger(value) && value >= MIN_HISTORY_MONTHS && value <= MAX_HISTORY_MONTHS,
+      message: `must be an integer between ${MIN_HISTORY_MONTHS} and ${MAX_HISTORY_MONTHS}`,
+    },
+    inflation: { type: "string", enum: ["true", "false"] },
+    country: {
+      type: "string",
+      check: (value) => /^[A-Za-z]{2,3}$/.test(value),
+      message: "must be an ISO country code",
+    },
+  },
+});
+
+/**
+ * Monthly income and expense totals per category between two dates
+ * Split transactions count towards each split's category
+ * @param {ObjectId} ledgerId - ledger id
+ * @param {Date} from
+ * @param {Date} to
+ * @returns {Promise<Object[]>} { type, categoryId, month, amount }
+ */
+async function monthlyCategoryTotals(ledgerId, from, to) {
+  const rows = await db
+    .collection("transactions")
+    .aggregate([
+      ...transactionMatchStages(ledgerId, { from, to }),
+      { $match: { type: { $in: TRANSACTION_TYPES } } },
+      ...splitCategoryStages(),
+      {
+        $group: {
+          _id: { type: "$type", categoryId: "$categoryId", month: bucketExpression("month") },
+          amount: { $sum: BASE_AMOUNT },
+        },
+      },
+    ])
+    .toArray();
+
+  return rows.map(({ _id, amount }) => ({ ..._id, amount }));
+}
+
+/**
+ * Occurrences of the ledger's recurring rules between two dates
+ * Amounts are converted at today's rate
+ * @param {ObjectId} ledgerId - ledger id
+ * @param {Date} from
+ * @param {Date} to
+ * @param {string} baseCurrency
+ * @returns {Promise<Object[]>} { type, categoryId, month, amount }
+ */
+async function recurringOccurrences(ledgerId, from, to, baseCurrency) {
+  // Finished rules have no next run
+  const rules = await db
+    .collection("recurring")
+    .find({ ledgerId, nextRunAt: { $ne: null } })
+    .toArray();
+
+  const rows = [];
+  for (const { rule, template } of rules) {
+    const dates = listOccurrences(rule, { after: new Date(from.getTime() - 1), until: to });
+    if (!dates.length) continue;
+
+    const rate = await getConversionRate(template.currency || baseCurrency, baseCurrency);
+    for (const date of dates) {
+      rows.push({
+        type: template.type,
+        categoryId: template.categoryId,
+        month: bucketStart(date, "month"),
+        amount: template.amount * rate,
+      });
+    }
+  }
+  return rows;
+}
+
+// --------------------------------------------------
+// GET /forecast
+// Expected income, expense and net for each coming month, with an
+// 80% confidence band; starts with the month after the current one
+// Example: /forecast?months=12&history=36&inflation=true&country=USA
+// --------------------------------------------------
+router.get("/", validateForecast, async (req, res, next) => {
+  try {
+    const { userId, isAuthenticated } = getAuth(req);
+
+    // Block request if user is not authenticated
+    if (!isAuthenticated || !userId) {
+      return res.status(401).json({ message: "Not authenticated" });
+    }
+
+    const ledgerId = req.ledger._id;
+
+    const months = req.query.months ? Number(req.query.months) : DEFAULT_FORECAST_MONTHS;
+    const history = req.query.history ? Number(req.query.history) : DEFAULT_HISTORY_MONTHS;
+
+    // Full months before the current one, then the months after it
+    const currentMonth = bucketStart(new Date(), "month");
+    const historyFrom = addBuckets(currentMonth, "month", -history);
+    const historyTo = new Date(currentMonth.getTime() - 1);
+    const forecastFrom = addBuckets(currentMonth, "month", 1);
+    const forecastTo = new Date(addBuckets(currentMonth, "month", months + 1).getTime() - 1);
+
+    // Optional inflation rate (average of recent CPI years)
+    let inflation = null;
+    if (req.query.inflation === "true") {
+      const country = String(req.query.country || "USA").toUpperCase();
+      let series;
+      try {
+        ({ data: { series } } = await getInflation(country));
+      } catch (err) {
+        logger.error("Inflation fetch error", { err });
+        throw new HttpError(502, "Failed to fetch inflation data");
+      }
+
+      const average = recentAverageRate(series);
+      if (!average) throw notFound(`No inflation data for ${country}`);
+      inflation = { country, ...average };
+    }
+
+    const baseCurrency = await getBaseCurrency(ledgerId);
+    const [past, dated, recurring] = await Promise.all([
+      monthlyCategoryTotals(ledgerId, historyFrom, historyTo),
+      monthlyCategoryTotals(ledgerId, forecastFrom, forecastTo),
+      recurringOccurrences(ledgerId, forecastFrom, forecastTo, baseCurrency),
+    ]);
+
+    const forecast = buildForecast({
+      history: past,
+      historyMonths: listBuckets(historyFrom, historyTo, "month"),
+      scheduled: [...dated, ...recurring],
+      futureMonths: listBuckets(forecastFrom, forecastTo, "month"),
+      inflationRate: inflation ? inflation.rate : null,
+    });
+
+    res.status(200).json({
+      baseCurrency,
+      historyFrom,
+      historyMonths: history,
+      bandLevel: BAND_LEVEL,
+      inflation,
+      ...forecast,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Export router for use in main app
+export default router;
@@ -0,0 +1,559 @@
+// routes/goal.js
+// Handles CRUD operations for savings goals, with progress and projections
+//
+// A goal's saved amount comes from:
+// - a linked account: the account's current balance
+// - otherwise: initialAmount plus its contributions, i.e. transactions tagged
+//   with the goal (goalId) or in the linked category; expenses add to the
+//   goal and income takes money back out
+// Amounts are in the ledger's base currency.
+
+import express from "express";
+import db from "../db/conn.js";              // MongoDB connection instance
+import { ObjectId } from "mongodb";          // Used to convert string IDs to MongoDB ObjectId
+import { getAuth } from "@clerk/express";    // Clerk authentication helper
+import {
+  BASE_AMOUNT,
+  SIGNED_AMOUNT,
+  TRANSACTION_TYPES,
+  transactionMatchStages,
+} from "../utils/transactionQuery.js";
+import { getConversionRate } from "../utils/fx.js";
+import { getInflation, recentAverageRate } from "../utils/inflation.js";
+import { getBaseCurrency } from "../utils/settings.js";
+import { badRequest, notFound, HttpError } from "../utils/errors.js";
+import { validate, objectIdParam } from "../utils/validation.js";
+import { NOT_DELETED, updateManyWithAudit } from "../utils/audit.js";
+import { NEXT_VERSION } from "../utils/versioning.js";
+import { idempotent } from "../middleware/idempotency.js";
+import { logger } from "../utils/logger.js";
+
+const router = express.Router();
+
+// Full months of history used for the average monthly net
+const DEFAULT_AVERAGE_MONTHS = 6;
+const MAX_AVERAGE_MONTHS = 24;
+
+// Projections further out than this are reported as unreachable
+const MAX_PROJECTION_MONTHS = 600;
+
+// Fields a client may set on a goal; everything else is ignored
+export const GOAL_FIELDS = {
+  name: { type: "string", required: true, trim: true, minLength: 1, maxLength: 100 },
+  targetAmount: {
+    type: "number",
+    required: true,
+    check: (value) => value > 0,
+    message: "must be greater than 0",
+  },
+  targetDate: { type: "date", required: true },
+  initialAmount: { type: "number", min: 0 },
+  categoryId: { type: "objectId", nullable: true },
+  accountId: { type: "objectId", nullable: true },
+};
+
+// Projection options accepted by GET /goal and GET /goal/:id
+const PROJECTION_QUERY = {
+  months: {
+    type: "number",
+    check: (value) => Number.isInteger(value) && value >= 1 && value <= MAX_AVERAGE_MONTHS,
+    message: `must be an integer between 1 and ${MAX_AVERAGE_MONTHS}`,
+  },
+  inflation: { type: "string", enum: ["true", "false"] },
+  country: {
+    type: "string",
+    check: (value) => /^[A-Za-z]{2,3}$/.test(value),
+    message: "must be an ISO country code",
+  },
+};
+
+const validateGoal = validate({ body: GOAL_FIELDS });
+const validateGoalUpdate = validate({ body: GOAL_FIELDS }, { partial: true });
+const validateProjection = validate({ query: PROJECTION_QUERY });
+
+// Reject malformed ids before they reach a query
+router.param("id", objectIdParam);
+
+/**
+ * Round to 2 decimal places (null stays null)
+ * @param {number|null} value
+ * @returns {number|null}
+ */
+function round2(value) {
+  return value === null || value === undefined ? null : Math.round(value * 100) / 100;
+}
+
+/**
+ * Whole calendar months from one date's month to another's
+ * @param {Date} from
+ * @param {Date} to
+ * @returns {number} negative when `to` is in an earlier month
+ */
+function monthsBetween(from, to) {
+  return (
+    (to.getUTCFullYear() - from.getUTCFullYear()) * 12 + (to.getUTCMonth() - from.getUTCMonth())
+  );
+}
+
+/**
+ * Same day n months later (clamped to the end of shorter months)
+ * @param {Date} date
+ * @param {number} n
+ * @returns {Date}
+ */
+function addMonths(date, n) {
+  const d = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + n, 1));
+  const lastDay = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 0)).getUTCDate();
+  d.setUTCDate(Math.min(date.getUTCDate(), lastDay));
+  return d;
+}
+
+/**
+ * Check the goal's optional link to a category or an account
+ * @param {ObjectId} ledgerId - ledger id
+ * @param {Object} goal - goal fields after validation (and merging for updates)
+ * @throws {HttpError} 400 when both are set, 404 when one does not exist
+ */
+async function checkLinks(ledgerId, goal) {
+  if (goal.categoryId && goal.accountId) {
+    throw badRequest("A goal can be linked to a category or an account, not both");
+  }
+  if (goal.categoryId) {
+    const category = await db
+      .collection("categories")
+      .findOne({ _id: goal.categoryId, ledgerId, ...NOT_DELETED });
+    if (!category) throw notFound("Category not found");
+  }
+  if (goal.accountId) {
+    const account = await db.collection("accounts").findOne({ _id: goal.accountId, ledgerId });
+    if (!account) throw notFound("Account not found");
+  }
+}
+
+/**
+ * Amount saved toward a goal so far, in the base currency
+ * @param {ObjectId} ledgerId - ledger id
+ * @param {Object} goal - goal document
+ * @param {string} baseCurrency
+ * @returns {Promise<{ saved: number, contributionCount: number, lastContributionAt: Date|null }>}
+ */
+async function savedAmount(ledgerId, goal, baseCurrency) {
+  const transactions = db.collection("transactions");
+
+  // Linked account: the money in the account is the goal's money
+  if (goal.accountId) {
+    const account = await db
+      .collection("accounts")
+      .findOne({ _id: goal.accountId, ledgerId });
+    if (!account) {
+      return { saved: goal.initialAmount || 0, contributionCount: 0, lastContributionAt: null };
+    }
+
+    const [totals] = await transactions
+      .aggregate([
+        ...transactionMatchStages(ledgerId, { accountIds: [account._id] }),
+        {
+          $group: {
+            _id: null,
+            total: { $sum: SIGNED_AMOUNT },
+            count: { $sum: 1 },
+            last: { $max: "$date" },
+          },
+        },
+      ])
+      .toArray();
+
+    const balance = account.openingBalance + (totals?.total || 0);
+    const rate = await getConversionRate(account.currency, baseCurrency);
+    return {
+      saved: balance * rate,
+      contributionCount: totals?.count || 0,
+      lastContributionAt: totals?.last || null,
+    };
+  }
+
+  // Tagged transactions, plus the linked category's transactions
+  const [totals] = await transactions
+    .aggregate([
+      ...transactionMatchStages(ledgerId),
+      {
+        $match: {
+          type: { $in: TRANSACTION_TYPES },
+          $or: [
+            { goalId: goal._id },
+            ...(goal.categoryId ? [{ categoryId: goal.categoryId }] : []),
+          ],
+        },
+      },
+      {
+        $group: {
+          _id: null,
+          total: {
+            $sum: {
+              $cond: [
+                { $eq: ["$type", "income"] },
+                { $multiply: [BASE_AMOUNT, -1] },
+                BASE_AMOUNT,
+              ],
+            },
+          },
+          count: { $sum: 1 },
+          last: { $max: "$date" },
+        },
+      },
+    ])
+    .toArray();
+
+  return {
+    saved: (goal.initialAmount || 0) + (totals?.total || 0),
+    contributionCount: totals?.count || 0,
+    lastContributionAt: totals?.last || null,
+  };
+}
+
+/**
+ * Average monthly net (income - expense) over the last full months,
+ * the same totals GET /transaction reports per month
+ * @param {ObjectId} ledgerId - ledger id
+ * @param {number} months - number of full months before the current one
+ * @param {Date} now
+ * @returns {Promise<number>} average in the base currency (empty months count as 0)
+ */
+async function averageMonthlyNet(ledgerId, months, now) {
+  const from = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - months, 1));
+  const to = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1) - 1);
+
+  const [totals] = await db
+    .collection("transactions")
+    .aggregate([
+      ...transactionMatchStages(ledgerId, { from, to }),
+      {
+        $group: {
+          _id: null,
+          net: {
+            $sum: {
+              $switch: {
+                branches: [
+                  { case: { $eq: ["$type", "income"] }, then: BASE_AMOUNT },
+                  { case: { $eq: ["$type", "expense"] }, then: { $multiply: [BASE_AMOUNT, -1] } },
+                ],
+                default: 0, // Transfers move money between the ledger's own accounts
+              },
+            },
+          },
+        },
+      },
+    ])
+    .toArray();
+
+  return (totals?.net || 0) / months;
+}
+
+/**
+ * Months of saving needed to reach a target that may grow with inflation
+ * @param {number} saved - amount saved today
+ * @param {number} target - target in today's money
+ * @param {number} monthly - amount added each month
+ * @param {number} [annualRate=0] - inflation in % per year applied to the target
+ * @returns {number|null} months from now, null if it is never reached
+ */
+function monthsToTarget(saved, target, monthly, annualRate = 0) {
+  for (let m = 0; m <= MAX_PROJECTION_MONTHS; m++) {
+    const grownTarget = target * Math.pow(1 + annualRate / 100, m / 12);
+    if (saved + monthly * m >= grownTarget) return m;
+  }
+  return null;
+}
+
+/**
+ * Progress and projection figures for one target amount
+ * @param {Object} input
+ * @param {number} input.saved
+ * @param {number} input.target
+ * @param {Date} input.targetDate
+ * @param {number} input.averageNet - average monthly net
+ * @param {number} [input.annualRate] - inflation in % per year
+ * @param {Date} input.now
+ * @returns {Object}
+ */
+function project({ saved, target, targetDate, averageNet, annualRate = 0, now }) {
+  const remaining = Math.max(0, target - saved);
+  const monthsLeft = Math.max(0, monthsBetween(now, targetDate));
+  const overdue = targetDate < now && remaining > 0;
+
+  // Contributions possible before the target date (at least this month)
+  const contributionMonths = targetDate < now ? 0 : Math.max(1, monthsLeft);
+  let requiredMonthly = null;
+  if (remaining === 0) {
+    requiredMonthly = 0;
+  } else if (contributionMonths) {
+    // The target keeps growing until the target date
+    const grownTarget = target * Math.pow(1 + annualRate / 100, contributionMonths / 12);
+    requiredMonthly = (grownTarget - saved) / contributionMonths;
+  }
+
+  const months = averageNet > 0 || remaining === 0
+    ? monthsToTarget(saved, target, averageNet, annualRate)
+    : null;
+  const projectedDate = months === null ? null : addMonths(now, months);
+
+  return {
+    remaining: round2(remaining),
+    monthsLeft,
+    overdue,
+    requiredMonthly: round2(requiredMonthly),
+    projectedDate,
+    onTrack: projectedDate !== null && projectedDate <= targetDate,
+  };
+}
+
+/**
+ * Attach progress (and optionally an inflation-adjusted projection) to goals
+ * @param {ObjectId} ledgerId - ledger id
+ * @param {Object[]} goals - goal documents
+ * @param {Object} query - validated req.query (months, inflation, country)
+ * @returns {Promise<Object[]>}
+ */
+async function describeGoals(ledgerId, goals, query) {
+  const now = new Date();
+  const months = query.months ? Number(query.months) : DEFAULT_AVERAGE_MONTHS;
+  const baseCurrency = await getBaseCurrency(ledgerId);
+  const averageNet = await averageMonthlyNet(ledgerId, months, now);
+
+  // Optional inflation rate for the target (average of recent CPI years)
+  let inflation = null;
+  if (query.inflation === "true") {
+    const country = String(query.country || "USA").toUpperCase();
+    let series;
+    try {
+      ({ data: { series } } = await getInflation(country));
+    } catch (err) {
+      logger.error("Inflation fetch error", { err });
+      throw new HttpError(502, "Failed to fetch inflation data");
+    }
+
+    const average = recentAverageRate(series);
+    if (!average) throw notFound(`No inflation data for ${country}`);
+    inflation = { country, ...average };
+  }
+
+  return Promise.all(
+    goals.map(async (goal) => {
+      const { saved, contributionCount, lastContributionAt } = await savedAmount(
+        ledgerId,
+        goal,
+        baseCurrency
+      );
+      const target = goal.targetAmount;
+      const targetDate = new Date(goal.targetDate);
+
+      const result = {
+        ...goal,
+        baseCurrency,
+        progress: {
+          saved: round2(saved),
+          percent: round2(Math.min(100, Math.max(0, (saved / target) * 100))),
+          achieved: saved >= target,
+          contributionCount,
+          lastContributionAt,
+          averageMonthlyNet: round2(averageNet),
+          averageMonths: months,
+          ...project({ saved, target, targetDate, averageNet, now }),
+        },
+      };
+
+      if (inflation) {
+        const years = Math.max(0, monthsBetween(now, targetDate)) / 12;
+        result.inflationAdjusted = {
+          country: inflation.country,
+          annualRate: round2(inflation.rate),
+          rateYears: { from: inflation.fromYear, to: inflation.toYear },
+          targetAmount: round2(target * Math.pow(1 + inflation.rate / 100, years)),
+          ...project({ saved, target, targetDate, averageNet, annualRate: inflation.rate, now }),
+        };
+      }
+
+      return result;
+    })
+  );
+}
+
+// --------------------------------------------------
+// GET /goal
+// Fetch the ledger's goals with progress and projected completion
+// Optional: months (history for the average net), inflation=true, country
+// --------------------------------------------------
+router.get("/", validateProjection, async (req, res, next) => {
+  try {
+    const { userId, isAuthenticated } = getAuth(req);
+
+    // Block request if user is not authenticated
+    if (!isAuthenticated || !userId) {
+      return res.status(401).json({ message: "Not authenticated" });
+    }
+
+    const ledgerId = req.ledger._id;
+
+    const goals = await db
+      .collection("goals")
+      .find({ ledgerId })
+      .sort({ targetDate: 1 })
+      .toArray();
+
+    res.status(200).json(await describeGoals(ledgerId, goals, req.query));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// --------------------------------------------------
+// GET /goal/:id
+// Fetch one goal with progress and projected completion
+// Example: /goal/656...?months=12&inflation=true&country=USA
+// --------------------------------------------------
+router.get("/:id", validateProjection, async (req, res, next) => {
+  try {
+    const { userId, isAuthenticated } = getAuth(req);
+
+    // Block request if user is not authenticated
+    if (!isAuthenticated || !userId) {
+      return res.status(401).json({ message: "Not authenticated" });
+    }
+
+    const ledgerId = req.ledger._id;
+
+    const goal = await db
+      .collection("goals")
+      .findOne({ _id: new ObjectId(req.params.id), ledgerId });
+
+    if (!goal) {
+      return res.status(404).json({ message: "Goal not found" });
+    }
+
+    const [result] = await describeGoals(ledgerId, [goal], req.query);
+    res.status(200).json(result);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// --------------------------------------------------
+// POST /goal
+// Create a savings goal
+// --------------------------------------------------
+router.post("/", idempotent, validateGoal, async (req, res, next) => {
+  try {
+    const { userId, isAuthenticated } = getAuth(req);
+
+    // Ensure user is authenticated
+    if (!isAuthenticated || !userId) {
+      return res.status(401).json({ message: "Not authenticated" });
+    }
+
+    const ledgerId = req.ledger._id;
+
+    await checkLinks(ledgerId, req.body);
+
+    // Goal document
+    const goal = {
+      ledgerId,               // 🔐 Ledger the goal belongs to
+      userId,                 // Member who created it
+      name: req.body.name,
+      targetAmount: req.body.targetAmount,  // In the base currency
+      targetDate: req.body.targetDate,
+      initialAmount: req.body.initialAmount ?? 0,
+      categoryId: req.body.categoryId ?? null,
+      accountId: req.body.accountId ?? null,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    };
+
+    const result = await db.collection("goals").insertOne(goal);
+
+    // 201 Created
+    res.status(201).send(result);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// --------------------------------------------------
+// PUT /goal/:id
+// Update a goal only if it belongs to the ledger
+// --------------------------------------------------
+router.put("/:id", validateGoalUpdate, async (req, res, next) => {
+  try {
+    const { userId, isAuthenticated } = getAuth(req);
+
+    // Block unauthenticated users
+    if (!isAuthenticated || !userId) {
+      return res.status(401).json({ message: "Not authenticated" });
+    }
+
+    const ledgerId = req.ledger._id;
+
+    const collection = db.collection("goals");
+    const existing = await collection.findOne({ _id: new ObjectId(req.params.id), ledgerId });
+
+    if (!existing) {
+      return res.status(404).json({ message: "Goal not found" });
+    }
+
+    // Links are checked on the goal as it will be stored
+    await checkLinks(ledgerId, { ...existing, ...req.body });
+
+    await collection.updateOne(
+      { _id: existing._id, ledgerId },
+      { $set: { ...req.body, updatedAt: new Date() } }
+    );
+
+    res.json({ message: "Goal updated successfully" });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// --------------------------------------------------
+// DELETE /goal/:id
+// Delete a goal only if it belongs to the ledger
+// Its contributions are kept and simply lose the goal tag
+// --------------------------------------------------
+router.delete("/:id", async (req, res, next) => {
+  try {
+    const { userId, isAuthenticated } = getAuth(req);
+
+    // Authentication check
+    if (!isAuthenticated || !userId) {
+      return res.status(401).json({ message: "Not authenticated" });
+    }
+
+    const ledgerId = req.ledger._id;
+
+    const id = new ObjectId(req.params.id);
+    const result = await db.collection("goals").deleteOne({ _id: id, ledgerId });
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ message: "Goal not found" });
+    }
+
+    await updateManyWithAudit(
+      "transactions",
+      { ledgerId, goalId: id },
+      { $set: { goalId: null, updatedAt: new Date() }, $inc: NEXT_VERSION },
+      { ledgerId, userId, entity: "transaction", action: "update", meta: { deletedGoalId: id } }
+    );
+    await db
+      .collection("recurring")
+      .updateMany(
+        { ledgerId, "template.goalId": id },
+        { $set: { "template.goalId": null, updatedAt: new Date() } }
+      );
+
+    res.json({ message: "Goal deleted successfully" });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Export router for use in main app
+export default router;
@@ -0,0 +1,601 @@
+// routes/import.js
+// Handles bank statement imports (CSV and OFX/QFX)
+// Flow: preview (parse + suggest + flag duplicates) → commit → optional undo
+// Mounted under /transaction/import by routes/transaction.js
+
+import express from "express";
+import db, { client } from "../db/conn.js";  // MongoDB connection instance + client for sessions
+import { ObjectId } from "mongodb";          // Used to convert string IDs to MongoDB ObjectId
+import { getAuth } from "@clerk/express";    // Clerk authentication helper
+import {
+  IMPORT_FORMATS,
+  DATE_FORMATS,
+  parseCsvStatement,
+  parseOfxStatement,
+  normalizeNote,
+  noteSimilarity,
+} from "../utils/importParsers.js";
+import { isSupportedCurrency, getConversionRate } from "../utils/fx.js";
+import { getBaseCurrency } from "../utils/settings.js";
+import { loadRules, findMatchingRule } from "../utils/categoryRules.js";
+import { HttpError, badRequest } from "../utils/errors.js";
+import { validate, objectIdParam, isObjectId } from "../utils/validation.js";
+import { NOT_DELETED, recordAudit, updateManyWithAudit } from "../utils/audit.js";
+import { INITIAL_VERSION, NEXT_VERSION } from "../utils/versioning.js";
+import { logger } from "../utils/logger.js";
+
+const router = express.Router();
+
+// Reject malformed ids before they reach a query
+router.param("batchId", objectIdParam);
+
+// Maximum rows accepted in a single import
+const MAX_IMPORT_ROWS = 5000;
+
+// Notes at least this similar (0..1) are treated as the same merchant
+const DUPLICATE_NOTE_SIMILARITY = 0.5;
+
+// How many past transactions are used to learn category suggestions
+const SUGGESTION_HISTORY_LIMIT = 2000;
+
+const validatePreview = validate({
+  body: {
+    format: { type: "string", required: true, enum: IMPORT_FORMATS },
+    content: {
+      type: "string",
+      required: true,
+      check: (value) => value.trim() !== "",
+      message: "must not be empty",
+    },
+    mapping: { type: "object" },                // CSV only, see parseCsvStatement
+    hasHeader: { type: "boolean" },
+    dateFormat: { type: "string", enum: DATE_FORMATS },
+    delimiter: { type: "string", minLength: 1, maxLength: 1 },
+    fileName: { type: "string", nullable: true, maxLength: 255 },
+    currency: {
+      type: "string",
+      check: isSupportedCurrency,
+      message: "must be a supported currency code",
+    },
+    accountId: { type: "objectId", nullable: true },
+  },
+});
+const validateCommit = validate({
+  body: {
+    accept: {
+      type: "array",
+      required: true,
+      check: (value) => value.length > 0 && value.every(Number.isInteger),
+      message: "must be a non-empty list of row indexes",
+    },
+    categories: { type: "object", nullable: true },   // rowIndex -> categoryId
+  },
+});
+
+/**
+ * Day key used to compare dates without time
+ * @param {Date} date
+ * @returns {string} YYYY-MM-DD
+ */
+function dayKey(date) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+/**
+ * Build a category suggester from the ledger's rules, history and category names
+ * @param {ObjectId} ledgerId - ledger id
+ * @returns {Promise<Function>} (row) => categoryId | null
+ */
+async function buildCategorySuggester(ledgerId) {
+  const [categories, rules] = await Promise.all([
+    db
+      .collection("categories")
+      .find({ ledgerId, ...NOT_DELETED })
+      .project({ name: 1, type: 1 })
+      .toArray(),
+    loadRules(ledgerId),
+  ]);
+
+  // Learn normalized note → most used category from past transactions
+  const history = await db
+    .collection("transactions")
+    .find({ ledgerId, ...NOT_DELETED, categoryId: { $ne: null }, note: { $nin: [null, ""] } })
+    .project({ note: 1, categoryId: 1 })
+    .sort({ date: -1 })
+    .limit(SUGGESTION_HISTORY_LIMIT)
+    .toArray();
+
+  const counts = new Map(); // note -> (categoryId -> count)
+  for (const t of history) {
+    const key = normalizeNote(t.note);
+    if (!key) continue;
+    if (!counts.has(key)) counts.set(key, new Map());
+    const byCategory = counts.get(key);
+    const id = String(t.categoryId);
+    byCategory.set(id, (byCategory.get(id) || 0) + 1);
+  }
+
+  const knownIds = new Set(categories.map((c) => String(c._id)));
+
+  return (row) => {
+    // 1. The ledger's categorization rules
+    const rule = findMatchingRule(rules, row);
+    if (rule) return String(rule.categoryId);
+
+    const key = normalizeNote(row.note);
+    if (!key) return null;
+
+    // 2. Same note seen before
+    const seen = counts.get(key);
+    if (seen) {
+      const [best] = [...seen.entries()]
+        .filter(([id]) => knownIds.has(id))
+        .sort((a, b) => b[1] - a[1]);
+      if (best) return best[0];
+    }
+
+    // 3. Note mentions a category name of the same type
+    const byName = categories.find(
+      (c) => c.type === row.type && c.name && key.includes(normalizeNote(c.name))
+    );
+    return byName ? String(byName._id) : null;
+  };
+}
+
+/**
+ * Check whether two rows (or a row and a transaction) look like the same one
+ * Same amount and type and a similar note; callers compare days first
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {boolean}
+ */
+function looksAlike(a, b) {
+  return (
+    a.type === b.type &&
+    Math.abs(a.amount - b.amount) < 0.005 &&
+    noteSimilarity(a.note, b.note) >= DUPLICATE_NOTE_SIMILARITY
+  );
+}
+
+/**
+ * Flag rows that look like transactions the ledger already has, or like an
+ * earlier row of the same file (e.g. overlapping statements pasted together)
+ * Same day, same amount and type, and a similar note (or the same bank FITID)
+ * @param {ObjectId} ledgerId - ledger id
+ * @param {Object[]} rows - parsed rows (valid dates only are checked)
+ * @returns {Promise<void>} sets row.duplicateOf / row.duplicateOfRow in place
+ */
+async function flagDuplicates(ledgerId, rows) {
+  const dated = rows.filter((r) => r.date && r.amount);
+  if (dated.length === 0) return;
+
+  const times = dated.map((r) => r.date.getTime());
+  const from = new Date(Math.min(...times));
+  const to = new Date(Math.max(...times) + 24 * 60 * 60 * 1000);
+
+  const existing = await db
+    .collection("transactions")
+    .find({ ledgerId, ...NOT_DELETED, date: { $gte: from, $lt: to } })
+    .project({ date: 1, amount: 1, type: 1, note: 1, externalId: 1 })
+    .toArray();
+
+  const byDay = new Map();
+  for (const t of existing) {
+    const key = dayKey(t.date);
+    if (!byDay.has(key)) byDay.set(key, []);
+    byDay.get(key).push(t);
+  }
+
+  const externalIds = new Map(
+    existing.filter((t) => t.externalId).map((t) => [t.externalId, t._id])
+  );
+
+  // Earlier rows of the file, by FITID and by day
+  const rowExternalIds = new Map();
+  const rowsByDay = new Map();
+
+  rows.forEach((row, index) => {
+    if (!row.date || !row.amount) return;
+    const day = dayKey(row.date);
+
+    if (row.externalId && externalIds.has(row.externalId)) {
+      row.duplicateOf = externalIds.get(row.externalId);
+    } else {
+      const match = (byDay.get(day) || []).find((t) => looksAlike(t, row));
+      if (match) row.duplicateOf = match._id;
+    }
+
+    if (!row.duplicateOf) {
+      const earlier = row.externalId
+        ? rowExternalIds.get(row.externalId)
+        : (rowsByDay.get(day) || []).find((other) => looksAlike(rows[other], row));
+      if (earlier !== undefined) row.duplicateOfRow = earlier;
+    }
+
+    if (row.externalId && !rowExternalIds.has(row.externalId)) {
+      rowExternalIds.set(row.externalId, index);
+    }
+    if (!rowsByDay.has(day)) rowsByDay.set(day, []);
+    rowsByDay.get(day).push(index);
+  });
+}
+
+// --------------------------------------------------
+// GET /transaction/import
+// List the ledger's import batches (rows omitted)
+// --------------------------------------------------
+router.get("/", async (req, res, next) => {
+  try {
+    const { userId, isAuthenticated } = getAuth(req);
+
+    // Block request if user is not authenticated
+    if (!isAuthenticated || !userId) {
+      return res.status(401).json({ message: "Not authenticated" });
+    }
+
+    const ledgerId = req.ledger._id;
+
+    const results = await db
+      .collection("importBatches")
+      .find({ ledgerId })
+      .project({ rows: 0 })
+      .sort({ createdAt: -1 })
+      .toArray();
+
+    res.status(200).send(results);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// --------------------------------------------------
+// POST /transaction/import
+// Parse a statement and return a preview batch
+// Nothing is written to the transactions collection yet
+// --------------------------------------------------
+router.post("/", validatePreview, async (req, res, next) => {
+  try {
+    const { userId, isAuthenticated } = getAuth(req);
+
+    // Ensure user is authenticated
+    if (!isAuthenticated || !userId) {
+      return res.status(401).json({ message: "Not authenticated" });
+    }
+
+    const ledgerId = req.ledger._id;
+
+    const {
+      format,
+      content,
+      mapping,
+      hasHeader,
+      dateFormat,
+      delimiter,
+      fileName,
+      currency,
+      accountId,
+    } = req.body;
+
+    // Optional account the statement belongs to
+    let account = null;
+    if (accountId) {
+      account = await db.collection("accounts").findOne({ _id: accountId, ledgerId });
+      if (!account) {
+        return res.status(404).json({ message: "Account not found" });
+      }
+      if (currency && currency !== account.currency) {
+        throw badRequest("Invalid request body", [
+          { field: "currency", message: `must match the account currency (${account.currency})` },
+        ]);
+      }
+    }
+
+    let rows;
+    if (format === "csv") {
+      const missing = [];
+      if (mapping?.date === undefined) {
+        missing.push({ field: "mapping.date", message: "is required for CSV" });
+      }
+      if (![mapping?.amount, mapping?.debit, mapping?.credit].some((ref) => ref !== undefined)) {
+        missing.push({
+          field: "mapping.amount",
+          message: "or mapping.debit/credit is required for CSV",
+        });
+      }
+      if (missing.length) throw badRequest("Invalid request body", missing);
+
+      rows = parseCsvStatement(content, { mapping, hasHeader, dateFormat, delimiter });
+    } else {
+      rows = parseOfxStatement(content);
+    }
+
+    if (rows.length === 0) {
+      throw badRequest("No transactions found in file");
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+      throw badRequest(`Imports are limited to ${MAX_IMPORT_ROWS} rows`);
+    }
+
+    // Suggest categories and flag likely duplicates
+    const suggest = await buildCategorySuggester(ledgerId);
+    await flagDuplicates(ledgerId, rows);
+
+    const preview = rows.map((row, index) => ({
+      index,
+      date: row.date,
+      amount: row.amount,
+      type: row.type,
+      note: row.note,
+      externalId: row.externalId,
+      suggestedCategoryId: row.errors.length ? null : suggest(row),
+      duplicateOf: row.duplicateOf || null,
+      duplicateOfRow: row.duplicateOfRow ?? null,
+      errors: row.errors,
+    }));
+
+    // Import batch document
+    const batch = {
+      ledgerId,               // 🔐 Ledger the batch belongs to
+      userId,                 // Member who uploaded it
+      format,
+      fileName: fileName || null,
+      currency: currency || account?.currency || null, // Statement currency (null = base currency)
+      accountId: account ? account._id : null,
+      status: "preview",      // preview → committed → undone
+      rows: preview,
+      insertedCount: 0,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    };
+
+    const result = await db.collection("importBatches").insertOne(batch);
+
+    res.status(201).json({
+      batchId: result.insertedId,
+      total: preview.length,
+      invalid: preview.filter((r) => r.errors.length).length,
+      duplicates: preview.filter((r) => r.duplicateOf || r.duplicateOfRow !== null).length,
+      rows: preview,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// --------------------------------------------------
+// POST /transaction/import/:batchId/commit
+// Insert the accepted preview rows as transactions
+// Body: { accept: [rowIndex...], categories: { rowIndex: categoryId } }
+// --------------------------------------------------
+router.post("/:batchId/commit", validateCommit, async (req, res, next) => {
+  try {
+    const { userId, isAuthenticated } = getAuth(req);
+
+    // Ensure user is authenticated
+    if (!isAuthenticated || !userId) {
+      return res.status(401).json({ message: "Not authenticated" });
+    }
+
+    const ledgerId = req.ledger._id;
+
+    const { accept } = req.body;
+    const categories = req.body.categories || {};
+
+    const collection = db.collection("importBatches");
+    const batch = await collection.findOne({
+      _id: new ObjectId(req.params.batchId),
+      ledgerId,
+    });
+
+    if (!batch) {
+      return res.status(404).json({ message: "Import not found" });
+    }
+    if (batch.status !== "preview") {
+      return res.status(409).json({ message: `Import is already ${batch.status}` });
+    }
+
+    const accepted = new Set(accept);
+    const rows = batch.rows.filter((r) => accepted.has(r.index));
+
+    // Every accepted row must be valid
+    const invalid = rows.filter((r) => r.errors.length);
+    if (rows.length !== accepted.size || invalid.length) {
+      throw badRequest("Invalid request body", [
+        { field: "accept", message: "contains unknown or invalid rows" },
+      ]);
+    }
+
+    // Overrides (and suggestions made at preview time) must be active
+    // categories of the row's type
+    const ledgerCategories = await db
+      .collection("categories")
+      .find({ ledgerId, ...NOT_DELETED })
+      .project({ type: 1 })
+      .toArray();
+    const typeById = new Map(ledgerCategories.map((c) => [String(c._id), c.type]));
+
+    const overrideErrors = rows
+      .filter((row) => categories[row.index])
+      .flatMap((row) => {
+        const id = categories[row.index];
+        const field = `categories.${row.index}`;
+        if (!isObjectId(id) || !typeById.has(String(id))) {
+          return [{ field, message: "must be an active category of the ledger" }];
+        }
+        if (typeById.get(String(id)) !== row.type) {
+          return [{ field, message: `must be an ${row.type} category to match the row` }];
+        }
+        return [];
+      });
+    if (overrideErrors.length) throw badRequest("Invalid category overrides", overrideErrors);
+
+    // Rate to the base currency, fetched once per statement day
+    const baseCurrency = await getBaseCurrency(ledgerId);
+    const currency = batch.currency || baseCurrency;
+    const rates = new Map();
+    try {
+      for (const row of rows) {
+        const day = new Date(row.date).toISOString().slice(0, 10);
+        if (!rates.has(day)) {
+          rates.set(day, await getConversionRate(currency, baseCurrency, new Date(row.date)));
+        }
+      }
+    } catch (err) {
+      logger.error("FX API error", { err });
+      return res.status(502).json({ message: "Failed to fetch exchange rates" });
+    }
+
+    const now = new Date();
+    const transactions = rows.map((row) => {
+      const suggested = typeById.has(String(row.suggestedCategoryId))
+        ? row.suggestedCategoryId
+        : null;
+      const categoryId = categories[row.index] || suggested;
+
+      return {
+        ledgerId,                        // 🔐 Ledger the transaction belongs to
+        userId,                          // Member who committed the import
+        date: new Date(row.date),
+        type: row.type,
+        amount: row.amount,
+        currency,
+        fxRate: rates.get(new Date(row.date).toISOString().slice(0, 10)),
+        note: row.note || "",
+        categoryId: categoryId ? new ObjectId(categoryId) : null,
+        accountId: batch.accountId || null,
+        importBatchId: batch._id,        // Allows undoing the whole import
+        ...(row.externalId && { externalId: row.externalId }),
+        version: INITIAL_VERSION,
+        createdAt: now,
+        updatedAt: now,
+      };
+    });
+
+    // Claim the batch first so a double submit cannot insert twice
+    const claimed = await collection.updateOne(
+      { _id: batch._id, ledgerId, status: "preview" },
+      { $set: { status: "committing", updatedAt: now } }
+    );
+    if (claimed.modifiedCount === 0) {
+      return res.status(409).json({ message: "Import is already being committed" });
+    }
+
+    let result;
+    try {
+      result = await db.collection("transactions").insertMany(transactions);
+      await recordAudit(
+        transactions.map((after) => ({
+          ledgerId,
+          userId,
+          entity: "transaction",
+          action: "create",
+          after,
+          meta: { importBatchId: batch._id },
+        }))
+      );
+    } catch (err) {
+      // Remove any partial insert with its audit entries and release the batch
+      // so it can be retried
+      await db.collection("transactions").deleteMany({ ledgerId, importBatchId: batch._id });
+      await db.collection("auditLog").deleteMany({ ledgerId, "meta.importBatchId": batch._id });
+      await collection.updateOne({ _id: batch._id }, { $set: { status: "preview" } });
+      throw err;
+    }
+
+    await collection.updateOne(
+      { _id: batch._id, status: "committing" },
+      {
+        $set: {
+          status: "committed",
+          insertedCount: result.insertedCount,
+          committedAt: new Date(),
+          updatedAt: new Date(),
+        },
+      }
+    );
+
+    res.status(201).json({ batchId: batch._id, insertedCount: result.insertedCount });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// --------------------------------------------------
+// DELETE /transaction/import/:batchId
+// Undo an import: moves every transaction it created to the trash
+// A preview that was never committed is simply discarded; an import that is
+// still being committed cannot be undone yet
+// --------------------------------------------------
+router.delete("/:batchId", async (req, res, next) => {
+  try {
+    const { userId, isAuthenticated } = getAuth(req);
+
+    // Authentication check
+    if (!isAuthenticated || !userId) {
+      return res.status(401).json({ message: "Not authenticated" });
+    }
+
+    const ledgerId = req.ledger._id;
+
+    const collection = db.collection("importBatches");
+    const batch = await collection.findOne({
+      _id: new ObjectId(req.params.batchId),
+      ledgerId,
+    });
+
+    if (!batch) {
+      return res.status(404).json({ message: "Import not found" });
+    }
+    if (batch.status === "undone") {
+      return res.status(409).json({ message: "Import is already undone" });
+    }
+    if (batch.status === "committing") {
+      return res
+        .status(409)
+        .json({ message: "Import is still being committed; try again shortly" });
+    }
+
+    const now = new Date();
+    let deleted = [];
+    const session = client.startSession();
+    try {
+      await session.withTransaction(async () => {
+        // Only from the status checked above, so a commit cannot start in between
+        const claimed = await collection.updateOne(
+          { _id: batch._id, ledgerId, status: batch.status },
+          { $set: { status: "undone", undoneAt: now, updatedAt: now } },
+          { session }
+        );
+        if (claimed.matchedCount === 0) {
+          throw new HttpError(409, "Import changed in the meantime; fetch it again");
+        }
+
+        deleted = await updateManyWithAudit(
+          "transactions",
+          { ledgerId, importBatchId: batch._id, ...NOT_DELETED },
+          { $set: { deletedAt: now, updatedAt: now }, $inc: NEXT_VERSION },
+          {
+            ledgerId,
+            userId,
+            entity: "transaction",
+            action: "delete",
+            meta: { importBatchId: batch._id },
+          },
+          { session }
+        );
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    res.json({
+      message: "Import undone successfully",
+      deletedCount: deleted.length,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Export router to be mounted under /transaction/import
+export default router;
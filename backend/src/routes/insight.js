@@ -0,0 +1,230 @@
+// routes/insight.js
+// Findings the ledger's members may have missed (see utils/insights.js)
+// - Likely subscriptions, with their cadence and next expected charge
+// - Anomalies: unusually large charges and likely duplicates
+//
+// Members can confirm or dismiss a finding; the choice is kept in the
+// insightFeedback collection ({ ledgerId, insightId, status, userId, ... })
+// so a dismissed finding is not raised again.
+
+import express from "express";
+import db from "../db/conn.js";              // MongoDB connection instance
+import { getAuth } from "@clerk/express";    // Clerk authentication helper
+import { BASE_AMOUNT, transactionMatchStages } from "../utils/transactionQuery.js";
+import { detectSubscriptions, detectAnomalies } from "../utils/insights.js";
+import { getBaseCurrency } from "../utils/settings.js";
+import { notFound } from "../utils/errors.js";
+import { validate } from "../utils/validation.js";
+
+const router = express.Router();
+
+// Months of history searched for subscriptions and category baselines
+const DEFAULT_HISTORY_MONTHS = 18;
+const MAX_HISTORY_MONTHS = 36;
+
+// Recent days in which anomalies are flagged
+const DEFAULT_ANOMALY_DAYS = 30;
+const MAX_ANOMALY_DAYS = 365;
+
+// Feedback a member can give on a finding
+const FEEDBACK_STATUSES = ["confirmed", "dismissed"];
+
+const validateInsights = validate({
+  query: {
+    months: {
+      type: "number",
+      check: (value) => Number.isInteger(value) && value >= 1 && value <= MAX_HISTORY_MONTHS,
+      message: `must be an integer between 1 and ${MAX_HISTORY_MONTHS}`,
+    },
+    days: {
+      type: "number",
+      check: (value) => Number.isInteger(value) && value >= 1 && value <= MAX_ANOMALY_DAYS,
+      message: `must be an integer between 1 and ${MAX_ANOMALY_DAYS}`,
+    },
+    dismissed: { type: "string", enum: ["true", "false"] },
+  },
+});
+const insightIdParam = {
+  id: {
+    type: "string",
+    check: (value) => /^[0-9a-f]{32}$/.test(value),
+    message: "must be an insight id",
+  },
+};
+const validateFeedback = validate({
+  params: insightIdParam,
+  body: { status: { type: "string", required: true, enum: FEEDBACK_STATUSES } },
+});
+const validateInsightId = validate({ params: insightIdParam });
+
+// Ensures the feedback index is only created once per process
+let indexesReady = null;
+
+/**
+ * Create the unique index keeping one feedback entry per finding
+ * @returns {Promise<void>}
+ */
+function ensureIndexes() {
+  if (!indexesReady) {
+    indexesReady = db
+      .collection("insightFeedback")
+      .createIndex({ ledgerId: 1, insightId: 1 }, { unique: true })
+      .catch((err) => {
+        indexesReady = null; // Retry on the next call
+        throw err;
+      });
+  }
+  return indexesReady;
+}
+
+/**
+ * Expense rows the detectors work on, oldest first
+ * Transfers are never included; transactions saved before multi-currency
+ * support are in the base currency
+ * @param {ObjectId} ledgerId - ledger id
+ * @param {Date} from - start of the history
+ * @param {string} baseCurrency
+ * @returns {Promise<Object[]>}
+ */
+async function loadExpenses(ledgerId, from, baseCurrency) {
+  const rows = await db
+    .collection("transactions")
+    .aggregate([
+      ...transactionMatchStages(ledgerId, { type: "expense", from }),
+      {
+        $project: {
+          date: 1,
+          note: 1,
+          amount: 1,
+          currency: 1,
+          fxRate: 1,
+          categoryId: 1,
+          accountId: 1,
+          splits: 1,
+          recurringId: 1,
+          baseAmount: BASE_AMOUNT,
+        },
+      },
+      { $sort: { date: 1, _id: 1 } },
+    ])
+    .toArray();
+
+  return rows.map((row) => ({ ...row, currency: row.currency || baseCurrency }));
+}
+
+// --------------------------------------------------
+// GET /insights
+// Likely subscriptions and recent anomalies, each with status
+// "new" or "confirmed"; dismissed findings are left out unless
+// dismissed=true
+// Example: /insights?months=12&days=60
+// --------------------------------------------------
+router.get("/", validateInsights, async (req, res, next) => {
+  try {
+    const { userId, isAuthenticated } = getAuth(req);
+
+    // Block request if user is not authenticated
+    if (!isAuthenticated || !userId) {
+      return res.status(401).json({ message: "Not authenticated" });
+    }
+
+    const ledgerId = req.ledger._id;
+
+    const now = new Date();
+    const months = req.query.months ? Number(req.query.months) : DEFAULT_HISTORY_MONTHS;
+    const days = req.query.days ? Number(req.query.days) : DEFAULT_ANOMALY_DAYS;
+    const from = new Date(now);
+    from.setUTCMonth(from.getUTCMonth() - months);
+    const since = new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+
+    const baseCurrency = await getBaseCurrency(ledgerId);
+    const [rows, feedback] = await Promise.all([
+      loadExpenses(ledgerId, from, baseCurrency),
+      db.collection("insightFeedback").find({ ledgerId }).toArray(),
+    ]);
+
+    // Attach feedback and drop dismissed findings unless asked for
+    const statusById = new Map(feedback.map((entry) => [entry.insightId, entry.status]));
+    const withStatus = (findings) =>
+      findings
+        .map((finding) => ({ ...finding, status: statusById.get(finding.id) || "new" }))
+        .filter((finding) => req.query.dismissed === "true" || finding.status !== "dismissed");
+
+    res.status(200).json({
+      from,
+      anomaliesSince: since,
+      baseCurrency,
+      subscriptions: withStatus(detectSubscriptions(rows, now)),
+      anomalies: withStatus(detectAnomalies(rows, since)),
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// --------------------------------------------------
+// PUT /insights/:id
+// Confirm or dismiss a finding
+// Body: { status: "confirmed" | "dismissed" }
+// --------------------------------------------------
+router.put("/:id", validateFeedback, async (req, res, next) => {
+  try {
+    const { userId, isAuthenticated } = getAuth(req);
+
+    // Block unauthenticated users
+    if (!isAuthenticated || !userId) {
+      return res.status(401).json({ message: "Not authenticated" });
+    }
+
+    const ledgerId = req.ledger._id;
+
+    await ensureIndexes();
+
+    const now = new Date();
+    await db.collection("insightFeedback").updateOne(
+      { ledgerId, insightId: req.params.id },
+      {
+        $set: { status: req.body.status, userId, updatedAt: now },  // Member who decided last
+        $setOnInsert: { ledgerId, insightId: req.params.id, createdAt: now },
+      },
+      { upsert: true }
+    );
+
+    res.json({
+      message: "Insight updated successfully",
+      id: req.params.id,
+      status: req.body.status,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// --------------------------------------------------
+// DELETE /insights/:id
+// Forget the feedback on a finding so it is raised as new again
+// --------------------------------------------------
+router.delete("/:id", validateInsightId, async (req, res, next) => {
+  try {
+    const { userId, isAuthenticated } = getAuth(req);
+
+    // Block unauthenticated users
+    if (!isAuthenticated || !userId) {
+      return res.status(401).json({ message: "Not authenticated" });
+    }
+
+    const ledgerId = req.ledger._id;
+
+    const result = await db
+      .collection("insightFeedback")
+      .deleteOne({ ledgerId, insightId: req.params.id });
+    if (!result.deletedCount) throw notFound("No feedback for this insight");
+
+    res.json({ message: "Insight feedback removed successfully" });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Export router for use in main app
+export default router;
@@ -0,0 +1,497 @@
+// routes/ledger.js
+// Creates ledgers (households), manages their members and invites
+// Data routers pick a ledger with the X-Ledger-Id header (see middleware/ledger.js);
+// roles and the personal ledger are described in utils/ledgers.js
+//
+// Inviting works with codes: an owner creates an invite for a role and hands
+// the code to the other person, who joins with POST /ledger/join
+
+import express from "express";
+import db from "../db/conn.js";              // MongoDB connection instance
+import { ObjectId } from "mongodb";          // Used to convert string IDs to MongoDB ObjectId
+import { getAuth } from "@clerk/express";    // Clerk authentication helper
+import { randomBytes } from "node:crypto";
+import {
+  ensurePersonalLedger,
+  findMemberLedger,
+  memberRole,
+  assertRole,
+  purgeDeletedLedger,
+} from "../utils/ledgers.js";
+import { NOT_DELETED } from "../utils/audit.js";
+import { HttpError, badRequest, notFound } from "../utils/errors.js";
+import { validate, objectIdParam } from "../utils/validation.js";
+
+const router = express.Router();
+
+// How long an invite code can be used
+const INVITE_TTL_DAYS = Number(process.env.LEDGER_INVITE_TTL_DAYS) || 7;
+
+// Roles an invite or a role change can give (owners are promoted explicitly)
+const MEMBER_ROLES = ["owner", "editor", "viewer"];
+const INVITE_ROLES = ["editor", "viewer"];
+
+const LEDGER_FIELDS = {
+  name: { type: "string", required: true, trim: true, minLength: 1, maxLength: 100 },
+};
+
+const validateLedger = validate({ body: LEDGER_FIELDS });
+const validateInvite = validate({
+  body: { role: { type: "string", required: true, enum: INVITE_ROLES } },
+});
+const validateJoin = validate({ body: { code: { type: "string", required: true } } });
+const validateMember = validate({
+  body: { role: { type: "string", required: true, enum: MEMBER_ROLES } },
+});
+
+// Reject malformed ids before they reach a query
+router.param("id", objectIdParam);
+router.param("inviteId", objectIdParam);
+
+/**
+ * Ledger as listed for one member
+ * @param {Object} ledger - ledger document
+ * @param {string} userId - Clerk user id
+ * @returns {Object}
+ */
+function describeLedger(ledger, userId) {
+  return {
+    _id: ledger._id,
+    name: ledger.name,
+    personal: Boolean(ledger.personal),
+    role: memberRole(ledger, userId),
+    memberCount: ledger.members.length,
+    createdAt: ledger.createdAt,
+  };
+}
+
+/**
+ * Check that a membership change leaves the ledger in a usable state
+ * - the creator of a personal ledger always stays its owner
+ * - every ledger keeps at least one owner
+ * @param {Object} ledger - ledger document
+ * @param {string} memberId - member being changed or removed
+ * @param {string|null} role - new role, null when the member is removed
+ * @throws {HttpError} 400
+ */
+function assertOwnersRemain(ledger, memberId, role) {
+  if (ledger.personal && memberId === ledger.createdBy && role !== "owner") {
+    throw badRequest("The creator of a personal ledger always stays its owner");
+  }
+
+  const owners = ledger.members.filter(
+    (member) => member.role === "owner" && member.userId !== memberId
+  );
+  if (role !== "owner" && !owners.length) {
+    throw badRequest("A ledger needs at least one owner");
+  }
+}
+
+/**
+ * Filter fragment that only matches a ledger where a membership change still
+ * leaves another owner (assertOwnersRemain, checked atomically with the write)
+ * @param {string} memberId - member being changed or removed
+ * @param {string|null} role - new role, null when the member is removed
+ * @returns {Object}
+ */
+function ownersRemainFilter(memberId, role) {
+  if (role === "owner") return {};
+  return { members: { $elemMatch: { role: "owner", userId: { $ne: memberId } } } };
+}
+
+/**
+ * Error for a membership change whose write matched no ledger
+ * The members changed since they were checked (e.g. two owners demoting each
+ * other at once), so the checks run again against the current members
+ * @param {string} userId - member making the change
+ * @param {string} ledgerId
+ * @param {string} memberId - member being changed or removed
+ * @param {string|null} role - new role, null when the member is removed
+ * @returns {Promise<HttpError>}
+ */
+async function missedMemberChangeError(userId, ledgerId, memberId, role) {
+  const current = await findMemberLedger(userId, ledgerId);
+  if (!memberRole(current, memberId)) return notFound("Member not found");
+  assertOwnersRemain(current, memberId, role);
+  return new HttpError(409, "The ledger's members changed in the meantime; try again");
+}
+
+// --------------------------------------------------
+// GET /ledger
+// Ledgers the user is a member of, personal ledger first
+// (the personal ledger is created on first use)
+// --------------------------------------------------
+router.get("/", async (req, res, next) => {
+  try {
+    const { userId, isAuthenticated } = getAuth(req);
+
+    // Block request if user is not authenticated
+    if (!isAuthenticated || !userId) {
+      return res.status(401).json({ message: "Not authenticated" });
+    }
+
+    await ensurePersonalLedger(userId);
+
+    const ledgers = await db
+      .collection("ledgers")
+      .find({ "members.userId": userId, ...NOT_DELETED })
+      .sort({ personal: -1, name: 1 })
+      .toArray();
+
+    res.status(200).json(ledgers.map((ledger) => describeLedger(ledger, userId)));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// --------------------------------------------------
+// POST /ledger
+// Create a shared ledger; the creator becomes its owner
+// Body: { name }
+// --------------------------------------------------
+router.post("/", validateLedger, async (req, res, next) => {
+  try {
+    const { userId, isAuthenticated } = getAuth(req);
+
+    // Ensure user is authenticated
+    if (!isAuthenticated || !userId) {
+      return res.status(401).json({ message: "Not authenticated" });
+    }
+
+    const now = new Date();
+    const ledger = {
+      name: req.body.name,
+      personal: false,
+      createdBy: userId,                                   // 🔐 Clerk user who created it
+      members: [{ userId, role: "owner", addedAt: now }],  // 👥 Members and their roles
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    const result = await db.collection("ledgers").insertOne(ledger);
+
+    res.status(201).json({
+      message: "Ledger created successfully",
+      ledger: describeLedger({ ...ledger, _id: result.insertedId }, userId),
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// --------------------------------------------------
+// POST /ledger/join
+// Join a ledger with an invite code
+// Body: { code }
+// --------------------------------------------------
+router.post("/join", validateJoin, async (req, res, next) => {
+  try {
+    const { userId, isAuthenticated } = getAuth(req);
+
+    // Ensure user is authenticated
+    if (!isAuthenticated || !userId) {
+      return res.status(401).json({ message: "Not authenticated" });
+    }
+
+    const code = req.body.code.trim();
+    const invites = db.collection("ledgerInvites");
+    const ledgers = db.collection("ledgers");
+
+    // Used up, revoked and expired codes all look the same
+    const open = { code, expiresAt: { $gt: new Date() } };
+    const pending = await invites.findOne(open);
+    if (!pending) throw notFound("Invite not found or expired");
+    if (await ledgers.countDocuments({ _id: pending.ledgerId, "members.userId": userId })) {
+      throw new HttpError(409, "You are already a member of this ledger");
+    }
+
+    // Invites are single use: whoever removes it first joins
+    const invite = await invites.findOneAndDelete(open);
+    if (!invite) throw notFound("Invite not found or expired");
+
+    const ledger = await ledgers.findOneAndUpdate(
+      { _id: invite.ledgerId, "members.userId": { $ne: userId }, ...NOT_DELETED },
+      {
+        $push: { members: { userId, role: invite.role, addedAt: new Date() } },
+        $set: { updatedAt: new Date() },
+      },
+      { returnDocument: "after" }
+    );
+    if (!ledger) throw notFound("Ledger not found");
+
+    res.json({ message: "Joined ledger successfully", ledger: describeLedger(ledger, userId) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// --------------------------------------------------
+// GET /ledger/:id
+// One ledger with its members
+// --------------------------------------------------
+router.get("/:id", async (req, res, next) => {
+  try {
+    const { userId, isAuthenticated } = getAuth(req);
+
+    // Block request if user is not authenticated
+    if (!isAuthenticated || !userId) {
+      return res.status(401).json({ message: "Not authenticated" });
+    }
+
+    const ledger = await findMemberLedger(userId, req.params.id);
+
+    res.status(200).json({
+      ...describeLedger(ledger, userId),
+      createdBy: ledger.createdBy,
+      members: ledger.members,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// --------------------------------------------------
+// PUT /ledger/:id
+// Rename a ledger (owner)
+// Body: { name }
+// --------------------------------------------------
+router.put("/:id", validateLedger, async (req, res, next) => {
+  try {
+    const { userId, isAuthenticated } = getAuth(req);
+
+    // Block unauthenticated users
+    if (!isAuthenticated || !userId) {
+      return res.status(401).json({ message: "Not authenticated" });
+    }
+
+    const ledger = await findMemberLedger(userId, req.params.id);
+    assertRole(memberRole(ledger, userId), "owner");
+
+    const updated = await db
+      .collection("ledgers")
+      .findOneAndUpdate(
+        { _id: ledger._id },
+        { $set: { name: req.body.name, updatedAt: new Date() } },
+        { returnDocument: "after" }
+      );
+    if (!updated) throw notFound("Ledger not found");
+
+    res.json({ message: "Ledger updated successfully", ledger: describeLedger(updated, userId) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// --------------------------------------------------
+// DELETE /ledger/:id
+// Delete a shared ledger and all of its data (owner)
+// Personal ledgers cannot be deleted
+// --------------------------------------------------
+router.delete("/:id", async (req, res, next) => {
+  try {
+    const { userId, isAuthenticated } = getAuth(req);
+
+    // Block unauthenticated users
+    if (!isAuthenticated || !userId) {
+      return res.status(401).json({ message: "Not authenticated" });
+    }
+
+    const ledger = await findMemberLedger(userId, req.params.id);
+    assertRole(memberRole(ledger, userId), "owner");
+    if (ledger.personal) {
+      throw badRequest("A personal ledger cannot be deleted");
+    }
+
+    // Gone for every member from here on; the data is removed in batches
+    const marked = await db.collection("ledgers").updateOne(
+      { _id: ledger._id, members: { $elemMatch: { userId, role: "owner" } }, ...NOT_DELETED },
+      { $set: { deletedAt: new Date(), updatedAt: new Date() } }
+    );
+    if (!marked.matchedCount) throw notFound("Ledger not found");
+
+    const deleted = await purgeDeletedLedger(ledger._id);
+
+    res.json({ message: "Ledger deleted successfully", deleted });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// --------------------------------------------------
+// GET /ledger/:id/invites
+// Open invites of a ledger (owner)
+// --------------------------------------------------
+router.get("/:id/invites", async (req, res, next) => {
+  try {
+    const { userId, isAuthenticated } = getAuth(req);
+
+    // Block request if user is not authenticated
+    if (!isAuthenticated || !userId) {
+      return res.status(401).json({ message: "Not authenticated" });
+    }
+
+    const ledger = await findMemberLedger(userId, req.params.id);
+    assertRole(memberRole(ledger, userId), "owner");
+
+    const invites = await db
+      .collection("ledgerInvites")
+      .find({ ledgerId: ledger._id, expiresAt: { $gt: new Date() } })
+      .sort({ createdAt: -1 })
+      .toArray();
+
+    res.status(200).json(invites);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// --------------------------------------------------
+// POST /ledger/:id/invites
+// Create a single-use invite code (owner)
+// Body: { role: "editor" | "viewer" }
+// --------------------------------------------------
+router.post("/:id/invites", validateInvite, async (req, res, next) => {
+  try {
+    const { userId, isAuthenticated } = getAuth(req);
+
+    // Ensure user is authenticated
+    if (!isAuthenticated || !userId) {
+      return res.status(401).json({ message: "Not authenticated" });
+    }
+
+    const ledger = await findMemberLedger(userId, req.params.id);
+    assertRole(memberRole(ledger, userId), "owner");
+
+    const now = new Date();
+    const invite = {
+      ledgerId: ledger._id,
+      code: randomBytes(18).toString("base64url"),  // 🔑 Shared with the invited person
+      role: req.body.role,
+      createdBy: userId,
+      createdAt: now,
+      expiresAt: new Date(now.getTime() + INVITE_TTL_DAYS * 24 * 60 * 60 * 1000),
+    };
+
+    const result = await db.collection("ledgerInvites").insertOne(invite);
+
+    res.status(201).json({
+      message: "Invite created successfully",
+      invite: { ...invite, _id: result.insertedId },
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// --------------------------------------------------
+// DELETE /ledger/:id/invites/:inviteId
+// Revoke an invite (owner)
+// --------------------------------------------------
+router.delete("/:id/invites/:inviteId", async (req, res, next) => {
+  try {
+    const { userId, isAuthenticated } = getAuth(req);
+
+    // Block unauthenticated users
+    if (!isAuthenticated || !userId) {
+      return res.status(401).json({ message: "Not authenticated" });
+    }
+
+    const ledger = await findMemberLedger(userId, req.params.id);
+    assertRole(memberRole(ledger, userId), "owner");
+
+    const result = await db
+      .collection("ledgerInvites")
+      .deleteOne({ _id: new ObjectId(req.params.inviteId), ledgerId: ledger._id });
+    if (!result.deletedCount) throw notFound("Invite not found");
+
+    res.json({ message: "Invite revoked successfully" });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// --------------------------------------------------
+// PUT /ledger/:id/members/:memberId
+// Change a member's role (owner)
+// Body: { role: "owner" | "editor" | "viewer" }
+// --------------------------------------------------
+router.put("/:id/members/:memberId", validateMember, async (req, res, next) => {
+  try {
+    const { userId, isAuthenticated } = getAuth(req);
+
+    // Block unauthenticated users
+    if (!isAuthenticated || !userId) {
+      return res.status(401).json({ message: "Not authenticated" });
+    }
+
+    const ledger = await findMemberLedger(userId, req.params.id);
+    assertRole(memberRole(ledger, userId), "owner");
+
+    const { memberId } = req.params;
+    if (!memberRole(ledger, memberId)) throw notFound("Member not found");
+    assertOwnersRemain(ledger, memberId, req.body.role);
+
+    const updated = await db.collection("ledgers").findOneAndUpdate(
+      {
+        _id: ledger._id,
+        "members.userId": memberId,
+        ...ownersRemainFilter(memberId, req.body.role),
+        ...NOT_DELETED,
+      },
+      { $set: { "members.$[member].role": req.body.role, updatedAt: new Date() } },
+      { arrayFilters: [{ "member.userId": memberId }], returnDocument: "after" }
+    );
+    if (!updated) {
+      throw await missedMemberChangeError(userId, req.params.id, memberId, req.body.role);
+    }
+
+    res.json({ message: "Member updated successfully", members: updated.members });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// --------------------------------------------------
+// DELETE /ledger/:id/members/:memberId
+// Remove a member (owner), or leave a ledger (memberId = yourself)
+// Data the member created stays in the ledger
+// --------------------------------------------------
+router.delete("/:id/members/:memberId", async (req, res, next) => {
+  try {
+    const { userId, isAuthenticated } = getAuth(req);
+
+    // Block unauthenticated users
+    if (!isAuthenticated || !userId) {
+      return res.status(401).json({ message: "Not authenticated" });
+    }
+
+    const ledger = await findMemberLedger(userId, req.params.id);
+
+    const { memberId } = req.params;
+    if (memberId !== userId) assertRole(memberRole(ledger, userId), "owner");
+    if (!memberRole(ledger, memberId)) throw notFound("Member not found");
+    assertOwnersRemain(ledger, memberId, null);
+
+    const result = await db.collection("ledgers").updateOne(
+      {
+        _id: ledger._id,
+        "members.userId": memberId,
+        ...ownersRemainFilter(memberId, null),
+        ...NOT_DELETED,
+      },
+      { $pull: { members: { userId: memberId } }, $set: { updatedAt: new Date() } }
+    );
+    if (!result.matchedCount) {
+      throw await missedMemberChangeError(userId, req.params.id, memberId, null);
+    }
+
+    res.json({
+      message: memberId === userId ? "Left ledger successfully" : "Member removed successfully",
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Export router for use in main app
+export default router;
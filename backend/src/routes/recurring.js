@@ -0,0 +1,291 @@
+// routes/recurring.js
+// Handles CRUD operations for recurring transaction rules
+// Due occurrences are created by jobs/recurring.js (scheduler or POST /recurring/run)
+
+import express from "express";
+import db from "../db/conn.js";              // MongoDB connection instance
+import { ObjectId } from "mongodb";          // Used to convert string IDs to MongoDB ObjectId
+import { getAuth } from "@clerk/express";    // Clerk authentication helper
+import { TRANSACTION_TYPES } from "../utils/transactionQuery.js";
+import { isSupportedCurrency } from "../utils/fx.js";
+import { RULE_FIELDS, normalizeRule, nextOccurrence } from "../utils/recurrence.js";
+import { materializeDueTransactions } from "../jobs/recurring.js";
+import { NOT_DELETED } from "../utils/audit.js";
+import { notFound, badRequest } from "../utils/errors.js";
+import { validate, objectIdParam } from "../utils/validation.js";
+import { normalizeTags } from "../utils/tags.js";
+import { idempotent } from "../middleware/idempotency.js";
+
+const router = express.Router();
+
+// What each occurrence looks like; everything else is ignored
+const TEMPLATE_FIELDS = {
+  type: { type: "string", required: true, enum: TRANSACTION_TYPES },
+  amount: {
+    type: "number",
+    required: true,
+    check: (value) => value > 0,
+    message: "must be greater than 0",
+  },
+  categoryId: { type: "objectId", required: true },
+  note: { type: "string", nullable: true, maxLength: 500 },
+  currency: {
+    type: "string",
+    nullable: true,
+    check: isSupportedCurrency,
+    message: "must be a supported currency code",
+  },
+  goalId: { type: "objectId", nullable: true },
+  tags: { type: "array", nullable: true },          // See utils/tags.js
+};
+
+// Fields a client may set on a recurring rule (partial objects on update)
+export const RECURRING_FIELDS = {
+  template: { type: "object", required: true, schema: TEMPLATE_FIELDS },
+  rule: { type: "object", required: true, schema: RULE_FIELDS },
+};
+
+const validateRecurring = validate({ body: RECURRING_FIELDS });
+const validateRecurringUpdate = validate({ body: RECURRING_FIELDS }, { partial: true });
+
+// Reject malformed ids before they reach a query
+router.param("id", objectIdParam);
+
+/**
+ * Normalize a template whose fields passed TEMPLATE_FIELDS
+ * @param {Object} input - template fields (merged onto the stored template for updates)
+ * @returns {Object} template
+ * @throws {HttpError} 400 when a tag is invalid
+ */
+function normalizeTemplate(input) {
+  const { type, amount, categoryId, note, currency, goalId, tags } = input;
+
+  return {
+    type,
+    amount,
+    categoryId,
+    note: note || "",
+    currency: currency || null,   // null = ledger's base currency
+    goalId: goalId || null,       // 🎯 Savings goal of each occurrence
+    tags: normalizeTags(tags || [], "template.tags"),
+  };
+}
+
+/**
+ * Check that a savings goal belongs to the ledger
+ * @param {ObjectId} ledgerId - ledger id
+ * @param {ObjectId} goalId
+ * @returns {Promise<boolean>}
+ */
+async function goalExists(ledgerId, goalId) {
+  return Boolean(await db.collection("goals").findOne({ _id: goalId, ledgerId }));
+}
+
+/**
+ * Make sure a template's savings goal (if any) belongs to the ledger
+ * @param {ObjectId} ledgerId - ledger id
+ * @param {Object} template - normalized template
+ * @throws {HttpError} 404 when the goal does not exist
+ */
+async function assertTemplateGoal(ledgerId, template) {
+  if (template.goalId && !(await goalExists(ledgerId, template.goalId))) {
+    throw notFound("Goal not found");
+  }
+}
+
+/**
+ * Make sure a template's category is an active category of the ledger and
+ * of the template's type
+ * @param {ObjectId} ledgerId - ledger id
+ * @param {Object} template - normalized template
+ * @throws {HttpError} 404 when the category does not exist, 400 when it has another type
+ */
+async function assertTemplateCategory(ledgerId, template) {
+  const category = await db
+    .collection("categories")
+    .findOne({ _id: template.categoryId, ledgerId, ...NOT_DELETED }, { projection: { type: 1 } });
+  if (!category) throw notFound("Category not found");
+
+  if (category.type !== template.type) {
+    throw badRequest("Invalid category", [
+      {
+        field: "template.categoryId",
+        message: `must be an ${template.type} category to match the template`,
+      },
+    ]);
+  }
+}
+
+// --------------------------------------------------
+// GET /recurring
+// Fetch all recurring rules of the current ledger
+// --------------------------------------------------
+router.get("/", async (req, res, next) => {
+  try {
+    const { userId, isAuthenticated } = getAuth(req);
+
+    // Block request if user is not authenticated
+    if (!isAuthenticated || !userId) {
+      return res.status(401).json({ message: "Not authenticated" });
+    }
+
+    const ledgerId = req.ledger._id;
+
+    const results = await db
+      .collection("recurring")
+      .find({ ledgerId })
+      .sort({ nextRunAt: 1 })
+      .toArray();
+
+    res.status(200).send(results);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// --------------------------------------------------
+// POST /recurring/run
+// Create due transactions for the current ledger now
+// Idempotent: repeated calls never double-book an occurrence
+// --------------------------------------------------
+router.post("/run", async (req, res, next) => {
+  try {
+    const { userId, isAuthenticated } = getAuth(req);
+
+    // Ensure user is authenticated
+    if (!isAuthenticated || !userId) {
+      return res.status(401).json({ message: "Not authenticated" });
+    }
+
+    const ledgerId = req.ledger._id;
+
+    const result = await materializeDueTransactions({ ledgerId });
+
+    res.status(200).json(result);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// --------------------------------------------------
+// POST /recurring
+// Create a recurring rule in the current ledger
+// --------------------------------------------------
+router.post("/", idempotent, validateRecurring, async (req, res, next) => {
+  try {
+    const { userId, isAuthenticated } = getAuth(req);
+
+    // Ensure user is authenticated
+    if (!isAuthenticated || !userId) {
+      return res.status(401).json({ message: "Not authenticated" });
+    }
+
+    const ledgerId = req.ledger._id;
+
+    const template = normalizeTemplate(req.body.template);
+    const rule = normalizeRule(req.body.rule);
+    await assertTemplateCategory(ledgerId, template);
+    await assertTemplateGoal(ledgerId, template);
+
+    // Recurring rule document
+    const recurring = {
+      ledgerId,                             // 🔐 Ledger the rule belongs to
+      userId,                               // Member who created it
+      template,                             // What to create
+      rule,                                 // When to create it
+      materializedThrough: null,            // Last occurrence already created
+      nextRunAt: nextOccurrence(rule),      // Next occurrence due
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    };
+
+    const result = await db.collection("recurring").insertOne(recurring);
+
+    // 201 Created
+    res.status(201).send(result);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// --------------------------------------------------
+// PUT /recurring/:id
+// Update a rule's template and/or schedule
+// Changes apply to occurrences that have not been created yet
+// --------------------------------------------------
+router.put("/:id", validateRecurringUpdate, async (req, res, next) => {
+  try {
+    const { userId, isAuthenticated } = getAuth(req);
+
+    // Block unauthenticated users
+    if (!isAuthenticated || !userId) {
+      return res.status(401).json({ message: "Not authenticated" });
+    }
+
+    const ledgerId = req.ledger._id;
+
+    const collection = db.collection("recurring");
+    const existing = await collection.findOne({
+      _id: new ObjectId(req.params.id),
+      ledgerId,
+    });
+
+    if (!existing) {
+      return res.status(404).json({ message: "Recurring transaction not found" });
+    }
+
+    const updates = { updatedAt: new Date() };
+
+    // Partial template and rule updates apply on top of the stored ones
+    if (req.body.template !== undefined) {
+      updates.template = normalizeTemplate({ ...existing.template, ...req.body.template });
+      await assertTemplateCategory(ledgerId, updates.template);
+      await assertTemplateGoal(ledgerId, updates.template);
+    }
+
+    if (req.body.rule !== undefined) {
+      const rule = normalizeRule({ ...existing.rule, ...req.body.rule });
+      updates.rule = rule;
+      updates.nextRunAt = nextOccurrence(rule, existing.materializedThrough || null);
+    }
+
+    await collection.updateOne({ _id: existing._id, ledgerId }, { $set: updates });
+
+    res.json({ message: "Recurring transaction updated successfully" });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// --------------------------------------------------
+// DELETE /recurring/:id
+// Stop a recurring rule
+// Transactions already created are kept
+// --------------------------------------------------
+router.delete("/:id", async (req, res, next) => {
+  try {
+    const { userId, isAuthenticated } = getAuth(req);
+
+    // Authentication check
+    if (!isAuthenticated || !userId) {
+      return res.status(401).json({ message: "Not authenticated" });
+    }
+
+    const ledgerId = req.ledger._id;
+
+    const result = await db
+      .collection("recurring")
+      .deleteOne({ _id: new ObjectId(req.params.id), ledgerId });
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ message: "Recurring transaction not found" });
+    }
+
+    res.json({ message: "Recurring transaction deleted successfully" });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Export router for use in main app
+export default router;
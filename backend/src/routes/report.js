@@ -0,0 +1,622 @@
+// routes/report.js
+// Chart-ready reports computed with MongoDB aggregations
+// - Spending by category with percentages
+// - Period-over-period and year-over-year trends per category
+// - Top merchants / notes
+// - Average daily spend
+// - Cash flow and savings rate
+//
+// Every endpoint accepts the transaction list filters (from, to, categoryId,
+// accountId, minAmount, maxAmount, q) plus granularity=week|month|quarter|year.
+// rollup=true also matches subcategories of categoryId and, in per-category
+// reports, folds subcategories into their top-level category.
+// Without from/to the report covers the last 12 months. Amounts are in the
+// ledger's base currency and transfers are never included.
+
+import express from "express";
+import db from "../db/conn.js";              // MongoDB connection instance
+import { getAuth } from "@clerk/express";    // Clerk authentication helper
+import {
+  BASE_AMOUNT,
+  TRANSACTION_TYPES,
+  parseTransactionFilters,
+  transactionMatchStages,
+  splitCategoryStages,
+} from "../utils/transactionQuery.js";
+import {
+  GRANULARITIES,
+  bucketStart,
+  addBuckets,
+  listBuckets,
+  daysBetween,
+  bucketExpression,
+} from "../utils/periods.js";
+import {
+  loadCategories,
+  indexCategories,
+  rootIdOf,
+  expandCategoryFilter,
+} from "../utils/categoryTree.js";
+import { getBaseCurrency } from "../utils/settings.js";
+import { badRequest } from "../utils/errors.js";
+
+const router = express.Router();
+
+// Upper bound on buckets per report (e.g. ~7 years of weeks)
+const MAX_BUCKETS = 366;
+
+// Default and maximum number of merchants returned
+const DEFAULT_TOP = 10;
+const MAX_TOP = 100;
+
+/**
+ * Round to 2 decimal places (null stays null)
+ * @param {number|null} value
+ * @returns {number|null}
+ */
+function round2(value) {
+  return value === null || value === undefined ? null : Math.round(value * 100) / 100;
+}
+
+/**
+ * Percentage change between two totals
+ * @param {number} current
+ * @param {number} previous
+ * @returns {number|null} null when there is nothing to compare against
+ */
+function percentChange(current, previous) {
+  if (!previous) return null;
+  return round2(((current - previous) / previous) * 100);
+}
+
+/**
+ * Format a bucket start as its YYYY-MM-DD key
+ * @param {Date} date
+ * @returns {string}
+ */
+function periodKey(date) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+/**
+ * Parse the shared report params from req.query
+ * Throws a 400 error on malformed input
+ * @param {ObjectId} ledgerId - ledger id
+ * @param {Object} query - Express req.query
+ * @param {Object} options
+ * @param {boolean} options.typed - accept type=income|expense (default expense)
+ * @returns {Promise<{ filters: Object, granularity: string, buckets: Date[] }>}
+ */
+async function parseReportQuery(ledgerId, query, { typed = false } = {}) {
+  const filters = parseTransactionFilters(query);
+  if (filters.rollup) await expandCategoryFilter(ledgerId, filters);
+
+  const granularity = query.granularity || "month";
+  if (!GRANULARITIES.includes(granularity)) {
+    throw badRequest(`granularity must be one of: ${GRANULARITIES.join(", ")}`);
+  }
+
+  if (typed) {
+    filters.type = filters.type || "expense";
+    if (!TRANSACTION_TYPES.includes(filters.type)) {
+      throw badRequest(`type must be one of: ${TRANSACTION_TYPES.join(", ")}`);
+    }
+  } else {
+    delete filters.type;
+  }
+
+  // Default period: the last 12 calendar months up to `to`
+  if (!filters.to) filters.to = new Date();
+  if (!filters.from) {
+    filters.from = new Date(
+      Date.UTC(filters.to.getUTCFullYear(), filters.to.getUTCMonth() - 11, 1)
+    );
+  }
+  if (filters.from > filters.to) {
+    throw badRequest("from must be before to");
+  }
+
+  const buckets = listBuckets(filters.from, filters.to, granularity);
+  if (buckets.length > MAX_BUCKETS) {
+    throw badRequest(
+      `Period too long: at most ${MAX_BUCKETS} ${granularity} buckets per report`
+    );
+  }
+
+  return { filters, granularity, buckets };
+}
+
+/**
+ * Match stages for a report, excluding transfers when no type is set
+ * @param {ObjectId} ledgerId - ledger id
+ * @param {Object} filters - output of parseReportQuery
+ * @returns {Object[]} aggregation stages
+ */
+function reportMatchStages(ledgerId, filters) {
+  return [
+    ...transactionMatchStages(ledgerId, filters),
+    ...(filters.type ? [] : [{ $match: { type: { $in: TRANSACTION_TYPES } } }]),
+  ];
+}
+
+/**
+ * Fold per-category rows into their top-level categories
+ * @param {ObjectId} ledgerId - ledger id
+ * @param {Object[]} rows - { _id: { period, categoryId }, total, count? }
+ * @returns {Promise<Object[]>} rows of the same shape, one per top-level category
+ */
+async function rollUpRows(ledgerId, rows) {
+  const byId = indexCategories(await loadCategories(ledgerId));
+  const merged = new Map();
+
+  for (const row of rows) {
+    const rootKey = rootIdOf(byId, row._id.categoryId);
+    const categoryId = rootKey ? byId.get(rootKey)?._id ?? row._id.categoryId : null;
+    const key = `${periodKey(row._id.period)}|${rootKey}`;
+
+    const entry = merged.get(key) || {
+      _id: { period: row._id.period, categoryId },
+      total: 0,
+      count: 0,
+    };
+    entry.total += row.total;
+    entry.count += row.count || 0;
+    merged.set(key, entry);
+  }
+  return [...merged.values()];
+}
+
+/**
+ * Load display details for a set of category ids of the ledger
+ * @param {ObjectId} ledgerId - ledger id
+ * @param {Array<ObjectId|null>} ids
+ * @returns {Promise<Function>} lookup (id) -> { categoryId, name, icon }
+ */
+async function categoryDetails(ledgerId, ids) {
+  const categories = await db
+    .collection("categories")
+    .find({ _id: { $in: ids.filter(Boolean) }, ledgerId })
+    .project({ name: 1, icon: 1 })
+    .toArray();
+  const byId = new Map(categories.map((c) => [String(c._id), c]));
+
+  return (id) => {
+    const category = id ? byId.get(String(id)) : null;
+    return {
+      categoryId: id || null,
+      name: category ? category.name : "Uncategorized",
+      icon: category ? category.icon : null,
+    };
+  };
+}
+
+// --------------------------------------------------
+// GET /report/categories
+// Totals per category over the period, with their share of the total,
+// overall and for each bucket
+// Example: /report/categories?type=expense&from=2024-01-01&granularity=quarter
+// --------------------------------------------------
+router.get("/categories", async (req, res, next) => {
+  try {
+    const { userId, isAuthenticated } = getAuth(req);
+
+    // Block request if user is not authenticated
+    if (!isAuthenticated || !userId) {
+      return res.status(401).json({ message: "Not authenticated" });
+    }
+
+    const ledgerId = req.ledger._id;
+
+    const { filters, granularity, buckets } = await parseReportQuery(ledgerId, req.query, {
+      typed: true,
+    });
+
+    const grouped = await db
+      .collection("transactions")
+      .aggregate([
+        ...reportMatchStages(ledgerId, filters),
+        ...splitCategoryStages(filters.categoryIds),
+        {
+          $group: {
+            _id: { period: bucketExpression(granularity), categoryId: "$categoryId" },
+            total: { $sum: BASE_AMOUNT },
+            count: { $sum: 1 },
+          },
+        },
+      ])
+      .toArray();
+    const rows = filters.rollup ? await rollUpRows(ledgerId, grouped) : grouped;
+
+    const describe = await categoryDetails(ledgerId, rows.map((r) => r._id.categoryId));
+
+    // Overall totals per category
+    const overall = new Map();
+    for (const row of rows) {
+      const key = String(row._id.categoryId);
+      const entry = overall.get(key) || { ...describe(row._id.categoryId), total: 0, count: 0 };
+      entry.total += row.total;
+      entry.count += row.count;
+      overall.set(key, entry);
+    }
+    const total = [...overall.values()].reduce((sum, c) => sum + c.total, 0);
+
+    const categories = [...overall.values()]
+      .sort((a, b) => b.total - a.total)
+      .map((c) => ({
+        ...c,
+        total: round2(c.total),
+        percentage: total ? round2((c.total / total) * 100) : 0,
+      }));
+
+    // Per-bucket breakdown (empty buckets included so charts line up)
+    const periods = buckets.map((bucket) => {
+      const key = periodKey(bucket);
+      const inBucket = rows.filter((r) => periodKey(r._id.period) === key);
+      const bucketTotal = inBucket.reduce((sum, r) => sum + r.total, 0);
+
+      return {
+        period: key,
+        total: round2(bucketTotal),
+        categories: inBucket
+          .sort((a, b) => b.total - a.total)
+          .map((r) => ({
+            categoryId: r._id.categoryId || null,
+            total: round2(r.total),
+            percentage: bucketTotal ? round2((r.total / bucketTotal) * 100) : 0,
+          })),
+      };
+    });
+
+    res.status(200).json({
+      type: filters.type,
+      from: filters.from,
+      to: filters.to,
+      granularity,
+      baseCurrency: await getBaseCurrency(ledgerId),
+      total: round2(total),
+      categories,
+      periods,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// --------------------------------------------------
+// GET /report/trends
+// Per-category totals for each bucket with the change against the
+// previous bucket (MoM for months) and the same bucket a year earlier (YoY)
+// `from` is moved back to the start of its bucket so buckets compare whole
+// Example: /report/trends?granularity=month&from=2024-01-01&to=2024-06-30
+// --------------------------------------------------
+router.get("/trends", async (req, res, next) => {
+  try {
+    const { userId, isAuthenticated } = getAuth(req);
+
+    // Block request if user is not authenticated
+    if (!isAuthenticated || !userId) {
+      return res.status(401).json({ message: "Not authenticated" });
+    }
+
+    const ledgerId = req.ledger._id;
+
+    const { filters, granularity, buckets } = await parseReportQuery(ledgerId, req.query, {
+      typed: true,
+    });
+
+    // Same bucket one year earlier (52 weeks for weekly reports)
+    const lastYear = (bucket) =>
+      granularity === "week" ? addBuckets(bucket, "week", -52) : addBuckets(bucket, "year", -1);
+
+    // Fetch enough history for the first bucket's comparisons
+    const first = buckets[0];
+    const lookback = [addBuckets(first, granularity, -1), lastYear(first)];
+    const from = new Date(Math.min(...lookback.map((d) => d.getTime())));
+
+    const grouped = await db
+      .collection("transactions")
+      .aggregate([
+        ...reportMatchStages(ledgerId, { ...filters, from }),
+        ...splitCategoryStages(filters.categoryIds),
+        {
+          $group: {
+            _id: { period: bucketExpression(granularity), categoryId: "$categoryId" },
+            total: { $sum: BASE_AMOUNT },
+          },
+        },
+      ])
+      .toArray();
+    const rows = filters.rollup ? await rollUpRows(ledgerId, grouped) : grouped;
+
+    // categoryId -> (period -> total)
+    const series = new Map();
+    const ids = new Map();
+    for (const row of rows) {
+      const key = String(row._id.categoryId);
+      if (!series.has(key)) {
+        series.set(key, new Map());
+        ids.set(key, row._id.categoryId);
+      }
+      series.get(key).set(periodKey(row._id.period), row.total);
+    }
+
+    const describe = await categoryDetails(ledgerId, [...ids.values()]);
+
+    const categories = [];
+    for (const [key, totals] of series) {
+      const periods = buckets.map((bucket) => {
+        const total = totals.get(periodKey(bucket)) || 0;
+        const previous = totals.get(periodKey(addBuckets(bucket, granularity, -1))) || 0;
+        const sameLastYear = totals.get(periodKey(lastYear(bucket))) || 0;
+
+        return {
+          period: periodKey(bucket),
+          total: round2(total),
+          previous: round2(previous),
+          change: percentChange(total, previous),
+          lastYear: round2(sameLastYear),
+          yearOverYearChange: percentChange(total, sameLastYear),
+        };
+      });
+
+      // Categories only seen in the lookback window have nothing to chart
+      if (periods.every((p) => !p.total)) continue;
+
+      categories.push({
+        ...describe(ids.get(key)),
+        total: round2(periods.reduce((sum, p) => sum + p.total, 0)),
+        periods,
+      });
+    }
+    categories.sort((a, b) => b.total - a.total);
+
+    res.status(200).json({
+      type: filters.type,
+      from: bucketStart(filters.from, granularity),
+      to: filters.to,
+      granularity,
+      baseCurrency: await getBaseCurrency(ledgerId),
+      categories,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// --------------------------------------------------
+// GET /report/merchants
+// Top notes (merchants, payees) by total amount over the period
+// Notes are grouped case-insensitively, ignoring surrounding spaces
+// Example: /report/merchants?type=expense&limit=5&granularity=month
+// --------------------------------------------------
+router.get("/merchants", async (req, res, next) => {
+  try {
+    const { userId, isAuthenticated } = getAuth(req);
+
+    // Block request if user is not authenticated
+    if (!isAuthenticated || !userId) {
+      return res.status(401).json({ message: "Not authenticated" });
+    }
+
+    const ledgerId = req.ledger._id;
+
+    const { filters, granularity, buckets } = await parseReportQuery(ledgerId, req.query, {
+      typed: true,
+    });
+
+    const limit = req.query.limit === undefined ? DEFAULT_TOP : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_TOP) {
+      return res
+        .status(400)
+        .json({ message: `limit must be an integer between 1 and ${MAX_TOP}` });
+    }
+
+    const rows = await db
+      .collection("transactions")
+      .aggregate([
+        ...reportMatchStages(ledgerId, filters),
+        {
+          $addFields: {
+            merchant: { $toLower: { $trim: { input: { $ifNull: ["$note", ""] } } } },
+          },
+        },
+        { $match: { merchant: { $ne: "" } } },
+
+        // Newest first so $first picks the latest spelling of the note
+        { $sort: { date: -1 } },
+        {
+          $group: {
+            _id: { merchant: "$merchant", period: bucketExpression(granularity) },
+            note: { $first: "$note" },
+            total: { $sum: BASE_AMOUNT },
+            count: { $sum: 1 },
+            lastDate: { $first: "$date" },
+          },
+        },
+        { $sort: { lastDate: -1 } },
+        {
+          $group: {
+            _id: "$_id.merchant",
+            note: { $first: "$note" },
+            total: { $sum: "$total" },
+            count: { $sum: "$count" },
+            lastDate: { $first: "$lastDate" },
+            periods: { $push: { period: "$_id.period", total: "$total" } },
+          },
+        },
+        { $sort: { total: -1, _id: 1 } },
+        { $limit: limit },
+      ])
+      .toArray();
+
+    const merchants = rows.map((row) => {
+      const totals = new Map(row.periods.map((p) => [periodKey(p.period), p.total]));
+      return {
+        note: row.note.trim(),
+        total: round2(row.total),
+        count: row.count,
+        average: round2(row.total / row.count),
+        lastDate: row.lastDate,
+        periods: buckets.map((bucket) => ({
+          period: periodKey(bucket),
+          total: round2(totals.get(periodKey(bucket)) || 0),
+        })),
+      };
+    });
+
+    res.status(200).json({
+      type: filters.type,
+      from: filters.from,
+      to: filters.to,
+      granularity,
+      baseCurrency: await getBaseCurrency(ledgerId),
+      merchants,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// --------------------------------------------------
+// GET /report/daily-spend
+// Average expense per calendar day, overall and for each bucket
+// Days after today are not counted
+// Example: /report/daily-spend?from=2024-01-01&granularity=week
+// --------------------------------------------------
+router.get("/daily-spend", async (req, res, next) => {
+  try {
+    const { userId, isAuthenticated } = getAuth(req);
+
+    // Block request if user is not authenticated
+    if (!isAuthenticated || !userId) {
+      return res.status(401).json({ message: "Not authenticated" });
+    }
+
+    const ledgerId = req.ledger._id;
+
+    const { filters, granularity, buckets } = await parseReportQuery(ledgerId, req.query);
+
+    const rows = await db
+      .collection("transactions")
+      .aggregate([
+        ...reportMatchStages(ledgerId, { ...filters, type: "expense" }),
+        {
+          $group: {
+            _id: bucketExpression(granularity),
+            total: { $sum: BASE_AMOUNT },
+          },
+        },
+      ])
+      .toArray();
+    const totals = new Map(rows.map((r) => [periodKey(r._id), r.total]));
+
+    const now = new Date();
+    const end = filters.to < now ? filters.to : now;
+
+    // Days of the bucket that fall inside the period, up to today
+    const daysIn = (bucket) => {
+      const start = bucket < filters.from ? filters.from : bucket;
+      const last = new Date(addBuckets(bucket, granularity, 1).getTime() - 1);
+      return start > end ? 0 : daysBetween(start, last < end ? last : end);
+    };
+
+    const periods = buckets.map((bucket) => {
+      const total = totals.get(periodKey(bucket)) || 0;
+      const days = daysIn(bucket);
+      return {
+        period: periodKey(bucket),
+        total: round2(total),
+        days,
+        average: days ? round2(total / days) : null,
+      };
+    });
+
+    const total = rows.reduce((sum, r) => sum + r.total, 0);
+    const days = filters.from > end ? 0 : daysBetween(filters.from, end);
+
+    res.status(200).json({
+      from: filters.from,
+      to: filters.to,
+      granularity,
+      baseCurrency: await getBaseCurrency(ledgerId),
+      total: round2(total),
+      days,
+      average: days ? round2(total / days) : null,
+      periods,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// --------------------------------------------------
+// GET /report/cashflow
+// Income, expense, net and savings rate for each bucket and overall
+// savingsRate = net / income * 100 (null when there is no income)
+// Example: /report/cashflow?granularity=quarter&from=2023-01-01
+// --------------------------------------------------
+router.get("/cashflow", async (req, res, next) => {
+  try {
+    const { userId, isAuthenticated } = getAuth(req);
+
+    // Block request if user is not authenticated
+    if (!isAuthenticated || !userId) {
+      return res.status(401).json({ message: "Not authenticated" });
+    }
+
+    const ledgerId = req.ledger._id;
+
+    const { filters, granularity, buckets } = await parseReportQuery(ledgerId, req.query);
+
+    const rows = await db
+      .collection("transactions")
+      .aggregate([
+        ...reportMatchStages(ledgerId, filters),
+        {
+          $group: {
+            _id: bucketExpression(granularity),
+            income: {
+              $sum: { $cond: [{ $eq: ["$type", "income"] }, BASE_AMOUNT, 0] },
+            },
+            expense: {
+              $sum: { $cond: [{ $eq: ["$type", "expense"] }, BASE_AMOUNT, 0] },
+            },
+          },
+        },
+      ])
+      .toArray();
+    const byPeriod = new Map(rows.map((r) => [periodKey(r._id), r]));
+
+    const summarize = (income, expense) => ({
+      income: round2(income),
+      expense: round2(expense),
+      net: round2(income - expense),
+      savingsRate: income > 0 ? round2(((income - expense) / income) * 100) : null,
+    });
+
+    const periods = buckets.map((bucket) => {
+      const row = byPeriod.get(periodKey(bucket));
+      return {
+        period: periodKey(bucket),
+        ...summarize(row ? row.income : 0, row ? row.expense : 0),
+      };
+    });
+
+    res.status(200).json({
+      from: filters.from,
+      to: filters.to,
+      granularity,
+      baseCurrency: await getBaseCurrency(ledgerId),
+      totals: summarize(
+        rows.reduce((sum, r) => sum + r.income, 0),
+        rows.reduce((sum, r) => sum + r.expense, 0)
+      ),
+      periods,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Export router for use in main app
+export default router;
@@ -0,0 +1,378 @@
+// routes/rule.js
+// Handles CRUD operations for categorization rules (see utils/categoryRules.js)
+// and applying them to transactions that have no category yet
+// Rules are also applied by POST /transaction and statement imports
+
+import express from "express";
+import db, { client } from "../db/conn.js";  // MongoDB connection instance + client for sessions
+import { ObjectId } from "mongodb";          // Used to convert string IDs to MongoDB ObjectId
+import { getAuth } from "@clerk/express";    // Clerk authentication helper
+import { TRANSACTION_TYPES } from "../utils/transactionQuery.js";
+import {
+  MAX_RULE_PATTERN_LENGTH,
+  RULE_CONDITIONS,
+  hasCondition,
+  parseNotePattern,
+  loadRules,
+  findMatchingRule,
+} from "../utils/categoryRules.js";
+import { badRequest, notFound } from "../utils/errors.js";
+import { validate, validateFields, objectIdParam } from "../utils/validation.js";
+import { NOT_DELETED, recordAudit } from "../utils/audit.js";
+import { NEXT_VERSION } from "../utils/versioning.js";
+import { idempotent } from "../middleware/idempotency.js";
+
+const router = express.Router();
+
+// Most changes listed in an apply response (all of them are still applied)
+const MAX_LISTED_CHANGES = 500;
+
+// Fields a client may set on a rule; null clears a condition
+export const RULE_FIELDS = {
+  name: { type: "string", nullable: true, trim: true, maxLength: 100 },
+  categoryId: { type: "objectId", required: true },
+  priority: { type: "number", check: Number.isInteger, message: "must be an integer" },
+  enabled: { type: "boolean" },
+  noteContains: {
+    type: "string",
+    nullable: true,
+    trim: true,
+    minLength: 1,
+    maxLength: MAX_RULE_PATTERN_LENGTH,
+  },
+  noteMatches: {
+    type: "string",
+    nullable: true,
+    check: (value) => parseNotePattern(value) !== null,
+    message:
+      `must be a valid RE2 regular expression (at most ${MAX_RULE_PATTERN_LENGTH} characters, ` +
+      "flags i, m, s, u; no backreferences or lookarounds)",
+  },
+  amountEquals: { type: "number", nullable: true, min: 0 },
+  amountMin: { type: "number", nullable: true, min: 0 },
+  amountMax: { type: "number", nullable: true, min: 0 },
+};
+
+const validateRule = validate({ body: RULE_FIELDS });
+const validateRuleUpdate = validate({ body: RULE_FIELDS }, { partial: true });
+
+// Reject malformed ids before they reach a query
+router.param("id", objectIdParam);
+
+/**
+ * Check the combined conditions of a rule
+ * @param {Object} rule - rule fields after validation (and merging for updates)
+ * @throws {HttpError} 400 when no condition is set or the amount range is empty
+ */
+function checkConditions(rule) {
+  if (!hasCondition(rule)) {
+    throw badRequest(`A rule needs at least one of: ${RULE_CONDITIONS.join(", ")}`);
+  }
+  if (rule.amountMin != null && rule.amountMax != null && rule.amountMin > rule.amountMax) {
+    throw badRequest("Invalid rule", [
+      { field: "amountMin", message: "must not be greater than amountMax" },
+    ]);
+  }
+}
+
+/**
+ * Make sure the rule's target category belongs to the ledger
+ * @param {ObjectId} ledgerId - ledger id
+ * @param {ObjectId} categoryId
+ * @throws {HttpError} 404 when the category does not exist
+ */
+async function assertCategory(ledgerId, categoryId) {
+  const category = await db
+    .collection("categories")
+    .findOne({ _id: categoryId, ledgerId, ...NOT_DELETED });
+  if (!category) throw notFound("Category not found");
+}
+
+// --------------------------------------------------
+// GET /rule
+// Fetch the ledger's rules in the order they are tried
+// categoryMissing marks rules whose category was deleted (they never match)
+// --------------------------------------------------
+router.get("/", async (req, res, next) => {
+  try {
+    const { userId, isAuthenticated } = getAuth(req);
+
+    // Block request if user is not authenticated
+    if (!isAuthenticated || !userId) {
+      return res.status(401).json({ message: "Not authenticated" });
+    }
+
+    const ledgerId = req.ledger._id;
+
+    const [rules, categories] = await Promise.all([
+      db
+        .collection("categoryRules")
+        .find({ ledgerId })
+        .sort({ priority: -1, createdAt: 1 })
+        .toArray(),
+      db.collection("categories").find({ ledgerId, ...NOT_DELETED }).project({ _id: 1 }).toArray(),
+    ]);
+    const known = new Set(categories.map((c) => String(c._id)));
+
+    res.status(200).send(
+      rules.map((rule) => ({ ...rule, categoryMissing: !known.has(String(rule.categoryId)) }))
+    );
+  } catch (err) {
+    next(err);
+  }
+});
+
+// --------------------------------------------------
+// POST /rule
+// Create a categorization rule
+// --------------------------------------------------
+router.post("/", idempotent, validateRule, async (req, res, next) => {
+  try {
+    const { userId, isAuthenticated } = getAuth(req);
+
+    // Ensure user is authenticated
+    if (!isAuthenticated || !userId) {
+      return res.status(401).json({ message: "Not authenticated" });
+    }
+
+    const ledgerId = req.ledger._id;
+
+    checkConditions(req.body);
+    await assertCategory(ledgerId, req.body.categoryId);
+
+    // Rule document
+    const rule = {
+      ledgerId,               // 🔐 Ledger the rule belongs to
+      userId,                 // Member who created it
+      name: req.body.name || null,
+      categoryId: req.body.categoryId,
+      priority: req.body.priority ?? 0,
+      enabled: req.body.enabled ?? true,
+      ...Object.fromEntries(RULE_CONDITIONS.map((field) => [field, req.body[field] ?? null])),
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    };
+
+    const result = await db.collection("categoryRules").insertOne(rule);
+
+    // 201 Created
+    res.status(201).send(result);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// --------------------------------------------------
+// POST /rule/apply
+// Categorize transactions without a category, including those whose
+// category was deleted. Split transactions and transfers are left alone.
+// Body: { dryRun = true } – a dry run only lists the changes
+// --------------------------------------------------
+router.post("/apply", async (req, res, next) => {
+  try {
+    const { userId, isAuthenticated } = getAuth(req);
+
+    // Ensure user is authenticated
+    if (!isAuthenticated || !userId) {
+      return res.status(401).json({ message: "Not authenticated" });
+    }
+
+    const ledgerId = req.ledger._id;
+
+    const { dryRun = true } = validateFields(
+      { dryRun: { type: "boolean" } },
+      req.body || {}
+    );
+
+    const [rules, categories] = await Promise.all([
+      loadRules(ledgerId),
+      db.collection("categories").find({ ledgerId, ...NOT_DELETED }).project({ name: 1 }).toArray(),
+    ]);
+    const nameById = new Map(categories.map((c) => [String(c._id), c.name]));
+
+    // $nin also matches a null or missing categoryId
+    const cursor = db
+      .collection("transactions")
+      .find({
+        ledgerId,
+        ...NOT_DELETED,
+        type: { $in: TRANSACTION_TYPES },
+        categoryId: { $nin: categories.map((c) => c._id) },
+        $or: [{ splits: { $exists: false } }, { splits: { $size: 0 } }],
+      })
+      .project({ date: 1, type: 1, amount: 1, note: 1, categoryId: 1 })
+      .sort({ date: -1 });
+
+    let scanned = 0;
+    const changes = [];
+    for await (const transaction of cursor) {
+      scanned += 1;
+      const rule = findMatchingRule(rules, transaction);
+      if (!rule) continue;
+
+      changes.push({
+        transactionId: transaction._id,
+        date: transaction.date,
+        type: transaction.type,
+        amount: transaction.amount,
+        note: transaction.note,
+        fromCategoryId: transaction.categoryId ?? null,
+        toCategoryId: rule.categoryId,
+        toCategoryName: nameById.get(String(rule.categoryId)),
+        ruleId: rule._id,
+        ruleName: rule.name,
+      });
+    }
+
+    let updated = 0;
+    if (!dryRun && changes.length) {
+      const session = client.startSession();
+      try {
+        await session.withTransaction(async () => {
+          const transactions = db.collection("transactions");
+          const changeById = new Map(
+            changes.map((change) => [String(change.transactionId), change])
+          );
+
+          // Only rows that are still uncategorized as seen above are changed
+          const before = (
+            await transactions
+              .find(
+                { _id: { $in: changes.map((c) => c.transactionId) }, ledgerId, ...NOT_DELETED },
+                { session }
+              )
+              .toArray()
+          ).filter((doc) => {
+            const { fromCategoryId } = changeById.get(String(doc._id));
+            return String(doc.categoryId ?? null) === String(fromCategoryId);
+          });
+          if (!before.length) return;
+
+          const now = new Date();
+          await transactions.bulkWrite(
+            before.map((doc) => {
+              const change = changeById.get(String(doc._id));
+              return {
+                updateOne: {
+                  filter: { _id: doc._id, ledgerId },
+                  update: {
+                    $set: {
+                      categoryId: change.toCategoryId,
+                      categoryRuleId: change.ruleId,
+                      updatedAt: now,
+                    },
+                    $inc: NEXT_VERSION,
+                  },
+                },
+              };
+            }),
+            { ordered: false, session }
+          );
+
+          const after = await transactions
+            .find({ _id: { $in: before.map((doc) => doc._id) }, ledgerId }, { session })
+            .toArray();
+          const afterById = new Map(after.map((doc) => [String(doc._id), doc]));
+          await recordAudit(
+            before.map((doc) => ({
+              ledgerId,
+              userId,
+              entity: "transaction",
+              action: "update",
+              before: doc,
+              after: afterById.get(String(doc._id)),
+              meta: { categoryRuleId: changeById.get(String(doc._id)).ruleId },
+            })),
+            { session }
+          );
+          updated = before.length;
+        });
+      } finally {
+        await session.endSession();
+      }
+    }
+
+    res.json({
+      dryRun,
+      scanned,
+      matched: changes.length,
+      updated,
+      changes: changes.slice(0, MAX_LISTED_CHANGES),
+      truncated: changes.length > MAX_LISTED_CHANGES,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// --------------------------------------------------
+// PUT /rule/:id
+// Update a rule only if it belongs to the ledger
+// --------------------------------------------------
+router.put("/:id", validateRuleUpdate, async (req, res, next) => {
+  try {
+    const { userId, isAuthenticated } = getAuth(req);
+
+    // Block unauthenticated users
+    if (!isAuthenticated || !userId) {
+      return res.status(401).json({ message: "Not authenticated" });
+    }
+
+    const ledgerId = req.ledger._id;
+
+    const collection = db.collection("categoryRules");
+    const existing = await collection.findOne({ _id: new ObjectId(req.params.id), ledgerId });
+
+    if (!existing) {
+      return res.status(404).json({ message: "Rule not found" });
+    }
+
+    // Conditions are checked on the rule as it will be stored
+    checkConditions({ ...existing, ...req.body });
+    if (req.body.categoryId) {
+      await assertCategory(ledgerId, req.body.categoryId);
+    }
+
+    await collection.updateOne(
+      { _id: existing._id, ledgerId },
+      { $set: { ...req.body, updatedAt: new Date() } }
+    );
+
+    res.json({ message: "Rule updated successfully" });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// --------------------------------------------------
+// DELETE /rule/:id
+// Delete a rule only if it belongs to the ledger
+// Transactions it already categorized keep their category
+// --------------------------------------------------
+router.delete("/:id", async (req, res, next) => {
+  try {
+    const { userId, isAuthenticated } = getAuth(req);
+
+    // Authentication check
+    if (!isAuthenticated || !userId) {
+      return res.status(401).json({ message: "Not authenticated" });
+    }
+
+    const ledgerId = req.ledger._id;
+
+    const result = await db
+      .collection("categoryRules")
+      .deleteOne({ _id: new ObjectId(req.params.id), ledgerId });
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ message: "Rule not found" });
+    }
+
+    res.json({ message: "Rule deleted successfully" });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Export router for use in main app
+export default router;
@@ -0,0 +1,221 @@
+// routes/settings.js
+// Handles ledger settings (currently the base reporting currency)
+
+import express from "express";
+import db, { client } from "../db/conn.js";  // MongoDB connection instance + client for sessions
+import { getAuth } from "@clerk/express";    // Clerk authentication helper
+import { getLedgerSettings } from "../utils/settings.js";
+import { requireLedgerRole } from "../middleware/ledger.js";
+import { isSupportedCurrency, getSeries, getConversionRate } from "../utils/fx.js";
+import { NEXT_VERSION } from "../utils/versioning.js";
+import { validate } from "../utils/validation.js";
+import { logger } from "../utils/logger.js";
+
+const router = express.Router();
+
+// Fields an owner may set; everything else is ignored
+export const SETTINGS_FIELDS = {
+  baseCurrency: {
+    type: "string",
+    required: true,
+    check: isSupportedCurrency,
+    message: "must be a supported currency code",
+  },
+};
+
+const validateSettings = validate({ body: SETTINGS_FIELDS });
+
+// Milliseconds in a day
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Rate against a new base currency for every (currency, day) pair the
+ * ledger's transactions use
+ * Read from the monthly series cache, one lookup per currency and month;
+ * days without a published rate (weekends, holidays) take the closest earlier one
+ * @param {ObjectId} ledgerId - ledger id
+ * @param {string} previousBase - currency of transactions saved without one
+ * @param {string} nextBase - new base currency
+ * @returns {Promise<{ currency: string, day: string, rate: number }[]>}
+ */
+async function fetchRerates(ledgerId, previousBase, nextBase) {
+  const pairs = await db
+    .collection("transactions")
+    .aggregate([
+      { $match: { ledgerId } },
+      {
+        $group: {
+          _id: {
+            // Transactions saved before multi-currency support were in the old base
+            currency: { $ifNull: ["$currency", previousBase] },
+            day: { $dateToString: { date: { $toDate: "$date" }, format: "%Y-%m-%d" } },
+          },
+        },
+      },
+    ])
+    .toArray();
+
+  const daysByMonth = new Map(); // "CURRENCY:YYYY-MM" -> days
+  for (const { _id } of pairs) {
+    const key = `${_id.currency}:${_id.day.slice(0, 7)}`;
+    daysByMonth.set(key, [...(daysByMonth.get(key) || []), _id.day]);
+  }
+
+  const rerates = [];
+  for (const [key, days] of daysByMonth) {
+    const [currency, month] = key.split(":");
+    days.sort();
+
+    let published = {};
+    if (currency !== nextBase) {
+      // A week back covers the days before the month's first published rate
+      const from = new Date(Date.parse(`${month}-01`) - 7 * DAY_MS).toISOString().slice(0, 10);
+      ({ rates: published } = await getSeries({
+        base: currency,
+        symbols: [nextBase],
+        from,
+        to: days.at(-1),
+      }));
+    }
+    const publishedDays = Object.keys(published).sort();
+
+    for (const day of days) {
+      const closest = publishedDays.findLast((publishedDay) => publishedDay <= day);
+      let rate = currency === nextBase ? 1 : published[closest]?.[nextBase];
+      // Nothing published on or before the day (e.g. a future date): use the latest rate
+      if (typeof rate !== "number") {
+        rate = await getConversionRate(currency, nextBase, new Date(day));
+      }
+      rerates.push({ currency, day, rate });
+    }
+  }
+
+  return rerates;
+}
+
+/**
+ * Save the base currency together with the restated rates, in one MongoDB
+ * transaction, so a failure leaves every rate against the previous base
+ * @param {ObjectId} ledgerId - ledger id
+ * @param {string} userId - owner making the change
+ * @param {string} previousBase - base currency the stored rates refer to
+ * @param {string} baseCurrency - new base currency
+ * @param {{ currency: string, day: string, rate: number }[]} rerates - from fetchRerates
+ * @returns {Promise<number>} number of transactions updated
+ */
+async function saveBaseCurrency(ledgerId, userId, previousBase, baseCurrency, rerates) {
+  const transactions = db.collection("transactions");
+  let rerated = 0;
+
+  const session = client.startSession();
+  try {
+    await session.withTransaction(async () => {
+      if (rerates.length > 0) {
+        await transactions.updateMany(
+          { ledgerId, currency: { $exists: false } },
+          { $set: { currency: previousBase }, $inc: NEXT_VERSION },
+          { session }
+        );
+
+        const result = await transactions.bulkWrite(
+          rerates.map(({ currency, day, rate }) => {
+            const start = new Date(`${day}T00:00:00.000Z`);
+            return {
+              updateMany: {
+                filter: {
+                  ledgerId,
+                  currency,
+                  date: { $gte: start, $lt: new Date(start.getTime() + DAY_MS) },
+                },
+                update: { $set: { fxRate: rate }, $inc: NEXT_VERSION },
+              },
+            };
+          }),
+          { session }
+        );
+        rerated = result.modifiedCount;
+      }
+
+      await db.collection("settings").updateOne(
+        { ledgerId },
+        {
+          $set: { baseCurrency, updatedAt: new Date() },
+          $setOnInsert: { ledgerId, userId, createdAt: new Date() },
+        },
+        { upsert: true, session }
+      );
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  return rerated;
+}
+
+// --------------------------------------------------
+// GET /settings
+// Fetch the settings of the current ledger
+// --------------------------------------------------
+router.get("/", async (req, res, next) => {
+  try {
+    const { userId, isAuthenticated } = getAuth(req);
+
+    // Block request if user is not authenticated
+    if (!isAuthenticated || !userId) {
+      return res.status(401).json({ message: "Not authenticated" });
+    }
+
+    res.status(200).json(await getLedgerSettings(req.ledger._id));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// --------------------------------------------------
+// PUT /settings
+// Update the settings of the current ledger (owner only)
+// Changing baseCurrency restates stored rates against the new base; all
+// rates are fetched before anything is written
+// --------------------------------------------------
+router.put("/", requireLedgerRole("owner"), validateSettings, async (req, res, next) => {
+  try {
+    const { userId, isAuthenticated } = getAuth(req);
+
+    // Block unauthenticated users
+    if (!isAuthenticated || !userId) {
+      return res.status(401).json({ message: "Not authenticated" });
+    }
+
+    const ledgerId = req.ledger._id;
+    const { baseCurrency } = req.body;
+
+    const current = await getLedgerSettings(ledgerId);
+
+    let rerates = [];
+    if (current.baseCurrency !== baseCurrency) {
+      try {
+        rerates = await fetchRerates(ledgerId, current.baseCurrency, baseCurrency);
+      } catch (err) {
+        logger.error("FX API error", { err });
+        return res
+          .status(502)
+          .json({ message: "Failed to fetch exchange rates for the new base currency" });
+      }
+    }
+
+    const rerated = await saveBaseCurrency(
+      ledgerId,
+      userId,
+      current.baseCurrency,
+      baseCurrency,
+      rerates
+    );
+
+    res.json({ message: "Settings updated successfully", baseCurrency, rerated });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Export router for use in main app
+export default router;
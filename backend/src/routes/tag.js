@@ -0,0 +1,228 @@
+// routes/tag.js
+// Lists a ledger's transaction tags and renames or merges them
+// Tags live on the transactions themselves (see utils/tags.js); there is no
+// separate tag collection
+
+import express from "express";
+import db, { client } from "../db/conn.js";  // MongoDB connection instance + client for sessions
+import { getAuth } from "@clerk/express";    // Clerk authentication helper
+import {
+  parseTransactionFilters,
+  transactionMatchStages,
+  tagGroupStages,
+} from "../utils/transactionQuery.js";
+import { getBaseCurrency } from "../utils/settings.js";
+import { normalizeTag, normalizeTags, INVALID_TAG_MESSAGE } from "../utils/tags.js";
+import { recordAudit } from "../utils/audit.js";
+import { withNextVersion } from "../utils/versioning.js";
+import { badRequest, notFound } from "../utils/errors.js";
+import { validate } from "../utils/validation.js";
+
+const router = express.Router();
+
+const validateRename = validate({ body: { name: { type: "string", required: true } } });
+const validateMerge = validate({
+  body: {
+    sources: { type: "array", required: true },
+    target: { type: "string", required: true },
+  },
+});
+
+/**
+ * Normalize a single tag from a request
+ * @param {*} value
+ * @param {string} field - field name used in error details
+ * @returns {string}
+ * @throws {HttpError} 400 when it is not a valid tag
+ */
+function requireTag(value, field) {
+  const tag = normalizeTag(value);
+  if (!tag) throw badRequest("Invalid tag", [{ field, message: INVALID_TAG_MESSAGE }]);
+  return tag;
+}
+
+/**
+ * Replace some tags with another one on every transaction, atomically
+ * Trashed transactions are included so they match if restored; recurring
+ * templates follow too. Each changed transaction gets an audit entry.
+ * @param {ObjectId} ledgerId - ledger id
+ * @param {string} userId - member making the change (for the audit log)
+ * @param {string[]} sources - tags being replaced
+ * @param {string} target - tag replacing them (kept once per transaction)
+ * @returns {Promise<{ transactions: number, recurring: number }>}
+ */
+async function retag(ledgerId, userId, sources, target) {
+  const now = new Date();
+  const moved = {};
+
+  // Drop the sources, then add the target unless the transaction has it
+  // Tags are $literal: one starting with "$" would otherwise read as a field path
+  const literalSources = { $literal: sources };
+  const literalTarget = { $literal: target };
+  const replaceTags = (path) => [
+    {
+      $set: {
+        [path]: {
+          $concatArrays: [
+            {
+              $filter: {
+                input: `$${path}`,
+                cond: { $not: { $in: ["$$this", literalSources] } },
+              },
+            },
+            { $cond: [{ $in: [literalTarget, `$${path}`] }, [], [{ $literal: [target] }]] },
+          ],
+        },
+        updatedAt: now,
+      },
+    },
+  ];
+
+  const session = client.startSession();
+  try {
+    await session.withTransaction(async () => {
+      const transactions = db.collection("transactions");
+      const tagged = { ledgerId, tags: { $in: sources } };
+
+      const before = await transactions.find(tagged, { session }).toArray();
+      const ids = { ledgerId, _id: { $in: before.map((t) => t._id) } };
+      await transactions.updateMany(ids, withNextVersion(replaceTags("tags")), { session });
+      const after = await transactions.find(ids, { session }).toArray();
+      const afterById = new Map(after.map((t) => [String(t._id), t]));
+
+      await recordAudit(
+        before.map((doc) => ({
+          ledgerId,
+          userId,
+          entity: "transaction",
+          action: "update",
+          before: doc,
+          after: afterById.get(String(doc._id)),
+          meta: { retag: { sources, target } },
+        })),
+        { session }
+      );
+      moved.transactions = before.length;
+
+      const recurring = await db
+        .collection("recurring")
+        .updateMany(
+          { ledgerId, "template.tags": { $in: sources } },
+          replaceTags("template.tags"),
+          { session }
+        );
+      moved.recurring = recurring.modifiedCount;
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  return moved;
+}
+
+// --------------------------------------------------
+// GET /tag
+// The ledger's tags with usage counts and totals in the base currency,
+// over the optional transaction filters (from, to, type, ...)
+// --------------------------------------------------
+router.get("/", async (req, res, next) => {
+  try {
+    const { userId, isAuthenticated } = getAuth(req);
+
+    // Block request if user is not authenticated
+    if (!isAuthenticated || !userId) {
+      return res.status(401).json({ message: "Not authenticated" });
+    }
+
+    const ledgerId = req.ledger._id;
+
+    // Parse filters (throws 400 errors)
+    const filters = parseTransactionFilters(req.query);
+
+    const [tags, baseCurrency] = await Promise.all([
+      db
+        .collection("transactions")
+        .aggregate([
+          ...transactionMatchStages(ledgerId, filters),
+          { $match: { "tags.0": { $exists: true } } },
+          ...tagGroupStages(),
+          { $sort: { transactionCount: -1, tag: 1 } },
+        ])
+        .toArray(),
+      getBaseCurrency(ledgerId),
+    ]);
+
+    res.status(200).json(tags.map((tag) => ({ ...tag, baseCurrency })));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// --------------------------------------------------
+// PUT /tag/:tag
+// Rename a tag on every transaction
+// Renaming to a tag that already exists merges the two
+// Body: { name }
+// --------------------------------------------------
+router.put("/:tag", validateRename, async (req, res, next) => {
+  try {
+    const { userId, isAuthenticated } = getAuth(req);
+
+    // Block unauthenticated users
+    if (!isAuthenticated || !userId) {
+      return res.status(401).json({ message: "Not authenticated" });
+    }
+
+    const ledgerId = req.ledger._id;
+
+    const tag = requireTag(req.params.tag, "tag");
+    const name = requireTag(req.body.name, "name");
+    if (tag === name) {
+      throw badRequest("The new name is the same as the current one");
+    }
+
+    const moved = await retag(ledgerId, userId, [tag], name);
+    if (!moved.transactions && !moved.recurring) {
+      throw notFound("Tag not found");
+    }
+
+    res.json({ message: "Tag renamed successfully", tag: name, moved });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// --------------------------------------------------
+// POST /tag/merge
+// Fold several tags into one
+// Body: { sources: ["trip", "travel"], target: "travel" }
+// --------------------------------------------------
+router.post("/merge", validateMerge, async (req, res, next) => {
+  try {
+    const { userId, isAuthenticated } = getAuth(req);
+
+    // Ensure user is authenticated
+    if (!isAuthenticated || !userId) {
+      return res.status(401).json({ message: "Not authenticated" });
+    }
+
+    const ledgerId = req.ledger._id;
+
+    const target = requireTag(req.body.target, "target");
+    const sources = normalizeTags(req.body.sources, "sources").filter((tag) => tag !== target);
+    if (!sources.length) {
+      throw badRequest("Invalid request body", [
+        { field: "sources", message: "must name at least one tag other than target" },
+      ]);
+    }
+
+    const moved = await retag(ledgerId, userId, sources, target);
+
+    res.json({ message: "Tags merged successfully", tag: target, moved });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Export router for use in main app
+export default router;
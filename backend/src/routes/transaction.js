@@ -1,22 +1,505 @@
 // routes/transaction.js
-// Handles CRUD operations for user transactions
+// Handles CRUD operations for the transactions of a ledger
 // Includes aggregation for monthly grouping, totals, and category joins
+// Changes are recorded in the audit log and deletes go to the trash
+// (see utils/audit.js)
 
 import express from "express";
-import db from "../db/conn.js";                // MongoDB connection instance
+import db, { client } from "../db/conn.js";    // MongoDB connection instance + client for sessions
 import { ObjectId } from "mongodb";            // For converting string IDs to ObjectId
 import { getAuth } from "@clerk/express";      // Clerk authentication helper
+import {
+  TRANSACTION_TYPES,
+  TRANSFER_TYPE,
+  parseTransactionFilters,
+  parseMonthPage,
+  toMonthCursor,
+  transactionMatchStages,
+  monthListStages,
+  monthlyGroupStages,
+  tagGroupStages,
+} from "../utils/transactionQuery.js";
+import { isSupportedCurrency, getConversionRate } from "../utils/fx.js";
+import { getBaseCurrency } from "../utils/settings.js";
+import { badRequest, notFound } from "../utils/errors.js";
+import { loadRules, findMatchingRule } from "../utils/categoryRules.js";
+import { expandCategoryFilter } from "../utils/categoryTree.js";
+import { validate, objectIdParam, isObjectId } from "../utils/validation.js";
+import { NOT_DELETED, recordAudit, updateManyWithAudit } from "../utils/audit.js";
+import {
+  INITIAL_VERSION,
+  NEXT_VERSION,
+  etagOf,
+  ifMatchFilter,
+  missedWriteError,
+  withNextVersion,
+} from "../utils/versioning.js";
+import { idempotent } from "../middleware/idempotency.js";
+import { normalizeTags, normalizeMetadata } from "../utils/tags.js";
+import imports from "./import.js";         // Bank statement import sub-router
+import attachments from "./attachment.js"; // Receipt / file attachment sub-router
+import { logger } from "../utils/logger.js";
 
 const router = express.Router();
 
+// Fields a client may set on a transaction; everything else is ignored
+export const TRANSACTION_FIELDS = {
+  date: { type: "date", required: true },
+  type: {
+    type: "string",
+    required: true,
+    enum: TRANSACTION_TYPES,
+    message: "must be income or expense (use POST /account/transfer for transfers)",
+  },
+  amount: { type: "number", required: true, min: 0 },
+  note: { type: "string", nullable: true, maxLength: 500 },
+  categoryId: { type: "objectId", nullable: true },
+  currency: {
+    type: "string",
+    check: isSupportedCurrency,
+    message: "must be a supported currency code",
+  },
+  accountId: { type: "objectId", nullable: true },
+  splits: { type: "array", nullable: true },
+  goalId: { type: "objectId", nullable: true },
+  tags: { type: "array", nullable: true },          // See utils/tags.js
+  metadata: { type: "object", nullable: true },
+};
+
+const validateListing = validate({
+  query: { groupBy: { type: "string", enum: ["month", "tag"] } },
+});
+const validateTransaction = validate({ body: TRANSACTION_FIELDS });
+const validateTransactionUpdate = validate(
+  {
+    query: { scope: { type: "string", enum: ["this", "future"] } },
+    body: TRANSACTION_FIELDS,
+  },
+  { partial: true }
+);
+
+// Most transactions one bulk operation may change
+const MAX_BULK_SIZE = 1000;
+
+// Largest date shift accepted by a bulk operation, in days
+const MAX_SHIFT_DAYS = 3660;
+
+// Operations POST /transaction/bulk can run
+const BULK_OPERATIONS = [
+  "recategorize",
+  "changeType",
+  "addTags",
+  "removeTags",
+  "shiftDate",
+  "delete",
+];
+
+// Body of POST /transaction/bulk; the operation decides which fields it needs
+const validateBulk = validate({
+  body: {
+    ids: {
+      type: "array",
+      check: (ids) => ids.length > 0 && ids.length <= MAX_BULK_SIZE && ids.every(isObjectId),
+      message: `must be a list of 1-${MAX_BULK_SIZE} valid ids`,
+    },
+    filter: { type: "object" },
+    operation: { type: "string", required: true, enum: BULK_OPERATIONS },
+    categoryId: { type: "objectId", nullable: true },
+    type: { type: "string", enum: TRANSACTION_TYPES },
+    tags: { type: "array" },
+    days: {
+      type: "number",
+      check: (days) => Number.isInteger(days) && days !== 0 && Math.abs(days) <= MAX_SHIFT_DAYS,
+      message: `must be a whole number of days from -${MAX_SHIFT_DAYS} to ${MAX_SHIFT_DAYS}, not 0`,
+    },
+    dryRun: { type: "boolean" },
+  },
+});
+
+// Split transactions carry their categories (and so their type) on the splits
+const WITHOUT_SPLITS = { $or: [{ splits: { $exists: false } }, { splits: { $size: 0 } }] };
+
+// Ensures the listing index is only created once per process
+let indexesReady = null;
+
+/**
+ * Create the index transaction listings rely on
+ * (a ledger's transactions by date; every filtered query starts with it)
+ * @returns {Promise<void>}
+ */
+function ensureIndexes() {
+  if (!indexesReady) {
+    indexesReady = db
+      .collection("transactions")
+      .createIndex({ ledgerId: 1, date: -1 })
+      .catch((err) => {
+        indexesReady = null; // Retry on the next call
+        throw err;
+      });
+  }
+  return indexesReady;
+}
+
+// Reject malformed ids before they reach a query
+router.param("id", objectIdParam);
+
+// Statement imports live under /transaction/import
+router.use("/import", imports);
+
+// Receipts and other files live under /transaction/:id/attachments
+router.use("/:id/attachments", attachments);
+
+/**
+ * Validate split lines of a transaction
+ * Each split needs its own category and a positive amount, and the splits
+ * must add up to the parent amount
+ * @param {*} splits - raw splits from the request body
+ * @param {number} amount - parent transaction amount
+ * @returns {Object[]} normalized splits
+ * @throws {HttpError} 400 with the problem reported on the splits field
+ */
+function normalizeSplits(splits, amount) {
+  const invalid = (message) =>
+    badRequest("Invalid splits", [{ field: "splits", message }]);
+
+  if (!Array.isArray(splits) || splits.length < 2) {
+    throw invalid("must be a list of at least two entries");
+  }
+
+  const normalized = [];
+  for (const split of splits) {
+    if (!split || !isObjectId(split.categoryId)) {
+      throw invalid("each split needs a valid categoryId");
+    }
+    if (typeof split.amount !== "number" || !Number.isFinite(split.amount) || split.amount <= 0) {
+      throw invalid("each split needs a positive amount");
+    }
+    normalized.push({
+      categoryId: new ObjectId(split.categoryId),
+      amount: split.amount,
+      note: split.note || "",
+    });
+  }
+
+  // Compare in cents to avoid floating point noise
+  const total = normalized.reduce((sum, split) => sum + Math.round(split.amount * 100), 0);
+  if (total !== Math.round(amount * 100)) {
+    throw invalid("must add up to the transaction amount");
+  }
+
+  return normalized;
+}
+
+/**
+ * Look up one of the ledger's accounts for a transaction
+ * @param {ObjectId} ledgerId - ledger id
+ * @param {string|ObjectId} accountId - account id from the request
+ * @param {string} [currency] - transaction currency, must match the account's
+ * @returns {Promise<{ account?: Object, error?: { status: number, message: string } }>}
+ */
+async function findAccount(ledgerId, accountId, currency) {
+  const account = await db
+    .collection("accounts")
+    .findOne({ _id: new ObjectId(accountId), ledgerId });
+
+  if (!account) {
+    return { error: { status: 404, message: "Account not found" } };
+  }
+  if (currency && currency !== account.currency) {
+    return {
+      error: {
+        status: 400,
+        message: `currency must match the account currency (${account.currency})`,
+      },
+    };
+  }
+  return { account };
+}
+
+/**
+ * Make sure a savings goal belongs to the ledger
+ * @param {ObjectId} ledgerId - ledger id
+ * @param {ObjectId} goalId
+ * @throws {HttpError} 404 when the goal does not exist
+ */
+async function assertGoal(ledgerId, goalId) {
+  const goal = await db.collection("goals").findOne({ _id: goalId, ledgerId });
+  if (!goal) throw notFound("Goal not found");
+}
+
+/**
+ * Make sure the categories a transaction uses are active categories of the
+ * ledger and of the transaction's type (the main one and every split line)
+ * @param {ObjectId} ledgerId - ledger id
+ * @param {string} type - transaction type
+ * @param {ObjectId|null} categoryId - main category (null = none)
+ * @param {Object[]|null} splits - normalized split lines
+ * @throws {HttpError} 404 for a category the ledger does not have,
+ *   400 when one has another type
+ */
+async function assertCategories(ledgerId, type, categoryId, splits) {
+  const used = [
+    ...(categoryId ? [{ field: "categoryId", id: categoryId }] : []),
+    ...(splits || []).map((split, i) => ({
+      field: `splits[${i}].categoryId`,
+      id: split.categoryId,
+    })),
+  ];
+  if (!used.length) return;
+
+  const categories = await db
+    .collection("categories")
+    .find({ _id: { $in: used.map(({ id }) => id) }, ledgerId, ...NOT_DELETED })
+    .project({ type: 1 })
+    .toArray();
+  const typeById = new Map(categories.map((c) => [String(c._id), c.type]));
+
+  const details = [];
+  for (const { field, id } of used) {
+    if (!typeById.has(String(id))) throw notFound("Category not found");
+    if (typeById.get(String(id)) !== type) {
+      details.push({ field, message: `must be an ${type} category to match the transaction` });
+    }
+  }
+  if (details.length) throw badRequest("Invalid category", details);
+}
+
+/**
+ * Build the update for a bulk operation
+ * @param {ObjectId} ledgerId - ledger id
+ * @param {Object} input - validated POST /transaction/bulk body
+ * @returns {Promise<{ constraint: Object, update: Object|Object[] }>}
+ *   constraint: which selected transactions the operation applies to
+ *   update: MongoDB update (document or pipeline)
+ * @throws {HttpError} 400 when the operation's own field is missing, 404 for an unknown category
+ */
+async function bulkOperation(ledgerId, input) {
+  const now = new Date();
+  const required = (field) => {
+    if (input[field] === undefined) {
+      throw badRequest("Invalid request body", [
+        { field, message: `is required for ${input.operation}` },
+      ]);
+    }
+    return input[field];
+  };
+
+  switch (input.operation) {
+    case "recategorize": {
+      // null leaves the transactions uncategorized
+      const categoryId = required("categoryId");
+      let type = null;
+      if (categoryId) {
+        const category = await db
+          .collection("categories")
+          .findOne({ _id: categoryId, ledgerId, ...NOT_DELETED });
+        if (!category) throw notFound("Category not found");
+        type = category.type;
+      }
+      return {
+        constraint: { ...WITHOUT_SPLITS, ...(type && { type }) },
+        update: { $set: { categoryId, updatedAt: now }, $unset: { categoryRuleId: "" } },
+      };
+    }
+
+    case "changeType": {
+      // Categories belong to one type, so the old category no longer fits
+      const type = required("type");
+      return {
+        constraint: { ...WITHOUT_SPLITS, type: { $ne: type } },
+        update: {
+          $set: { type, categoryId: null, updatedAt: now },
+          $unset: { categoryRuleId: "" },
+        },
+      };
+    }
+
+    case "addTags": {
+      const tags = normalizeTags(required("tags"));
+      return {
+        constraint: { tags: { $not: { $all: tags } } },
+        update: { $addToSet: { tags: { $each: tags } }, $set: { updatedAt: now } },
+      };
+    }
+
+    case "removeTags": {
+      const tags = normalizeTags(required("tags"));
+      return {
+        constraint: { tags: { $in: tags } },
+        update: { $pull: { tags: { $in: tags } }, $set: { updatedAt: now } },
+      };
+    }
+
+    case "shiftDate": {
+      // Stored exchange rates are kept; occurrenceDate still identifies recurring occurrences
+      const days = required("days");
+      return {
+        constraint: {},
+        update: [
+          {
+            $set: {
+              date: { $dateAdd: { startDate: { $toDate: "$date" }, unit: "day", amount: days } },
+              updatedAt: now,
+            },
+          },
+        ],
+      };
+    }
+
+    default: // delete (to the trash)
+      return { constraint: {}, update: { $set: { deletedAt: now, updatedAt: now } } };
+  }
+}
+
+/**
+ * Ids of the transactions a bulk request selects (at most MAX_BULK_SIZE + 1)
+ * Trashed transactions and transfers are never selected
+ * @param {ObjectId} ledgerId - ledger id
+ * @param {Object} input - validated POST /transaction/bulk body
+ * @returns {Promise<ObjectId[]>}
+ */
+async function bulkSelection(ledgerId, input) {
+  let stages;
+  if (input.ids) {
+    // Ids narrow the first $match, so the query runs on the _id index
+    const ids = input.ids.map((id) => new ObjectId(id));
+    stages = [{ $match: { _id: { $in: ids }, ledgerId, ...NOT_DELETED } }];
+  } else {
+    // Same filters as GET /transaction (throws 400 errors)
+    const filters = parseTransactionFilters(input.filter);
+    if (filters.rollup) await expandCategoryFilter(ledgerId, filters);
+    stages = transactionMatchStages(ledgerId, filters);
+  }
+
+  const rows = await db
+    .collection("transactions")
+    .aggregate([
+      ...stages,
+      { $match: { type: { $ne: TRANSFER_TYPE } } },
+      { $limit: MAX_BULK_SIZE + 1 },
+      { $project: { _id: 1 } },
+    ])
+    .toArray();
+  return rows.map((row) => row._id);
+}
+
+/**
+ * Apply an update to a recurring occurrence and all later occurrences,
+ * and carry it into the rule's template so future occurrences match
+ * If-Match applies to the occurrence the request names; the occurrences and
+ * the template are written in one MongoDB transaction
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} userId - member making the change (for the audit log)
+ * @param {string} id - transaction id
+ * @param {Object} updates - fields to set
+ * @param {Object} removals - fields to remove
+ */
+async function updateFutureOccurrences(req, res, userId, id, updates, removals) {
+  // Each occurrence keeps its own date, rate and account; change those one at a time
+  if (updates.date || updates.currency || req.body.accountId !== undefined) {
+    return res.status(400).json({
+      message: "date, currency and accountId cannot be changed for future occurrences",
+    });
+  }
+
+  // Every occurrence needs a category, like the template
+  if (updates.categoryId === null) {
+    throw badRequest("Invalid request body", [
+      { field: "categoryId", message: "cannot be cleared for future occurrences" },
+    ]);
+  }
+
+  const ledgerId = req.ledger._id;
+  const collection = db.collection("transactions");
+  const filter = { _id: new ObjectId(id), ledgerId, ...NOT_DELETED };
+  const transaction = await collection.findOne(filter);
+
+  if (!transaction) {
+    return res.status(404).json({ message: "Transaction not found" });
+  }
+
+  if (!transaction.recurringId) {
+    return res
+      .status(400)
+      .json({ message: "Transaction is not part of a recurring series" });
+  }
+
+  // Categories must stay the ledger's and fit the (possibly new) type
+  if (updates.categoryId || updates.type) {
+    await assertCategories(
+      ledgerId,
+      updates.type || transaction.type,
+      updates.categoryId || transaction.categoryId,
+      transaction.splits
+    );
+  }
+
+  // This occurrence and every later one generated by the same rule
+  const series = {
+    ledgerId,
+    recurringId: transaction.recurringId,
+    occurrenceDate: { $gte: transaction.occurrenceDate },
+    ...NOT_DELETED,
+  };
+
+  // Occurrences not created yet pick up the change from the template
+  const templateUpdates = {};
+  for (const field of ["type", "amount", "note", "categoryId", "goalId", "tags"]) {
+    if (updates[field] !== undefined) {
+      templateUpdates[`template.${field}`] = updates[field];
+    }
+  }
+
+  let changed = [];
+  const session = client.startSession();
+  try {
+    await session.withTransaction(async () => {
+      // Changed since the client read it: leave the whole series alone
+      const current = await collection.findOne({ ...filter, ...ifMatchFilter(req) }, { session });
+      if (!current) throw await missedWriteError(collection, filter, req, "Transaction");
+
+      changed = await updateManyWithAudit(
+        "transactions",
+        series,
+        Object.keys(removals).length
+          ? { $set: updates, $unset: removals, $inc: NEXT_VERSION }
+          : { $set: updates, $inc: NEXT_VERSION },
+        { ledgerId, userId, entity: "transaction", action: "update", meta: { scope: "future" } },
+        { session }
+      );
+
+      await db.collection("recurring").updateOne(
+        { _id: transaction.recurringId, ledgerId },
+        { $set: { ...templateUpdates, updatedAt: new Date() } },
+        { session }
+      );
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  const updated = changed.find((doc) => doc._id.equals(transaction._id));
+  if (updated) res.set("ETag", etagOf(updated));
+  res.json({
+    message: "Transactions updated successfully",
+    modifiedCount: changed.length,
+  });
+}
+
 // --------------------------------------------------
 // GET /transactions
-// Fetch all transactions for the authenticated user
+// Fetch the transactions of the current ledger
+// - Optional filters: from, to, type, categoryId, minAmount, maxAmount, q
+//   (rollup=true makes categoryId include its subcategories)
 // - Joins category data
 // - Groups transactions by month
-// - Calculates income, expense, and net totals
+// - Calculates income, expense, and net totals over the filtered set,
+//   converted to the ledger's base currency with each transaction's fxRate
+// - Optional month pagination: limit, cursor (next cursor in X-Next-Cursor)
+// - groupBy=tag returns totals per tag instead (tag=... keeps only those tags)
 // --------------------------------------------------
-router.get("/", async (req, res) => {
+router.get("/", validateListing, async (req, res, next) => {
   try {
     // Extract authentication details from Clerk
     const { userId, isAuthenticated } = getAuth(req);
@@ -26,133 +509,159 @@ router.get("/", async (req, res) => {
       return res.status(401).json({ message: "Not authenticated" });
     }
 
+    const ledgerId = req.ledger._id;
+
+    // Parse filters and pagination (throws 400 errors)
+    const filters = parseTransactionFilters(req.query);
+    const page = parseMonthPage(req.query);
+    if (filters.rollup) await expandCategoryFilter(ledgerId, filters);
+
+    // Totals per tag over the filtered set
+    if (req.query.groupBy === "tag") {
+      const [tags, baseCurrency] = await Promise.all([
+        db
+          .collection("transactions")
+          .aggregate([
+            ...transactionMatchStages(ledgerId, filters),
+            ...tagGroupStages(filters.tags),
+          ])
+          .toArray(),
+        getBaseCurrency(ledgerId),
+      ]);
+      return res.status(200).json(tags.map((tag) => ({ ...tag, baseCurrency })));
+    }
+
+    // Only months strictly before the cursor month
+    if (page.before && (!filters.to || filters.to >= page.before)) {
+      filters.to = new Date(page.before.getTime() - 1);
+    }
+
+    await ensureIndexes();
     const collection = db.collection("transactions");
 
-    // MongoDB aggregation pipeline
-    const results = await collection
-      .aggregate([
-        // 1️⃣ Only fetch transactions belonging to this user
-        { $match: { userId } },
-
-        // 2️⃣ Join category details from categories collection
-        {
-          $lookup: {
-            from: "categories",
-            localField: "categoryId",
-            foreignField: "_id",
-            as: "category",
-          },
-        },
+    // A page first finds its months (plus one to know whether another page
+    // exists), so only the transactions of those months are grouped
+    let nextCursor = null;
+    if (page.limit) {
+      const pageMonths = await collection
+        .aggregate([
+          ...transactionMatchStages(ledgerId, filters),
+          ...monthListStages(page.limit + 1),
+        ])
+        .toArray();
+      if (!pageMonths.length) return res.status(200).send([]);
 
-        // 3️⃣ Keep transaction even if category is missing/deleted
-        {
-          $unwind: {
-            path: "$category",
-            preserveNullAndEmptyArrays: true,
-          },
-        },
+      if (pageMonths.length > page.limit) {
+        pageMonths.length = page.limit;
+        nextCursor = toMonthCursor(pageMonths[page.limit - 1]._id);
+      }
+      filters.from = pageMonths[pageMonths.length - 1]._id;
+    }
 
-        // 4️⃣ Provide a fallback category if none exists
-        {
-          $addFields: {
-            category: {
-              $ifNull: [
-                "$category",
-                {
-                  _id: null,
-                  name: "Uncategorized",
-                  type: "$type",
-                  icon: null,
-                },
-              ],
-            },
-          },
-        },
+    const [months, baseCurrency] = await Promise.all([
+      collection
+        .aggregate([
+          ...transactionMatchStages(ledgerId, filters),
+          ...monthlyGroupStages(ledgerId),
+        ])
+        .toArray(),
+      getBaseCurrency(ledgerId),
+    ]);
 
-        // 5️⃣ Ensure date field is a Date object
-        { $addFields: { date: { $toDate: "$date" } } },
+    if (nextCursor) res.set("X-Next-Cursor", nextCursor);
 
-        // 6️⃣ Sort transactions newest first
-        { $sort: { date: -1, _id: -1 } },
+    // Remove helper field from response; totals are in the base currency
+    const results = months.map(({ monthDate, ...month }) => ({
+      ...month,
+      baseCurrency,
+    }));
 
-        // 7️⃣ Group transactions by year and month
-        {
-          $group: {
-            _id: {
-              year: { $year: "$date" },
-              month: { $month: "$date" },
-            },
-            transactions: { $push: "$$ROOT" },
+    res.status(200).send(results);
+  } catch (err) {
+    next(err);
+  }
+});
 
-            // Calculate total income for the month
-            totalIncome: {
-              $sum: {
-                $cond: [{ $eq: ["$type", "income"] }, "$amount", 0],
-              },
-            },
+// --------------------------------------------------
+// GET /transactions/:id/history
+// How a transaction changed over time, oldest change first
+// Works for trashed transactions too; changes made before the audit trail
+// existed are not listed
+// --------------------------------------------------
+router.get("/:id/history", async (req, res, next) => {
+  try {
+    const { userId, isAuthenticated } = getAuth(req);
 
-            // Calculate total expense for the month
-            totalExpense: {
-              $sum: {
-                $cond: [{ $eq: ["$type", "expense"] }, "$amount", 0],
-              },
-            },
-          },
-        },
+    // Block unauthenticated access
+    if (!isAuthenticated || !userId) {
+      return res.status(401).json({ message: "Not authenticated" });
+    }
 
-        // 8️⃣ Convert year/month into a real Date for formatting & sorting
-        {
-          $addFields: {
-            monthDate: {
-              $dateFromParts: {
-                year: "$_id.year",
-                month: "$_id.month",
-                day: 1,
-              },
-            },
-          },
-        },
+    const ledgerId = req.ledger._id;
 
-        // 9️⃣ Shape the final response structure
-        {
-          $project: {
-            _id: 0,
-            month: {
-              $dateToString: {
-                date: "$monthDate",
-                format: "%b %Y",
-              },
-            },
-            transactions: 1,
-            totalIncome: 1,
-            totalExpense: 1,
-            net: {
-              $subtract: ["$totalIncome", "$totalExpense"],
-            },
-            monthDate: 1,
-          },
-        },
+    const id = new ObjectId(req.params.id);
+    const [transaction, history] = await Promise.all([
+      db.collection("transactions").findOne({ _id: id, ledgerId }),
+      db
+        .collection("auditLog")
+        .find({ ledgerId, entity: "transaction", entityId: id })
+        .project({ ledgerId: 0 })
+        .sort({ at: 1, _id: 1 })
+        .toArray(),
+    ]);
 
-        // 🔟 Sort months newest → oldest
-        { $sort: { monthDate: -1 } },
+    // Purged transactions keep their history
+    if (!transaction && history.length === 0) {
+      return res.status(404).json({ message: "Transaction not found" });
+    }
 
-        // 1️⃣1️⃣ Remove helper field from response
-        { $project: { monthDate: 0 } },
-      ])
-      .toArray();
+    res.status(200).json({
+      transactionId: id,
+      deleted: !transaction || Boolean(transaction.deletedAt),
+      current: transaction,
+      history,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
 
-    res.status(200).send(results);
+// --------------------------------------------------
+// GET /transactions/:id
+// Fetch one transaction of the current ledger, with its version as the ETag
+// --------------------------------------------------
+router.get("/:id", async (req, res, next) => {
+  try {
+    const { userId, isAuthenticated } = getAuth(req);
+
+    // Block unauthenticated access
+    if (!isAuthenticated || !userId) {
+      return res.status(401).json({ message: "Not authenticated" });
+    }
+
+    const ledgerId = req.ledger._id;
+
+    const transaction = await db
+      .collection("transactions")
+      .findOne({ _id: new ObjectId(req.params.id), ledgerId, ...NOT_DELETED });
+
+    if (!transaction) {
+      return res.status(404).json({ message: "Transaction not found" });
+    }
+
+    res.set("ETag", etagOf(transaction)).status(200).json(transaction);
   } catch (err) {
-    console.error("Error fetching transactions:", err);
-    res.status(500).send("Error fetching transactions");
+    next(err);
   }
 });
 
 // --------------------------------------------------
 // POST /transactions
-// Create a new transaction for the authenticated user
+// Create a new transaction in the current ledger
+// Without categoryId (and splits) the ledger's categorization rules pick one
+// Retries with the same Idempotency-Key get the first response again
 // --------------------------------------------------
-router.post("/", async (req, res) => {
+router.post("/", idempotent, validateTransaction, async (req, res, next) => {
   try {
     const { userId, isAuthenticated } = getAuth(req);
 
@@ -161,41 +670,191 @@ router.post("/", async (req, res) => {
       return res.status(401).json({ message: "Not authenticated" });
     }
 
-    const { date, type, amount, note, categoryId } = req.body;
+    const ledgerId = req.ledger._id;
+
+    const { date, type, amount, note, categoryId, currency, accountId, splits, goalId } =
+      req.body;
 
-    // Validate required fields
-    if (!date || !type || !amount || !categoryId) {
-      return res.status(400).json({ message: "Missing required fields" });
+    // Optional savings goal the transaction contributes to
+    if (goalId) await assertGoal(ledgerId, goalId);
+
+    // Optional labels
+    const tags = req.body.tags ? normalizeTags(req.body.tags) : [];
+    const metadata = req.body.metadata ? normalizeMetadata(req.body.metadata) : null;
+
+    // Optional split lines (split transactions carry categories on the splits)
+    const splitLines = splits ? normalizeSplits(splits, amount) : null;
+    await assertCategories(ledgerId, type, categoryId, splitLines);
+
+    // First matching rule categorizes the transaction; none leaves it uncategorized
+    let rule = null;
+    if (!categoryId && !splitLines) {
+      rule = findMatchingRule(await loadRules(ledgerId), { note, amount, type });
+    }
+
+    // Optional account: must be the ledger's, and sets the default currency
+    let account = null;
+    if (accountId !== undefined && accountId !== null) {
+      const { account: found, error } = await findAccount(ledgerId, accountId, currency);
+      if (error) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      account = found;
+    }
+
+    // Store the rate to the ledger's base currency on the transaction date
+    const baseCurrency = await getBaseCurrency(ledgerId);
+    const txCurrency = currency || account?.currency || baseCurrency;
+    let fxRate;
+    try {
+      fxRate = await getConversionRate(txCurrency, baseCurrency, new Date(date));
+    } catch (err) {
+      logger.error("FX API error", { err });
+      return res.status(502).json({ message: "Failed to fetch exchange rate" });
     }
 
     // Transaction document
     const transaction = {
-      userId,                       // 🔐 Associate with Clerk user
-      date: new Date(date),
+      ledgerId,                     // 🔐 Ledger the transaction belongs to
+      userId,                       // Member who created it
+      date,
       type,                         // "income" | "expense"
-      amount: Number(amount),
+      amount,                       // In the transaction's own currency
+      currency: txCurrency,
+      fxRate,                       // 1 unit of currency → base currency
       note: note || "",
-      categoryId: new ObjectId(categoryId),
+      categoryId: categoryId || rule?.categoryId || null,
+      ...(rule && { categoryRuleId: rule._id }), // Rule that picked the category
+      ...(splitLines && { splits: splitLines }), // [{ categoryId, amount, note }]
+      accountId: account ? account._id : null,
+      ...(goalId && { goalId }),    // 🎯 Savings goal contribution
+      tags,                         // ["reimbursable", ...]
+      ...(metadata && { metadata }), // { key: value }
+      version: INITIAL_VERSION,     // 🔢 Incremented on every write (ETag)
       createdAt: new Date(),
       updatedAt: new Date(),
     };
 
     const collection = db.collection("transactions");
     const result = await collection.insertOne(transaction);
+    await recordAudit({
+      ledgerId,
+      userId,
+      entity: "transaction",
+      action: "create",
+      after: transaction,
+    });
 
-    // 201 Created
-    res.status(201).send(result);
+    // 201 Created (with the category a rule picked, if any)
+    res.set("ETag", etagOf(transaction)).status(201).send(
+      rule ? { ...result, categoryId: rule.categoryId, categoryRuleId: rule._id } : result
+    );
   } catch (err) {
-    console.error("Error adding transaction:", err);
-    res.status(500).send("Error adding transaction");
+    next(err);
+  }
+});
+
+// --------------------------------------------------
+// POST /transactions/bulk
+// Run one operation on many transactions at once, atomically
+// Body: { ids: [...] } or { filter: { ...GET /transaction filters } }, plus
+//   operation: recategorize (categoryId) | changeType (type) |
+//              addTags / removeTags (tags) | shiftDate (days) | delete
+//   dryRun (default true): only count what would change
+// At most MAX_BULK_SIZE transactions; transfers and trashed ones are skipped
+// --------------------------------------------------
+router.post("/bulk", validateBulk, async (req, res, next) => {
+  try {
+    const { userId, isAuthenticated } = getAuth(req);
+
+    // Authentication check
+    if (!isAuthenticated || !userId) {
+      return res.status(401).json({ message: "Not authenticated" });
+    }
+
+    const ledgerId = req.ledger._id;
+
+    const input = req.body;
+    if (Boolean(input.ids) === Boolean(input.filter)) {
+      throw badRequest("Send either ids or filter");
+    }
+    const dryRun = input.dryRun ?? true;
+
+    const { constraint, update } = await bulkOperation(ledgerId, input);
+    const ids = await bulkSelection(ledgerId, input);
+    if (ids.length > MAX_BULK_SIZE) {
+      throw badRequest(
+        `Bulk operations are limited to ${MAX_BULK_SIZE} transactions; narrow the filter`
+      );
+    }
+
+    // Selected transactions the operation actually changes
+    const eligible = { _id: { $in: ids }, ledgerId, ...NOT_DELETED, ...constraint };
+    const collection = db.collection("transactions");
+
+    if (dryRun) {
+      const affected = await collection.countDocuments(eligible);
+      return res.json({
+        dryRun,
+        operation: input.operation,
+        matched: ids.length,
+        affected,
+        skipped: ids.length - affected,
+        limit: MAX_BULK_SIZE,
+      });
+    }
+
+    let affected = 0;
+    const session = client.startSession();
+    try {
+      await session.withTransaction(async () => {
+        const before = await collection.find(eligible, { session }).toArray();
+        affected = before.length;
+        if (!affected) return;
+
+        const changed = { _id: { $in: before.map((t) => t._id) }, ledgerId };
+        await collection.updateMany(changed, withNextVersion(update), { session });
+        const after = await collection.find(changed, { session }).toArray();
+        const afterById = new Map(after.map((t) => [String(t._id), t]));
+
+        await recordAudit(
+          before.map((doc) => ({
+            ledgerId,
+            userId,
+            entity: "transaction",
+            action: input.operation === "delete" ? "delete" : "update",
+            before: doc,
+            after: afterById.get(String(doc._id)),
+            meta: { bulk: input.operation },
+          })),
+          { session }
+        );
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    res.json({
+      dryRun,
+      operation: input.operation,
+      matched: ids.length,
+      affected,
+      skipped: ids.length - affected,
+      limit: MAX_BULK_SIZE,
+    });
+  } catch (err) {
+    next(err);
   }
 });
 
 // --------------------------------------------------
 // PUT /transactions/:id
-// Update transaction only if it belongs to the user
+// Update transaction only if it belongs to the ledger
+// ?scope=future on a recurring occurrence also updates every later
+// occurrence and the rule's template ("this and future")
+// If-Match: "<version>" fails with 412 when it was changed in the meantime
 // --------------------------------------------------
-router.put("/:id", async (req, res) => {
+router.put("/:id", validateTransactionUpdate, async (req, res, next) => {
   try {
     const { userId, isAuthenticated } = getAuth(req);
 
@@ -204,46 +863,172 @@ router.put("/:id", async (req, res) => {
       return res.status(401).json({ message: "Not authenticated" });
     }
 
+    const ledgerId = req.ledger._id;
+
     const id = req.params.id;
-    const { date, type, amount, note, categoryId } = req.body;
+    const { date, type, amount, note, categoryId, currency, accountId, splits, goalId } =
+      req.body;
+    if (goalId) await assertGoal(ledgerId, goalId);
+
+    // Tags and metadata are replaced as a whole (null clears them)
+    const { tags, metadata } = req.body;
 
     // Build update object dynamically
     const updates = {
-      ...(date && { date: new Date(date) }),
+      ...(date && { date }),
       ...(type && { type }),
-      ...(amount !== undefined && { amount: Number(amount) }),
-      ...(note !== undefined && { note }),
-      ...(categoryId && { categoryId: new ObjectId(categoryId) }),
+      ...(amount !== undefined && { amount }),
+      ...(note !== undefined && { note: note ?? "" }),
+      ...(categoryId !== undefined && { categoryId }),   // null leaves it uncategorized
+      ...(currency && { currency }),
+      ...(goalId !== undefined && { goalId }),   // null removes it from its goal
+      ...(tags !== undefined && { tags: tags ? normalizeTags(tags) : [] }),
+      ...(metadata && { metadata: normalizeMetadata(metadata) }),
       updatedAt: new Date(),
     };
 
-    // Update only if user owns the transaction
-    const result = await db.collection("transactions").updateOne(
-      {
+    // Fields removed from the document (e.g. splits: null)
+    const removals = {};
+    if (metadata === null) removals.metadata = "";
+    if (categoryId !== undefined) removals.categoryRuleId = "";   // Chosen by hand now
+
+    if (req.query.scope === "future") {
+      if (splits !== undefined || metadata !== undefined) {
+        return res
+          .status(400)
+          .json({ message: "splits and metadata cannot be changed for future occurrences" });
+      }
+      return await updateFutureOccurrences(req, res, userId, id, updates, removals);
+    }
+
+    // Account, date, currency, amount, category and split changes depend on
+    // the stored transaction
+    const categoryChange = categoryId !== undefined || updates.type || splits !== undefined;
+    const needsExisting =
+      updates.date ||
+      updates.currency ||
+      accountId !== undefined ||
+      amount !== undefined ||
+      categoryChange;
+
+    if (needsExisting) {
+      const existing = await db.collection("transactions").findOne({
         _id: new ObjectId(id),
-        userId,
-      },
-      { $set: updates }
+        ledgerId,
+        type: { $ne: TRANSFER_TYPE },
+        ...NOT_DELETED,
+      });
+
+      if (!existing) {
+        return res.status(404).json({ message: "Transaction not found" });
+      }
+
+      // Splits must keep adding up to the (possibly new) amount
+      const newAmount = updates.amount ?? existing.amount;
+      if (splits === null) {
+        removals.splits = "";
+      } else if (splits !== undefined || existing.splits?.length) {
+        updates.splits = normalizeSplits(splits ?? existing.splits, newAmount);
+      }
+
+      // Categories must stay the ledger's and fit the (possibly new) type
+      if (categoryChange) {
+        await assertCategories(
+          ledgerId,
+          updates.type || existing.type,
+          categoryId !== undefined ? categoryId : existing.categoryId,
+          splits === null ? null : updates.splits
+        );
+      }
+
+      // Moving to another account (null detaches it)
+      if (accountId !== undefined) {
+        let account = null;
+        if (accountId !== null) {
+          const { account: found, error } = await findAccount(
+            ledgerId,
+            accountId,
+            updates.currency || existing.currency
+          );
+          if (error) {
+            return res.status(error.status).json({ message: error.message });
+          }
+          account = found;
+        }
+        updates.accountId = account ? account._id : null;
+      } else if (updates.currency && existing.accountId) {
+        // Currency must keep matching the linked account
+        const { error } = await findAccount(ledgerId, existing.accountId, updates.currency);
+        if (error) {
+          return res.status(error.status).json({ message: error.message });
+        }
+      }
+
+      // A new date or currency needs a new rate to the base currency
+      if (updates.date || updates.currency) {
+        const baseCurrency = await getBaseCurrency(ledgerId);
+        try {
+          updates.fxRate = await getConversionRate(
+            updates.currency || existing.currency || baseCurrency,
+            baseCurrency,
+            updates.date || existing.date
+          );
+        } catch (err) {
+          logger.error("FX API error", { err });
+          return res.status(502).json({ message: "Failed to fetch exchange rate" });
+        }
+      }
+    }
+
+    // Update only within the ledger (transfers are edited as a pair)
+    const collection = db.collection("transactions");
+    const filter = {
+      _id: new ObjectId(id),
+      ledgerId,
+      type: { $ne: TRANSFER_TYPE },
+      ...NOT_DELETED,
+    };
+    const before = await collection.findOneAndUpdate(
+      { ...filter, ...ifMatchFilter(req) },
+      Object.keys(removals).length
+        ? { $set: updates, $unset: removals, $inc: NEXT_VERSION }
+        : { $set: updates, $inc: NEXT_VERSION },
+      { returnDocument: "before" }
     );
 
-    if (result.matchedCount === 0) {
-      return res.status(404).json({ message: "Transaction not found" });
+    // Missing, or changed since the client read it
+    if (!before) {
+      throw await missedWriteError(collection, filter, req, "Transaction");
     }
 
-    res.json({ message: "Transaction updated successfully" });
-  } catch (error) {
-    console.error("Update failed", error);
-    res
-      .status(500)
-      .json({ message: "Server error while updating transaction" });
+    const after = { ...before, ...updates, version: (before.version ?? 0) + 1 };
+    for (const field of Object.keys(removals)) delete after[field];
+    await recordAudit({
+      ledgerId,
+      userId,
+      entity: "transaction",
+      action: "update",
+      before,
+      after,
+    });
+
+    res.set("ETag", etagOf(after)).json({
+      message: "Transaction updated successfully",
+      version: after.version,
+    });
+  } catch (err) {
+    next(err);
   }
 });
 
 // --------------------------------------------------
 // DELETE /transactions/:id
-// Delete transaction only if it belongs to the user
+// Move a transaction of the current ledger to the trash
+// (restorable through /trash until the retention window ends; its
+// attachments are removed once it is purged from the trash)
+// If-Match: "<version>" fails with 412 when it was changed in the meantime
 // --------------------------------------------------
-router.delete("/:id", async (req, res) => {
+router.delete("/:id", async (req, res, next) => {
   try {
     const { userId, isAuthenticated } = getAuth(req);
 
@@ -252,23 +1037,42 @@ router.delete("/:id", async (req, res) => {
       return res.status(401).json({ message: "Not authenticated" });
     }
 
+    const ledgerId = req.ledger._id;
+
     const id = req.params.id;
 
-    // Delete only user-owned transaction
-    const result = await db
-      .collection("transactions")
-      .deleteOne({ _id: new ObjectId(id), userId });
+    // Delete only within the ledger (transfer legs go through /account/transfer)
+    const deleted = { deletedAt: new Date(), updatedAt: new Date() };
+    const collection = db.collection("transactions");
+    const filter = {
+      _id: new ObjectId(id),
+      ledgerId,
+      type: { $ne: TRANSFER_TYPE },
+      ...NOT_DELETED,
+    };
+    const before = await collection.findOneAndUpdate(
+      { ...filter, ...ifMatchFilter(req) },
+      { $set: deleted, $inc: NEXT_VERSION },
+      { returnDocument: "before" }
+    );
 
-    if (result.deletedCount === 0) {
-      return res.status(404).json({ message: "Transaction not found" });
+    // Missing, or changed since the client read it
+    if (!before) {
+      throw await missedWriteError(collection, filter, req, "Transaction");
     }
 
+    await recordAudit({
+      ledgerId,
+      userId,
+      entity: "transaction",
+      action: "delete",
+      before,
+      after: { ...before, ...deleted, version: (before.version ?? 0) + 1 },
+    });
+
     res.json({ message: "Transaction deleted successfully" });
-  } catch (error) {
-    console.error("Delete failed:", error);
-    res
-      .status(500)
-      .json({ message: "Server error while deleting transaction" });
+  } catch (err) {
+    next(err);
   }
 });
 
@@ -0,0 +1,254 @@
+// routes/trash.js
+// Lists and restores deleted transactions and categories
+// Deleting a transaction, category, transfer or import only sets deletedAt;
+// items stay restorable for TRASH_RETENTION_DAYS (see utils/audit.js)
+
+import express from "express";
+import db, { client } from "../db/conn.js";  // MongoDB connection instance + client for sessions
+import { ObjectId } from "mongodb";          // Used to convert string IDs to MongoDB ObjectId
+import { getAuth } from "@clerk/express";    // Clerk authentication helper
+import {
+  TRASH_RETENTION_DAYS,
+  trashCutoff,
+  recordAudit,
+  updateManyWithAudit,
+} from "../utils/audit.js";
+import {
+  MAX_CATEGORY_DEPTH,
+  loadCategories,
+  indexCategories,
+  ancestorIds,
+} from "../utils/categoryTree.js";
+import { notFound, HttpError } from "../utils/errors.js";
+import { NEXT_VERSION } from "../utils/versioning.js";
+import { objectIdParam } from "../utils/validation.js";
+
+const router = express.Router();
+
+// Reject malformed ids before they reach a query
+router.param("id", objectIdParam);
+
+/**
+ * When a trashed item is removed for good
+ * @param {Date} deletedAt
+ * @returns {Date}
+ */
+function expiresAt(deletedAt) {
+  return new Date(new Date(deletedAt).getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Load an item that is still restorable
+ * @param {string} collection - "transactions" | "categories"
+ * @param {ObjectId} ledgerId - ledger id
+ * @param {string} id
+ * @returns {Promise<Object>}
+ * @throws {HttpError} 404 when it is not in the trash (or expired)
+ */
+async function findTrashed(collection, ledgerId, id) {
+  const item = await db.collection(collection).findOne({
+    _id: new ObjectId(id),
+    ledgerId,
+    deletedAt: { $gte: trashCutoff() },
+  });
+  if (!item) {
+    throw notFound(`${collection === "categories" ? "Category" : "Transaction"} not found in trash`);
+  }
+  return item;
+}
+
+/**
+ * Bring both legs of a deleted transfer back, atomically
+ * @param {ObjectId} ledgerId - ledger id
+ * @param {string} userId - member restoring it (for the audit log)
+ * @param {ObjectId} transferId
+ * @returns {Promise<Object[]>} the restored legs
+ * @throws {HttpError} 409 when one of its accounts was deleted since
+ */
+async function restoreTransfer(ledgerId, userId, transferId) {
+  const trashedLegs = { ledgerId, transferId, deletedAt: { $gte: trashCutoff() } };
+  const legs = await db.collection("transactions").find(trashedLegs).toArray();
+
+  // A transfer needs both of its accounts (each leg has its own)
+  const accounts = await db
+    .collection("accounts")
+    .countDocuments({ _id: { $in: legs.map((leg) => leg.accountId) }, ledgerId });
+  if (accounts < legs.length) {
+    throw new HttpError(409, "An account of this transfer was deleted; it cannot be restored");
+  }
+
+  let restored = [];
+  const session = client.startSession();
+  try {
+    await session.withTransaction(async () => {
+      restored = await updateManyWithAudit(
+        "transactions",
+        trashedLegs,
+        { $set: { updatedAt: new Date() }, $unset: { deletedAt: "" }, $inc: NEXT_VERSION },
+        { ledgerId, userId, entity: "transaction", action: "restore", meta: { transferId } },
+        { session }
+      );
+    });
+  } finally {
+    await session.endSession();
+  }
+  return restored;
+}
+
+// --------------------------------------------------
+// GET /trash
+// Deleted transactions and categories that can still be restored,
+// most recently deleted first; expired items are left out until
+// jobs/trash.js removes them
+// --------------------------------------------------
+router.get("/", async (req, res, next) => {
+  try {
+    const { userId, isAuthenticated } = getAuth(req);
+
+    // Block request if user is not authenticated
+    if (!isAuthenticated || !userId) {
+      return res.status(401).json({ message: "Not authenticated" });
+    }
+
+    const ledgerId = req.ledger._id;
+
+    const trashed = { ledgerId, deletedAt: { $gte: trashCutoff() } };
+    const [transactions, categories] = await Promise.all([
+      db.collection("transactions").find(trashed).sort({ deletedAt: -1 }).toArray(),
+      db.collection("categories").find(trashed).sort({ deletedAt: -1 }).toArray(),
+    ]);
+    const withExpiry = (item) => ({ ...item, expiresAt: expiresAt(item.deletedAt) });
+
+    res.status(200).json({
+      retentionDays: TRASH_RETENTION_DAYS,
+      transactions: transactions.map(withExpiry),
+      categories: categories.map(withExpiry),
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// --------------------------------------------------
+// POST /trash/transaction/:id/restore
+// Bring a deleted transaction back
+// An account or goal deleted in the meantime is unlinked; a transfer leg
+// comes back together with the other leg
+// --------------------------------------------------
+router.post("/transaction/:id/restore", async (req, res, next) => {
+  try {
+    const { userId, isAuthenticated } = getAuth(req);
+
+    // Ensure user is authenticated
+    if (!isAuthenticated || !userId) {
+      return res.status(401).json({ message: "Not authenticated" });
+    }
+
+    const ledgerId = req.ledger._id;
+
+    const before = await findTrashed("transactions", ledgerId, req.params.id);
+
+    if (before.transferId) {
+      const legs = await restoreTransfer(ledgerId, userId, before.transferId);
+      return res.json({
+        message: "Transfer restored successfully",
+        transaction: legs.find((leg) => leg._id.equals(before._id)),
+        transactions: legs,
+      });
+    }
+
+    const updates = { updatedAt: new Date() };
+    if (before.accountId) {
+      const account = await db.collection("accounts").findOne({ _id: before.accountId, ledgerId });
+      if (!account) updates.accountId = null;
+    }
+    if (before.goalId) {
+      const goal = await db.collection("goals").findOne({ _id: before.goalId, ledgerId });
+      if (!goal) updates.goalId = null;
+    }
+
+    // Still in the trash: a concurrent restore (or the purge) may have got there first
+    const result = await db
+      .collection("transactions")
+      .updateOne(
+        { _id: before._id, ledgerId, deletedAt: { $gte: trashCutoff() } },
+        { $set: updates, $unset: { deletedAt: "" }, $inc: NEXT_VERSION }
+      );
+    if (result.modifiedCount !== 1) throw notFound("Transaction not found in trash");
+
+    updates.version = (before.version ?? 0) + 1;
+    const { deletedAt, ...after } = { ...before, ...updates };
+    await recordAudit({
+      ledgerId,
+      userId,
+      entity: "transaction",
+      action: "restore",
+      before,
+      after,
+    });
+
+    res.json({ message: "Transaction restored successfully", transaction: after });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// --------------------------------------------------
+// POST /trash/category/:id/restore
+// Bring a deleted category back
+// Transactions, budgets and rules moved away when it was deleted stay
+// where they are; it returns under its old parent when that still fits
+// --------------------------------------------------
+router.post("/category/:id/restore", async (req, res, next) => {
+  try {
+    const { userId, isAuthenticated } = getAuth(req);
+
+    // Ensure user is authenticated
+    if (!isAuthenticated || !userId) {
+      return res.status(401).json({ message: "Not authenticated" });
+    }
+
+    const ledgerId = req.ledger._id;
+
+    const before = await findTrashed("categories", ledgerId, req.params.id);
+
+    // The old parent must still exist, have the same type and leave room
+    // for one more level; otherwise the category becomes top-level
+    const updates = { updatedAt: new Date() };
+    if (before.parentId) {
+      const byId = indexCategories(await loadCategories(ledgerId));
+      const parent = byId.get(String(before.parentId));
+      const depth = parent ? ancestorIds(byId, parent._id).length + 2 : Infinity;
+      if (!parent || parent.type !== before.type || depth > MAX_CATEGORY_DEPTH) {
+        updates.parentId = null;
+      }
+    }
+
+    // Still in the trash: a concurrent restore (or the purge) may have got there first
+    const result = await db
+      .collection("categories")
+      .updateOne(
+        { _id: before._id, ledgerId, deletedAt: { $gte: trashCutoff() } },
+        { $set: updates, $unset: { deletedAt: "" }, $inc: NEXT_VERSION }
+      );
+    if (result.modifiedCount !== 1) throw notFound("Category not found in trash");
+
+    updates.version = (before.version ?? 0) + 1;
+    const { deletedAt, ...after } = { ...before, ...updates };
+    await recordAudit({
+      ledgerId,
+      userId,
+      entity: "category",
+      action: "restore",
+      before,
+      after,
+    });
+
+    res.json({ message: "Category restored successfully", category: after });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Export router for use in main app
+export default router;
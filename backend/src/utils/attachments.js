@@ -0,0 +1,119 @@
+// utils/attachments.js
+// Receipt and document files attached to transactions
+// Files live in the "attachments" GridFS bucket (attachments.files /
+// attachments.chunks), never inside the transaction document; each file's
+// metadata holds { ledgerId, userId (uploader), transactionId, contentType }
+
+import { GridFSBucket } from "mongodb";
+import db from "../db/conn.js";
+
+// GridFS bucket name
+export const ATTACHMENT_BUCKET = "attachments";
+
+// Largest accepted file, in bytes (default 10 MB)
+export const MAX_ATTACHMENT_BYTES = Number(process.env.ATTACHMENT_MAX_BYTES) || 10 * 1024 * 1024;
+
+// Most files on one transaction
+export const MAX_ATTACHMENTS_PER_TRANSACTION = 10;
+
+// Accepted MIME types and the leading bytes their files start with
+// (the upload's Content-Type must match what the file really is)
+const SIGNATURES = {
+  "image/jpeg": [{ offset: 0, bytes: [0xff, 0xd8, 0xff] }],
+  "image/png": [{ offset: 0, bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] }],
+  "image/webp": [
+    { offset: 0, bytes: [0x52, 0x49, 0x46, 0x46] }, // "RIFF"
+    { offset: 8, bytes: [0x57, 0x45, 0x42, 0x50] }, // "WEBP"
+  ],
+  "application/pdf": [{ offset: 0, bytes: [0x25, 0x50, 0x44, 0x46, 0x2d] }], // "%PDF-"
+};
+
+export const ATTACHMENT_TYPES = Object.keys(SIGNATURES);
+
+// Longest stored file name
+const MAX_FILENAME_LENGTH = 200;
+
+/**
+ * GridFS bucket holding attachment files
+ * @returns {GridFSBucket}
+ */
+export function attachmentBucket() {
+  return new GridFSBucket(db, { bucketName: ATTACHMENT_BUCKET });
+}
+
+/**
+ * Check that a file's content matches its declared MIME type
+ * @param {Buffer} data
+ * @param {string} contentType - one of ATTACHMENT_TYPES
+ * @returns {boolean}
+ */
+export function matchesContentType(data, contentType) {
+  const signature = SIGNATURES[contentType];
+  return Boolean(signature) && signature.every(({ offset, bytes }) =>
+    bytes.every((byte, i) => data[offset + i] === byte)
+  );
+}
+
+/**
+ * Clean up a client supplied file name
+ * Keeps the last path segment, drops control and quote characters
+ * @param {*} value
+ * @param {string} fallback - used when nothing usable is left
+ * @returns {string}
+ */
+export function cleanFilename(value, fallback) {
+  const name = typeof value === "string"
+    ? value.split(/[\\/]/).pop().replace(/[\u0000-\u001f\u007f"]/g, "").trim()
+    : "";
+  return (name || fallback).slice(0, MAX_FILENAME_LENGTH);
+}
+
+/**
+ * Attachment as returned by the API (file metadata only, no content)
+ * @param {Object} file - GridFS files document
+ * @returns {Object}
+ */
+export function describeAttachment(file) {
+  return {
+    _id: file._id,
+    transactionId: file.metadata.transactionId,
+    filename: file.filename,
+    contentType: file.metadata.contentType,
+    size: file.length,
+    uploadedAt: file.uploadDate,
+  };
+}
+
+/**
+ * Delete attachments whose transaction no longer exists
+ * Trashed transactions keep theirs so a restore brings them back; call this
+ * after transactions are removed for good (trash purge, import undo, ...)
+ * @param {ObjectId} ledgerId - ledger id
+ * @returns {Promise<number>} number of files deleted
+ */
+export async function purgeOrphanedAttachments(ledgerId) {
+  const orphans = await db
+    .collection(`${ATTACHMENT_BUCKET}.files`)
+    .aggregate([
+      { $match: { "metadata.ledgerId": ledgerId } },
+      {
+        $lookup: {
+          from: "transactions",
+          localField: "metadata.transactionId",
+          foreignField: "_id",
+          pipeline: [{ $match: { ledgerId } }, { $project: { _id: 1 } }],
+          as: "transaction",
+        },
+      },
+      { $match: { transaction: { $size: 0 } } },
+      { $project: { _id: 1 } },
+    ])
+    .toArray();
+
+  // GridFS removes the files document and its chunks one file at a time
+  const bucket = attachmentBucket();
+  for (const { _id } of orphans) {
+    await bucket.delete(_id);
+  }
+  return orphans.length;
+}
@@ -0,0 +1,146 @@
+// utils/audit.js
+// Audit trail and soft delete for transactions and categories
+//
+// Every create, update, delete and restore of a transaction or category is
+// stored in the "auditLog" collection with before/after snapshots and the
+// member who made it, including bulk changes (imports, transfers, rules,
+// category reassignments), which get one entry per document.
+// Deleting sets deletedAt instead of removing the document; the trash
+// (routes/trash.js) can restore it until the retention window ends.
+
+import db from "../db/conn.js";
+
+// Days a deleted transaction or category can still be restored
+export const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+
+// Query fragment for documents that are not in the trash
+// (deletedAt: null also matches documents saved before soft delete existed)
+export const NOT_DELETED = { deletedAt: null };
+
+// Fields that change on every write and are left out of change lists
+const BOOKKEEPING_FIELDS = ["_id", "userId", "ledgerId", "updatedAt", "version"];
+
+/**
+ * Oldest deletedAt that can still be restored
+ * @param {Date} [now]
+ * @returns {Date}
+ */
+export function trashCutoff(now = new Date()) {
+  return new Date(now.getTime() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Top-level fields that differ between two snapshots
+ * @param {Object|null} before
+ * @param {Object|null} after
+ * @returns {string[]} sorted field names
+ */
+export function changedFields(before, after) {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  return [...fields]
+    .filter((field) => !BOOKKEEPING_FIELDS.includes(field))
+    .filter((field) => JSON.stringify(before?.[field]) !== JSON.stringify(after?.[field]))
+    .sort();
+}
+
+/**
+ * Snapshot of a document as stored in the audit log (without ledgerId)
+ * @param {Object|null} doc
+ * @returns {Object|null}
+ */
+function snapshot(doc) {
+  if (!doc) return null;
+  const { ledgerId, ...fields } = doc;
+  return fields;
+}
+
+/**
+ * Record changes in the audit log
+ * @param {Object[]} entries
+ * @param {ObjectId} entries[].ledgerId - ledger of the changed document
+ * @param {string} entries[].userId - member who made the change (Clerk user id)
+ * @param {string} entries[].entity - "transaction" | "category"
+ * @param {string} entries[].action - "create" | "update" | "delete" | "restore"
+ * @param {Object|null} [entries[].before] - document before the change
+ * @param {Object|null} [entries[].after] - document after the change
+ * @param {Object} [entries[].meta] - extra context (e.g. moved references)
+ * @param {Object} [options]
+ * @param {Object} [options.session] - MongoDB session of the change
+ * @returns {Promise<void>}
+ */
+export async function recordAudit(entries, { session } = {}) {
+  const list = Array.isArray(entries) ? entries : [entries];
+  if (!list.length) return;
+
+  const at = new Date();
+  await db.collection("auditLog").insertMany(
+    list.map(({ ledgerId, userId, entity, action, before = null, after = null, meta }) => ({
+      ledgerId,
+      userId,
+      entity,
+      entityId: (after || before)._id,
+      action,
+      changedFields: changedFields(before, after),
+      before: snapshot(before),
+      after: snapshot(after),
+      ...(meta && { meta }),
+      at,
+    })),
+    { session }
+  );
+}
+
+/**
+ * Update many documents and record one audit entry per changed document
+ * @param {string} collectionName - "transactions" | "categories"
+ * @param {Object} filter - documents to change, within one ledger
+ * @param {Object|Object[]} update - update document or pipeline
+ * @param {Object} entry - fields shared by the entries: { ledgerId, userId, entity, action, meta }
+ * @param {Object} [options]
+ * @param {Object} [options.session] - MongoDB session of the change
+ * @param {Object[]} [options.arrayFilters] - passed on to updateMany
+ * @returns {Promise<Object[]>} the changed documents after the update
+ */
+export async function updateManyWithAudit(
+  collectionName,
+  filter,
+  update,
+  entry,
+  { session, arrayFilters } = {}
+) {
+  const collection = db.collection(collectionName);
+
+  const before = await collection.find(filter, { session }).toArray();
+  if (!before.length) return [];
+
+  const ids = { ledgerId: entry.ledgerId, _id: { $in: before.map((doc) => doc._id) } };
+  await collection.updateMany(ids, update, { session, ...(arrayFilters && { arrayFilters }) });
+  const after = await collection.find(ids, { session }).toArray();
+  const afterById = new Map(after.map((doc) => [String(doc._id), doc]));
+
+  await recordAudit(
+    before.map((doc) => ({ ...entry, before: doc, after: afterById.get(String(doc._id)) })),
+    { session }
+  );
+  return after;
+}
+
+/**
+ * Remove trashed transactions and categories past the retention window
+ * Run for every ledger by the scheduled job in jobs/trash.js, which then
+ * deletes the removed transactions' attachments
+ * @param {ObjectId} ledgerId - ledger id
+ * @param {Date} [now] - reference time (defaults to now)
+ * @returns {Promise<{ transactions: number, categories: number }>}
+ */
+export async function purgeExpiredTrash(ledgerId, now = new Date()) {
+  const expired = { ledgerId, deletedAt: { $lt: trashCutoff(now) } };
+
+  const [transactions, categories] = await Promise.all([
+    db.collection("transactions").deleteMany(expired),
+    db.collection("categories").deleteMany(expired),
+  ]);
+
+  return { transactions: transactions.deletedCount, categories: categories.deletedCount };
+}
@@ -0,0 +1,162 @@
+// utils/backup.js
+// Ledger backups: which collections they hold and how a backup is mapped
+// onto the data of the ledger it is restored into
+//
+// Backups are MongoDB Extended JSON so ObjectIds and dates survive the trip.
+// Documents are stored without userId and ledgerId; restore assigns the
+// target ledger and the restoring user.
+
+import { createHash } from "node:crypto";
+import { ObjectId } from "mongodb";
+import { badRequest } from "./errors.js";
+import { validateFields } from "./validation.js";
+
+// Identifies a FinSight backup and its layout
+export const BACKUP_FORMAT = "finsight-backup";
+export const BACKUP_VERSION = 1;
+
+// Ledger-owned collections in a backup, in restore order
+// key: field that identifies a document on restore ("ledgerId" = one per ledger)
+// importBatches are left out: they only hold statement previews and undo data
+export const BACKUP_COLLECTIONS = [
+  { name: "settings", key: "ledgerId" },
+  { name: "accounts", key: "_id" },
+  { name: "categories", key: "_id" },
+  { name: "categoryRules", key: "_id" },
+  { name: "budgets", key: "_id" },
+  { name: "goals", key: "_id" },
+  { name: "recurring", key: "_id" },
+  { name: "transactions", key: "_id" },
+];
+
+// Most invalid fields listed when a backup is rejected
+const MAX_LISTED_ERRORS = 50;
+
+// Restore modes
+// replace - delete the ledger's data in these collections, then restore
+// merge   - keep existing documents and only add what is missing
+export const RESTORE_MODES = ["replace", "merge"];
+
+/**
+ * Check a backed up document against its collection's field schema
+ * Fields outside the schema are dropped, like on a create request
+ * @param {Object} schema - field schema (see utils/validation.js)
+ * @param {Object} doc - backed up document
+ * @param {string} path - e.g. collections.transactions[3], used in error details
+ * @returns {{ doc?: Object, details?: Object[] }}
+ */
+function checkDocument(schema, doc, path) {
+  try {
+    return { doc: { _id: doc._id, ...validateFields(schema, doc) } };
+  } catch (err) {
+    if (!err.details) throw err;
+    const details = err.details.map((detail) => ({ ...detail, field: `${path}.${detail.field}` }));
+    return { details };
+  }
+}
+
+/**
+ * Check the shape of a parsed backup and every document in it
+ * @param {Object} backup - request body after Extended JSON deserialization
+ * @param {Object<string, Object>} schemas - field schema per backed up collection
+ * @returns {Object<string, Object[]>} checked documents per backed up collection
+ * @throws {HttpError} 400 when it is not a FinSight backup or a document is invalid
+ */
+export function readBackup(backup, schemas) {
+  if (!backup || backup.format !== BACKUP_FORMAT) {
+    throw badRequest(`Body must be a backup from GET /export/backup (format "${BACKUP_FORMAT}")`);
+  }
+  if (backup.version !== BACKUP_VERSION) {
+    throw badRequest(`Unsupported backup version (expected ${BACKUP_VERSION})`);
+  }
+  if (!backup.collections || typeof backup.collections !== "object") {
+    throw badRequest("Backup has no collections");
+  }
+
+  const details = [];
+  const collections = {};
+  for (const { name } of BACKUP_COLLECTIONS) {
+    const docs = backup.collections[name] ?? [];
+    if (!Array.isArray(docs)) {
+      details.push({ field: `collections.${name}`, message: "must be an array" });
+      continue;
+    }
+    const invalid = docs.findIndex(
+      (doc) => !doc || typeof doc !== "object" || !(doc._id instanceof ObjectId)
+    );
+    if (invalid !== -1) {
+      details.push({
+        field: `collections.${name}[${invalid}]`,
+        message: "must have an ObjectId _id",
+      });
+      continue;
+    }
+
+    collections[name] = [];
+    docs.forEach((raw, i) => {
+      const checked = checkDocument(schemas[name], raw, `collections.${name}[${i}]`);
+      if (checked.details) details.push(...checked.details);
+      else collections[name].push(checked.doc);
+    });
+  }
+
+  if (details.length) throw badRequest("Invalid backup", details.slice(0, MAX_LISTED_ERRORS));
+  return collections;
+}
+
+/**
+ * Id a backed up document gets when restored into another ledger
+ * Derived from the ledger and the original id, so restoring the same backup
+ * twice gives the same ids; the original timestamp part is kept so ids still
+ * sort by creation time
+ * @param {ObjectId} ledgerId - ledger restored into
+ * @param {ObjectId} id - original id
+ * @returns {ObjectId}
+ */
+export function remappedId(ledgerId, id) {
+  const hash = createHash("sha256").update(`${ledgerId}:${id}`).digest();
+  return new ObjectId(Buffer.concat([id.id.subarray(0, 4), hash.subarray(0, 8)]));
+}
+
+/**
+ * Every ObjectId found in a value, at any depth
+ * @param {*} value
+ * @param {Set<string>} [found] - collects the ids as strings
+ * @returns {Set<string>}
+ */
+export function referencedIds(value, found = new Set()) {
+  if (value instanceof ObjectId) {
+    found.add(String(value));
+  } else if (Array.isArray(value)) {
+    value.forEach((item) => referencedIds(item, found));
+  } else if (value && typeof value === "object" && !(value instanceof Date)) {
+    Object.values(value).forEach((item) => referencedIds(item, found));
+  }
+  return found;
+}
+
+/**
+ * Replace every ObjectId found in the id map, at any depth
+ * (parentId, categoryId, splits[].categoryId, template.categoryId, …)
+ * Ids that are not in the map point at nothing in the backup or the ledger:
+ * they are left out, so the field reads as null (and lists lose the entry)
+ * @param {*} value
+ * @param {Map<string, ObjectId>} idMap - original id → restored id
+ * @returns {*} copy with ids replaced
+ */
+export function remapIds(value, idMap) {
+  const known = (item) => !(item instanceof ObjectId) || idMap.has(String(item));
+
+  if (value instanceof ObjectId) return idMap.get(String(value)) ?? null;
+  if (Array.isArray(value)) {
+    return value.filter(known).map((item) => remapIds(item, idMap));
+  }
+  if (value && typeof value === "object" && !(value instanceof Date)) {
+    return Object.fromEntries(
+      Object.entries(value)
+        .filter(([, item]) => known(item))
+        .map(([key, item]) => [key, remapIds(item, idMap)])
+    );
+  }
+  return value;
+}
@@ -0,0 +1,136 @@
+// utils/categoryRules.js
+// Per-user rules that pick a category for a transaction
+// e.g. note contains "uber" → Transport
+//      amount equals 15.99 and note matches /netflix/i → Subscriptions
+//
+// A rule matches when every condition it sets holds; rules are tried by
+// priority (highest first, then oldest first) and the first match wins.
+// Rules only match transactions of their category's type.
+//
+// noteMatches runs on every create, import and /rule/apply, so it uses RE2
+// (re2js) rather than RegExp: matching takes linear time whatever pattern an
+// editor saves, and patterns RE2 cannot guarantee that for (backreferences,
+// lookarounds) are rejected.
+
+import { RE2JS } from "re2js";
+import db from "../db/conn.js";
+import { NOT_DELETED } from "./audit.js";
+
+// Conditions a rule can combine
+export const RULE_CONDITIONS = [
+  "noteContains",
+  "noteMatches",
+  "amountEquals",
+  "amountMin",
+  "amountMax",
+];
+
+// Longest accepted noteContains / noteMatches value
+export const MAX_RULE_PATTERN_LENGTH = 200;
+
+// Regex flags a rule may use, and their RE2 equivalents (u is always on)
+const ALLOWED_FLAGS = /^[imsu]*$/;
+const RE2_FLAGS = { i: RE2JS.CASE_INSENSITIVE, m: RE2JS.MULTILINE, s: RE2JS.DOTALL, u: 0 };
+
+// Largest compiled pattern accepted, e.g. (a{100}){10} is just over it
+export const MAX_PATTERN_PROGRAM_SIZE = 1000;
+
+// Characters of a note a noteMatches pattern is run against
+export const MAX_MATCHED_NOTE_LENGTH = 500;
+
+/**
+ * Compile a noteMatches value
+ * "/netflix/i" is read as a regex literal; anything else is a
+ * case-insensitive pattern
+ * @param {string} value
+ * @returns {RE2JS|null} null if the pattern or its flags are invalid, or the
+ *   pattern is too large
+ */
+export function parseNotePattern(value) {
+  if (typeof value !== "string" || !value || value.length > MAX_RULE_PATTERN_LENGTH) {
+    return null;
+  }
+
+  const literal = /^\/(.+)\/([a-z]*)$/s.exec(value);
+  const [pattern, flags] = literal ? [literal[1], literal[2]] : [value, "i"];
+  if (!ALLOWED_FLAGS.test(flags)) return null;
+
+  try {
+    const mask = [...flags].reduce((bits, flag) => bits | RE2_FLAGS[flag], 0);
+    const regex = RE2JS.compile(pattern, mask);
+    return regex.programSize() <= MAX_PATTERN_PROGRAM_SIZE ? regex : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Check whether a rule document sets at least one condition
+ * @param {Object} rule
+ * @returns {boolean}
+ */
+export function hasCondition(rule) {
+  return RULE_CONDITIONS.some((field) => rule[field] !== undefined && rule[field] !== null);
+}
+
+/**
+ * Check a transaction against a compiled rule
+ * @param {Object} rule - output of loadRules
+ * @param {{ note?: string, amount: number, type: string }} transaction
+ * @returns {boolean}
+ */
+export function ruleMatches(rule, transaction) {
+  if (rule.type && rule.type !== transaction.type) return false;
+
+  const note = transaction.note || "";
+  const cents = Math.round(Number(transaction.amount) * 100);
+
+  if (rule.noteContains && !note.toLowerCase().includes(rule.noteContains.toLowerCase())) {
+    return false;
+  }
+  if (rule.noteMatches) {
+    if (!rule.regex || !rule.regex.test(note.slice(0, MAX_MATCHED_NOTE_LENGTH))) return false;
+  }
+  if (rule.amountEquals != null && cents !== Math.round(rule.amountEquals * 100)) return false;
+  if (rule.amountMin != null && cents < Math.round(rule.amountMin * 100)) return false;
+  if (rule.amountMax != null && cents > Math.round(rule.amountMax * 100)) return false;
+
+  return true;
+}
+
+/**
+ * Load a ledger's enabled rules, in the order they are tried
+ * Rules whose category no longer exists (or is in the trash) are skipped
+ * @param {ObjectId} ledgerId - ledger id
+ * @returns {Promise<Object[]>} rules with `type` and `regex` filled in
+ */
+export async function loadRules(ledgerId) {
+  const [rules, categories] = await Promise.all([
+    db
+      .collection("categoryRules")
+      .find({ ledgerId, enabled: { $ne: false } })
+      .sort({ priority: -1, createdAt: 1 })
+      .toArray(),
+    db.collection("categories").find({ ledgerId, ...NOT_DELETED }).project({ type: 1 }).toArray(),
+  ]);
+
+  const typeById = new Map(categories.map((c) => [String(c._id), c.type]));
+
+  return rules
+    .filter((rule) => typeById.has(String(rule.categoryId)))
+    .map((rule) => ({
+      ...rule,
+      type: typeById.get(String(rule.categoryId)),
+      regex: rule.noteMatches ? parseNotePattern(rule.noteMatches) : null,
+    }));
+}
+
+/**
+ * First rule matching a transaction
+ * @param {Object[]} rules - output of loadRules
+ * @param {{ note?: string, amount: number, type: string }} transaction
+ * @returns {Object|null}
+ */
+export function findMatchingRule(rules, transaction) {
+  return rules.find((rule) => ruleMatches(rule, transaction)) || null;
+}
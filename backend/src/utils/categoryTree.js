@@ -0,0 +1,155 @@
+// utils/categoryTree.js
+// Helpers for nested categories (e.g. Food → Groceries / Restaurants / Coffee)
+// A category's optional parentId points at another category of the same type.
+// Categories without a parentId are top-level, so flat setups are unchanged.
+
+import db from "../db/conn.js";
+import { NOT_DELETED } from "./audit.js";
+
+// Levels allowed in a category tree (top-level categories are level 1)
+export const MAX_CATEGORY_DEPTH = 3;
+
+/**
+ * Load a ledger's categories (not the trashed ones) with the fields the tree needs
+ * @param {ObjectId} ledgerId - ledger id
+ * @returns {Promise<Object[]>}
+ */
+export function loadCategories(ledgerId) {
+  return db
+    .collection("categories")
+    .find({ ledgerId, ...NOT_DELETED })
+    .project({ name: 1, icon: 1, type: 1, parentId: 1 })
+    .toArray();
+}
+
+/**
+ * Index categories by their string id
+ * @param {Object[]} categories
+ * @returns {Map<string, Object>}
+ */
+export function indexCategories(categories) {
+  return new Map(categories.map((c) => [String(c._id), c]));
+}
+
+/**
+ * Ids of a category's ancestors, nearest first
+ * Stops at a missing parent or if stored data ever forms a loop
+ * @param {Map<string, Object>} byId - output of indexCategories
+ * @param {ObjectId|string} id
+ * @returns {string[]}
+ */
+export function ancestorIds(byId, id) {
+  const ancestors = [];
+  let current = byId.get(String(id));
+
+  while (current && current.parentId) {
+    const parentKey = String(current.parentId);
+    if (parentKey === String(id) || ancestors.includes(parentKey)) break;
+    if (!byId.has(parentKey)) break;
+    ancestors.push(parentKey);
+    current = byId.get(parentKey);
+  }
+  return ancestors;
+}
+
+/**
+ * Id of the top-level category a category rolls up into (itself if top-level)
+ * @param {Map<string, Object>} byId - output of indexCategories
+ * @param {ObjectId|string|null} id
+ * @returns {string|null}
+ */
+export function rootIdOf(byId, id) {
+  if (!id) return null;
+  const ancestors = ancestorIds(byId, id);
+  return ancestors.length ? ancestors[ancestors.length - 1] : String(id);
+}
+
+/**
+ * Ids of every category below a category
+ * @param {Object[]} categories
+ * @param {ObjectId|string} id
+ * @returns {ObjectId[]}
+ */
+export function descendantIds(categories, id) {
+  const found = [];
+  const seen = new Set([String(id)]);
+  let frontier = [String(id)];
+
+  while (frontier.length) {
+    const children = categories.filter(
+      (c) => c.parentId && frontier.includes(String(c.parentId)) && !seen.has(String(c._id))
+    );
+    for (const child of children) {
+      seen.add(String(child._id));
+      found.push(child._id);
+    }
+    frontier = children.map((c) => String(c._id));
+  }
+  return found;
+}
+
+/**
+ * Number of levels in a category's subtree (1 for a category without children)
+ * @param {Object[]} categories
+ * @param {ObjectId|string} id
+ * @returns {number}
+ */
+export function subtreeHeight(categories, id) {
+  const byId = indexCategories(categories);
+  const depth = ancestorIds(byId, id).length;
+
+  return descendantIds(categories, id).reduce(
+    (height, childId) => Math.max(height, ancestorIds(byId, childId).length - depth + 1),
+    1
+  );
+}
+
+/**
+ * Nest categories under their parents
+ * Categories whose parent is missing are treated as top-level
+ * @param {Object[]} categories
+ * @returns {Object[]} top-level categories, each with `depth` and `children`
+ */
+export function buildTree(categories) {
+  const byId = indexCategories(categories);
+  const nodes = new Map(categories.map((c) => [String(c._id), { ...c, children: [] }]));
+  const roots = [];
+
+  for (const node of nodes.values()) {
+    const parentKey = node.parentId ? String(node.parentId) : null;
+    const parent = parentKey && byId.has(parentKey) ? nodes.get(parentKey) : null;
+    (parent ? parent.children : roots).push(node);
+  }
+
+  const finish = (list, depth) => {
+    list.sort((a, b) => String(a.name).localeCompare(String(b.name)));
+    for (const node of list) {
+      node.depth = depth;
+      finish(node.children, depth + 1);
+    }
+    return list;
+  };
+  return finish(roots, 1);
+}
+
+/**
+ * Add subcategories to a categoryId filter, so filtering by a parent
+ * also matches transactions in its children
+ * @param {ObjectId} ledgerId - ledger id
+ * @param {Object} filters - output of parseTransactionFilters (changed in place)
+ * @returns {Promise<Object>} the same filters
+ */
+export async function expandCategoryFilter(ledgerId, filters) {
+  if (!filters.categoryIds) return filters;
+
+  const categories = await loadCategories(ledgerId);
+  const ids = new Map(filters.categoryIds.map((id) => [String(id), id]));
+  for (const id of filters.categoryIds) {
+    for (const child of descendantIds(categories, id)) {
+      ids.set(String(child), child);
+    }
+  }
+
+  filters.categoryIds = [...ids.values()];
+  return filters;
+}
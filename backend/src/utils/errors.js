@@ -0,0 +1,40 @@
+// utils/errors.js
+// HTTP errors thrown by routes and helpers
+// The central error handler (middleware/errorHandler.js) turns them into
+// JSON responses: { message, details? }
+
+/**
+ * Error carrying an HTTP status and optional field-level details
+ */
+export class HttpError extends Error {
+  /**
+   * @param {number} status - HTTP status code
+   * @param {string} message - human readable reason
+   * @param {Array<{ field: string, message: string }>} [details] - per-field problems
+   */
+  constructor(status, message, details) {
+    super(message);
+    this.name = "HttpError";
+    this.status = status;
+    if (details && details.length) this.details = details;
+  }
+}
+
+/**
+ * 400 Bad Request
+ * @param {string} message
+ * @param {Array<{ field: string, message: string }>} [details]
+ * @returns {HttpError}
+ */
+export function badRequest(message, details) {
+  return new HttpError(400, message, details);
+}
+
+/**
+ * 404 Not Found
+ * @param {string} message
+ * @returns {HttpError}
+ */
+export function notFound(message) {
+  return new HttpError(404, message);
+}
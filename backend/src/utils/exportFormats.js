@@ -0,0 +1,196 @@
+// utils/exportFormats.js
+// Formatters for transaction exports (CSV, JSON and OFX)
+// Each format has a header, one chunk per transaction and a footer, so an
+// export can be written while a MongoDB cursor is read
+
+// Supported export formats
+export const EXPORT_FORMATS = ["csv", "json", "ofx"];
+
+// Response content types per format
+export const EXPORT_CONTENT_TYPES = {
+  csv: "text/csv; charset=utf-8",
+  json: "application/json; charset=utf-8",
+  ofx: "application/x-ofx",
+};
+
+// CSV columns, in order
+const CSV_COLUMNS = [
+  "id",
+  "date",
+  "type",
+  "amount",
+  "currency",
+  "fxRate",
+  "baseAmount",
+  "category",
+  "account",
+  "note",
+  "tags",
+];
+
+/**
+ * Round to 2 decimal places
+ * @param {number} value
+ * @returns {number}
+ */
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Date part of a date as YYYY-MM-DD (UTC)
+ * @param {Date} date
+ * @returns {string}
+ */
+function dayKey(date) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+/**
+ * Quote a CSV cell when needed
+ * Text starting with = + - @ is prefixed with ' so spreadsheets do not run it
+ * as a formula
+ * @param {*} value
+ * @param {boolean} [text=false] - user-entered text (note, names)
+ * @returns {string}
+ */
+function csvCell(value, text = false) {
+  let cell = value === null || value === undefined ? "" : String(value);
+  if (text && /^[=+\-@\t\r]/.test(cell)) cell = `'${cell}`;
+  return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+}
+
+/**
+ * Escape text for an OFX (SGML) element value
+ * @param {string} value
+ * @returns {string}
+ */
+function ofxText(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/[\r\n]+/g, " ")
+    .slice(0, 255);
+}
+
+/**
+ * Category label for a transaction ("Groceries; Pharmacy" for splits)
+ * @param {Object} transaction
+ * @param {Map<string, string>} categoryNames - category id → name
+ * @returns {string}
+ */
+function categoryLabel(transaction, categoryNames) {
+  if (transaction.splits?.length) {
+    return transaction.splits
+      .map((s) => categoryNames.get(String(s.categoryId)) || "")
+      .join("; ");
+  }
+  return transaction.categoryId ? categoryNames.get(String(transaction.categoryId)) || "" : "";
+}
+
+/**
+ * Create the writer for one export format
+ * @param {string} format - one of EXPORT_FORMATS
+ * @param {Object} context
+ * @param {Map<string, string>} context.categoryNames - category id → name
+ * @param {Map<string, string>} context.accountNames - account id → name
+ * @param {string} context.baseCurrency - currency OFX amounts are given in
+ * @param {Date} [context.now]
+ * @returns {{ header: () => string, row: (transaction: Object, index: number) => string, footer: () => string }}
+ */
+export function createExportWriter(format, context) {
+  const { categoryNames, accountNames, baseCurrency, now = new Date() } = context;
+  const baseAmount = (t) => round2(t.amount * (t.fxRate ?? 1));
+
+  if (format === "csv") {
+    return {
+      header: () => `${CSV_COLUMNS.join(",")}\r\n`,
+      row: (t) =>
+        [
+          csvCell(t._id),
+          csvCell(dayKey(t.date)),
+          csvCell(t.transferDirection ? `${t.type}-${t.transferDirection}` : t.type),
+          csvCell(t.amount),
+          csvCell(t.currency || baseCurrency),
+          csvCell(t.fxRate ?? 1),
+          csvCell(baseAmount(t)),
+          csvCell(categoryLabel(t, categoryNames), true),
+          csvCell(t.accountId ? accountNames.get(String(t.accountId)) : "", true),
+          csvCell(t.note, true),
+          csvCell((t.tags || []).join("; "), true),
+        ].join(",") + "\r\n",
+      footer: () => "",
+    };
+  }
+
+  if (format === "json") {
+    return {
+      header: () => "[\n",
+      row: (t, index) =>
+        `${index ? ",\n" : ""}${JSON.stringify({
+          ...t,
+          baseAmount: baseAmount(t),
+          categoryName: categoryLabel(t, categoryNames) || null,
+          accountName: t.accountId ? accountNames.get(String(t.accountId)) || null : null,
+        })}`,
+      footer: () => "\n]\n",
+    };
+  }
+
+  // OFX 1.02 (SGML), amounts in the base currency; debits are negative
+  const stamp = now.toISOString().replace(/[-:T]/g, "").slice(0, 14);
+  return {
+    header: () =>
+      [
+        "OFXHEADER:100",
+        "DATA:OFXSGML",
+        "VERSION:102",
+        "SECURITY:NONE",
+        "ENCODING:USASCII",
+        "CHARSET:1252",
+        "COMPRESSION:NONE",
+        "OLDFILEUID:NONE",
+        "NEWFILEUID:NONE",
+        "",
+        "<OFX>",
+        "<SIGNONMSGSRSV1><SONRS>",
+        "<STATUS><CODE>0<SEVERITY>INFO</STATUS>",
+        `<DTSERVER>${stamp}`,
+        "<LANGUAGE>ENG",
+        "</SONRS></SIGNONMSGSRSV1>",
+        "<BANKMSGSRSV1><STMTTRNRS>",
+        "<TRNUID>0",
+        "<STATUS><CODE>0<SEVERITY>INFO</STATUS>",
+        "<STMTRS>",
+        `<CURDEF>${baseCurrency}`,
+        "<BANKACCTFROM><BANKID>FINSIGHT<ACCTID>FINSIGHT<ACCTTYPE>CHECKING</BANKACCTFROM>",
+        "<BANKTRANLIST>",
+        "",
+      ].join("\r\n"),
+    row: (t) => {
+      const credit = t.type === "income" || t.transferDirection === "in";
+      const amount = baseAmount(t) * (credit ? 1 : -1);
+      const trnType = t.transferDirection ? "XFER" : credit ? "CREDIT" : "DEBIT";
+      return [
+        "<STMTTRN>",
+        `<TRNTYPE>${trnType}`,
+        `<DTPOSTED>${dayKey(t.date).replace(/-/g, "")}`,
+        `<TRNAMT>${amount.toFixed(2)}`,
+        `<FITID>${t._id}`,
+        // Full note, so an exported file imports back with the same notes
+        `<NAME>${ofxText(t.note || categoryLabel(t, categoryNames) || t.type)}`,
+        "</STMTTRN>",
+        "",
+      ].join("\r\n");
+    },
+    footer: () =>
+      [
+        "</BANKTRANLIST>",
+        "</STMTRS>",
+        "</STMTTRNRS></BANKMSGSRSV1>",
+        "</OFX>",
+        "",
+      ].join("\r\n"),
+  };
+}
@@ -0,0 +1,193 @@
+// utils/forecast.js
+// Month-by-month cash-flow projection
+// Every (type, category) series is projected on its own:
+// - its average month, counted from the first month it appears in the history
+// - scaled by a seasonal factor per calendar month once the series has
+//   SEASONAL_MIN_MONTHS of history
+// - never below what is already scheduled for that month (future-dated
+//   transactions, recurring rules)
+// Bands come from how far each series strays from its expected month,
+// treating categories as independent of each other.
+
+// Months of history a series needs before seasonality is used
+export const SEASONAL_MIN_MONTHS = 24;
+
+// Width of the confidence band: 80% of months should fall inside it
+export const BAND_LEVEL = 80;
+const BAND_Z = 1.2816;
+
+/**
+ * Round to 2 decimal places
+ * @param {number} value
+ * @returns {number}
+ */
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Months since year 0, for month arithmetic
+ * @param {Date} date
+ * @returns {number}
+ */
+function monthNumber(date) {
+  return date.getUTCFullYear() * 12 + date.getUTCMonth();
+}
+
+/**
+ * Format a month start as its YYYY-MM key
+ * @param {Date} date
+ * @returns {string}
+ */
+export function monthKey(date) {
+  return new Date(date).toISOString().slice(0, 7);
+}
+
+/**
+ * Expected amount and spread of one series
+ * @param {number[]} values - monthly totals from the series' first month on
+ * @param {Date[]} months - month starts matching values
+ * @returns {{ expectedIn: Function, sigma: number, seasonal: boolean, middle: number }}
+ */
+function fitSeries(values, months) {
+  const n = values.length;
+  const mean = values.reduce((sum, v) => sum + v, 0) / n;
+
+  // Average of each calendar month relative to the overall average
+  let factors = null;
+  if (n >= SEASONAL_MIN_MONTHS && mean > 0) {
+    const sums = new Array(12).fill(0);
+    const counts = new Array(12).fill(0);
+    values.forEach((value, i) => {
+      sums[months[i].getUTCMonth()] += value;
+      counts[months[i].getUTCMonth()] += 1;
+    });
+    factors = sums.map((sum, m) => (counts[m] ? sum / counts[m] / mean : 1));
+  }
+
+  const expectedIn = (month) => mean * (factors ? factors[month.getUTCMonth()] : 1);
+
+  // Spread of the months around their expectation, widened for the
+  // uncertainty in the average itself
+  const squares = values.reduce((sum, v, i) => sum + (v - expectedIn(months[i])) ** 2, 0);
+  const sd = n > 1 ? Math.sqrt(squares / (n - 1)) : 0;
+
+  return {
+    expectedIn,
+    sigma: sd * Math.sqrt(1 + 1 / n),
+    seasonal: Boolean(factors),
+    middle: (monthNumber(months[0]) + monthNumber(months[n - 1])) / 2,
+  };
+}
+
+/**
+ * Project income, expense and net for each future month
+ * @param {Object} input
+ * @param {Object[]} input.history - { type, categoryId, month, amount } monthly totals
+ * @param {Date[]} input.historyMonths - month starts covered by the history, ascending
+ * @param {Object[]} input.scheduled - { type, categoryId, month, amount } known amounts
+ * @param {Date[]} input.futureMonths - month starts to project, ascending
+ * @param {number|null} [input.inflationRate] - % per year; adds inflationAdjusted figures
+ *   with averages moved from the prices of their history to those of each month
+ * @returns {{ months: Object[], seasonalSeries: number, series: number }}
+ */
+export function buildForecast({ history, historyMonths, scheduled, futureMonths, inflationRate }) {
+  const seriesKey = (row) => `${row.type}|${row.categoryId || ""}`;
+
+  // type|category -> month key -> total
+  const observed = new Map();
+  const types = new Map();
+  for (const row of history) {
+    const key = seriesKey(row);
+    if (!observed.has(key)) observed.set(key, new Map());
+    const totals = observed.get(key);
+    totals.set(monthKey(row.month), (totals.get(monthKey(row.month)) || 0) + row.amount);
+    types.set(key, row.type);
+  }
+
+  const fits = new Map();
+  for (const [key, totals] of observed) {
+    const first = historyMonths.findIndex((month) => totals.has(monthKey(month)));
+    const months = historyMonths.slice(first);
+    fits.set(key, fitSeries(months.map((month) => totals.get(monthKey(month)) || 0), months));
+  }
+
+  // type|category -> month key -> scheduled total
+  const known = new Map();
+  for (const row of scheduled) {
+    const key = seriesKey(row);
+    if (!known.has(key)) known.set(key, new Map());
+    const totals = known.get(key);
+    totals.set(monthKey(row.month), (totals.get(monthKey(row.month)) || 0) + row.amount);
+    types.set(key, row.type);
+  }
+
+  let cumulativeNet = 0;
+  let cumulativeAdjusted = 0;
+
+  const months = futureMonths.map((month) => {
+    const totals = {
+      income: { expected: 0, variance: 0, scheduled: 0, adjusted: 0 },
+      expense: { expected: 0, variance: 0, scheduled: 0, adjusted: 0 },
+    };
+
+    for (const [key, type] of types) {
+      const fit = fits.get(key);
+      const fixed = known.get(key)?.get(monthKey(month)) || 0;
+      const average = fit ? fit.expectedIn(month) : 0;
+      const total = totals[type];
+
+      total.scheduled += fixed;
+      total.expected += Math.max(average, fixed);
+      if (fit && average > fixed) total.variance += fit.sigma ** 2;
+
+      if (inflationRate !== null && inflationRate !== undefined) {
+        const years = fit ? (monthNumber(month) - fit.middle) / 12 : 0;
+        total.adjusted += Math.max(average * (1 + inflationRate / 100) ** years, fixed);
+      }
+    }
+
+    // Scheduled amounts are certain, so the band never drops below them
+    const band = ({ expected, variance, scheduled }) => ({
+      expected: round2(expected),
+      low: round2(Math.max(scheduled, expected - BAND_Z * Math.sqrt(variance))),
+      high: round2(expected + BAND_Z * Math.sqrt(variance)),
+      scheduled: round2(scheduled),
+    });
+
+    const { income, expense } = totals;
+    const net = income.expected - expense.expected;
+    const netSpread = BAND_Z * Math.sqrt(income.variance + expense.variance);
+    cumulativeNet += net;
+
+    const result = {
+      month: monthKey(month),
+      income: band(income),
+      expense: band(expense),
+      net: {
+        expected: round2(net),
+        low: round2(net - netSpread),
+        high: round2(net + netSpread),
+      },
+      cumulativeNet: round2(cumulativeNet),
+    };
+
+    if (inflationRate !== null && inflationRate !== undefined) {
+      cumulativeAdjusted += income.adjusted - expense.adjusted;
+      result.inflationAdjusted = {
+        income: round2(income.adjusted),
+        expense: round2(expense.adjusted),
+        net: round2(income.adjusted - expense.adjusted),
+        cumulativeNet: round2(cumulativeAdjusted),
+      };
+    }
+
+    return result;
+  });
+
+  return {
+    months,
+    series: types.size,
+    seasonalSeries: [...fits.values()].filter((fit) => fit.seasonal).length,
+  };
+}
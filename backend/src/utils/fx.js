@@ -0,0 +1,390 @@
+// utils/fx.js
+// Exchange rate provider interface, MongoDB rate cache and currency helpers
+//
+// A rate provider is any object with:
+//   getRates({ base, date })       → Promise<{ base, date, rates: { CODE: number } }>
+//   getSeries({ base, from, to })  → Promise<{ base, rates: { "YYYY-MM-DD": { CODE: number } } }>
+// where date is "YYYY-MM-DD" for historical rates or null for the latest ones.
+// Providers return rates for every supported currency; callers pick the symbols.
+// The live provider calls the Frankfurter API; tests can swap in a local stub
+// with setRateProvider(createStaticRateProvider({...})).
+
+import axios from "axios";
+import db from "../db/conn.js";              // MongoDB connection instance
+import { logger } from "./logger.js";
+import { cacheLookups } from "./metrics.js";
+import { recordUpstream } from "./health.js";
+
+// Base currency used when a user has not chosen one
+export const DEFAULT_BASE_CURRENCY = process.env.DEFAULT_BASE_CURRENCY || "USD";
+
+// Currencies published by the ECB (and therefore by Frankfurter)
+export const SUPPORTED_CURRENCIES = [
+  "AUD", "BGN", "BRL", "CAD", "CHF", "CNY", "CZK", "DKK", "EUR", "GBP",
+  "HKD", "HUF", "IDR", "ILS", "INR", "ISK", "JPY", "KRW", "MXN", "MYR",
+  "NOK", "NZD", "PHP", "PLN", "RON", "SEK", "SGD", "THB", "TRY", "USD",
+  "ZAR",
+];
+
+// Longest range served by the series endpoint
+export const MAX_SERIES_DAYS = 731;
+
+// How long "latest" rates (and ranges that include today) stay fresh: 1 hour
+const LATEST_TTL_MS = Number(process.env.FX_LATEST_TTL_MS) || 1000 * 60 * 60;
+
+// Cache collections; entries are looked up by key
+const CACHE_COLLECTIONS = ["fxRates", "fxSeries"];
+
+// Frankfurter API base URL
+const FRANKFURTER_BASE = "https://api.frankfurter.dev/v1";
+
+/**
+ * Live provider backed by the Frankfurter API (ECB reference rates)
+ */
+export const frankfurterProvider = {
+  name: "frankfurter",
+
+  async getRates({ base, date = null }) {
+    const response = await axios.get(`${FRANKFURTER_BASE}/${date || "latest"}`, {
+      params: { base },
+    });
+
+    return {
+      base: response.data.base,
+      date: response.data.date,
+      rates: response.data.rates,
+    };
+  },
+
+  async getSeries({ base, from, to }) {
+    const response = await axios.get(`${FRANKFURTER_BASE}/${from}..${to}`, {
+      params: { base },
+    });
+
+    return {
+      base: response.data.base,
+      rates: response.data.rates,
+    };
+  },
+};
+
+/**
+ * Create a provider that serves fixed rates without any network access
+ * Rates are expressed against USD and cross rates are derived from them
+ * @param {Object} usdRates - e.g. { EUR: 0.9, INR: 83 }
+ * @returns {Object} rate provider
+ */
+export function createStaticRateProvider(usdRates = {}) {
+  const table = { USD: 1, ...usdRates };
+
+  const ratesFor = (base) => {
+    if (!table[base]) throw new Error(`Unsupported currency: ${base}`);
+
+    const rates = {};
+    for (const [code, usdRate] of Object.entries(table)) {
+      if (code !== base) rates[code] = usdRate / table[base];
+    }
+    return rates;
+  };
+
+  return {
+    name: "static",
+
+    async getRates({ base, date = null }) {
+      return {
+        base,
+        date: date || new Date().toISOString().slice(0, 10),
+        rates: ratesFor(base),
+      };
+    },
+
+    async getSeries({ base, from, to }) {
+      const rates = {};
+      for (let d = new Date(from); d <= new Date(to); d.setUTCDate(d.getUTCDate() + 1)) {
+        rates[d.toISOString().slice(0, 10)] = ratesFor(base);
+      }
+      return { base, rates };
+    },
+  };
+}
+
+// Provider used by the rest of the app
+let provider = frankfurterProvider;
+
+/**
+ * Replace the active rate provider (pass nothing to restore the live one)
+ * @param {Object} [next] - rate provider
+ */
+export function setRateProvider(next) {
+  provider = next || frankfurterProvider;
+}
+
+/**
+ * Get the active rate provider
+ * @returns {Object} rate provider
+ */
+export function getRateProvider() {
+  return provider;
+}
+
+/**
+ * Check that a value is a currency code we can fetch rates for
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isSupportedCurrency(value) {
+  return SUPPORTED_CURRENCIES.includes(value);
+}
+
+// Ensures the indexes are only created once per process
+let indexesReady = null;
+
+/**
+ * Create the indexes the rate caches rely on
+ * - one entry per key (fast lookups, and concurrent misses cannot insert twice)
+ * @returns {Promise<void>}
+ */
+function ensureIndexes() {
+  if (!indexesReady) {
+    indexesReady = Promise.all(
+      CACHE_COLLECTIONS.map((name) =>
+        db.collection(name).createIndex({ key: 1 }, { unique: true })
+      )
+    ).catch((err) => {
+      indexesReady = null; // Retry on the next call
+      throw err;
+    });
+  }
+  return indexesReady;
+}
+
+/**
+ * Today's date as YYYY-MM-DD (UTC)
+ * @returns {string}
+ */
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * Wrap a provider failure in an error carrying an HTTP status
+ * Upstream 4xx (e.g. a date before 1999) means no data; anything else is an outage
+ * @param {Error} err - provider error
+ * @returns {Error}
+ */
+function upstreamError(err) {
+  const status = err.response?.status;
+  const wrapped = new Error(
+    status >= 400 && status < 500
+      ? "No exchange rates available for the requested date"
+      : "Exchange rate provider unavailable"
+  );
+  wrapped.status = status >= 400 && status < 500 ? 400 : 502;
+  wrapped.cause = err;
+  return wrapped;
+}
+
+/**
+ * Call the rate provider, recording the outcome for GET /ready
+ * @param {Function} fetcher
+ * @returns {Promise<Object>} what fetcher resolves to
+ */
+async function fetchFromProvider(fetcher) {
+  const name = provider.name || "fx";
+  try {
+    const data = await fetcher();
+    recordUpstream(name);
+    return data;
+  } catch (err) {
+    recordUpstream(name, err);
+    throw err;
+  }
+}
+
+/**
+ * Read through a MongoDB cache collection
+ * Fresh entries are served as-is; expired ones are refreshed from the provider
+ * and served with stale: true if the provider fails
+ * @param {string} name - collection name
+ * @param {string} key - cache key
+ * @param {Function} fetcher - loads fresh data from the provider
+ * @param {number|null} ttlMs - time-to-live, null for data that never changes
+ * @returns {Promise<{ data: Object, cached: boolean, stale: boolean }>}
+ */
+async function readThrough(name, key, fetcher, ttlMs) {
+  await ensureIndexes();
+  const collection = db.collection(name);
+  const entry = await collection.findOne({ key });
+
+  if (entry && (!entry.expiresAt || entry.expiresAt > new Date())) {
+    cacheLookups.inc({ cache: name, result: "hit" });
+    return { data: entry, cached: true, stale: false };
+  }
+
+  try {
+    const fresh = await fetchFromProvider(fetcher);
+    const now = new Date();
+    const data = {
+      ...fresh,
+      key,
+      fetchedAt: now,
+      expiresAt: ttlMs ? new Date(now.getTime() + ttlMs) : null,
+    };
+
+    try {
+      await collection.replaceOne({ key }, data, { upsert: true });
+    } catch (err) {
+      // A concurrent miss inserted the same key first; its copy is as good
+      if (err.code !== 11000) throw err;
+    }
+    cacheLookups.inc({ cache: name, result: "miss" });
+    return { data, cached: false, stale: false };
+  } catch (err) {
+    // Serve the expired copy rather than failing when the upstream is down
+    if (entry) {
+      logger.warn("FX API error (serving stale rates)", { err, cache: name, key });
+      cacheLookups.inc({ cache: name, result: "stale" });
+      return { data: entry, cached: true, stale: true };
+    }
+    cacheLookups.inc({ cache: name, result: "miss" });
+    throw upstreamError(err);
+  }
+}
+
+/**
+ * Pick the requested symbols out of a rates object
+ * @param {Object} rates - { CODE: number }
+ * @param {string} base - base currency (always 1)
+ * @param {string[]} [symbols] - codes to keep (all when omitted)
+ * @returns {Object}
+ */
+function pickRates(rates, base, symbols) {
+  const all = { ...rates, [base]: 1 };
+  if (!symbols || symbols.length === 0) return rates;
+
+  const picked = {};
+  for (const code of symbols) {
+    if (all[code] !== undefined) picked[code] = all[code];
+  }
+  return picked;
+}
+
+/**
+ * Get rates for a base currency, latest or on a given date (cached in MongoDB)
+ * Historical rates never change and are cached forever
+ * @param {Object} options
+ * @param {string} options.base - base currency
+ * @param {string[]} [options.symbols] - target currencies (all when omitted)
+ * @param {string|null} [options.date] - YYYY-MM-DD, null for latest
+ * @returns {Promise<{ base, date, rates, cached, stale }>}
+ */
+export async function getRates({ base, symbols, date = null }) {
+  // Today's rates can still change until the ECB publishes
+  const historical = date && date < today();
+  const key = `${base}:${historical ? date : "latest"}`;
+
+  const { data, cached, stale } = await readThrough(
+    "fxRates",
+    key,
+    () => provider.getRates({ base, date: historical ? date : null }),
+    historical ? null : LATEST_TTL_MS
+  );
+
+  return {
+    base: data.base,
+    date: data.date,
+    rates: pickRates(data.rates, base, symbols),
+    cached,
+    stale,
+  };
+}
+
+/**
+ * Months a date range touches
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to - YYYY-MM-DD
+ * @returns {string[]} YYYY-MM in ascending order
+ */
+function monthsBetween(from, to) {
+  const months = [];
+  const cursor = new Date(`${from.slice(0, 7)}-01T00:00:00Z`);
+  while (cursor.toISOString().slice(0, 7) <= to.slice(0, 7)) {
+    months.push(cursor.toISOString().slice(0, 7));
+    cursor.setUTCMonth(cursor.getUTCMonth() + 1);
+  }
+  return months;
+}
+
+/**
+ * Daily rates of one calendar month (cached in MongoDB)
+ * Months that ended before today are cached forever; the current one is
+ * fetched up to today and refreshed like latest rates
+ * @param {string} base - base currency
+ * @param {string} month - YYYY-MM
+ * @returns {Promise<{ data: Object, cached: boolean, stale: boolean }>}
+ */
+function getMonthSeries(base, month) {
+  const [year, monthIndex] = month.split("-").map(Number);
+  const lastDay = new Date(Date.UTC(year, monthIndex, 0)).toISOString().slice(0, 10);
+  const ended = lastDay < today();
+
+  return readThrough(
+    "fxSeries",
+    `${base}:${month}`,
+    () => provider.getSeries({ base, from: `${month}-01`, to: ended ? lastDay : today() }),
+    ended ? null : LATEST_TTL_MS
+  );
+}
+
+/**
+ * Get a daily time series of rates
+ * Assembled from cached calendar months, so any range reuses the same
+ * entries (see getMonthSeries); months after today have no rates yet
+ * @param {Object} options
+ * @param {string} options.base - base currency
+ * @param {string[]} [options.symbols] - target currencies (all when omitted)
+ * @param {string} options.from - YYYY-MM-DD
+ * @param {string} options.to - YYYY-MM-DD
+ * @returns {Promise<{ base, from, to, rates, cached, stale }>}
+ */
+export async function getSeries({ base, symbols, from, to }) {
+  const months = monthsBetween(from, to).filter((month) => month <= today().slice(0, 7));
+  const parts = await Promise.all(months.map((month) => getMonthSeries(base, month)));
+
+  const rates = {};
+  for (const { data } of parts) {
+    for (const [day, dayRates] of Object.entries(data.rates || {})) {
+      if (day >= from && day <= to) rates[day] = pickRates(dayRates, base, symbols);
+    }
+  }
+
+  return {
+    base,
+    from,
+    to,
+    rates,
+    cached: parts.every((part) => part.cached),
+    stale: parts.some((part) => part.stale),
+  };
+}
+
+/**
+ * Get the rate that converts 1 unit of `from` into `to` on a given date
+ * Future dates use the latest available rate
+ * @param {string} from - source currency code
+ * @param {string} to - target currency code
+ * @param {Date} [date] - transaction date (latest rate if omitted)
+ * @returns {Promise<number>}
+ */
+export async function getConversionRate(from, to, date) {
+  if (from === to) return 1;
+
+  const day = date ? new Date(date).toISOString().slice(0, 10) : null;
+  const result = await getRates({ base: from, symbols: [to], date: day });
+
+  const rate = result.rates?.[to];
+  if (typeof rate !== "number") {
+    throw new Error(`No ${from}/${to} rate available`);
+  }
+  return rate;
+}
@@ -0,0 +1,82 @@
+// utils/health.js
+// Readiness checks behind GET /ready
+// - MongoDB is pinged on every check; the instance is not ready without it.
+//   A client whose first connection failed stays closed, so the check also
+//   connects it again (a no-op once connected).
+// - External data providers (exchange rates, inflation) are not called by
+//   the check. Their status comes from the last real calls, so a provider
+//   outage shows up without taking every instance out of rotation.
+
+import { upstreamRequests } from "./metrics.js";
+
+// Longest a MongoDB ping may take before it counts as down
+const DB_PING_TIMEOUT_MS = Number(process.env.READY_DB_TIMEOUT_MS) || 2000;
+
+// name -> { lastSuccessAt, lastFailureAt, lastError }
+const upstreams = new Map();
+
+/**
+ * Remember the outcome of a call to an external provider
+ * @param {string} name - e.g. "frankfurter", "worldbank"
+ * @param {Error|null} [err] - the failure, null on success
+ */
+export function recordUpstream(name, err = null) {
+  const entry = upstreams.get(name) || {
+    lastSuccessAt: null,
+    lastFailureAt: null,
+    lastError: null,
+  };
+  if (err) {
+    entry.lastFailureAt = new Date();
+    entry.lastError = err.message;
+  } else {
+    entry.lastSuccessAt = new Date();
+  }
+  upstreams.set(name, entry);
+  upstreamRequests.inc({ upstream: name, result: err ? "error" : "ok" });
+}
+
+/**
+ * Status of each external provider called since the instance started
+ * "failing" when the last call failed, "ok" otherwise
+ * @returns {Object} name -> { status, lastSuccessAt, lastFailureAt, lastError }
+ */
+export function upstreamStatus() {
+  const status = {};
+  for (const [name, entry] of upstreams) {
+    const failing = entry.lastFailureAt && entry.lastFailureAt > (entry.lastSuccessAt || 0);
+    status[name] = { status: failing ? "failing" : "ok", ...entry };
+  }
+  return status;
+}
+
+/**
+ * Connect (if needed) and ping MongoDB, giving up after DB_PING_TIMEOUT_MS
+ * A connection attempt still running then carries on in the background.
+ * The client is passed in so this module stays free of a database connection
+ * (utils/fx.js and utils/inflation.js report to it)
+ * @param {MongoClient} client
+ * @returns {Promise<{ status: "ok"|"down", latencyMs: number, error?: string }>}
+ */
+export async function checkDatabase(client) {
+  const started = Date.now();
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(
+      () => reject(new Error(`No answer within ${DB_PING_TIMEOUT_MS} ms`)),
+      DB_PING_TIMEOUT_MS
+    );
+  });
+
+  try {
+    await Promise.race([
+      client.connect().then(() => client.db("admin").command({ ping: 1 })),
+      timeout,
+    ]);
+    return { status: "ok", latencyMs: Date.now() - started };
+  } catch (err) {
+    return { status: "down", latencyMs: Date.now() - started, error: err.message };
+  } finally {
+    clearTimeout(timer);
+  }
+}
@@ -0,0 +1,299 @@
+// utils/importParsers.js
+// Parsers for bank statement imports (CSV and OFX/QFX)
+// Every parser returns normalized rows: { date, amount, type, note, externalId, errors }
+
+// Supported import formats
+export const IMPORT_FORMATS = ["csv", "ofx"];
+
+// Supported CSV date formats
+export const DATE_FORMATS = ["YYYY-MM-DD", "MM/DD/YYYY", "DD/MM/YYYY"];
+
+/**
+ * Split CSV text into rows of cells
+ * Handles quoted cells, escaped quotes ("") and CRLF line endings
+ * @param {string} text - raw CSV content
+ * @param {string} delimiter - cell separator
+ * @returns {string[][]}
+ */
+export function parseCsv(text, delimiter = ",") {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+
+    if (inQuotes) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        cell += ch;
+      }
+      continue;
+    }
+
+    if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === delimiter) {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+
+  // Last line without a trailing newline
+  if (cell !== "" || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter((r) => r.some((c) => c.trim() !== ""));
+}
+
+/**
+ * Parse a date string using one of DATE_FORMATS
+ * @param {string} value - raw date text
+ * @param {string} format - expected format
+ * @returns {Date|null} UTC date, or null if it cannot be parsed
+ */
+export function parseDateWithFormat(value, format = "YYYY-MM-DD") {
+  const text = String(value || "").trim();
+  let year, month, day;
+
+  if (format === "MM/DD/YYYY" || format === "DD/MM/YYYY") {
+    const match = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})$/.exec(text);
+    if (!match) return null;
+    [month, day] = format === "MM/DD/YYYY" ? [match[1], match[2]] : [match[2], match[1]];
+    year = match[3].length === 2 ? `20${match[3]}` : match[3];
+  } else {
+    const match = /^(\d{4})-(\d{1,2})-(\d{1,2})/.exec(text);
+    if (!match) return null;
+    [, year, month, day] = match;
+  }
+
+  const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+
+  // Reject overflow such as 02/31
+  if (date.getUTCMonth() !== Number(month) - 1 || date.getUTCDate() !== Number(day)) {
+    return null;
+  }
+  return date;
+}
+
+/**
+ * Parse a money string such as "1,234.56", "(12.00)" or "-$5"
+ * @param {string} value
+ * @returns {number|null}
+ */
+export function parseAmount(value) {
+  let text = String(value ?? "").trim();
+  if (!text) return null;
+
+  // Accounting style negatives: (12.00)
+  let negative = false;
+  if (/^\(.*\)$/.test(text)) {
+    negative = true;
+    text = text.slice(1, -1);
+  }
+
+  const num = Number(text.replace(/[^0-9.-]/g, ""));
+  if (!Number.isFinite(num)) return null;
+  return negative ? -num : num;
+}
+
+/**
+ * Map a type cell to a transaction type
+ * @param {string} value - e.g. "debit", "CR", "income"
+ * @returns {"income"|"expense"|null}
+ */
+function parseTypeCell(value) {
+  const text = String(value || "").trim().toLowerCase();
+  if (["income", "credit", "cr", "deposit"].includes(text)) return "income";
+  if (["expense", "debit", "dr", "withdrawal", "payment"].includes(text)) return "expense";
+  return null;
+}
+
+/**
+ * Turn parsed CSV rows into normalized import rows
+ *
+ * mapping keys are column headers (or 0-based indexes when hasHeader is false):
+ *   date   - required
+ *   note   - optional description column
+ *   amount - signed amount column (negative = expense), or
+ *   debit / credit - separate unsigned columns
+ *   type   - optional column with income/expense or debit/credit values
+ *
+ * @param {string} text - raw CSV content
+ * @param {Object} options
+ * @param {Object} options.mapping - column mapping
+ * @param {boolean} [options.hasHeader=true] - first row holds column names
+ * @param {string} [options.dateFormat="YYYY-MM-DD"] - one of DATE_FORMATS
+ * @param {string} [options.delimiter=","] - cell separator
+ * @returns {Object[]} normalized rows
+ */
+export function parseCsvStatement(text, { mapping, hasHeader = true, dateFormat, delimiter } = {}) {
+  const rows = parseCsv(text, delimiter || ",");
+  if (rows.length === 0) return [];
+
+  const header = hasHeader ? rows.shift().map((h) => h.trim()) : null;
+
+  // Resolve a mapping entry to a column index
+  const column = (key) => {
+    const ref = mapping[key];
+    if (ref === undefined || ref === null || ref === "") return -1;
+    if (header) return header.indexOf(String(ref));
+    return Number(ref);
+  };
+
+  const cols = {
+    date: column("date"),
+    note: column("note"),
+    amount: column("amount"),
+    debit: column("debit"),
+    credit: column("credit"),
+    type: column("type"),
+  };
+
+  return rows.map((cells) => {
+    const errors = [];
+    const get = (idx) => (idx >= 0 ? (cells[idx] ?? "").trim() : "");
+
+    const date = parseDateWithFormat(get(cols.date), dateFormat);
+    if (!date) errors.push("Invalid date");
+
+    let amount = null;
+    let type = null;
+
+    if (cols.amount >= 0) {
+      amount = parseAmount(get(cols.amount));
+      if (amount !== null) type = amount < 0 ? "expense" : "income";
+    } else {
+      const debit = parseAmount(get(cols.debit));
+      const credit = parseAmount(get(cols.credit));
+      if (debit) {
+        amount = debit;
+        type = "expense";
+      } else if (credit) {
+        amount = credit;
+        type = "income";
+      }
+    }
+
+    // An explicit type column wins over the amount sign
+    if (cols.type >= 0) {
+      type = parseTypeCell(get(cols.type)) || type;
+    }
+
+    if (amount === null || amount === 0) errors.push("Invalid amount");
+
+    return {
+      date,
+      amount: amount === null ? null : Math.abs(amount),
+      type,
+      note: get(cols.note),
+      externalId: null,
+      errors,
+    };
+  });
+}
+
+/**
+ * Read a leaf element value from an OFX block
+ * OFX 1.x (SGML) leaves are not closed, OFX 2.x (XML) leaves are
+ * @param {string} block - text of one aggregate
+ * @param {string} tag - element name
+ * @returns {string}
+ */
+function ofxValue(block, tag) {
+  const match = new RegExp(`<${tag}>([^<\\r\\n]*)`, "i").exec(block);
+  return match ? match[1].trim() : "";
+}
+
+/**
+ * Parse an OFX date such as 20251212 or 20251212120000.000[-5:EST]
+ * @param {string} value
+ * @returns {Date|null}
+ */
+function parseOfxDate(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})/.exec(value);
+  if (!match) return null;
+  return new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+}
+
+/**
+ * Parse OFX / QFX statement content into normalized import rows
+ * @param {string} text - raw OFX content
+ * @returns {Object[]} normalized rows
+ */
+export function parseOfxStatement(text) {
+  const blocks = text.match(/<STMTTRN>[\s\S]*?(?=<\/STMTTRN>|<STMTTRN>|<\/BANKTRANLIST>)/gi) || [];
+
+  return blocks.map((block) => {
+    const errors = [];
+
+    const date = parseOfxDate(ofxValue(block, "DTPOSTED"));
+    if (!date) errors.push("Invalid date");
+
+    const amount = parseAmount(ofxValue(block, "TRNAMT"));
+    if (amount === null || amount === 0) errors.push("Invalid amount");
+
+    // Prefer NAME, fall back to MEMO; keep both when they differ
+    const name = ofxValue(block, "NAME");
+    const memo = ofxValue(block, "MEMO");
+    const note = name && memo && name !== memo ? `${name} ${memo}` : name || memo;
+
+    return {
+      date,
+      amount: amount === null ? null : Math.abs(amount),
+      type: amount !== null && amount < 0 ? "expense" : "income",
+      note,
+      externalId: ofxValue(block, "FITID") || null, // Bank's unique transaction id
+      errors,
+    };
+  });
+}
+
+/**
+ * Normalize a note for comparison: lowercase, no digits or punctuation
+ * @param {string} note
+ * @returns {string}
+ */
+export function normalizeNote(note) {
+  return String(note || "")
+    .toLowerCase()
+    .replace(/[^a-z\s]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Compare two notes by word overlap (Jaccard similarity)
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} similarity between 0 and 1
+ */
+export function noteSimilarity(a, b) {
+  const wordsA = new Set(normalizeNote(a).split(" ").filter(Boolean));
+  const wordsB = new Set(normalizeNote(b).split(" ").filter(Boolean));
+
+  if (wordsA.size === 0 && wordsB.size === 0) return 1;
+  if (wordsA.size === 0 || wordsB.size === 0) return 0;
+
+  let shared = 0;
+  for (const word of wordsA) {
+    if (wordsB.has(word)) shared += 1;
+  }
+  return shared / (wordsA.size + wordsB.size - shared);
+}
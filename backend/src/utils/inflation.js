@@ -0,0 +1,158 @@
+// utils/inflation.js
+// Fetches inflation (CPI) data from the World Bank API
+// Includes simple in-memory caching to reduce API calls
+
+import { cacheLookups } from "./metrics.js";
+import { recordUpstream } from "./health.js";
+
+/**
+ * World Bank indicator used:
+ * FP.CPI.TOTL.ZG
+ * Inflation, consumer prices (annual %)
+ *
+ * Example endpoint:
+ * https://api.worldbank.org/v2/country/USA/indicator/FP.CPI.TOTL.ZG?format=json
+ */
+
+// Base URL for World Bank API
+const WB_BASE = "https://api.worldbank.org/v2";
+
+// --------------------------------------------------
+// Simple in-memory cache (sufficient for class projects)
+// cacheKey -> { data, expiresAt }
+// --------------------------------------------------
+const cache = new Map();
+
+// Cache time-to-live: 12 hours
+const CACHE_TTL_MS = 1000 * 60 * 60 * 12;
+
+/**
+ * Fetch inflation data for a given country
+ * @param {string} countryCode - ISO country code (e.g., USA, IND)
+ * @returns {Object} inflation data (latest + time series)
+ */
+async function fetchInflation(countryCode) {
+  // Construct World Bank API URL
+  const url = `${WB_BASE}/country/${countryCode}/indicator/FP.CPI.TOTL.ZG?format=json&per_page=60`;
+
+  // Call World Bank API
+  const res = await fetch(url);
+
+  // Handle non-200 responses
+  if (!res.ok) {
+    throw new Error(`WorldBank API error: ${res.status}`);
+  }
+
+  // Parse JSON response
+  // Response format: [ metadata, data[] ]
+  const json = await res.json();
+  const rows = json?.[1] || [];
+
+  // Filter valid numeric values and normalize response
+  const cleaned = rows
+    .filter((r) => typeof r?.value === "number" && r?.date)
+    .map((r) => ({
+      year: Number(r.date),
+      value: r.value,
+    }))
+    .sort((a, b) => a.year - b.year); // sort ascending by year
+
+  // Latest available inflation record
+  const latest = cleaned[cleaned.length - 1] || null;
+
+  return {
+    country: countryCode,
+    latest,          // { year, value }
+    series: cleaned, // full time series (useful for charts)
+  };
+}
+
+/**
+ * Get inflation data for a country, served from cache when fresh
+ * @param {string} countryCode - ISO country code (e.g., USA, IND)
+ * @returns {Promise<{ data: Object, cached: boolean }>}
+ */
+export async function getInflation(countryCode) {
+  // Create cache key per country
+  const cacheKey = `inflation:${countryCode}`;
+  const cached = cache.get(cacheKey);
+
+  // Serve cached data if not expired
+  if (cached && cached.expiresAt > Date.now()) {
+    cacheLookups.inc({ cache: "inflation", result: "hit" });
+    return { data: cached.data, cached: true };
+  }
+  cacheLookups.inc({ cache: "inflation", result: "miss" });
+
+  // Fetch fresh inflation data (outcome reported by GET /ready)
+  let data;
+  try {
+    data = await fetchInflation(countryCode);
+    recordUpstream("worldbank");
+  } catch (err) {
+    recordUpstream("worldbank", err);
+    throw err;
+  }
+
+  // Store result in cache
+  cache.set(cacheKey, {
+    data,
+    expiresAt: Date.now() + CACHE_TTL_MS,
+  });
+
+  return { data, cached: false };
+}
+
+/**
+ * Chain annual inflation rates into a price index
+ * The index is 100 in baseYear; years after the last published rate reuse
+ * the last index level (flagged as estimated)
+ * @param {Array<{ year: number, value: number }>} series - annual % rates, ascending
+ * @param {number} baseYear - year whose prices are used as the reference
+ * @param {number[]} years - years an index level is needed for
+ * @returns {Map<number, { index: number, estimated: boolean }>|null} null if baseYear is not covered
+ */
+export function buildPriceIndex(series, baseYear, years) {
+  const rates = new Map(series.map((r) => [r.year, r.value]));
+  if (!rates.has(baseYear)) return null;
+
+  const first = series[0].year;
+  const last = series[series.length - 1].year;
+  const index = new Map([[baseYear, { index: 100, estimated: false }]]);
+
+  // Walk forward: index[y] = index[y - 1] * (1 + rate[y])
+  let level = 100;
+  for (let y = baseYear + 1; y <= Math.max(last, ...years); y++) {
+    const rate = rates.get(y);
+    if (rate !== undefined) level *= 1 + rate / 100;
+    index.set(y, { index: level, estimated: rate === undefined });
+  }
+
+  // Walk backward: index[y - 1] = index[y] / (1 + rate[y])
+  level = 100;
+  for (let y = baseYear; y > Math.min(...years) && y >= first; y--) {
+    const rate = rates.get(y);
+    if (rate !== undefined) level /= 1 + rate / 100;
+    index.set(y - 1, { index: level, estimated: rate === undefined });
+  }
+
+  return index;
+}
+
+/**
+ * Average annual inflation over the most recent published years
+ * Used to project prices forward (a single year is too noisy)
+ * @param {Array<{ year: number, value: number }>} series - annual % rates, ascending
+ * @param {number} [years=5] - how many recent years to average
+ * @returns {{ rate: number, fromYear: number, toYear: number }|null} rate in %, null without data
+ */
+export function recentAverageRate(series, years = 5) {
+  const recent = series.slice(-years);
+  if (recent.length === 0) return null;
+
+  return {
+    rate: recent.reduce((sum, r) => sum + r.value, 0) / recent.length,
+    fromYear: recent[0].year,
+    toYear: recent[recent.length - 1].year,
+  };
+}
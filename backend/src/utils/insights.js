@@ -0,0 +1,298 @@
+// utils/insights.js
+// Pattern detection over a ledger's expenses
+// - Subscriptions: charges to the same payee, for a similar amount, at a
+//   regular cadence
+// - Anomalies: a charge far above its category's typical amount, or the same
+//   charge booked twice within a few days
+//
+// Works on plain expense rows ({ _id, date, note, amount, currency, fxRate,
+// baseAmount, categoryId, accountId, splits, recurringId }) so callers decide
+// how much history goes in. Each finding gets a stable id derived from what
+// it is about, so feedback on it survives new transactions.
+
+import { createHash } from "node:crypto";
+import { nextOccurrence } from "./recurrence.js";
+
+// Kinds of findings
+export const INSIGHT_TYPES = ["subscription", "large-charge", "duplicate"];
+
+// Cadences a subscription can have
+// days/tolerance: typical gap between charges and how far one may drift
+// frequency/interval: the matching recurring rule (see utils/recurrence.js)
+const CADENCES = [
+  { name: "weekly", days: 7, tolerance: 1, frequency: "weekly", interval: 1, minCharges: 4 },
+  { name: "biweekly", days: 14, tolerance: 2, frequency: "weekly", interval: 2, minCharges: 3 },
+  { name: "monthly", days: 30.44, tolerance: 4, frequency: "monthly", interval: 1, minCharges: 3 },
+  { name: "quarterly", days: 91, tolerance: 10, frequency: "monthly", interval: 3, minCharges: 3 },
+  { name: "yearly", days: 365.25, tolerance: 15, frequency: "yearly", interval: 1, minCharges: 2 },
+];
+
+// Share of gaps that must fit the cadence (one late or skipped charge is fine)
+const MIN_REGULAR_SHARE = 0.75;
+
+// Price changes up to this fraction keep charges in the same subscription
+const AMOUNT_TOLERANCE = 0.2;
+
+// Large charges: category history needed and how far above its median
+const MIN_CATEGORY_HISTORY = 6;
+const LARGE_CHARGE_FACTOR = 3;
+
+// Same payee, amount and account within this many days is a likely duplicate
+export const DUPLICATE_WINDOW_DAYS = 3;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Round to 2 decimal places
+ * @param {number} value
+ * @returns {number}
+ */
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Median of a list of numbers
+ * @param {number[]} values - at least one value
+ * @returns {number}
+ */
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Key grouping the notes of one payee
+ * Case, punctuation and numbers (dates, order references, ...) are ignored
+ * @param {string} note
+ * @returns {string} empty when nothing usable is left
+ */
+export function noteKey(note) {
+  return String(note || "")
+    .toLowerCase()
+    .replace(/[^\p{L}]+/gu, " ")
+    .trim();
+}
+
+/**
+ * Stable id of a finding
+ * @param {...string} parts - what the finding is about
+ * @returns {string} 32 hex characters
+ */
+function insightId(...parts) {
+  return createHash("sha256").update(parts.join("\u0000")).digest("hex").slice(0, 32);
+}
+
+/**
+ * Split one payee's charges into groups of similar amounts
+ * @param {Object[]} charges
+ * @returns {Object[][]} groups, each sorted by date
+ */
+function amountClusters(charges) {
+  const byAmount = [...charges].sort((a, b) => a.amount - b.amount);
+  const clusters = [];
+
+  let current = [];
+  for (const charge of byAmount) {
+    if (current.length && charge.amount > current[0].amount * (1 + AMOUNT_TOLERANCE)) {
+      clusters.push(current);
+      current = [];
+    }
+    current.push(charge);
+  }
+  if (current.length) clusters.push(current);
+
+  return clusters.map((cluster) => cluster.sort((a, b) => a.date - b.date));
+}
+
+/**
+ * Cadence a series of charges follows
+ * @param {Object[]} charges - sorted by date
+ * @returns {Object|null} entry of CADENCES, or null when irregular
+ */
+function matchCadence(charges) {
+  const gaps = [];
+  for (let i = 1; i < charges.length; i++) {
+    gaps.push((charges[i].date - charges[i - 1].date) / DAY_MS);
+  }
+  if (!gaps.length) return null;
+
+  const typical = median(gaps);
+  const cadence = CADENCES.find((c) => Math.abs(typical - c.days) <= c.tolerance);
+  if (!cadence || charges.length < cadence.minCharges) return null;
+
+  const regular = gaps.filter((gap) => Math.abs(gap - cadence.days) <= cadence.tolerance);
+  return regular.length / gaps.length >= MIN_REGULAR_SHARE ? cadence : null;
+}
+
+/**
+ * Find charges that look like subscriptions
+ * Charges created by a recurring rule are skipped (they are known already),
+ * as are subscriptions that have missed their last expected charge
+ * @param {Object[]} rows - expense rows
+ * @param {Date} now
+ * @returns {Object[]} subscription findings, next expected charge first
+ */
+export function detectSubscriptions(rows, now) {
+  const payees = new Map();
+  for (const row of rows) {
+    const key = noteKey(row.note);
+    if (!key || row.recurringId) continue;
+
+    const payee = `${key}|${row.currency}`;
+    if (!payees.has(payee)) payees.set(payee, []);
+    payees.get(payee).push(row);
+  }
+
+  const found = new Map();
+  for (const [payee, charges] of payees) {
+    for (const cluster of amountClusters(charges)) {
+      const cadence = matchCadence(cluster);
+      if (!cadence) continue;
+
+      const first = cluster[0];
+      const last = cluster[cluster.length - 1];
+      const nextExpectedAt = nextOccurrence(
+        { frequency: cadence.frequency, interval: cadence.interval, startDate: last.date },
+        last.date
+      );
+
+      // Half a cycle past the expected date: probably cancelled
+      const lapsedAt = nextExpectedAt.getTime() + (cadence.days / 2 + cadence.tolerance) * DAY_MS;
+      if (now.getTime() > lapsedAt) continue;
+
+      const averageBaseAmount =
+        cluster.reduce((sum, charge) => sum + charge.baseAmount, 0) / cluster.length;
+
+      const id = insightId("subscription", payee, cadence.name);
+      if (found.has(id) && found.get(id).charges >= cluster.length) continue;
+
+      found.set(id, {
+        id,
+        type: "subscription",
+        note: last.note.trim(),
+        cadence: cadence.name,
+        rule: { frequency: cadence.frequency, interval: cadence.interval }, // For POST /recurring
+        amount: last.amount,
+        currency: last.currency,
+        averageBaseAmount: round2(averageBaseAmount),
+        yearlyBaseAmount: round2((averageBaseAmount * 365.25) / cadence.days),
+        charges: cluster.length,
+        firstChargedAt: first.date,
+        lastChargedAt: last.date,
+        nextExpectedAt,
+        categoryId: last.categoryId || null,
+        accountId: last.accountId || null,
+      });
+    }
+  }
+
+  return [...found.values()].sort((a, b) => a.nextExpectedAt - b.nextExpectedAt);
+}
+
+/**
+ * Charges far above what their category usually sees
+ * Split transactions are judged per split
+ * @param {Object[]} rows - expense rows
+ * @param {Date} since - only charges on or after this date are flagged
+ * @returns {Object[]} large-charge findings
+ */
+function detectLargeCharges(rows, since) {
+  const categories = new Map();
+  for (const row of rows) {
+    const parts = row.splits?.length
+      ? row.splits.map((split) => ({
+        categoryId: split.categoryId,
+        baseAmount: split.amount * (row.fxRate ?? 1),
+      }))
+      : [{ categoryId: row.categoryId, baseAmount: row.baseAmount }];
+
+    for (const part of parts) {
+      if (!part.categoryId) continue;
+      const key = String(part.categoryId);
+      if (!categories.has(key)) categories.set(key, []);
+      categories.get(key).push({ ...part, row });
+    }
+  }
+
+  const findings = [];
+  for (const [key, charges] of categories) {
+    if (charges.length < MIN_CATEGORY_HISTORY) continue;
+
+    const typical = median(charges.map((charge) => charge.baseAmount));
+    if (typical <= 0) continue;
+
+    for (const { row, baseAmount, categoryId } of charges) {
+      if (row.date < since || baseAmount < typical * LARGE_CHARGE_FACTOR) continue;
+
+      findings.push({
+        id: insightId("large-charge", String(row._id), key),
+        type: "large-charge",
+        transactionIds: [row._id],
+        date: row.date,
+        note: (row.note || "").trim(),
+        categoryId,
+        baseAmount: round2(baseAmount),
+        typicalBaseAmount: round2(typical),
+        ratio: round2(baseAmount / typical),
+      });
+    }
+  }
+  return findings;
+}
+
+/**
+ * The same charge booked more than once within DUPLICATE_WINDOW_DAYS
+ * Same payee, amount, currency and account; each close pair is one finding
+ * @param {Object[]} rows - expense rows
+ * @param {Date} since - only pairs whose later charge is on or after this date
+ * @returns {Object[]} duplicate findings
+ */
+function detectDuplicates(rows, since) {
+  const groups = new Map();
+  for (const row of rows) {
+    const key = noteKey(row.note);
+    if (!key || row.recurringId) continue;
+
+    const group = [key, row.amount, row.currency, row.accountId || ""].join("|");
+    if (!groups.has(group)) groups.set(group, []);
+    groups.get(group).push(row);
+  }
+
+  const findings = [];
+  for (const charges of groups.values()) {
+    charges.sort((a, b) => a.date - b.date);
+
+    for (let i = 1; i < charges.length; i++) {
+      const [earlier, later] = [charges[i - 1], charges[i]];
+      const daysApart = (later.date - earlier.date) / DAY_MS;
+      if (later.date < since || daysApart > DUPLICATE_WINDOW_DAYS) continue;
+
+      findings.push({
+        id: insightId("duplicate", String(earlier._id), String(later._id)),
+        type: "duplicate",
+        transactionIds: [earlier._id, later._id],
+        date: later.date,
+        note: (later.note || "").trim(),
+        amount: later.amount,
+        currency: later.currency,
+        accountId: later.accountId || null,
+        daysApart: round2(daysApart),
+      });
+    }
+  }
+  return findings;
+}
+
+/**
+ * Find unusual charges: large ones and likely duplicates
+ * @param {Object[]} rows - expense rows (earlier rows set the baseline)
+ * @param {Date} since - only charges on or after this date are flagged
+ * @returns {Object[]} anomaly findings, newest first
+ */
+export function detectAnomalies(rows, since) {
+  return [...detectLargeCharges(rows, since), ...detectDuplicates(rows, since)].sort(
+    (a, b) => b.date - a.date
+  );
+}
@@ -0,0 +1,245 @@
+// utils/ledgers.js
+// Ledgers (households): the unit that owns financial data
+// Settings, accounts, categories, rules, budgets, goals, recurring rules,
+// transactions, imports, attachments, insight feedback and the audit log all
+// carry a ledgerId; their userId records the member who created them.
+//
+// Each member has one role:
+// - owner:  everything below, plus members, invites and the ledger itself
+// - editor: read and change the ledger's data
+// - viewer: read only
+//
+// Every user has a personal ledger. It is created on first use and takes
+// over the data the user owned before ledgers existed.
+
+import db from "../db/conn.js";
+import { HttpError, badRequest, notFound } from "./errors.js";
+import { NOT_DELETED } from "./audit.js";
+import { ATTACHMENT_BUCKET, attachmentBucket } from "./attachments.js";
+import { isObjectId } from "./validation.js";
+import { ObjectId } from "mongodb";
+
+// Roles from most to least privileged
+export const LEDGER_ROLES = ["owner", "editor", "viewer"];
+
+// Collections whose documents belong to a ledger
+// (attachment files keep theirs in metadata.ledgerId)
+export const LEDGER_COLLECTIONS = [
+  "settings",
+  "accounts",
+  "categories",
+  "categoryRules",
+  "budgets",
+  "goals",
+  "recurring",
+  "transactions",
+  "importBatches",
+  "auditLog",
+  "insightFeedback",
+  "idempotencyKeys",
+];
+
+// Name given to personal ledgers
+const PERSONAL_LEDGER_NAME = "Personal";
+
+// Documents removed per batch when a deleted ledger's data is purged
+const PURGE_BATCH_SIZE = 1000;
+
+// Ensures the ledger indexes are only created once per process
+let indexesReady = null;
+
+/**
+ * Create the indexes ledgers rely on
+ * - one personal ledger per user
+ * - membership lookups
+ * - unique invite codes
+ * @returns {Promise<void>}
+ */
+function ensureIndexes() {
+  if (!indexesReady) {
+    indexesReady = Promise.all([
+      db
+        .collection("ledgers")
+        .createIndex(
+          { createdBy: 1 },
+          { unique: true, partialFilterExpression: { personal: true } }
+        ),
+      db.collection("ledgers").createIndex({ "members.userId": 1 }),
+      db.collection("ledgerInvites").createIndex({ code: 1 }, { unique: true }),
+    ]).catch((err) => {
+      indexesReady = null; // Retry on the next call
+      throw err;
+    });
+  }
+  return indexesReady;
+}
+
+/**
+ * Check that a role is at least as privileged as another
+ * @param {string} role - member's role
+ * @param {string} minimum - required role
+ * @returns {boolean}
+ */
+export function hasRole(role, minimum) {
+  const rank = LEDGER_ROLES.indexOf(role);
+  return rank !== -1 && rank <= LEDGER_ROLES.indexOf(minimum);
+}
+
+/**
+ * Role of a user in a ledger
+ * @param {Object} ledger
+ * @param {string} userId - Clerk user id
+ * @returns {string|null} null when the user is not a member
+ */
+export function memberRole(ledger, userId) {
+  return ledger.members.find((member) => member.userId === userId)?.role || null;
+}
+
+/**
+ * Move the data a user owned before ledgers existed into their personal ledger
+ * Safe to run again: only documents without a ledgerId are touched
+ * @param {string} userId - Clerk user id
+ * @param {ObjectId} ledgerId - the user's personal ledger
+ * @returns {Promise<void>}
+ */
+async function migrateUserData(userId, ledgerId) {
+  for (const name of LEDGER_COLLECTIONS) {
+    await db.collection(name).updateMany({ userId, ledgerId: null }, { $set: { ledgerId } });
+  }
+  await db
+    .collection("attachments.files")
+    .updateMany(
+      { "metadata.userId": userId, "metadata.ledgerId": null },
+      { $set: { "metadata.ledgerId": ledgerId } }
+    );
+
+  await db
+    .collection("ledgers")
+    .updateOne({ _id: ledgerId }, { $set: { migratedAt: new Date() } });
+}
+
+/**
+ * Fetch a user's personal ledger, creating (and migrating into) it on first use
+ * @param {string} userId - Clerk user id
+ * @returns {Promise<Object>} ledger document
+ */
+export async function ensurePersonalLedger(userId) {
+  await ensureIndexes();
+
+  const ledgers = db.collection("ledgers");
+  const now = new Date();
+
+  let ledger;
+  try {
+    ledger = await ledgers.findOneAndUpdate(
+      { createdBy: userId, personal: true },
+      {
+        $setOnInsert: {
+          name: PERSONAL_LEDGER_NAME,
+          personal: true,
+          createdBy: userId,
+          members: [{ userId, role: "owner", addedAt: now }],
+          createdAt: now,
+          updatedAt: now,
+        },
+      },
+      { upsert: true, returnDocument: "after" }
+    );
+  } catch (err) {
+    // Concurrent first requests race on the unique index; the other one won
+    if (err.code !== 11000) throw err;
+    ledger = await ledgers.findOne({ createdBy: userId, personal: true });
+  }
+
+  // Also finishes a migration an earlier request did not complete
+  if (!ledger.migratedAt) await migrateUserData(userId, ledger._id);
+
+  return ledger;
+}
+
+/**
+ * Load a ledger the user is a member of
+ * @param {string} userId - Clerk user id
+ * @param {string|ObjectId} ledgerId
+ * @returns {Promise<Object>} ledger document
+ * @throws {HttpError} 400 for a malformed id, 404 when the user is not a member
+ */
+export async function findMemberLedger(userId, ledgerId) {
+  if (!isObjectId(ledgerId)) {
+    throw badRequest("Invalid ledger id", [{ field: "ledgerId", message: "must be a valid id" }]);
+  }
+
+  // Non-members get the same 404 as a missing (or deleted) ledger
+  const ledger = await db
+    .collection("ledgers")
+    .findOne({ _id: new ObjectId(ledgerId), "members.userId": userId, ...NOT_DELETED });
+  if (!ledger) throw notFound("Ledger not found");
+  return ledger;
+}
+
+/**
+ * Throw unless a role is at least as privileged as required
+ * @param {string} role - member's role
+ * @param {string} minimum - required role
+ * @throws {HttpError} 403
+ */
+export function assertRole(role, minimum) {
+  if (!hasRole(role, minimum)) {
+    throw new HttpError(403, `This requires the ${minimum} role in the ledger`);
+  }
+}
+
+/**
+ * Delete the documents matching a filter a batch at a time, so no single
+ * write (or transaction) has to cover a whole ledger
+ * @param {string} name - collection name
+ * @param {Object} filter
+ * @returns {Promise<number>} number of documents deleted
+ */
+async function deleteInBatches(name, filter) {
+  const collection = db.collection(name);
+  let deleted = 0;
+
+  for (;;) {
+    const batch = await collection
+      .find(filter)
+      .project({ _id: 1 })
+      .limit(PURGE_BATCH_SIZE)
+      .toArray();
+    if (!batch.length) return deleted;
+
+    const result = await collection.deleteMany({ _id: { $in: batch.map(({ _id }) => _id) } });
+    deleted += result.deletedCount;
+  }
+}
+
+/**
+ * Remove everything a deleted ledger owned, then the ledger itself
+ * The ledger document goes last, so a purge that stops part-way is picked
+ * up again by the scheduled cleanup (jobs/trash.js)
+ * @param {ObjectId} ledgerId - ledger marked with deletedAt
+ * @returns {Promise<Object>} documents deleted per collection, plus attachments
+ */
+export async function purgeDeletedLedger(ledgerId) {
+  const deleted = {};
+
+  await db.collection("ledgerInvites").deleteMany({ ledgerId });
+  for (const name of LEDGER_COLLECTIONS) {
+    deleted[name] = await deleteInBatches(name, { ledgerId });
+  }
+
+  // GridFS removes the files document and its chunks one file at a time
+  const files = await db
+    .collection(`${ATTACHMENT_BUCKET}.files`)
+    .find({ "metadata.ledgerId": ledgerId })
+    .project({ _id: 1 })
+    .toArray();
+  const bucket = attachmentBucket();
+  for (const { _id } of files) {
+    await bucket.delete(_id);
+  }
+  deleted.attachments = files.length;
+
+  await db.collection("ledgers").deleteOne({ _id: ledgerId, deletedAt: { $ne: null } });
+  return deleted;
+}
@@ -0,0 +1,90 @@
+// utils/logger.js
+// Structured JSON logs, one object per line
+// Cloud Run / Cloud Logging reads "severity" and "message"; the other fields
+// become searchable jsonPayload fields.
+// Entries written while a request is handled carry its requestId and userId
+// (see middleware/requestContext.js), including those from helpers and jobs
+// it started.
+
+import { AsyncLocalStorage } from "node:async_hooks";
+
+// Lowest severity written: debug | info | warning | error
+const SEVERITIES = ["DEBUG", "INFO", "WARNING", "ERROR"];
+const MIN_SEVERITY = Math.max(
+  SEVERITIES.indexOf(String(process.env.LOG_LEVEL || "info").toUpperCase()),
+  0
+);
+
+// Per-request fields: { requestId, userId, route }
+const context = new AsyncLocalStorage();
+
+/**
+ * Run a function with request fields attached to every entry it logs
+ * @param {Object} fields - { requestId, userId, ... }; may be filled in later
+ * @param {Function} fn
+ * @returns {*} what fn returns
+ */
+export function runWithLogContext(fields, fn) {
+  return context.run(fields, fn);
+}
+
+/**
+ * Fields of the request being handled
+ * @returns {Object|undefined}
+ */
+export function logContext() {
+  return context.getStore();
+}
+
+/**
+ * Plain object for an error (Error properties are not enumerable)
+ * @param {Error} err
+ * @returns {Object}
+ */
+function serializeError(err) {
+  if (!(err instanceof Error)) return { message: String(err) };
+  return {
+    name: err.name,
+    message: err.message,
+    ...(err.status && { status: err.status }),
+    ...(err.code !== undefined && { code: err.code }),
+    ...(err.cause && { cause: serializeError(err.cause) }),
+    stack: err.stack,
+  };
+}
+
+/**
+ * Write one entry
+ * @param {string} severity - one of SEVERITIES
+ * @param {string} message
+ * @param {Object} [fields] - extra fields; err is expanded into name, message and stack
+ */
+function write(severity, message, fields = {}) {
+  if (SEVERITIES.indexOf(severity) < MIN_SEVERITY) return;
+
+  const { err, ...rest } = fields;
+  const { requestId, userId } = context.getStore() || {};
+  const entry = {
+    severity,
+    message,
+    time: new Date().toISOString(),
+    ...(requestId && { requestId }),
+    ...(userId && { userId }),
+    ...rest,
+    ...(err !== undefined && { error: serializeError(err) }),
+  };
+
+  const line = `${JSON.stringify(entry)}\n`;
+  if (severity === "WARNING" || severity === "ERROR") {
+    process.stderr.write(line);
+  } else {
+    process.stdout.write(line);
+  }
+}
+
+export const logger = {
+  debug: (message, fields) => write("DEBUG", message, fields),
+  info: (message, fields) => write("INFO", message, fields),
+  warn: (message, fields) => write("WARNING", message, fields),
+  error: (message, fields) => write("ERROR", message, fields),
+};
@@ -0,0 +1,163 @@
+// utils/metrics.js
+// In-process metrics in the Prometheus text format (served at /metrics)
+// Values live in memory and start from zero whenever the instance starts;
+// Prometheus' rate() and increase() account for that.
+//
+// Metrics:
+// - http_request_duration_seconds{method,route,status}  histogram
+// - http_request_errors_total{method,route,status}      responses with status >= 500
+// - cache_lookups_total{cache,result}                   hit | miss | stale
+// - upstream_requests_total{upstream,result}            ok | error
+// - process_* and nodejs_* basics
+
+// Upper bounds of the latency histogram, in seconds
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// Registered metrics, in output order
+const registry = [];
+
+/**
+ * Escape a label value for the text format
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+}
+
+/**
+ * Format a label set, e.g. {method="GET",route="/category"}
+ * @param {string[]} names
+ * @param {Array} values
+ * @returns {string} empty without labels
+ */
+function formatLabels(names, values) {
+  if (!names.length) return "";
+  return `{${names.map((name, i) => `${name}="${escapeLabel(values[i])}"`).join(",")}}`;
+}
+
+/**
+ * Define a counter
+ * @param {string} name
+ * @param {string} help
+ * @param {string[]} [labelNames]
+ * @returns {{ inc: Function }} inc(labels, amount = 1)
+ */
+function counter(name, help, labelNames = []) {
+  const values = new Map();   // JSON of label values -> count
+
+  registry.push(() => [
+    `# HELP ${name} ${help}`,
+    `# TYPE ${name} counter`,
+    ...[...values].map(
+      ([key, value]) => `${name}${formatLabels(labelNames, JSON.parse(key))} ${value}`
+    ),
+  ]);
+
+  return {
+    inc(labels = {}, amount = 1) {
+      const key = JSON.stringify(labelNames.map((label) => labels[label] ?? ""));
+      values.set(key, (values.get(key) || 0) + amount);
+    },
+  };
+}
+
+/**
+ * Define a histogram
+ * @param {string} name
+ * @param {string} help
+ * @param {string[]} labelNames
+ * @param {number[]} buckets - ascending upper bounds
+ * @returns {{ observe: Function }} observe(labels, value)
+ */
+function histogram(name, help, labelNames, buckets) {
+  const series = new Map();   // JSON of label values -> { counts, sum, count }
+
+  registry.push(() => {
+    const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+    for (const [key, { counts, sum, count }] of series) {
+      const values = JSON.parse(key);
+      const bucketLabels = (bound) => formatLabels([...labelNames, "le"], [...values, bound]);
+      buckets.forEach((bound, i) => {
+        lines.push(`${name}_bucket${bucketLabels(bound)} ${counts[i]}`);
+      });
+      lines.push(`${name}_bucket${bucketLabels("+Inf")} ${count}`);
+      lines.push(`${name}_sum${formatLabels(labelNames, values)} ${sum}`);
+      lines.push(`${name}_count${formatLabels(labelNames, values)} ${count}`);
+    }
+    return lines;
+  });
+
+  return {
+    observe(labels, value) {
+      const key = JSON.stringify(labelNames.map((label) => labels[label] ?? ""));
+      if (!series.has(key)) {
+        series.set(key, { counts: new Array(buckets.length).fill(0), sum: 0, count: 0 });
+      }
+      const entry = series.get(key);
+      buckets.forEach((bound, i) => {
+        if (value <= bound) entry.counts[i] += 1;
+      });
+      entry.sum += value;
+      entry.count += 1;
+    },
+  };
+}
+
+/**
+ * Define a gauge read when metrics are collected
+ * @param {string} name
+ * @param {string} help
+ * @param {Function} read - returns the current value
+ */
+function gauge(name, help, read) {
+  registry.push(() => [`# HELP ${name} ${help}`, `# TYPE ${name} gauge`, `${name} ${read()}`]);
+}
+
+export const httpRequestDuration = histogram(
+  "http_request_duration_seconds",
+  "Time spent handling HTTP requests",
+  ["method", "route", "status"],
+  LATENCY_BUCKETS
+);
+
+export const httpRequestErrors = counter(
+  "http_request_errors_total",
+  "HTTP responses with a 5xx status",
+  ["method", "route", "status"]
+);
+
+export const cacheLookups = counter(
+  "cache_lookups_total",
+  "Cache lookups for exchange rates and inflation data",
+  ["cache", "result"]
+);
+
+export const upstreamRequests = counter(
+  "upstream_requests_total",
+  "Calls to external data providers",
+  ["upstream", "result"]
+);
+
+gauge("process_uptime_seconds", "Seconds since the process started", () => process.uptime());
+gauge(
+  "process_resident_memory_bytes",
+  "Resident memory size in bytes",
+  () => process.memoryUsage().rss
+);
+gauge(
+  "nodejs_heap_used_bytes",
+  "V8 heap in use in bytes",
+  () => process.memoryUsage().heapUsed
+);
+
+/**
+ * All metrics in the Prometheus text exposition format
+ * @returns {string}
+ */
+export function renderMetrics() {
+  return `${registry.flatMap((collect) => collect()).join("\n")}\n`;
+}
+
+// Content-Type of renderMetrics() output
+export const METRICS_CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
@@ -0,0 +1,103 @@
+// utils/periods.js
+// Calendar bucketing helpers shared by reports
+// Mirrors MongoDB's $dateTrunc in UTC (weeks start on Monday)
+
+// Supported report granularities
+export const GRANULARITIES = ["week", "month", "quarter", "year"];
+
+/**
+ * Start of the bucket a date falls into
+ * @param {Date} date
+ * @param {string} unit - one of GRANULARITIES
+ * @returns {Date}
+ */
+export function bucketStart(date, unit) {
+  const d = new Date(date);
+  const year = d.getUTCFullYear();
+  const month = d.getUTCMonth();
+
+  switch (unit) {
+    case "week": {
+      const day = (d.getUTCDay() + 6) % 7; // Monday = 0
+      return new Date(Date.UTC(year, month, d.getUTCDate() - day));
+    }
+    case "month":
+      return new Date(Date.UTC(year, month, 1));
+    case "quarter":
+      return new Date(Date.UTC(year, month - (month % 3), 1));
+    case "year":
+      return new Date(Date.UTC(year, 0, 1));
+    default:
+      throw new Error(`Unknown granularity: ${unit}`);
+  }
+}
+
+/**
+ * Move a bucket start forward (or backward) by n buckets
+ * @param {Date} date - bucket start
+ * @param {string} unit - one of GRANULARITIES
+ * @param {number} n - number of buckets (negative moves back)
+ * @returns {Date}
+ */
+export function addBuckets(date, unit, n) {
+  const d = new Date(date);
+
+  switch (unit) {
+    case "week":
+      d.setUTCDate(d.getUTCDate() + n * 7);
+      return d;
+    case "month":
+      d.setUTCMonth(d.getUTCMonth() + n);
+      return d;
+    case "quarter":
+      d.setUTCMonth(d.getUTCMonth() + n * 3);
+      return d;
+    case "year":
+      d.setUTCFullYear(d.getUTCFullYear() + n);
+      return d;
+    default:
+      throw new Error(`Unknown granularity: ${unit}`);
+  }
+}
+
+/**
+ * List every bucket start between two dates (inclusive)
+ * @param {Date} from
+ * @param {Date} to
+ * @param {string} unit - one of GRANULARITIES
+ * @returns {Date[]}
+ */
+export function listBuckets(from, to, unit) {
+  const buckets = [];
+  for (let b = bucketStart(from, unit); b <= to; b = addBuckets(b, unit, 1)) {
+    buckets.push(b);
+  }
+  return buckets;
+}
+
+/**
+ * Number of calendar days between two dates (inclusive of both days)
+ * @param {Date} from
+ * @param {Date} to
+ * @returns {number}
+ */
+export function daysBetween(from, to) {
+  const start = Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), from.getUTCDate());
+  const end = Date.UTC(to.getUTCFullYear(), to.getUTCMonth(), to.getUTCDate());
+  return Math.max(0, Math.round((end - start) / (24 * 60 * 60 * 1000)) + 1);
+}
+
+/**
+ * MongoDB expression truncating $date to the start of its bucket
+ * @param {string} unit - one of GRANULARITIES
+ * @returns {Object} aggregation expression
+ */
+export function bucketExpression(unit) {
+  return {
+    $dateTrunc: {
+      date: "$date",
+      unit,
+      ...(unit === "week" && { startOfWeek: "monday" }),
+    },
+  };
+}
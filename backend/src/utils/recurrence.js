@@ -0,0 +1,223 @@
+// utils/recurrence.js
+// Date math for recurring transaction rules
+// All calculations are done in UTC so results do not depend on server timezone
+
+import { badRequest } from "./errors.js";
+
+// Supported rule frequencies
+export const FREQUENCIES = ["daily", "weekly", "monthly", "yearly"];
+
+const POSITIVE_INTEGER = {
+  type: "number",
+  check: (value) => Number.isInteger(value) && value >= 1,
+  message: "must be a positive integer",
+};
+
+// Fields of a rule in a request body (see utils/validation.js)
+// Combinations are checked by normalizeRule
+export const RULE_FIELDS = {
+  frequency: { type: "string", required: true, enum: FREQUENCIES },
+  interval: POSITIVE_INTEGER,                  // Every N periods (default 1)
+  dayOfMonth: {
+    type: "number",
+    nullable: true,
+    check: (value) => Number.isInteger(value) && value >= 1 && value <= 31,
+    message: "must be an integer between 1 and 31",
+  },
+  startDate: { type: "date", required: true },
+  endDate: { type: "date", nullable: true },
+  count: { ...POSITIVE_INTEGER, nullable: true },
+};
+
+// Safety cap on the periods examined per call, so a bad rule can never loop
+// forever. Listing starts at the period of the reference date rather than
+// the rule's start, so the cap never cuts off long-running rules.
+const MAX_OCCURRENCES = 5000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Number of days in a given UTC month
+ * @param {number} year
+ * @param {number} month - 0-based month
+ * @returns {number}
+ */
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+}
+
+/**
+ * Calculate the n-th candidate date of a rule (n = 0 is the first period)
+ * Monthly and yearly dates are clamped to the end of shorter months
+ * @param {Object} rule - recurrence rule
+ * @param {number} n - period index
+ * @returns {Date}
+ */
+function nthDate(rule, n) {
+  const start = new Date(rule.startDate);
+  const step = n * (rule.interval || 1);
+  const date = new Date(start);
+
+  switch (rule.frequency) {
+    case "daily":
+      date.setUTCDate(start.getUTCDate() + step);
+      return date;
+
+    case "weekly":
+      date.setUTCDate(start.getUTCDate() + step * 7);
+      return date;
+
+    case "monthly": {
+      const day = rule.dayOfMonth || start.getUTCDate();
+      date.setUTCDate(1);
+      date.setUTCMonth(start.getUTCMonth() + step);
+      date.setUTCDate(Math.min(day, daysInMonth(date.getUTCFullYear(), date.getUTCMonth())));
+      return date;
+    }
+
+    case "yearly": {
+      date.setUTCDate(1);
+      date.setUTCFullYear(start.getUTCFullYear() + step);
+      date.setUTCDate(
+        Math.min(start.getUTCDate(), daysInMonth(date.getUTCFullYear(), date.getUTCMonth()))
+      );
+      return date;
+    }
+
+    default:
+      throw new Error(`Unknown frequency: ${rule.frequency}`);
+  }
+}
+
+/**
+ * Period index to start from when looking for occurrences after a date
+ * Errs one period early, which covers month-end clamping and dayOfMonth
+ * @param {Object} rule - recurrence rule
+ * @param {Date|null} after - reference date (null = from the start)
+ * @returns {number} no occurrence after the date has a lower index
+ */
+function firstPeriodAfter(rule, after) {
+  if (!after) return 0;
+
+  const start = new Date(rule.startDate);
+  const from = new Date(after);
+  const months =
+    (from.getUTCFullYear() - start.getUTCFullYear()) * 12 +
+    from.getUTCMonth() -
+    start.getUTCMonth();
+  const units = {
+    daily: (from - start) / DAY_MS,
+    weekly: (from - start) / (7 * DAY_MS),
+    monthly: months,
+    yearly: from.getUTCFullYear() - start.getUTCFullYear(),
+  }[rule.frequency] ?? 0;
+
+  return Math.max(Math.floor(units / (rule.interval || 1)) - 1, 0);
+}
+
+/**
+ * Occurrences a rule emitted before a period index
+ * Only the first period can fall before the start date
+ * (a dayOfMonth earlier than the start day)
+ * @param {Object} rule - recurrence rule
+ * @param {number} n - period index
+ * @returns {number}
+ */
+function emittedBefore(rule, n) {
+  if (n === 0) return 0;
+  return nthDate(rule, 0) < new Date(rule.startDate) ? n - 1 : n;
+}
+
+/**
+ * List occurrence dates of a rule
+ * @param {Object} rule - { frequency, interval, dayOfMonth, startDate, endDate, count }
+ * @param {Object} options
+ * @param {Date|null} options.after - only occurrences strictly after this date
+ * @param {Date} options.until - only occurrences on or before this date
+ * @returns {Date[]} occurrence dates in ascending order (at most MAX_OCCURRENCES;
+ *   list again after the last one for the rest)
+ */
+export function listOccurrences(rule, { after = null, until }) {
+  const start = new Date(rule.startDate);
+  const end = rule.endDate ? new Date(rule.endDate) : null;
+  const dates = [];
+
+  const first = firstPeriodAfter(rule, after);
+  let emitted = emittedBefore(rule, first);
+  for (let n = first; n < first + MAX_OCCURRENCES; n++) {
+    const date = nthDate(rule, n);
+
+    // A dayOfMonth earlier than the start day skips the first month
+    if (date < start) continue;
+
+    if (date > until) break;
+    if (end && date > end) break;
+    if (rule.count && emitted >= rule.count) break;
+
+    emitted += 1;
+    if (!after || date > after) dates.push(date);
+  }
+
+  return dates;
+}
+
+/**
+ * Find the next occurrence of a rule after a given date
+ * @param {Object} rule - recurrence rule
+ * @param {Date|null} after - reference date (null = from the start)
+ * @returns {Date|null} next occurrence, or null if the rule has finished
+ */
+export function nextOccurrence(rule, after = null) {
+  const start = new Date(rule.startDate);
+  const end = rule.endDate ? new Date(rule.endDate) : null;
+
+  const first = firstPeriodAfter(rule, after);
+  let emitted = emittedBefore(rule, first);
+  for (let n = first; n < first + MAX_OCCURRENCES; n++) {
+    const date = nthDate(rule, n);
+    if (date < start) continue;
+
+    if (end && date > end) return null;
+    if (rule.count && emitted >= rule.count) return null;
+
+    emitted += 1;
+    if (!after || date > after) return date;
+  }
+
+  return null;
+}
+
+/**
+ * Normalize a recurrence rule whose fields passed RULE_FIELDS
+ * Checks what spans several fields
+ * @param {Object} input - rule fields (merged onto the stored rule for updates)
+ * @returns {Object} rule
+ * @throws {HttpError} 400 when the fields do not fit together
+ */
+export function normalizeRule(input) {
+  const {
+    frequency,
+    interval = 1,
+    dayOfMonth = null,
+    startDate,
+    endDate = null,
+    count = null,
+  } = input;
+  const invalid = (field, message) =>
+    badRequest("Invalid rule", [{ field: `rule.${field}`, message }]);
+
+  if (dayOfMonth !== null && frequency !== "monthly") {
+    throw invalid("dayOfMonth", "is only supported for monthly rules");
+  }
+
+  const start = new Date(startDate);
+  const end = endDate === null ? null : new Date(endDate);
+  if (end && end < start) {
+    throw invalid("endDate", "must be after startDate");
+  }
+  if (end && count) {
+    throw invalid("count", "cannot be combined with endDate");
+  }
+
+  return { frequency, interval, dayOfMonth, startDate: start, endDate: end, count };
+}
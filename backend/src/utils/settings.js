@@ -0,0 +1,28 @@
+// utils/settings.js
+// Ledger settings stored in the "settings" collection (one document per ledger)
+
+import db from "../db/conn.js";              // MongoDB connection instance
+import { DEFAULT_BASE_CURRENCY } from "./fx.js";
+
+/**
+ * Fetch a ledger's settings, filling in defaults for anything not set
+ * @param {ObjectId} ledgerId - ledger id (see utils/ledgers.js)
+ * @returns {Promise<{ baseCurrency: string }>}
+ */
+export async function getLedgerSettings(ledgerId) {
+  const settings = await db.collection("settings").findOne({ ledgerId });
+
+  return {
+    baseCurrency: settings?.baseCurrency || DEFAULT_BASE_CURRENCY,
+  };
+}
+
+/**
+ * Fetch the currency a ledger's totals are reported in
+ * @param {ObjectId} ledgerId - ledger id
+ * @returns {Promise<string>} ISO currency code
+ */
+export async function getBaseCurrency(ledgerId) {
+  const { baseCurrency } = await getLedgerSettings(ledgerId);
+  return baseCurrency;
+}
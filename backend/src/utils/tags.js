@@ -0,0 +1,104 @@
+// utils/tags.js
+// Free-form labels on transactions, across categories
+// - tags: lowercase strings (e.g. "vacation-2026", "reimbursable")
+// - metadata: a small key/value map (e.g. { "invoice": "INV-42", "claimed": false })
+
+import { badRequest } from "./errors.js";
+
+// Longest accepted tag
+export const MAX_TAG_LENGTH = 40;
+
+// Most tags on one transaction (or in one request)
+export const MAX_TAGS = 20;
+
+/**
+ * Normalize a tag: trimmed, lowercase, inner whitespace collapsed to "-"
+ * Commas are not allowed, as filters take comma separated tags
+ * @param {*} value
+ * @returns {string|null} null if it is not a usable tag
+ */
+export function normalizeTag(value) {
+  if (typeof value !== "string") return null;
+  const tag = value.trim().toLowerCase().replace(/\s+/g, "-");
+  return tag && tag.length <= MAX_TAG_LENGTH && !tag.includes(",") ? tag : null;
+}
+
+// Error text for a tag normalizeTag rejects
+export const INVALID_TAG_MESSAGE = `must be 1-${MAX_TAG_LENGTH} characters without commas`;
+
+/**
+ * Normalize a list of tags from a request, dropping duplicates
+ * @param {*} value - array of tag strings
+ * @param {string} [field="tags"] - field name used in error details
+ * @returns {string[]}
+ * @throws {HttpError} 400 when a tag is invalid or there are too many
+ */
+export function normalizeTags(value, field = "tags") {
+  if (!Array.isArray(value)) {
+    throw badRequest("Invalid tags", [{ field, message: "must be an array of strings" }]);
+  }
+
+  const tags = [];
+  for (const [i, raw] of value.entries()) {
+    const tag = normalizeTag(raw);
+    if (!tag) {
+      throw badRequest("Invalid tags", [
+        { field: `${field}[${i}]`, message: INVALID_TAG_MESSAGE },
+      ]);
+    }
+    if (!tags.includes(tag)) tags.push(tag);
+  }
+
+  if (tags.length > MAX_TAGS) {
+    throw badRequest("Invalid tags", [{ field, message: `at most ${MAX_TAGS} tags` }]);
+  }
+  return tags;
+}
+
+// Most keys in a transaction's metadata
+export const MAX_METADATA_KEYS = 20;
+
+// Longest accepted metadata string value
+export const MAX_METADATA_VALUE_LENGTH = 200;
+
+// Letters, digits, "_" and "-" (no "." or "$", which MongoDB treats specially)
+const METADATA_KEY_PATTERN = /^[A-Za-z0-9_-]{1,40}$/;
+
+/**
+ * Check a metadata map from a request
+ * Values may be strings, numbers, booleans or null
+ * @param {*} value
+ * @returns {Object}
+ * @throws {HttpError} 400 listing every invalid entry
+ */
+export function normalizeMetadata(value) {
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    throw badRequest("Invalid metadata", [{ field: "metadata", message: "must be an object" }]);
+  }
+
+  const entries = Object.entries(value);
+  const details = [];
+  if (entries.length > MAX_METADATA_KEYS) {
+    details.push({ field: "metadata", message: `at most ${MAX_METADATA_KEYS} keys` });
+  }
+
+  for (const [key, item] of entries) {
+    const field = `metadata.${key}`;
+    if (!METADATA_KEY_PATTERN.test(key)) {
+      details.push({ field, message: "keys must be 1-40 letters, digits, _ or -" });
+    } else if (typeof item === "string") {
+      if (item.length > MAX_METADATA_VALUE_LENGTH) {
+        details.push({ field, message: `must be at most ${MAX_METADATA_VALUE_LENGTH} characters` });
+      }
+    } else if (
+      item !== null &&
+      typeof item !== "boolean" &&
+      !(typeof item === "number" && Number.isFinite(item))
+    ) {
+      details.push({ field, message: "must be a string, number, boolean or null" });
+    }
+  }
+
+  if (details.length) throw badRequest("Invalid metadata", details);
+  return Object.fromEntries(entries);
+}
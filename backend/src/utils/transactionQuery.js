@@ -0,0 +1,557 @@
+// utils/transactionQuery.js
+// Shared helpers for querying the transactions collection
+// - Parses list filters from the query string
+// - Builds the $match stages used by every transaction aggregation
+// - Builds the monthly grouping stages used by GET /transaction
+
+import { ObjectId } from "mongodb";
+import { badRequest } from "./errors.js";
+import { isObjectId } from "./validation.js";
+import { NOT_DELETED } from "./audit.js";
+import { normalizeTag, INVALID_TAG_MESSAGE } from "./tags.js";
+
+// Allowed transaction types
+export const TRANSACTION_TYPES = ["income", "expense"];
+
+// Transfers between accounts are created by POST /account/transfer only
+// and never count as income or expense
+export const TRANSFER_TYPE = "transfer";
+
+// Hard cap on months returned per page
+export const MAX_PAGE_MONTHS = 24;
+
+// Transaction amount converted to the user's base currency
+// (transactions saved before multi-currency support are already in it)
+export const BASE_AMOUNT = { $multiply: ["$amount", { $ifNull: ["$fxRate", 1] }] };
+
+// Effect of a transaction on its account balance (in the account's currency)
+export const SIGNED_AMOUNT = {
+  $switch: {
+    branches: [
+      { case: { $eq: ["$type", "income"] }, then: "$amount" },
+      { case: { $eq: ["$type", "expense"] }, then: { $multiply: ["$amount", -1] } },
+      {
+        case: { $eq: ["$transferDirection", "in"] },
+        then: "$amount",
+      },
+    ],
+    default: { $multiply: ["$amount", -1] }, // Outgoing transfer
+  },
+};
+
+/**
+ * Read a query param that may be repeated (?a=1&a=2) or comma separated (?a=1,2)
+ * @param {string|string[]|undefined} value
+ * @returns {string[]}
+ */
+function toList(value) {
+  if (value === undefined) return [];
+  const raw = Array.isArray(value) ? value : [value];
+  return raw
+    .flatMap((v) => String(v).split(","))
+    .map((v) => v.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Parse a date query param
+ * Date-only values (YYYY-MM-DD) used as an upper bound include the whole day
+ * @param {string} value
+ * @param {string} name - param name, used in error messages
+ * @param {boolean} endOfDay - extend date-only values to the end of the day
+ * @returns {Date}
+ */
+function parseDate(value, name, endOfDay = false) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw badRequest(`Invalid ${name} date`, [{ field: name, message: "must be a valid date" }]);
+  }
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCHours(23, 59, 59, 999);
+  }
+  return date;
+}
+
+/**
+ * Parse a numeric query param
+ * @param {string} value
+ * @param {string} name - param name, used in error messages
+ * @returns {number}
+ */
+function parseNumber(value, name) {
+  const num = Number(value);
+  if (value === "" || !Number.isFinite(num)) {
+    throw badRequest(`Invalid ${name}`, [{ field: name, message: "must be a number" }]);
+  }
+  return num;
+}
+
+/**
+ * Escape user input so it can be used inside a RegExp literally
+ * @param {string} text
+ * @returns {string}
+ */
+export function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Parse transaction list filters from req.query
+ * Throws an error with status 400 on malformed input
+ *
+ * Supported params:
+ *   from, to             - date range (inclusive)
+ *   type                 - income | expense | transfer
+ *   categoryId           - one or more category ids (repeat or comma separate)
+ *   accountId            - one or more account ids (repeat or comma separate)
+ *   minAmount, maxAmount - amount range (inclusive)
+ *   q                    - case-insensitive search on note
+ *   tag                  - one or more tags; transactions must carry all of them
+ *   rollup               - "true" to include subcategories of categoryId
+ *                          (expanded by the route, see utils/categoryTree.js)
+ *
+ * @param {Object} query - Express req.query
+ * @returns {Object} normalized filters
+ */
+export function parseTransactionFilters(query = {}) {
+  const filters = {};
+
+  if (query.from) filters.from = parseDate(query.from, "from");
+  if (query.to) filters.to = parseDate(query.to, "to", true);
+  if (filters.from && filters.to && filters.from > filters.to) {
+    throw badRequest("from must be before to");
+  }
+
+  if (query.type) {
+    const types = [...TRANSACTION_TYPES, TRANSFER_TYPE];
+    if (!types.includes(query.type)) {
+      throw badRequest(`type must be one of: ${types.join(", ")}`, [
+        { field: "type", message: `must be one of: ${types.join(", ")}` },
+      ]);
+    }
+    filters.type = query.type;
+  }
+
+  const categoryIds = toList(query.categoryId ?? query.categoryIds);
+  if (categoryIds.length) {
+    if (!categoryIds.every(isObjectId)) {
+      throw badRequest("Invalid categoryId", [{ field: "categoryId", message: "must be a valid id" }]);
+    }
+    filters.categoryIds = categoryIds.map((id) => new ObjectId(id));
+  }
+
+  const accountIds = toList(query.accountId ?? query.accountIds);
+  if (accountIds.length) {
+    if (!accountIds.every(isObjectId)) {
+      throw badRequest("Invalid accountId", [{ field: "accountId", message: "must be a valid id" }]);
+    }
+    filters.accountIds = accountIds.map((id) => new ObjectId(id));
+  }
+
+  if (query.minAmount !== undefined) {
+    filters.minAmount = parseNumber(query.minAmount, "minAmount");
+  }
+  if (query.maxAmount !== undefined) {
+    filters.maxAmount = parseNumber(query.maxAmount, "maxAmount");
+  }
+
+  if (typeof query.q === "string" && query.q.trim()) {
+    filters.q = query.q.trim();
+  }
+
+  const tags = toList(query.tag ?? query.tags);
+  if (tags.length) {
+    const normalized = tags.map(normalizeTag);
+    if (normalized.includes(null)) {
+      throw badRequest("Invalid tag", [{ field: "tag", message: INVALID_TAG_MESSAGE }]);
+    }
+    filters.tags = [...new Set(normalized)];
+  }
+
+  if (query.rollup !== undefined) {
+    if (query.rollup !== "true" && query.rollup !== "false") {
+      throw badRequest("Invalid rollup", [{ field: "rollup", message: "must be true or false" }]);
+    }
+    filters.rollup = query.rollup === "true";
+  }
+
+  return filters;
+}
+
+/**
+ * Parse month pagination params from req.query
+ *   limit  - number of months per page (1..MAX_PAGE_MONTHS)
+ *   cursor - YYYY-MM; only months strictly before it are returned
+ *
+ * @param {Object} query - Express req.query
+ * @returns {{ limit: number|null, before: Date|null }}
+ */
+export function parseMonthPage(query = {}) {
+  let limit = null;
+  let before = null;
+
+  if (query.limit !== undefined) {
+    limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_MONTHS) {
+      throw badRequest(`limit must be an integer between 1 and ${MAX_PAGE_MONTHS}`);
+    }
+  }
+
+  if (query.cursor !== undefined) {
+    before = parseMonth(query.cursor, "cursor").start;
+  }
+
+  return { limit, before };
+}
+
+/**
+ * Parse a YYYY-MM month into its UTC boundaries
+ * @param {string} value - month in YYYY-MM format
+ * @param {string} name - param name, used in error messages
+ * @returns {{ start: Date, end: Date }} first and last millisecond of the month
+ */
+export function parseMonth(value, name = "month") {
+  const match = /^(\d{4})-(\d{2})$/.exec(value || "");
+  if (!match || Number(match[2]) < 1 || Number(match[2]) > 12) {
+    throw badRequest(`${name} must be in YYYY-MM format`);
+  }
+  const year = Number(match[1]);
+  const month = Number(match[2]) - 1;
+  return {
+    start: new Date(Date.UTC(year, month, 1)),
+    end: new Date(Date.UTC(year, month + 1, 1) - 1),
+  };
+}
+
+/**
+ * Format a date as the YYYY-MM cursor of its (UTC) month
+ * @param {Date} date
+ * @returns {string}
+ */
+export function toMonthCursor(date) {
+  const d = new Date(date);
+  return `${d.getUTCFullYear()}-${String(d.getUTCMonth() + 1).padStart(2, "0")}`;
+}
+
+/**
+ * Build the leading pipeline stages that scope and filter transactions
+ * @param {ObjectId} ledgerId - ledger id
+ * @param {Object} filters - output of parseTransactionFilters
+ * @returns {Object[]} aggregation stages
+ */
+export function transactionMatchStages(ledgerId, filters = {}) {
+  // Filters that can use indexes run first; trashed transactions never count
+  const match = { ledgerId, ...NOT_DELETED };
+
+  if (filters.type) match.type = filters.type;
+  // A split transaction matches if any of its splits is in the category
+  if (filters.categoryIds) {
+    match.$or = [
+      { categoryId: { $in: filters.categoryIds } },
+      { "splits.categoryId": { $in: filters.categoryIds } },
+    ];
+  }
+  if (filters.accountIds) match.accountId = { $in: filters.accountIds };
+  if (filters.tags) match.tags = { $all: filters.tags };
+
+  if (filters.minAmount !== undefined || filters.maxAmount !== undefined) {
+    match.amount = {};
+    if (filters.minAmount !== undefined) match.amount.$gte = filters.minAmount;
+    if (filters.maxAmount !== undefined) match.amount.$lte = filters.maxAmount;
+  }
+
+  if (filters.q) {
+    match.note = { $regex: escapeRegex(filters.q), $options: "i" };
+  }
+
+  const date = {};
+  if (filters.from) date.$gte = filters.from;
+  if (filters.to) date.$lte = filters.to;
+  const dated = Object.keys(date).length > 0;
+
+  // The date range runs on the stored dates too, so it can use the
+  // { ledgerId, date } index; dates older documents stored as strings pass
+  // here and are checked once normalized
+  if (dated) {
+    match.$and = [{ $or: [{ date }, { date: { $type: "string" } }] }];
+  }
+
+  const stages = [
+    { $match: match },
+
+    // Ensure date field is a Date object (older documents may store strings)
+    { $addFields: { date: { $toDate: "$date" } } },
+  ];
+
+  if (dated) stages.push({ $match: { date } });
+
+  return stages;
+}
+
+/**
+ * Build the stages that turn each transaction into one row per category it
+ * is attributed to, for per-category totals
+ * - Plain transactions produce a single row with their own categoryId
+ * - Split transactions produce one row per split, with the split's categoryId
+ *   and amount (fxRate and type still come from the parent)
+ * @param {ObjectId[]} [categoryIds] - keep only rows in these categories
+ * @returns {Object[]} aggregation stages
+ */
+export function splitCategoryStages(categoryIds) {
+  const stages = [
+    {
+      $addFields: {
+        allocation: {
+          $cond: [
+            { $gt: [{ $size: { $ifNull: ["$splits", []] } }, 0] },
+            "$splits",
+            [{ categoryId: "$categoryId", amount: "$amount" }],
+          ],
+        },
+      },
+    },
+    { $unwind: "$allocation" },
+    {
+      $addFields: {
+        categoryId: "$allocation.categoryId",
+        amount: "$allocation.amount",
+      },
+    },
+    { $project: { allocation: 0 } },
+  ];
+
+  // Other splits of a matching transaction belong to other categories
+  if (categoryIds) {
+    stages.push({ $match: { categoryId: { $in: categoryIds } } });
+  }
+
+  return stages;
+}
+
+/**
+ * Build the stages that group transactions by tag, with income, expense and
+ * net totals in the base currency (a transaction counts once for each tag;
+ * untagged transactions are grouped under tag null, listed last)
+ * @param {string[]} [tags] - keep only these tags (e.g. the filtered ones)
+ * @returns {Object[]} aggregation stages
+ */
+export function tagGroupStages(tags) {
+  return [
+    { $addFields: { baseAmount: BASE_AMOUNT } },
+    { $unwind: { path: "$tags", preserveNullAndEmptyArrays: true } },
+    ...(tags ? [{ $match: { tags: { $in: tags } } }] : []),
+    {
+      $group: {
+        _id: { $ifNull: ["$tags", null] },
+        transactionCount: { $sum: 1 },
+        totalIncome: { $sum: { $cond: [{ $eq: ["$type", "income"] }, "$baseAmount", 0] } },
+        totalExpense: { $sum: { $cond: [{ $eq: ["$type", "expense"] }, "$baseAmount", 0] } },
+        lastUsedAt: { $max: "$date" },
+      },
+    },
+    {
+      $project: {
+        _id: 0,
+        tag: "$_id",
+        transactionCount: 1,
+        totalIncome: 1,
+        totalExpense: 1,
+        net: { $subtract: ["$totalIncome", "$totalExpense"] },
+        lastUsedAt: 1,
+        untagged: { $eq: ["$_id", null] },
+      },
+    },
+    { $sort: { untagged: 1, tag: 1 } },
+    { $project: { untagged: 0 } },
+  ];
+}
+
+/**
+ * Build the stages that list the (UTC) months holding matching transactions,
+ * newest first, without loading the transactions themselves
+ * @param {number} limit - most months listed
+ * @returns {Object[]} aggregation stages; each row is { _id: month start }
+ */
+export function monthListStages(limit) {
+  return [
+    { $group: { _id: { $dateTrunc: { date: "$date", unit: "month" } } } },
+    { $sort: { _id: -1 } },
+    { $limit: limit },
+  ];
+}
+
+/**
+ * Build the stages that join categories and group transactions by month
+ * with income, expense and net totals in the base currency (newest month first)
+ * @param {ObjectId} ledgerId - ledger id (only its categories are joined)
+ * @returns {Object[]} aggregation stages
+ */
+export function monthlyGroupStages(ledgerId) {
+  return [
+    // Join category details from the ledger's categories
+    {
+      $lookup: {
+        from: "categories",
+        localField: "categoryId",
+        foreignField: "_id",
+        pipeline: [{ $match: { ledgerId } }],
+        as: "category",
+      },
+    },
+
+    // Keep transaction even if category is missing/deleted
+    {
+      $unwind: {
+        path: "$category",
+        preserveNullAndEmptyArrays: true,
+      },
+    },
+
+    // Provide a fallback category if none exists
+    // ("Split" when the categories live on the splits instead)
+    {
+      $addFields: {
+        category: {
+          $ifNull: [
+            "$category",
+            {
+              _id: null,
+              name: {
+                $cond: [
+                  { $gt: [{ $size: { $ifNull: ["$splits", []] } }, 0] },
+                  "Split",
+                  "Uncategorized",
+                ],
+              },
+              type: "$type",
+              icon: null,
+            },
+          ],
+        },
+      },
+    },
+
+    // Join category details for each split
+    {
+      $lookup: {
+        from: "categories",
+        localField: "splits.categoryId",
+        foreignField: "_id",
+        pipeline: [{ $match: { ledgerId } }],
+        as: "splitCategories",
+      },
+    },
+
+    // Attach its category to each split, with the same Uncategorized fallback
+    {
+      $addFields: {
+        splits: {
+          $cond: [
+            { $isArray: "$splits" },
+            {
+              $map: {
+                input: "$splits",
+                as: "split",
+                in: {
+                  $mergeObjects: [
+                    "$$split",
+                    {
+                      category: {
+                        $ifNull: [
+                          {
+                            $first: {
+                              $filter: {
+                                input: "$splitCategories",
+                                as: "c",
+                                cond: { $eq: ["$$c._id", "$$split.categoryId"] },
+                              },
+                            },
+                          },
+                          {
+                            _id: null,
+                            name: "Uncategorized",
+                            type: "$type",
+                            icon: null,
+                          },
+                        ],
+                      },
+                    },
+                  ],
+                },
+              },
+            },
+            "$$REMOVE",
+          ],
+        },
+      },
+    },
+    { $project: { splitCategories: 0 } },
+
+    // Amount in the user's base currency
+    { $addFields: { baseAmount: BASE_AMOUNT } },
+
+    // Sort transactions newest first
+    { $sort: { date: -1, _id: -1 } },
+
+    // Group transactions by year and month
+    {
+      $group: {
+        _id: {
+          year: { $year: "$date" },
+          month: { $month: "$date" },
+        },
+        transactions: { $push: "$$ROOT" },
+
+        // Calculate total income for the month
+        totalIncome: {
+          $sum: {
+            $cond: [{ $eq: ["$type", "income"] }, "$baseAmount", 0],
+          },
+        },
+
+        // Calculate total expense for the month
+        totalExpense: {
+          $sum: {
+            $cond: [{ $eq: ["$type", "expense"] }, "$baseAmount", 0],
+          },
+        },
+      },
+    },
+
+    // Convert year/month into a real Date for formatting & sorting
+    {
+      $addFields: {
+        monthDate: {
+          $dateFromParts: {
+            year: "$_id.year",
+            month: "$_id.month",
+            day: 1,
+          },
+        },
+      },
+    },
+
+    // Shape the final response structure
+    {
+      $project: {
+        _id: 0,
+        month: {
+          $dateToString: {
+            date: "$monthDate",
+            format: "%b %Y",
+          },
+        },
+        transactions: 1,
+        totalIncome: 1,
+        totalExpense: 1,
+        net: {
+          $subtract: ["$totalIncome", "$totalExpense"],
+        },
+        monthDate: 1,
+      },
+    },
+
+    // Sort months newest → oldest
+    { $sort: { monthDate: -1 } },
+  ];
+}
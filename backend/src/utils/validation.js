@@ -0,0 +1,224 @@
+// utils/validation.js
+// Declarative validation for request bodies, params and query strings
+//
+// A schema maps each allowed field to a rule:
+//   type      - "string" | "number" | "boolean" | "date" | "objectId" | "array" | "object"
+//   required  - must be present (ignored for partial updates)
+//   nullable  - null is accepted and kept as null
+//   enum      - list of allowed values
+//   min, max  - numeric bounds (inclusive)
+//   minLength, maxLength - string length bounds (after trim)
+//   trim      - trim strings before checking them
+//   check     - extra predicate (value) => boolean
+//   message   - error text used when enum or check fails
+//   schema    - nested schema for an "object" field; its errors are reported
+//               as parent.field
+//
+// Fields that are not in the schema are dropped, so clients can never set
+// userId, _id or bookkeeping fields through a request body.
+
+import { ObjectId } from "mongodb";
+import { badRequest } from "./errors.js";
+
+// 24 hex characters; ObjectId.isValid also accepts any 12-byte string
+const OBJECT_ID_PATTERN = /^[0-9a-fA-F]{24}$/;
+
+/**
+ * Check that a value is a MongoDB ObjectId or its hex string form
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isObjectId(value) {
+  return value instanceof ObjectId || (typeof value === "string" && OBJECT_ID_PATTERN.test(value));
+}
+
+/**
+ * Coerce and check a single value against its rule
+ * @param {*} value - raw value (never undefined)
+ * @param {Object} rule
+ * @returns {{ value?: *, error?: string }}
+ */
+function checkValue(value, rule) {
+  if (value === null) {
+    return rule.nullable ? { value: null } : { error: "must not be null" };
+  }
+
+  let result = value;
+  switch (rule.type) {
+    case "string":
+      if (typeof value !== "string") return { error: "must be a string" };
+      result = rule.trim ? value.trim() : value;
+      if (rule.minLength !== undefined && result.length < rule.minLength) {
+        return {
+          error: rule.minLength === 1 ? "must not be empty" : `must be at least ${rule.minLength} characters`,
+        };
+      }
+      if (rule.maxLength !== undefined && result.length > rule.maxLength) {
+        return { error: `must be at most ${rule.maxLength} characters` };
+      }
+      break;
+
+    case "number":
+      // Numeric strings are accepted, as forms often send them
+      result = typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+      if (typeof result !== "number" || !Number.isFinite(result)) {
+        return { error: "must be a number" };
+      }
+      if (rule.min !== undefined && result < rule.min) {
+        return { error: `must be at least ${rule.min}` };
+      }
+      if (rule.max !== undefined && result > rule.max) {
+        return { error: `must be at most ${rule.max}` };
+      }
+      break;
+
+    case "boolean":
+      if (typeof value !== "boolean") return { error: "must be true or false" };
+      break;
+
+    case "date":
+      if (typeof value !== "string" && typeof value !== "number" && !(value instanceof Date)) {
+        return { error: "must be a date" };
+      }
+      result = new Date(value);
+      if (Number.isNaN(result.getTime())) return { error: "must be a valid date" };
+      break;
+
+    case "objectId":
+      if (!isObjectId(value)) return { error: "must be a valid id" };
+      result = new ObjectId(value);
+      break;
+
+    case "array":
+      if (!Array.isArray(value)) return { error: "must be a list" };
+      break;
+
+    case "object":
+      if (typeof value !== "object" || Array.isArray(value)) {
+        return { error: "must be an object" };
+      }
+      break;
+
+    default:
+      throw new Error(`Unknown validation type: ${rule.type}`);
+  }
+
+  if (rule.enum && !rule.enum.includes(result)) {
+    return { error: rule.message || `must be one of: ${rule.enum.join(", ")}` };
+  }
+  if (rule.check && !rule.check(result)) {
+    return { error: rule.message || "is invalid" };
+  }
+
+  return { value: result };
+}
+
+/**
+ * Check a nested object against its rule's schema
+ * @param {*} value - raw value (never undefined or null)
+ * @param {Object} rule - "object" rule with a schema
+ * @param {boolean} partial - skip required checks
+ * @returns {{ value?: Object, error?: string, details?: Object[] }}
+ */
+function checkNested(value, rule, partial) {
+  if (typeof value !== "object" || Array.isArray(value)) {
+    return { error: "must be an object" };
+  }
+  try {
+    return { value: validateFields(rule.schema, value, { partial }) };
+  } catch (err) {
+    if (!err.details) throw err;
+    return { details: err.details };
+  }
+}
+
+/**
+ * Validate an input object against a schema
+ * Throws a 400 error listing every invalid field
+ * @param {Object} schema - field name -> rule
+ * @param {Object} input - raw input (e.g. req.body)
+ * @param {Object} [options]
+ * @param {boolean} [options.partial] - skip required checks (updates)
+ * @param {string} [options.source] - "body" | "query" | "params", used in messages
+ * @returns {Object} only the schema's fields, coerced to their types
+ */
+export function validateFields(schema, input, { partial = false, source = "body" } = {}) {
+  if (input === undefined || input === null || typeof input !== "object" || Array.isArray(input)) {
+    throw badRequest(`Request ${source} must be an object`);
+  }
+
+  const value = {};
+  const details = [];
+
+  for (const [field, rule] of Object.entries(schema)) {
+    const raw = input[field];
+
+    if (raw === undefined) {
+      if (rule.required && !partial) details.push({ field, message: "is required" });
+      continue;
+    }
+
+    const result =
+      rule.schema && raw !== null ? checkNested(raw, rule, partial) : checkValue(raw, rule);
+    if (result.error) {
+      details.push({ field, message: result.error });
+    } else if (result.details) {
+      for (const detail of result.details) {
+        details.push({ ...detail, field: `${field}.${detail.field}` });
+      }
+    } else {
+      value[field] = result.value;
+    }
+  }
+
+  if (details.length) {
+    throw badRequest(`Invalid request ${source}`, details);
+  }
+  return value;
+}
+
+/**
+ * Express middleware validating req.params, req.query and req.body
+ * The body is replaced by its validated copy; params and query are checked
+ * in place (req.query is read-only in Express 5)
+ * @param {Object} schemas
+ * @param {Object} [schemas.params]
+ * @param {Object} [schemas.query]
+ * @param {Object} [schemas.body]
+ * @param {Object} [options]
+ * @param {boolean} [options.partial] - body is a partial update
+ * @returns {Function} Express middleware
+ */
+export function validate({ params, query, body }, { partial = false } = {}) {
+  return (req, res, next) => {
+    if (params) validateFields(params, req.params, { source: "params" });
+    if (query) validateFields(query, req.query, { source: "query" });
+
+    if (body) {
+      req.body = validateFields(body, req.body, { partial, source: "body" });
+
+      if (partial && !Object.keys(req.body).length) {
+        throw badRequest(
+          `Nothing to update; allowed fields: ${Object.keys(body).join(", ")}`
+        );
+      }
+    }
+    next();
+  };
+}
+
+/**
+ * router.param callback rejecting malformed ids with a 400
+ * Usage: router.param("id", objectIdParam)
+ * @param {Object} req
+ * @param {Object} res
+ * @param {Function} next
+ * @param {string} value - raw param value
+ * @param {string} name - param name
+ */
+export function objectIdParam(req, res, next, value, name) {
+  if (!isObjectId(value)) {
+    return next(badRequest(`Invalid ${name}`, [{ field: name, message: "must be a valid id" }]));
+  }
+  next();
+}
@@ -0,0 +1,82 @@
+// utils/versioning.js
+// Optimistic concurrency for categories and transactions
+// Every write increments a document's version, which clients see as its ETag.
+// PUT and DELETE accept If-Match with the ETag they last read and fail with
+// 412 Precondition Failed when someone else changed the document since.
+// Documents written before versions existed count as version 0.
+
+import { HttpError, badRequest, notFound } from "./errors.js";
+
+// Version of a newly created document
+export const INITIAL_VERSION = 1;
+
+// $inc fragment every write to a versioned document includes
+export const NEXT_VERSION = { version: 1 };
+
+/**
+ * Add the version increment to an update
+ * @param {Object|Object[]} update - update document or aggregation pipeline
+ * @returns {Object|Object[]}
+ */
+export function withNextVersion(update) {
+  if (Array.isArray(update)) {
+    return [...update, { $set: { version: { $add: [{ $ifNull: ["$version", 0] }, 1] } } }];
+  }
+  return { ...update, $inc: { ...update.$inc, ...NEXT_VERSION } };
+}
+
+/**
+ * ETag of a document
+ * @param {Object} doc
+ * @returns {string} quoted version, e.g. "3"
+ */
+export function etagOf(doc) {
+  return `"${doc.version ?? 0}"`;
+}
+
+/**
+ * Versions listed in a request's If-Match header
+ * @param {Object} req - Express request
+ * @returns {number[]|null} null without the header or for If-Match: *
+ * @throws {HttpError} 400 when the header is not a list of our ETags
+ */
+export function ifMatchVersions(req) {
+  const header = req.get("If-Match");
+  if (!header || header.trim() === "*") return null;
+
+  const tags = header.split(",").map((tag) => tag.trim());
+  if (!tags.every((tag) => /^"\d+"$/.test(tag))) {
+    throw badRequest("Invalid If-Match header", [
+      { field: "If-Match", message: 'must be an ETag returned by the API, e.g. "3"' },
+    ]);
+  }
+  return tags.map((tag) => Number(tag.slice(1, -1)));
+}
+
+/**
+ * Filter fragment that only matches the versions in If-Match
+ * Merged into a write's filter so the check and the write are atomic
+ * @param {Object} req - Express request
+ * @returns {Object} empty without If-Match (the write is unconditional)
+ */
+export function ifMatchFilter(req) {
+  const versions = ifMatchVersions(req);
+  if (!versions) return {};
+  return { version: { $in: versions.map((version) => (version === 0 ? null : version)) } };
+}
+
+/**
+ * Error for a conditional write that matched no document
+ * @param {Collection} collection
+ * @param {Object} filter - the write's filter without the If-Match fragment
+ * @param {Object} req - Express request
+ * @param {string} label - "Category" | "Transaction"
+ * @returns {Promise<HttpError>} 412 when the document is there but its version
+ *   moved on, 404 otherwise
+ */
+export async function missedWriteError(collection, filter, req, label) {
+  if (ifMatchVersions(req) && (await collection.countDocuments(filter, { limit: 1 }))) {
+    return new HttpError(412, `${label} has changed since it was read; fetch it again`);
+  }
+  return notFound(`${label} not found`);
+}
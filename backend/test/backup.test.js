@@ -0,0 +1,106 @@
+// test/backup.test.js
+// Backup checks and id remapping on restore
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ObjectId } from "mongodb";
+import {
+  BACKUP_FORMAT,
+  BACKUP_VERSION,
+  readBackup,
+  remappedId,
+  referencedIds,
+  remapIds,
+} from "../src/utils/backup.js";
+
+const SCHEMAS = {
+  transactions: {
+    amount: { type: "number", required: true, min: 0 },
+    categoryId: { type: "objectId", nullable: true },
+  },
+};
+
+/**
+ * Backup holding the given transactions
+ * @param {Object[]} transactions
+ * @returns {Object}
+ */
+function backupOf(transactions) {
+  return { format: BACKUP_FORMAT, version: BACKUP_VERSION, collections: { transactions } };
+}
+
+test("readBackup keeps schema fields and drops the rest", () => {
+  const _id = new ObjectId();
+  const collections = readBackup(backupOf([{ _id, amount: 5, userId: "x", extra: 1 }]), SCHEMAS);
+
+  assert.deepEqual(collections.transactions, [{ _id, amount: 5 }]);
+  assert.deepEqual(collections.accounts, []);
+});
+
+test("readBackup lists invalid documents by path", () => {
+  const docs = [
+    { _id: new ObjectId(), amount: 5 },
+    { _id: new ObjectId(), amount: "lots", categoryId: "42" },
+  ];
+
+  assert.throws(
+    () => readBackup(backupOf(docs), SCHEMAS),
+    (err) =>
+      err.status === 400 &&
+      err.details.map((detail) => detail.field).join() ===
+        "collections.transactions[1].amount,collections.transactions[1].categoryId"
+  );
+});
+
+test("readBackup rejects other files and documents without an ObjectId", () => {
+  assert.throws(() => readBackup({ format: "other" }, SCHEMAS), /must be a backup/);
+  assert.throws(
+    () => readBackup({ ...backupOf([]), version: BACKUP_VERSION + 1 }, SCHEMAS),
+    /Unsupported backup version/
+  );
+  assert.throws(
+    () => readBackup(backupOf([{ _id: "657a1f0c2b3d4e5f60718293", amount: 1 }]), SCHEMAS),
+    (err) => err.details[0].field === "collections.transactions[0]"
+  );
+});
+
+test("remappedId is stable per ledger and keeps the creation time", () => {
+  const id = new ObjectId();
+  const ledgerA = new ObjectId();
+  const ledgerB = new ObjectId();
+
+  assert.ok(remappedId(ledgerA, id).equals(remappedId(ledgerA, id)));
+  assert.ok(!remappedId(ledgerA, id).equals(remappedId(ledgerB, id)));
+  assert.equal(remappedId(ledgerA, id).getTimestamp().getTime(), id.getTimestamp().getTime());
+});
+
+test("remapIds replaces ids at any depth and drops unknown ones", () => {
+  const known = new ObjectId();
+  const restored = new ObjectId();
+  const unknown = new ObjectId();
+  const date = new Date("2024-01-02");
+  const idMap = new Map([[String(known), restored]]);
+
+  const doc = {
+    categoryId: known,
+    goalId: unknown,
+    date,
+    splits: [{ categoryId: known, amount: 1 }],
+    ids: [known, unknown],
+  };
+
+  assert.deepEqual(remapIds(doc, idMap), {
+    categoryId: restored,
+    date,
+    splits: [{ categoryId: restored, amount: 1 }],
+    ids: [restored],
+  });
+});
+
+test("referencedIds collects every ObjectId once", () => {
+  const a = new ObjectId();
+  const b = new ObjectId();
+
+  const found = referencedIds([{ _id: a, template: { categoryId: b } }, { parentId: a }]);
+  assert.deepEqual([...found].sort(), [String(a), String(b)].sort());
+});
@@ -0,0 +1,77 @@
+// test/categoryRules.test.js
+// Matching transactions against categorization rules
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  MAX_MATCHED_NOTE_LENGTH,
+  parseNotePattern,
+  hasCondition,
+  ruleMatches,
+  findMatchingRule,
+} from "../src/utils/categoryRules.js";
+
+/**
+ * Rule as loadRules returns it
+ * @param {Object} fields
+ * @returns {Object}
+ */
+function rule(fields) {
+  return {
+    type: "expense",
+    ...fields,
+    regex: fields.noteMatches ? parseNotePattern(fields.noteMatches) : null,
+  };
+}
+
+test("parseNotePattern reads literals and plain patterns", () => {
+  assert.equal(parseNotePattern("/^netflix/").test("Netflix.com"), false);
+  assert.equal(parseNotePattern("/^netflix/i").test("Netflix.com"), true);
+  assert.equal(parseNotePattern("netflix").test("NETFLIX"), true);
+});
+
+test("parseNotePattern rejects what RE2 cannot run in linear time", () => {
+  assert.equal(parseNotePattern("(a)\\1"), null);
+  assert.equal(parseNotePattern("foo(?=bar)"), null);
+  assert.equal(parseNotePattern("(a{100}){10}"), null);
+  assert.equal(parseNotePattern("/x/g"), null);
+  assert.equal(parseNotePattern(""), null);
+});
+
+test("a rule needs at least one condition", () => {
+  assert.equal(hasCondition({ categoryId: "x" }), false);
+  assert.equal(hasCondition({ amountMin: 0 }), true);
+  assert.equal(hasCondition({ noteContains: null }), false);
+});
+
+test("every condition a rule sets must hold", () => {
+  const netflix = rule({ noteMatches: "/netflix/i", amountEquals: 15.99 });
+  const note = "NETFLIX.COM";
+
+  assert.equal(ruleMatches(netflix, { note, amount: 15.99, type: "expense" }), true);
+  assert.equal(ruleMatches(netflix, { note, amount: 17.99, type: "expense" }), false);
+  assert.equal(ruleMatches(netflix, { note, amount: 15.99, type: "income" }), false);
+});
+
+test("amount bounds are compared in cents", () => {
+  const range = rule({ amountMin: 10, amountMax: 20 });
+
+  assert.equal(ruleMatches(range, { amount: 0.1 + 9.9, type: "expense" }), true);
+  assert.equal(ruleMatches(range, { amount: 20.01, type: "expense" }), false);
+});
+
+test("patterns only see the start of long notes", () => {
+  const tail = rule({ noteMatches: "refund$" });
+  const note = `${"x".repeat(MAX_MATCHED_NOTE_LENGTH)} refund`;
+
+  assert.equal(ruleMatches(tail, { note, amount: 1, type: "expense" }), false);
+});
+
+test("the first matching rule wins", () => {
+  const rules = [rule({ noteContains: "uber eats" }), rule({ noteContains: "uber" })];
+  const expense = (note) => ({ note, amount: 9, type: "expense" });
+
+  assert.equal(findMatchingRule(rules, expense("Uber Eats order")), rules[0]);
+  assert.equal(findMatchingRule(rules, expense("Uber trip")), rules[1]);
+  assert.equal(findMatchingRule(rules, expense("Lyft")), null);
+});
@@ -0,0 +1,65 @@
+// test/fx.test.js
+// Rate provider interface with the local stub provider (no network access)
+
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import {
+  frankfurterProvider,
+  createStaticRateProvider,
+  setRateProvider,
+  getRateProvider,
+  isSupportedCurrency,
+  getConversionRate,
+} from "../src/utils/fx.js";
+
+afterEach(() => setRateProvider());
+
+test("the static provider derives cross rates from its USD table", async () => {
+  const provider = createStaticRateProvider({ EUR: 0.5, INR: 80 });
+
+  const usd = await provider.getRates({ base: "USD", date: "2024-01-15" });
+  assert.deepEqual(usd, { base: "USD", date: "2024-01-15", rates: { EUR: 0.5, INR: 80 } });
+
+  const eur = await provider.getRates({ base: "EUR" });
+  assert.equal(eur.rates.USD, 2);
+  assert.equal(eur.rates.INR, 160);
+  assert.equal(eur.date, new Date().toISOString().slice(0, 10));
+});
+
+test("the static provider rejects currencies outside its table", async () => {
+  const provider = createStaticRateProvider({ EUR: 0.5 });
+  await assert.rejects(provider.getRates({ base: "GBP" }), /Unsupported currency: GBP/);
+});
+
+test("the static provider serves one entry per day of a series", async () => {
+  const provider = createStaticRateProvider({ EUR: 0.5 });
+  const series = await provider.getSeries({ base: "USD", from: "2024-02-27", to: "2024-03-01" });
+
+  assert.deepEqual(Object.keys(series.rates), [
+    "2024-02-27",
+    "2024-02-28",
+    "2024-02-29",
+    "2024-03-01",
+  ]);
+  assert.deepEqual(series.rates["2024-02-29"], { EUR: 0.5 });
+});
+
+test("setRateProvider swaps the active provider and restores the live one", () => {
+  const stub = createStaticRateProvider();
+  setRateProvider(stub);
+  assert.equal(getRateProvider(), stub);
+
+  setRateProvider();
+  assert.equal(getRateProvider(), frankfurterProvider);
+});
+
+test("conversions within one currency need no rate", async () => {
+  assert.equal(await getConversionRate("EUR", "EUR", new Date("2024-01-15")), 1);
+});
+
+test("isSupportedCurrency only accepts published codes", () => {
+  assert.equal(isSupportedCurrency("EUR"), true);
+  assert.equal(isSupportedCurrency("eur"), false);
+  assert.equal(isSupportedCurrency("XYZ"), false);
+  assert.equal(isSupportedCurrency(undefined), false);
+});
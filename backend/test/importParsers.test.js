@@ -0,0 +1,112 @@
+// test/importParsers.test.js
+// CSV and OFX statement parsing
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  parseCsv,
+  parseDateWithFormat,
+  parseAmount,
+  parseCsvStatement,
+  parseOfxStatement,
+  noteSimilarity,
+} from "../src/utils/importParsers.js";
+
+test("parseCsv handles quotes, escaped quotes, CRLF and blank lines", () => {
+  const rows = parseCsv('date,note\r\n2024-01-02,"Coffee, ""large"""\r\n\r\n2024-01-03,Tea');
+
+  assert.deepEqual(rows, [
+    ["date", "note"],
+    ["2024-01-02", 'Coffee, "large"'],
+    ["2024-01-03", "Tea"],
+  ]);
+});
+
+test("parseDateWithFormat reads each format and rejects overflow", () => {
+  const jan2 = new Date(Date.UTC(2024, 0, 2));
+
+  assert.deepEqual(parseDateWithFormat("2024-01-02"), jan2);
+  assert.deepEqual(parseDateWithFormat("01/02/2024", "MM/DD/YYYY"), jan2);
+  assert.deepEqual(parseDateWithFormat("02.01.24", "DD/MM/YYYY"), jan2);
+  assert.equal(parseDateWithFormat("02/31/2024", "MM/DD/YYYY"), null);
+  assert.equal(parseDateWithFormat("yesterday"), null);
+});
+
+test("parseAmount reads separators, currency signs and accounting negatives", () => {
+  assert.equal(parseAmount("1,234.56"), 1234.56);
+  assert.equal(parseAmount("-$5"), -5);
+  assert.equal(parseAmount("(12.00)"), -12);
+  assert.equal(parseAmount(""), null);
+  assert.equal(parseAmount("1.2.3"), null);
+});
+
+test("parseCsvStatement maps a signed amount column", () => {
+  const csv = "Date,Description,Amount\n2024-01-02,Salary,2500\n2024-01-03,Rent,-900\n";
+  const rows = parseCsvStatement(csv, {
+    mapping: { date: "Date", note: "Description", amount: "Amount" },
+  });
+
+  assert.deepEqual(
+    rows.map(({ amount, type, note, errors }) => ({ amount, type, note, errors })),
+    [
+      { amount: 2500, type: "income", note: "Salary", errors: [] },
+      { amount: 900, type: "expense", note: "Rent", errors: [] },
+    ]
+  );
+});
+
+test("parseCsvStatement maps debit and credit columns without a header", () => {
+  const rows = parseCsvStatement("02/01/2024;Groceries;45.00;\n03/01/2024;Refund;;10\n", {
+    mapping: { date: 0, note: 1, debit: 2, credit: 3 },
+    hasHeader: false,
+    dateFormat: "DD/MM/YYYY",
+    delimiter: ";",
+  });
+
+  assert.deepEqual(rows[0].date, new Date(Date.UTC(2024, 0, 2)));
+  assert.equal(rows[0].type, "expense");
+  assert.equal(rows[1].type, "income");
+  assert.equal(rows[1].amount, 10);
+});
+
+test("parseCsvStatement reports rows it cannot read", () => {
+  const [row] = parseCsvStatement("Date,Amount\nsoon,0\n", {
+    mapping: { date: "Date", amount: "Amount" },
+  });
+
+  assert.deepEqual(row.errors, ["Invalid date", "Invalid amount"]);
+});
+
+test("parseOfxStatement reads SGML transactions", () => {
+  const ofx = `OFXHEADER:100
+<OFX><BANKMSGSRSV1><STMTTRNRS><STMTRS><BANKTRANLIST>
+<STMTTRN><TRNTYPE>DEBIT<DTPOSTED>20240102120000.000[-5:EST]<TRNAMT>-42.50<FITID>A1
+<NAME>GROCER<MEMO>Card 1234
+<STMTTRN><TRNTYPE>CREDIT<DTPOSTED>20240103<TRNAMT>100.00<FITID>A2<NAME>Payroll
+</BANKTRANLIST></STMTRS></STMTTRNRS></BANKMSGSRSV1></OFX>`;
+
+  assert.deepEqual(parseOfxStatement(ofx), [
+    {
+      date: new Date(Date.UTC(2024, 0, 2)),
+      amount: 42.5,
+      type: "expense",
+      note: "GROCER Card 1234",
+      externalId: "A1",
+      errors: [],
+    },
+    {
+      date: new Date(Date.UTC(2024, 0, 3)),
+      amount: 100,
+      type: "income",
+      note: "Payroll",
+      externalId: "A2",
+      errors: [],
+    },
+  ]);
+});
+
+test("noteSimilarity compares words, ignoring digits and punctuation", () => {
+  assert.equal(noteSimilarity("UBER *TRIP 1234", "uber trip"), 1);
+  assert.equal(noteSimilarity("uber trip", "uber eats"), 1 / 3);
+  assert.equal(noteSimilarity("", "rent"), 0);
+});
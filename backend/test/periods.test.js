@@ -0,0 +1,35 @@
+// test/periods.test.js
+// Calendar buckets used by reports
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { bucketStart, addBuckets, listBuckets, daysBetween } from "../src/utils/periods.js";
+
+const day = (value) => new Date(`${value}T00:00:00Z`);
+const days = (dates) => dates.map((date) => date.toISOString().slice(0, 10));
+
+test("bucketStart truncates to Monday, month, quarter and year", () => {
+  const date = new Date("2024-08-18T15:30:00Z"); // A Sunday
+
+  assert.deepEqual(bucketStart(date, "week"), day("2024-08-12"));
+  assert.deepEqual(bucketStart(date, "month"), day("2024-08-01"));
+  assert.deepEqual(bucketStart(date, "quarter"), day("2024-07-01"));
+  assert.deepEqual(bucketStart(date, "year"), day("2024-01-01"));
+  assert.throws(() => bucketStart(date, "decade"), /Unknown granularity/);
+});
+
+test("addBuckets moves forward and back", () => {
+  assert.deepEqual(addBuckets(day("2024-01-01"), "quarter", 1), day("2024-04-01"));
+  assert.deepEqual(addBuckets(day("2024-01-01"), "week", -1), day("2023-12-25"));
+});
+
+test("listBuckets includes the buckets of both ends", () => {
+  const buckets = listBuckets(day("2024-01-15"), day("2024-03-01"), "month");
+
+  assert.deepEqual(days(buckets), ["2024-01-01", "2024-02-01", "2024-03-01"]);
+});
+
+test("daysBetween counts both days and ignores the time of day", () => {
+  assert.equal(daysBetween(new Date("2024-02-28T23:00:00Z"), day("2024-03-01")), 3);
+  assert.equal(daysBetween(day("2024-03-01"), day("2024-02-28")), 0);
+});
@@ -0,0 +1,108 @@
+// test/recurrence.test.js
+// Occurrence dates of recurring rules and rule checks
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { listOccurrences, nextOccurrence, normalizeRule } from "../src/utils/recurrence.js";
+
+const day = (value) => new Date(`${value}T00:00:00Z`);
+const days = (dates) => dates.map((date) => date.toISOString().slice(0, 10));
+
+test("monthly rules are clamped to the end of shorter months", () => {
+  const rule = { frequency: "monthly", interval: 1, startDate: day("2024-01-31") };
+  const dates = listOccurrences(rule, { until: day("2024-04-30") });
+
+  assert.deepEqual(days(dates), ["2024-01-31", "2024-02-29", "2024-03-31", "2024-04-30"]);
+});
+
+test("a dayOfMonth before the start day skips the first month", () => {
+  const rule = { frequency: "monthly", dayOfMonth: 5, startDate: day("2024-01-20") };
+  const dates = listOccurrences(rule, { until: day("2024-03-31") });
+
+  assert.deepEqual(days(dates), ["2024-02-05", "2024-03-05"]);
+});
+
+test("count and endDate stop a rule", () => {
+  const counted = { frequency: "weekly", startDate: day("2024-01-01"), count: 3 };
+  assert.deepEqual(days(listOccurrences(counted, { until: day("2024-12-31") })), [
+    "2024-01-01",
+    "2024-01-08",
+    "2024-01-15",
+  ]);
+
+  const ended = {
+    frequency: "daily",
+    interval: 2,
+    startDate: day("2024-01-01"),
+    endDate: day("2024-01-06"),
+  };
+  assert.deepEqual(days(listOccurrences(ended, { until: day("2024-12-31") })), [
+    "2024-01-01",
+    "2024-01-03",
+    "2024-01-05",
+  ]);
+});
+
+test("count still applies when listing after a later date", () => {
+  const rule = { frequency: "monthly", startDate: day("2024-01-10"), count: 4 };
+  const dates = listOccurrences(rule, { after: day("2024-02-10"), until: day("2025-12-31") });
+
+  assert.deepEqual(days(dates), ["2024-03-10", "2024-04-10"]);
+  assert.equal(nextOccurrence(rule, day("2024-04-10")), null);
+});
+
+test("long-running rules are listed from the reference date", () => {
+  const rule = { frequency: "daily", startDate: day("2000-01-01") };
+  const dates = listOccurrences(rule, { after: day("2024-06-01"), until: day("2024-06-03") });
+
+  assert.deepEqual(days(dates), ["2024-06-02", "2024-06-03"]);
+});
+
+test("nextOccurrence agrees with listOccurrences", () => {
+  const rules = [
+    { frequency: "daily", interval: 3, startDate: day("2023-12-30") },
+    { frequency: "weekly", interval: 2, startDate: day("2024-01-03") },
+    { frequency: "monthly", dayOfMonth: 31, startDate: day("2024-01-15") },
+    { frequency: "yearly", startDate: day("2020-02-29") },
+  ];
+
+  for (const rule of rules) {
+    const listed = listOccurrences(rule, { until: day("2030-12-31") });
+    let after = null;
+    for (const date of listed) {
+      assert.deepEqual(nextOccurrence(rule, after), date);
+      after = date;
+    }
+  }
+});
+
+test("normalizeRule fills in defaults", () => {
+  const rule = normalizeRule({ frequency: "weekly", startDate: "2024-01-01" });
+
+  assert.deepEqual(rule, {
+    frequency: "weekly",
+    interval: 1,
+    dayOfMonth: null,
+    startDate: day("2024-01-01"),
+    endDate: null,
+    count: null,
+  });
+});
+
+test("normalizeRule rejects fields that do not fit together", () => {
+  const cases = [
+    [{ frequency: "weekly", dayOfMonth: 3, startDate: "2024-01-01" }, "rule.dayOfMonth"],
+    [{ frequency: "daily", startDate: "2024-02-01", endDate: "2024-01-01" }, "rule.endDate"],
+    [
+      { frequency: "daily", startDate: "2024-01-01", endDate: "2024-02-01", count: 2 },
+      "rule.count",
+    ],
+  ];
+
+  for (const [input, field] of cases) {
+    assert.throws(
+      () => normalizeRule(input),
+      (err) => err.status === 400 && err.details[0].field === field
+    );
+  }
+});
@@ -0,0 +1,75 @@
+// test/transactionQuery.test.js
+// Stages shared by the transaction aggregations
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ObjectId } from "mongodb";
+import {
+  BASE_AMOUNT,
+  transactionMatchStages,
+  monthListStages,
+  monthlyGroupStages,
+  tagGroupStages,
+} from "../src/utils/transactionQuery.js";
+
+const ledgerId = new ObjectId();
+
+test("the first stage scopes to the ledger and leaves the trash out", () => {
+  const [first] = transactionMatchStages(ledgerId, { type: "expense" });
+
+  assert.deepEqual(first, { $match: { ledgerId, deletedAt: null, type: "expense" } });
+});
+
+test("categories are only joined from the ledger", () => {
+  const lookups = monthlyGroupStages(ledgerId)
+    .filter((stage) => stage.$lookup)
+    .map((stage) => stage.$lookup);
+
+  assert.deepEqual(
+    lookups.map(({ from, localField }) => [from, localField]),
+    [
+      ["categories", "categoryId"],
+      ["categories", "splits.categoryId"],
+    ]
+  );
+  for (const lookup of lookups) {
+    assert.deepEqual(lookup.pipeline, [{ $match: { ledgerId } }]);
+  }
+});
+
+test("date ranges narrow the first stage and are checked again once normalized", () => {
+  const from = new Date("2024-01-01");
+  const to = new Date("2024-03-31T23:59:59.999Z");
+  const [first, normalize, range] = transactionMatchStages(ledgerId, { from, to });
+
+  assert.deepEqual(first.$match.$and, [
+    { $or: [{ date: { $gte: from, $lte: to } }, { date: { $type: "string" } }] },
+  ]);
+  assert.ok(normalize.$addFields.date);
+  assert.deepEqual(range, { $match: { date: { $gte: from, $lte: to } } });
+});
+
+test("a page lists its months without grouping their transactions", () => {
+  const stages = monthListStages(4);
+
+  assert.deepEqual(stages.at(-1), { $limit: 4 });
+  assert.equal(JSON.stringify(stages).includes("$$ROOT"), false);
+});
+
+test("monthly and tag totals add up amounts converted to the base currency", () => {
+  const baseTotal = (type) => ({ $sum: { $cond: [{ $eq: ["$type", type] }, "$baseAmount", 0] } });
+
+  for (const stages of [monthlyGroupStages(ledgerId), tagGroupStages()]) {
+    const converted = stages.findIndex((stage) => stage.$addFields?.baseAmount);
+    const group = stages.findIndex((stage) => stage.$group);
+
+    assert.deepEqual(stages[converted].$addFields.baseAmount, BASE_AMOUNT);
+    assert.ok(converted < group);
+    assert.deepEqual(stages[group].$group.totalIncome, baseTotal("income"));
+    assert.deepEqual(stages[group].$group.totalExpense, baseTotal("expense"));
+  }
+});
+
+test("amounts without a stored rate are already in the base currency", () => {
+  assert.deepEqual(BASE_AMOUNT, { $multiply: ["$amount", { $ifNull: ["$fxRate", 1] }] });
+});
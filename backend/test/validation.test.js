@@ -0,0 +1,105 @@
+// test/validation.test.js
+// Declarative field validation
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ObjectId } from "mongodb";
+import { validateFields, isObjectId } from "../src/utils/validation.js";
+
+const SCHEMA = {
+  name: { type: "string", required: true, trim: true, minLength: 1, maxLength: 10 },
+  amount: { type: "number", min: 0 },
+  kind: { type: "string", enum: ["a", "b"] },
+  date: { type: "date" },
+  categoryId: { type: "objectId", nullable: true },
+  rule: {
+    type: "object",
+    schema: {
+      frequency: { type: "string", required: true, enum: ["daily", "weekly"] },
+      interval: { type: "number", check: Number.isInteger, message: "must be an integer" },
+    },
+  },
+};
+
+/**
+ * Details of the 400 error a validation throws
+ * @param {Function} fn
+ * @returns {Object[]}
+ */
+function detailsOf(fn) {
+  try {
+    fn();
+  } catch (err) {
+    assert.equal(err.status, 400);
+    return err.details;
+  }
+  assert.fail("expected a validation error");
+}
+
+test("fields are coerced and unknown fields dropped", () => {
+  const id = new ObjectId();
+  const value = validateFields(SCHEMA, {
+    name: "  Rent ",
+    amount: "12.5",
+    date: "2024-01-15",
+    categoryId: String(id),
+    userId: "someone-else",
+  });
+
+  assert.deepEqual(value, {
+    name: "Rent",
+    amount: 12.5,
+    date: new Date("2024-01-15"),
+    categoryId: id,
+  });
+});
+
+test("every invalid field is listed", () => {
+  const details = detailsOf(() =>
+    validateFields(SCHEMA, { amount: -1, kind: "c", date: "soon", categoryId: "42" })
+  );
+
+  assert.deepEqual(
+    details.map((detail) => detail.field),
+    ["name", "amount", "kind", "date", "categoryId"]
+  );
+});
+
+test("nullable fields keep null, others reject it", () => {
+  assert.deepEqual(validateFields(SCHEMA, { name: "x", categoryId: null }), {
+    name: "x",
+    categoryId: null,
+  });
+  assert.deepEqual(detailsOf(() => validateFields(SCHEMA, { name: "x", amount: null })), [
+    { field: "amount", message: "must not be null" },
+  ]);
+});
+
+test("nested schemas report errors as parent.field", () => {
+  const details = detailsOf(() =>
+    validateFields(SCHEMA, { name: "x", rule: { frequency: "hourly", interval: 1.5 } })
+  );
+
+  assert.deepEqual(details, [
+    { field: "rule.frequency", message: "must be one of: daily, weekly" },
+    { field: "rule.interval", message: "must be an integer" },
+  ]);
+});
+
+test("partial checks skip required fields, also in nested schemas", () => {
+  assert.deepEqual(validateFields(SCHEMA, { rule: { interval: 2 } }, { partial: true }), {
+    rule: { interval: 2 },
+  });
+});
+
+test("non-object input is rejected", () => {
+  assert.throws(() => validateFields(SCHEMA, []), /Request body must be an object/);
+  assert.throws(() => validateFields(SCHEMA, null, { source: "query" }), /Request query/);
+});
+
+test("isObjectId accepts ObjectIds and 24 hex characters only", () => {
+  assert.equal(isObjectId(new ObjectId()), true);
+  assert.equal(isObjectId("657a1f0c2b3d4e5f60718293"), true);
+  assert.equal(isObjectId("twelve bytes"), false);
+  assert.equal(isObjectId(42), false);
+});